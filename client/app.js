@@ -8,12 +8,26 @@ import {
     zoomReset,
     clearTimelineVisualization
 } from "./timeline.js";
-import {formatDuration} from "./utils.js";
+import {downloadJson, formatDuration} from "./utils.js";
 import {sendClearToServer, joinTimeline, retryConnection, requireTimelineReady} from "./sync.js";
 import {state} from "./state.js";
+import {buildExportDocument} from "./selection.js";
 import {initStatusBarController, resetStatusStats, stampStatusSync, updateStatusStats} from "./features/status-bar-controller.js";
 import {initImportController} from "./features/import-controller.js";
+import {initCsvMappingController} from "./features/csv-mapping-controller.js";
+import {initImportPreviewController} from "./features/import-preview-controller.js";
+import {initProfileController} from "./features/profile-controller.js";
+import {initBatchController} from "./features/batch-controller.js";
+import {initTimeZoneController} from "./features/time-zone-controller.js";
+import {initClockSkewController} from "./features/clock-skew-controller.js";
+import {handleLaneAction, initLanesController} from "./features/lanes-controller.js";
+import {initFilterController} from "./features/filter-controller.js";
+import {initSearchController} from "./features/search-controller.js";
+import {initSelectionController, selectEvents} from "./features/selection-controller.js";
 import {initDetailPanelController, showEventDetail} from "./features/detail-panel-controller.js";
+import {initProcessTreeController} from "./features/process-tree-controller.js";
+import {initNetworkGraphController, setNetworkGraphView} from "./features/network-graph-controller.js";
+import {initAuthSessionController} from "./features/auth-session-controller.js";
 import "./gap-detection.js";
 import {showSelector, getTimelineIdFromUrl} from "./timeline-selector.js";
 
@@ -28,9 +42,22 @@ const zoomResetBtn = document.getElementById('zoom-reset');
 let initialTimelineHandled = false;
 
 function init() {
-    initTimelineVisualization('#timeline-container', showEventDetail);
+    initTimelineVisualization('#timeline-container', showEventDetail, handleLaneAction, selectEvents, setNetworkGraphView);
     initImportController();
+    initCsvMappingController();
+    initImportPreviewController();
+    initProfileController();
+    initBatchController();
+    initTimeZoneController();
+    initClockSkewController();
+    initLanesController();
+    initFilterController();
+    initSearchController({onShowEvent: showEventDetail});
+    initSelectionController();
     initDetailPanelController();
+    initProcessTreeController({onSelectEvents: selectEvents, onShowEvent: showEventDetail});
+    initNetworkGraphController({onSelectEvents: selectEvents});
+    initAuthSessionController({onSelectEvents: selectEvents});
     initStatusBarController({
         onSelectTimeline: showSelector,
         onRetryConnection: retryConnection
@@ -60,6 +87,16 @@ function handleTimelineListReceived() {
     showSelector();
 }
 
+/**
+ * Draw the timeline from state, with the viewer's filter applied.
+ */
+function renderTimeline() {
+    const result = state.filterResult;
+    const filtered = result.active ? {events: result.events, matches: result.matches, mode: state.filter.mode} : null;
+    renderTimelineVisualization(state.displayEvents, state.laneRegistry, state.laneConnections, state.annotations, state.displayZone,
+        state.laneLayout, filtered);
+}
+
 function refreshTimelineUi() {
     const hasEvents = state.events.length > 0;
     clearBtn.disabled = !hasEvents;
@@ -67,7 +104,7 @@ function refreshTimelineUi() {
 
     if (hasEvents) {
         updateStats();
-        renderTimelineVisualization(state.events, state.hostRegistry, state.connections, state.annotations);
+        renderTimeline();
     } else {
         resetStats();
         clearTimelineVisualization();
@@ -80,15 +117,30 @@ function subscribeToState() {
     bus.on(EVENTS.EVENTS_ADDED, refreshTimelineUi);
     bus.on(EVENTS.EVENTS_SYNCED, refreshTimelineUi);
     bus.on(EVENTS.EVENT_DELETED, refreshTimelineUi);
+    bus.on(EVENTS.EVENTS_DELETED, refreshTimelineUi);
     bus.on(EVENTS.EVENTS_CLEARED, refreshTimelineUi);
 
-    const onAnnotationChange = () => {
+    bus.on(EVENTS.FILTER_CHANGED, refreshTimelineUi);
+
+    const redrawTimeline = () => {
         if (state.events.length > 0) {
-            renderTimelineVisualization(state.events, state.hostRegistry, state.connections, state.annotations);
+            renderTimeline();
         }
     };
-    bus.on(EVENTS.ANNOTATION_UPDATED, onAnnotationChange);
-    bus.on(EVENTS.ANNOTATION_DELETED, onAnnotationChange);
+    const redrawAnnotations = () => {
+        // Annotation changes can move events in or out of the annotation facet
+        if (state.events.length > 0 && state.filterResult.active) updateStats();
+        redrawTimeline();
+    };
+    bus.on(EVENTS.ANNOTATION_UPDATED, redrawAnnotations);
+    bus.on(EVENTS.ANNOTATIONS_UPDATED, redrawAnnotations);
+    bus.on(EVENTS.LANE_LAYOUT_CHANGED, redrawTimeline);
+    bus.on(EVENTS.LANE_KEY_CHANGED, redrawTimeline);
+    bus.on(EVENTS.ANNOTATION_DELETED, redrawAnnotations);
+    bus.on(EVENTS.TIMELINE_UPDATED, (timeline) => {
+        // The display zone is timeline metadata
+        if (timeline.id === state.currentTimelineId) redrawTimeline();
+    });
 
     bus.on(EVENTS.TIMELINE_DELETED, (deletedId) => {
         if (state.currentTimelineId === deletedId || !state.currentTimelineId) {
@@ -106,12 +158,25 @@ function resetStats() {
 }
 
 function updateStats() {
-    const events = state.events;
+    const result = state.filterResult;
+    const events = result.events;
     const hostRegistry = state.hostRegistry;
-    const connections = state.connections;
-    const hostCount = hostRegistry.getHostList().length;
+    let connections = state.connections;
+    let hostCount = hostRegistry.getHostList().length;
+    if (result.active) {
+        // Count only what the filter lets through
+        connections = connections.filter(conn => result.matches.has(conn.eventId));
+        const hosts = new Set();
+        for (const event of events) {
+            const key = hostRegistry.laneOf(event)?.toLowerCase();
+            if (key && hostRegistry.hosts.has(key)) hosts.add(key);
+        }
+        hostCount = hosts.size;
+    }
 
-    document.getElementById('stat-events').textContent = events.length;
+    document.getElementById('stat-events').textContent = result.active
+        ? `${events.length} / ${state.events.length}`
+        : events.length;
     document.getElementById('stat-hosts').textContent = hostCount;
     document.getElementById('stat-connections').textContent = connections.length;
 
@@ -153,27 +218,7 @@ function exportTimeline() {
         return;
     }
 
-    const exportData = {
-        exportedAt: new Date().toISOString(),
-        events: state.events.map(event => event.raw),
-        annotations: Object.fromEntries(state.annotations)
-    };
-    const jsonString = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([jsonString], {type: 'application/json'});
-    const url = URL.createObjectURL(blob);
-
-    const now = new Date();
-    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `ecs-timeline-${timestamp}.json`;
-
-    const anchor = document.createElement('a');
-    anchor.href = url;
-    anchor.download = filename;
-    document.body.appendChild(anchor);
-    anchor.click();
-    document.body.removeChild(anchor);
-
-    URL.revokeObjectURL(url);
+    downloadJson(buildExportDocument(state.events, state.annotations, state.hostOffsets), 'ecs-timeline');
 }
 
 function clearTimeline() {
@@ -0,0 +1,168 @@
+/**
+ * ECS Timeline Builder - Authentication Sessions
+ * Pairs logons with their logoffs into sessions: Windows 4624 with 4634/4647
+ * by logon ID, and Linux logins and PAM sessions with their ends by audit
+ * session ID. Events sharing a session ID in between are counted as its
+ * activity. Several sessions may share an audit session ID (e.g. sudo inside
+ * an SSH login); a logoff closes the open one started by the same process,
+ * or else the most recent one.
+ */
+
+import {fieldValues} from './query.js';
+
+// Paths tried in order for each session property
+const SESSION_FIELDS = {
+    sessionId: ['winlog.logon.id', 'winlog.event_data.TargetLogonId', 'auditd.session'],
+    user: ['user.name', 'winlog.event_data.TargetUserName'],
+    domain: ['user.domain', 'winlog.event_data.TargetDomainName'],
+    sourceIp: ['source.ip', 'winlog.event_data.IpAddress'],
+    logonType: ['winlog.logon.type', 'winlog.event_data.LogonType', 'auditd.data.terminal'],
+    pid: ['process.pid']
+};
+
+const WINDOWS_LOGON = '4624';
+const WINDOWS_LOGOFFS = ['4634', '4647'];
+const SESSION_CATEGORIES = ['authentication', 'session'];
+// auditd's session ID for processes outside any login
+const UNSET_AUDIT_SESSION = '4294967295';
+
+function firstValue(raw, paths) {
+    for (const path of paths) {
+        const [value] = fieldValues(raw, path);
+        // Windows writes "-" for fields it has no value for
+        if (value !== undefined && value !== '-') return String(value);
+    }
+    return null;
+}
+
+/**
+ * Whether an event opens or closes a session.
+ *
+ * @param {Object} raw - Raw event document
+ * @returns {'start'|'end'|null} Session boundary, or null for other events
+ */
+function sessionBoundary(raw) {
+    const eventId = firstValue(raw, ['winlog.event_id']);
+    if (eventId === WINDOWS_LOGON) return fieldValues(raw, 'event.outcome').includes('failure') ? null : 'start';
+    if (WINDOWS_LOGOFFS.includes(eventId)) return 'end';
+
+    const categories = fieldValues(raw, 'event.category');
+    if (!categories.some(category => SESSION_CATEGORIES.includes(category))) return null;
+    if (fieldValues(raw, 'event.outcome').includes('failure')) return null;
+    const types = fieldValues(raw, 'event.type');
+    if (types.includes('start')) return 'start';
+    if (types.includes('end')) return 'end';
+    return null;
+}
+
+function createSession(key, host, sessionId, event, fields) {
+    return {
+        id: `${key}\u0000${event.timestamp.getTime()}`,
+        host,
+        sessionId,
+        user: fields.user && fields.domain ? `${fields.domain}\\${fields.user}` : fields.user,
+        sourceIp: fields.sourceIp,
+        logonType: fields.logonType,
+        pid: fields.pid,
+        start: event.timestamp,
+        end: null,
+        lastSeen: event.timestamp,
+        logonEvent: null,
+        logoffEvent: null,
+        events: []
+    };
+}
+
+function addEvent(session, event) {
+    session.events.push(event);
+    if (event.timestamp > session.lastSeen) session.lastSeen = event.timestamp;
+}
+
+/**
+ * Reconstruct authentication sessions from a set of events. Sessions are kept
+ * apart per host lane, so a session's events are the ones drawn on its lane.
+ *
+ * @param {Array} events - Parsed events
+ * @param {Object|null} [hostRegistry] - Host registry from buildHostRegistry(), used to find each
+ *   event's lane; without one events are keyed by their own host name
+ * @returns {Array} Sessions in start order, each with `id`, `host`, `sessionId`, `user`,
+ *   `sourceIp`, `logonType`, `pid`, `start`, `end` (null while still open), `lastSeen`, the
+ *   `logonEvent` (null when the logon predates the data) and `logoffEvent`, and all its
+ *   `events` in time order
+ */
+export function buildAuthSessions(events, hostRegistry = null) {
+    const sessions = [];
+    // Open sessions per host and session ID, oldest first
+    const open = new Map();
+
+    const sorted = events
+        .map(event => ({event, raw: event.raw, sessionId: firstValue(event.raw, SESSION_FIELDS.sessionId)}))
+        .filter(entry => entry.sessionId !== null && entry.sessionId !== UNSET_AUDIT_SESSION)
+        .sort((a, b) => a.event.timestamp - b.event.timestamp);
+
+    for (const {event, raw, sessionId} of sorted) {
+        const host = (hostRegistry && hostRegistry.laneOf(event)) || (event.host ? event.host.hostname : 'Unknown');
+        const key = `${host}\u0000${sessionId}`;
+        const boundary = sessionBoundary(raw);
+        const pid = firstValue(raw, SESSION_FIELDS.pid);
+        if (!open.has(key)) open.set(key, []);
+        const candidates = open.get(key);
+        const samePid = pid !== null ? candidates.findLast(session => session.pid === pid) : undefined;
+
+        if (boundary === 'start') {
+            // A login and the PAM session it starts are one session
+            if (samePid) {
+                addEvent(samePid, event);
+                continue;
+            }
+            const fields = {};
+            for (const [name, paths] of Object.entries(SESSION_FIELDS)) fields[name] = firstValue(raw, paths);
+            const session = createSession(key, host, sessionId, event, fields);
+            session.logonEvent = event;
+            addEvent(session, event);
+            candidates.push(session);
+            sessions.push(session);
+        } else if (boundary === 'end') {
+            let session = samePid || candidates[candidates.length - 1];
+            if (!session) {
+                // The logon happened before the loaded events begin
+                const fields = {};
+                for (const [name, paths] of Object.entries(SESSION_FIELDS)) fields[name] = firstValue(raw, paths);
+                session = createSession(key, host, sessionId, event, fields);
+                sessions.push(session);
+            } else {
+                candidates.splice(candidates.indexOf(session), 1);
+            }
+            addEvent(session, event);
+            session.end = event.timestamp;
+            session.logoffEvent = event;
+        } else {
+            const session = samePid || candidates[candidates.length - 1];
+            if (session) addEvent(session, event);
+        }
+    }
+
+    return sessions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Stretch each logon event over its session, so the timeline draws the
+ * session as a bar in the host's lane. A session still open at the end of the
+ * data runs to its last event. Logons that already cover a period keep it.
+ *
+ * @param {Array} events - Parsed events
+ * @param {Array} sessions - Sessions from buildAuthSessions()
+ * @returns {Array} Events with the logons replaced by copies carrying the session
+ *   span, or the same array when no session lasts any time
+ */
+export function applySessionSpans(events, sessions) {
+    const spans = new Map();
+    for (const session of sessions) {
+        const end = session.end || session.lastSeen;
+        if (session.logonEvent && !session.logonEvent.span && end > session.start) {
+            spans.set(session.logonEvent.id, {start: session.start, end});
+        }
+    }
+    if (spans.size === 0) return events;
+    return events.map(event => (spans.has(event.id) && !event.span ? {...event, span: spans.get(event.id)} : event));
+}
@@ -0,0 +1,182 @@
+/**
+ * ECS Timeline Builder - Host Clock Skew
+ * Shifts each host's events by a per-host clock offset so activity on hosts
+ * that were off NTP lines up, and suggests offsets from network events that
+ * two hosts both logged (same `network.community_id`).
+ */
+
+import {getNestedValue} from './parser.js';
+
+// Differences below this are logging latency, not clock skew
+const MIN_SUGGESTED_SKEW_MS = 1000;
+
+/**
+ * Key a host is stored under in the offset table.
+ *
+ * @param {string} hostname - Host name as shown on its lane
+ * @returns {string} Lowercased host name (matches the host registry keys)
+ */
+export function hostOffsetKey(hostname) {
+    return String(hostname).toLowerCase();
+}
+
+/**
+ * Host lane an event is drawn on, which is the host its offset belongs to.
+ *
+ * @param {Object} event - Parsed event
+ * @param {Object|null} hostRegistry - Host registry from buildHostRegistry(), or null for the event's own host
+ * @returns {string} Host name of the lane
+ */
+function hostLaneOf(event, hostRegistry) {
+    return (hostRegistry && hostRegistry.laneOf(event)) || event.host.hostname;
+}
+
+/**
+ * Instant an event's source recorded, before any clock offset was applied.
+ *
+ * @param {Object} event - Parsed event
+ * @returns {Date} Recorded timestamp
+ */
+export function getRecordedTimestamp(event) {
+    return event.recordedTimestamp || event.timestamp;
+}
+
+/**
+ * Shift events onto a common clock. Each event's `timestamp` (and `span`)
+ * becomes its recorded time plus the offset of the host lane it is drawn on;
+ * the recorded instant is kept in `recordedTimestamp` and the offset in
+ * `clockOffset` so offsets can be changed or removed later. The raw event is
+ * never touched.
+ *
+ * Without a host registry events are keyed by their own host name, so
+ * host-less events the timeline lanes on their source host keep their time.
+ *
+ * @param {Array} events - Parsed events (offsets already applied are replaced)
+ * @param {Map<string, number>} offsets - Offset in milliseconds keyed by hostOffsetKey()
+ * @param {Object|null} [hostRegistry] - Host registry from buildHostRegistry(), used to find each event's lane
+ * @returns {Array} Events in the same order; unchanged events are returned as-is
+ */
+export function applyHostOffsets(events, offsets, hostRegistry = null) {
+    return events.map(event => {
+        const offset = offsets.get(hostOffsetKey(hostLaneOf(event, hostRegistry))) || 0;
+        const shift = offset - (event.clockOffset || 0);
+        if (shift === 0) return event;
+
+        const recorded = getRecordedTimestamp(event);
+        const shifted = {
+            ...event,
+            timestamp: new Date(recorded.getTime() + offset),
+            span: event.span && {
+                start: new Date(event.span.start.getTime() + shift),
+                end: new Date(event.span.end.getTime() + shift)
+            },
+            recordedTimestamp: recorded,
+            clockOffset: offset
+        };
+        if (offset === 0) {
+            delete shifted.recordedTimestamp;
+            delete shifted.clockOffset;
+        }
+        return shifted;
+    });
+}
+
+/**
+ * Format a clock offset for display.
+ *
+ * @param {number} offsetMs - Offset in milliseconds
+ * @returns {string} e.g. "+2m 5s", "-1h 0m 30.5s" or "0s"
+ */
+export function formatClockOffset(offsetMs) {
+    const sign = offsetMs < 0 ? '-' : offsetMs > 0 ? '+' : '';
+    let remaining = Math.abs(offsetMs);
+    const hours = Math.floor(remaining / 3600000);
+    remaining -= hours * 3600000;
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = (remaining - minutes * 60000) / 1000;
+
+    const parts = [];
+    if (hours) parts.push(`${hours}h`);
+    if (hours || minutes) parts.push(`${minutes}m`);
+    parts.push(`${seconds}s`);
+    return sign + parts.join(' ');
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Suggest clock offsets from flows seen by more than one host. For every
+ * pair of hosts that logged the same `network.community_id`, the median
+ * difference between their recorded times is the skew of one relative to the
+ * other. The host with more events is taken as the reference, and the
+ * suggested offset puts the other host on the reference's (corrected) clock.
+ * Events count for the host lane they are drawn on, as in applyHostOffsets().
+ *
+ * @param {Array} events - Parsed events
+ * @param {Map<string, number>} [offsets=new Map()] - Current offsets keyed by hostOffsetKey()
+ * @param {Object|null} [hostRegistry] - Host registry from buildHostRegistry(), used to find each event's lane
+ * @returns {Array<{host: string, reference: string, skewMs: number, offsetMs: number, samples: number}>}
+ *   Suggestions, largest skew first. `skewMs` is how far the host's clock runs
+ *   ahead of the reference's; `offsetMs` is the offset that cancels it
+ */
+export function suggestHostOffsets(events, offsets = new Map(), hostRegistry = null) {
+    const eventCounts = new Map();
+    // community_id -> host key -> earliest recorded time
+    const flows = new Map();
+    const hostNames = new Map();
+
+    for (const event of events) {
+        const lane = hostLaneOf(event, hostRegistry);
+        const key = hostOffsetKey(lane);
+        eventCounts.set(key, (eventCounts.get(key) || 0) + 1);
+        hostNames.set(key, lane);
+
+        const communityId = getNestedValue(event.raw, 'network.community_id');
+        if (lane === 'Unknown' || !communityId || typeof communityId !== 'string') continue;
+
+        let seenBy = flows.get(communityId);
+        if (!seenBy) {
+            seenBy = new Map();
+            flows.set(communityId, seenBy);
+        }
+        const recorded = getRecordedTimestamp(event).getTime();
+        if (!seenBy.has(key) || recorded < seenBy.get(key)) {
+            seenBy.set(key, recorded);
+        }
+    }
+
+    const byReference = (a, b) => (eventCounts.get(b) - eventCounts.get(a)) || a.localeCompare(b);
+
+    // "reference\u0000host" -> recorded(host) - recorded(reference) per flow
+    const differences = new Map();
+    for (const seenBy of flows.values()) {
+        const hosts = [...seenBy.keys()].sort(byReference);
+        for (let i = 0; i < hosts.length; i++) {
+            for (let j = i + 1; j < hosts.length; j++) {
+                const pair = `${hosts[i]}\u0000${hosts[j]}`;
+                if (!differences.has(pair)) differences.set(pair, []);
+                differences.get(pair).push(seenBy.get(hosts[j]) - seenBy.get(hosts[i]));
+            }
+        }
+    }
+
+    const suggestions = [];
+    for (const [pair, values] of differences) {
+        const [reference, host] = pair.split('\u0000');
+        const skewMs = median(values);
+        if (Math.abs(skewMs) < MIN_SUGGESTED_SKEW_MS) continue;
+        suggestions.push({
+            host: hostNames.get(host),
+            reference: hostNames.get(reference),
+            skewMs,
+            offsetMs: (offsets.get(reference) || 0) - skewMs,
+            samples: values.length
+        });
+    }
+
+    return suggestions.sort((a, b) => Math.abs(b.skewMs) - Math.abs(a.skewMs));
+}
@@ -0,0 +1,85 @@
+/**
+ * ECS Timeline Builder - Density Clustering
+ * Level-of-detail for zoomed-out timelines: events of a lane that fall within
+ * a few pixels of each other are merged into a single count bubble, and come
+ * apart into individual dots again once zooming makes them separable.
+ */
+
+import {getDotTimestamp} from './parser.js';
+
+/**
+ * Group the laid-out events of each lane into fixed-width pixel bins and turn
+ * bins holding at least `minCount` events into clusters. Every item gets a
+ * `clustered` flag telling the renderer whether to hide its dot; events off
+ * screen or kept visible (e.g. annotated ones) are never clustered.
+ *
+ * @param {Array<{event: Object, lane: string}>} items - Laid-out events (see timeline.js)
+ * @param {Function} xScale - D3 time scale for the current zoom
+ * @param {Object} options
+ * @param {number} options.binWidth - Bin width in pixels
+ * @param {number} options.minCount - Smallest number of events that forms a cluster
+ * @param {Function} [options.keepVisible] - Predicate for items that always stay a dot
+ * @returns {Array<{lane: string, x: number, count: number, start: Date, end: Date,
+ *   category: string, categories: Object<string, number>}>} Clusters, in no particular order
+ */
+export function clusterLaneItems(items, xScale, {binWidth, minCount, keepVisible = () => false}) {
+    const [left, right] = xScale.range();
+    const bins = new Map();
+
+    for (const item of items) {
+        item.clustered = false;
+        const x = xScale(getDotTimestamp(item.event));
+        if (x < left || x > right || keepVisible(item)) continue;
+
+        const key = `${item.lane}\u0000${Math.floor(x / binWidth)}`;
+        let bin = bins.get(key);
+        if (!bin) {
+            bin = {lane: item.lane, items: [], xSum: 0};
+            bins.set(key, bin);
+        }
+        bin.items.push(item);
+        bin.xSum += x;
+    }
+
+    const clusters = [];
+    for (const bin of bins.values()) {
+        if (bin.items.length < minCount) continue;
+
+        const categories = {};
+        let start = getDotTimestamp(bin.items[0].event);
+        let end = start;
+        for (const item of bin.items) {
+            item.clustered = true;
+            const timestamp = getDotTimestamp(item.event);
+            const category = item.event.category;
+            categories[category] = (categories[category] || 0) + 1;
+            if (timestamp < start) start = timestamp;
+            if (timestamp > end) end = timestamp;
+        }
+
+        clusters.push({
+            lane: bin.lane,
+            x: bin.xSum / bin.items.length,
+            count: bin.items.length,
+            start,
+            end,
+            category: dominantCategory(categories),
+            categories
+        });
+    }
+    return clusters;
+}
+
+/**
+ * Category with the most events; ties go to the category seen first.
+ *
+ * @param {Object<string, number>} categories - Event count per category
+ * @returns {string} Dominant category
+ */
+export function dominantCategory(categories) {
+    let dominant = null;
+    for (const [category, count] of Object.entries(categories)) {
+        if (dominant === null || count > categories[dominant]) dominant = category;
+    }
+    return dominant;
+}
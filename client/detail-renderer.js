@@ -1,6 +1,8 @@
 import {escapeHtml, formatKey} from "./utils.js";
 import {getNestedValue} from "./parser.js";
 import {TACTICS, TECHNIQUES} from "./mitre.js";
+import {formatClockOffset} from "./clock-skew.js";
+import {UTC_ZONE, formatTimestamp} from "../shared/time-zones.js";
 
 /**
  * ECS Timeline Builder - Event Detail Panel Renderer
@@ -160,6 +162,28 @@ function hasValues(obj) {
     return Object.values(obj).some(v => v !== null && v !== undefined && v !== '');
 }
 
+function isPivotable(value) {
+    return (typeof value === 'string' && value !== '') || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * Renders a field value. Plain values (and each element of a list of them)
+ * become buttons that open the pivot menu for their ECS field.
+ *
+ * @param {string} path - ECS dot-notation path of the field
+ * @param {*} value - Field value
+ * @returns {string} HTML for the value
+ */
+function renderFieldValue(path, value) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(isPivotable)) {
+        return escapeHtml(String(Array.isArray(value) ? value.join(', ') : value));
+    }
+    return values.map(entry => `<button type="button" class="detail-pivot" data-field="${escapeHtml(path)}" ` +
+        `data-value="${escapeHtml(String(entry))}" title="Pivot on ${escapeHtml(path)}">${escapeHtml(String(entry))}</button>`)
+        .join(', ');
+}
+
 /**
  * Renders a single collapsible section of event details as HTML.
  * Iterates through object properties and formats each as a key-value pair.
@@ -167,9 +191,10 @@ function hasValues(obj) {
  * @param {string} title - Section heading (e.g., "Network", "Process")
  * @param {Object} data - Key-value pairs to display in this section
  * @param {number} sectionNum - 1-based section index, rendered as a zero-padded prefix (e.g., "02")
+ * @param {Object} paths - ECS dot-notation path of each key, for pivoting on its value
  * @returns {string} HTML string for the detail section
  */
-function renderSection(title, data, sectionNum) {
+function renderSection(title, data, sectionNum, paths) {
     const num = String(sectionNum).padStart(2, '0');
     let html = `
             <div class="detail-section">
@@ -178,11 +203,10 @@ function renderSection(title, data, sectionNum) {
 
     for (const [key, value] of Object.entries(data)) {
         if (value !== null && value !== undefined && value !== '') {
-            const displayValue = Array.isArray(value) ? value.join(', ') : value;
             html += `
                     <div class="detail-field">
                         <span class="detail-key">${escapeHtml(formatKey(key))}</span>
-                        <span class="detail-value">${escapeHtml(String(displayValue))}</span>
+                        <span class="detail-value">${renderFieldValue(paths[key], value)}</span>
                     </div>
                 `;
         }
@@ -192,6 +216,38 @@ function renderSection(title, data, sectionNum) {
     return html;
 }
 
+/**
+ * Renders the Elasticsearch index and document ID an event was imported from.
+ *
+ * @param {{index: string, id: string}|null|undefined} provenance - Source document reference
+ * @returns {string} Detail fields HTML, or an empty string for non-Elasticsearch events
+ */
+function renderProvenance(provenance) {
+    if (!provenance) return '';
+    return `
+                <div class="detail-field">
+                    <span class="detail-key">Index</span>
+                    <span class="detail-value">${escapeHtml(String(provenance.index))}</span>
+                </div>
+                <div class="detail-field">
+                    <span class="detail-key">Document ID</span>
+                    <span class="detail-value">${escapeHtml(String(provenance.id))}</span>
+                </div>`;
+}
+
+function renderImportBatch(batch, displayZone) {
+    if (!batch) return '';
+    return `
+                <div class="detail-field">
+                    <span class="detail-key">Imported From</span>
+                    <span class="detail-value">${escapeHtml(batch.fileName || '(unnamed)')} (${escapeHtml(batch.sourceType || 'unknown type')})</span>
+                </div>
+                <div class="detail-field">
+                    <span class="detail-key">Imported By</span>
+                    <span class="detail-value">${escapeHtml(batch.importer || 'unknown')} at ${formatTimestamp(new Date(batch.importedAt), displayZone)}</span>
+                </div>`;
+}
+
 /**
  * Builds <option> HTML for a MITRE ATT&CK select, marking the selected id.
  *
@@ -258,9 +314,11 @@ function renderAnnotationForm(eventId, annotation) {
  *
  * @param {Object} event - Parsed event object with summary, timestamp, category, details, and raw properties
  * @param {Object|null} annotation - Existing annotation for this event, or null
+ * @param {Object|null} [batch=null] - Import batch the event came from, or null
+ * @param {string} [displayZone='UTC'] - Zone timestamps are shown in
  * @returns {string} Complete HTML string for the detail panel content
  */
-export function renderEventDetailPanel(event, annotation) {
+export function renderEventDetailPanel(event, annotation, batch = null, displayZone = UTC_ZONE) {
     let html = '';
     let sectionNum = 1;
 
@@ -274,12 +332,22 @@ export function renderEventDetailPanel(event, annotation) {
                 </div>
                 <div class="detail-field">
                     <span class="detail-key">Timestamp</span>
-                    <span class="detail-value">${event.timestamp.toISOString()}</span>
-                </div>
+                    <span class="detail-value">${formatTimestamp(event.timestamp, displayZone)}</span>
+                </div>${event.clockOffset ? `
+                <div class="detail-field">
+                    <span class="detail-key">Recorded</span>
+                    <span class="detail-value">${formatTimestamp(event.recordedTimestamp, displayZone)} (host clock off by ${formatClockOffset(-event.clockOffset)})</span>
+                </div>` : ''}${event.timeZone ? `
+                <div class="detail-field">
+                    <span class="detail-key">Source Zone</span>
+                    <span class="detail-value">${escapeHtml(event.timeZone)} (assumed at import)</span>
+                </div>` : ''}
                 <div class="detail-field">
                     <span class="detail-key">Category</span>
                     <span class="detail-value">${event.category}</span>
                 </div>
+                ${renderProvenance(event.provenance)}
+                ${renderImportBatch(batch, displayZone)}
                 <button id="delete-event-btn" class="btn-delete" data-event-id="${escapeHtml(String(event.id))}">Delete Event</button>
             </div>
         `;
@@ -297,7 +365,7 @@ export function renderEventDetailPanel(event, annotation) {
             data[key] = getNestedValue(event.raw, path);
         }
         if (hasValues(data)) {
-            html += renderSection(section.title, data, sectionNum++);
+            html += renderSection(section.title, data, sectionNum++, section.fields);
         }
     }
 
@@ -0,0 +1,128 @@
+/**
+ * ECS Timeline Builder - Event Filter
+ * Combines the filter bar's query (see query.js) with facet selections into
+ * the set of events the timeline shows. Within a facet, any selected value
+ * matches; across facets and the query, all must match.
+ */
+
+import {getNestedValue} from './parser.js';
+import {compileQuery} from './query.js';
+
+// Facet value of events that lack the field
+export const NO_FACET_VALUE = '(none)';
+
+export const FILTER_FACETS = [
+    {key: 'category', label: 'Category'},
+    {key: 'host', label: 'Host'},
+    {key: 'outcome', label: 'Outcome'},
+    {key: 'dataset', label: 'Dataset'},
+    {key: 'annotation', label: 'Annotation'}
+];
+
+/**
+ * Filter that lets every event through, with filtered-out events hidden.
+ *
+ * @returns {{query: string, facets: Object<string, string[]>, mode: 'hide'|'dim'}} Empty filter
+ */
+export function createEmptyFilter() {
+    return {query: '', facets: {}, mode: 'hide'};
+}
+
+function rawString(event, path) {
+    const value = getNestedValue(event.raw, path);
+    const first = Array.isArray(value) ? value[0] : value;
+    return first === null || first === undefined || first === '' ? NO_FACET_VALUE : String(first);
+}
+
+/**
+ * Value an event has for a facet.
+ *
+ * @param {Object} event - Parsed event
+ * @param {string} facet - Facet key from FILTER_FACETS
+ * @param {Map} annotations - Map of eventId to annotation
+ * @returns {string} Facet value
+ */
+export function facetValue(event, facet, annotations) {
+    switch (facet) {
+        case 'category':
+            return event.category;
+        case 'host':
+            return event.host ? event.host.hostname : NO_FACET_VALUE;
+        case 'outcome':
+            return rawString(event, 'event.outcome');
+        case 'dataset': {
+            const dataset = rawString(event, 'event.dataset');
+            return dataset === NO_FACET_VALUE ? rawString(event, 'data_stream.dataset') : dataset;
+        }
+        case 'annotation':
+            return annotations && annotations.has(event.id) ? 'annotated' : 'not annotated';
+        default:
+            return NO_FACET_VALUE;
+    }
+}
+
+/**
+ * Whether a filter leaves any event out.
+ *
+ * @param {Object} filter - Filter from createEmptyFilter()
+ * @returns {boolean} True when a query or facet value is set
+ */
+export function isFilterActive(filter) {
+    return Boolean(filter.query.trim()) ||
+        Object.values(filter.facets).some(values => values.length > 0);
+}
+
+/**
+ * Work out which events a filter lets through. A malformed query is reported
+ * and ignored, so the facets still apply while the query is being typed.
+ *
+ * @param {Array} events - Parsed events
+ * @param {Map} annotations - Map of eventId to annotation
+ * @param {Object} filter - Filter from createEmptyFilter()
+ * @returns {{active: boolean, events: Array, matches: Set<string>|null, error: string|null}}
+ *   Matching events in their original order; `matches` holds their IDs, or is
+ *   null when nothing is filtered out
+ */
+export function applyEventFilter(events, annotations, filter) {
+    let predicate = null;
+    let error = null;
+    try {
+        predicate = compileQuery(filter.query);
+    } catch (e) {
+        error = e.message;
+    }
+
+    const facets = Object.entries(filter.facets)
+        .filter(([, values]) => values.length > 0)
+        .map(([facet, values]) => ({facet, values: new Set(values)}));
+
+    if (!predicate && facets.length === 0) {
+        return {active: false, events, matches: null, error};
+    }
+
+    const matching = events.filter(event =>
+        facets.every(({facet, values}) => values.has(facetValue(event, facet, annotations))) &&
+        (!predicate || predicate(event)));
+    return {active: true, events: matching, matches: new Set(matching.map(event => event.id)), error};
+}
+
+/**
+ * Count how many events have each value of every facet, most common first.
+ *
+ * @param {Array} events - Parsed events
+ * @param {Map} annotations - Map of eventId to annotation
+ * @returns {Object<string, Array<{value: string, count: number}>>} Value counts per facet key
+ */
+export function countFacetValues(events, annotations) {
+    const counts = {};
+    for (const {key} of FILTER_FACETS) {
+        const values = new Map();
+        for (const event of events) {
+            const value = facetValue(event, key, annotations);
+            values.set(value, (values.get(value) || 0) + 1);
+        }
+        counts[key] = Array.from(values, ([value, count]) => ({value, count}))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+    return counts;
+}
@@ -2,9 +2,17 @@ export const EVENTS = {
     EVENTS_ADDED: 'events:added',
     EVENTS_SYNCED: 'events:synced',
     EVENT_DELETED: 'event:deleted',
+    EVENTS_DELETED: 'events:deleted',
     EVENTS_CLEARED: 'events:cleared',
     ANNOTATION_UPDATED: 'annotation:updated',
+    ANNOTATIONS_UPDATED: 'annotations:updated',
     ANNOTATION_DELETED: 'annotation:deleted',
+    PROFILES_CHANGED: 'profiles:changed',
+    BATCHES_CHANGED: 'batches:changed',
+    HOST_OFFSETS_CHANGED: 'hostoffsets:changed',
+    LANE_LAYOUT_CHANGED: 'lanelayout:changed',
+    LANE_KEY_CHANGED: 'lanekey:changed',
+    FILTER_CHANGED: 'filter:changed',
     CONNECTION_CHANGED: 'connection:changed',
     SYNCSTATUS_CHANGED: 'syncstatus:changed',
     ERROR_CHANGED: 'error:changed',
@@ -0,0 +1,158 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {zoomToRange} from '../timeline.js';
+import {eventsTimeRange} from '../selection.js';
+import {escapeHtml, formatDuration} from '../utils.js';
+import {formatTimestamp} from '../../shared/time-zones.js';
+
+let sessionsBtn;
+let overlay;
+let sessionsBody;
+let searchInput;
+let summaryEl;
+let selectEvents = null;
+let initialized = false;
+
+function renderSessionsButton() {
+    sessionsBtn.disabled = !state.currentTimelineId;
+}
+
+function matchesSearch(session, text) {
+    if (!text) return true;
+    return [session.user, session.host, session.sourceIp, session.logonType]
+        .some(value => value && value.toLowerCase().includes(text));
+}
+
+function renderDuration(session) {
+    if (session.end === null) {
+        return `<span class="session-open" title="No logoff in the loaded events">open · ${escapeHtml(formatDuration(session.lastSeen - session.start))}+</span>`;
+    }
+    const title = session.logonEvent ? '' : ' title="Logon predates the loaded events"';
+    return `<span${title}>${session.logonEvent ? '' : '≥ '}${escapeHtml(formatDuration(session.end - session.start))}</span>`;
+}
+
+function render() {
+    const sessions = state.sessions;
+    const text = searchInput.value.trim().toLowerCase();
+    const shown = sessions.filter(session => matchesSearch(session, text));
+    const open = sessions.filter(session => session.end === null).length;
+    summaryEl.textContent = `${sessions.length.toLocaleString()} ${sessions.length === 1 ? 'session' : 'sessions'}` +
+        (open > 0 ? ` · ${open.toLocaleString()} still open` : '') +
+        (shown.length !== sessions.length ? ` · ${shown.length.toLocaleString()} shown` : '');
+
+    if (shown.length === 0) {
+        const message = sessions.length === 0
+            ? 'No logons or logoffs (4624/4634, login and PAM session events) in this timeline'
+            : 'No sessions match';
+        sessionsBody.innerHTML = `<tr><td colspan="7" class="mapping-samples">${message}</td></tr>`;
+        return;
+    }
+
+    const zone = state.displayZone;
+    sessionsBody.innerHTML = shown.map(session => `
+        <tr class="session-row" data-session="${escapeHtml(session.id)}" title="Select this session's events">
+            <td class="mapping-column" title="${escapeHtml(session.user || '')}">${escapeHtml(session.user || '—')}</td>
+            <td class="mapping-column" title="${escapeHtml(session.host)}">${escapeHtml(session.host)}</td>
+            <td>${escapeHtml(session.sourceIp || '—')}</td>
+            <td>${escapeHtml(formatTimestamp(session.start, zone))}</td>
+            <td>${renderDuration(session)}</td>
+            <td>${escapeHtml(session.logonType || '—')}</td>
+            <td class="preview-count">${session.events.length.toLocaleString()}</td>
+        </tr>`).join('');
+}
+
+function openExplorer() {
+    if (!state.currentTimelineId) return;
+    render();
+    overlay.hidden = false;
+    overlay.classList.add('visible');
+}
+
+function closeExplorer() {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+}
+
+/**
+ * Select a session's events on the timeline and zoom to the time it covers.
+ *
+ * @param {string} id - Session id
+ */
+function focusSession(id) {
+    const session = state.sessions.find(candidate => candidate.id === id);
+    if (!session) return;
+    closeExplorer();
+    if (selectEvents) selectEvents(session.events);
+    const range = eventsTimeRange(session.events);
+    if (range) zoomToRange(...range);
+}
+
+export function initAuthSessionController({onSelectEvents}) {
+    if (initialized) return;
+    initialized = true;
+    selectEvents = onSelectEvents;
+
+    sessionsBtn = document.getElementById('sessions-btn');
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+        <div class="import-dialog session-dialog">
+            <div class="import-dialog-header">
+                <h2>Sessions</h2>
+            </div>
+            <div class="import-dialog-content">
+                <div class="session-toolbar">
+                    <input id="session-search" class="mapping-path" type="search"
+                        placeholder="Filter by user, host, source IP or type">
+                    <span id="session-summary" class="mapping-samples"></span>
+                </div>
+                <table class="mapping-table">
+                    <thead><tr><th>User</th><th>Host</th><th>Source IP</th><th>Logon</th><th>Duration</th><th>Type</th><th>Events</th></tr></thead>
+                    <tbody id="session-body"></tbody>
+                </table>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="session-close-btn" class="btn-secondary" type="button">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    sessionsBody = overlay.querySelector('#session-body');
+    searchInput = overlay.querySelector('#session-search');
+    summaryEl = overlay.querySelector('#session-summary');
+
+    sessionsBtn.addEventListener('click', openExplorer);
+    searchInput.addEventListener('input', render);
+    sessionsBody.addEventListener('click', (event) => {
+        const row = event.target.closest('.session-row');
+        if (row) focusSession(row.dataset.session);
+    });
+    overlay.querySelector('#session-close-btn').addEventListener('click', closeExplorer);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !overlay.hidden) closeExplorer();
+    });
+
+    const refreshIfOpen = () => {
+        if (!overlay.hidden) render();
+    };
+    bus.on(EVENTS.EVENTS_ADDED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_SYNCED, refreshIfOpen);
+    bus.on(EVENTS.EVENT_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_CLEARED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_UPDATED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_JOINED, () => {
+        searchInput.value = '';
+        renderSessionsButton();
+    });
+    bus.on(EVENTS.TIMELINE_DELETED, () => {
+        renderSessionsButton();
+        if (!state.currentTimelineId) closeExplorer();
+    });
+    renderSessionsButton();
+}
@@ -0,0 +1,150 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {requireTimelineReady, sendDeleteBatch} from '../sync.js';
+import {escapeHtml} from '../utils.js';
+
+const IMPORTER_STORAGE_KEY = 'ecs-timeline-importer';
+
+let batchesBtn;
+let overlay;
+let importerInput;
+let batchesBody;
+let initialized = false;
+
+/**
+ * Name recorded as the importer of new batches, remembered per browser.
+ *
+ * @returns {string} Analyst name, or an empty string if none was entered
+ */
+export function getImporterName() {
+    return localStorage.getItem(IMPORTER_STORAGE_KEY) || '';
+}
+
+/**
+ * Remember the name recorded as the importer of new batches.
+ *
+ * @param {string} name - Analyst name; empty forgets it
+ */
+export function setImporterName(name) {
+    name = name.trim();
+    if (name) {
+        localStorage.setItem(IMPORTER_STORAGE_KEY, name);
+    } else {
+        localStorage.removeItem(IMPORTER_STORAGE_KEY);
+    }
+}
+
+function saveImporterName() {
+    setImporterName(importerInput.value);
+}
+
+function renderBatchesButton() {
+    batchesBtn.disabled = !state.currentTimelineId;
+}
+
+function renderBatches() {
+    const remaining = new Map();
+    for (const event of state.events) {
+        if (event.batchId) remaining.set(event.batchId, (remaining.get(event.batchId) || 0) + 1);
+    }
+
+    const batches = [...state.batches.values()].sort((a, b) => b.importedAt - a.importedAt);
+    if (batches.length === 0) {
+        batchesBody.innerHTML = '<tr><td colspan="6" class="mapping-samples">No import batches in this timeline</td></tr>';
+        return;
+    }
+
+    let html = '';
+    for (const batch of batches) {
+        html += `
+            <tr>
+                <td class="mapping-column" title="${escapeHtml(batch.fileName)}">${escapeHtml(batch.fileName || '(unnamed)')}</td>
+                <td>${escapeHtml(batch.sourceType || '—')}</td>
+                <td>${escapeHtml(batch.importer || 'unknown')}</td>
+                <td>${escapeHtml(new Date(batch.importedAt).toISOString())}</td>
+                <td class="preview-count" title="Events remaining of those imported">
+                    ${(remaining.get(batch.id) || 0).toLocaleString()} / ${batch.count.toLocaleString()}
+                </td>
+                <td><button class="btn-secondary batch-rollback" type="button" data-batch-id="${escapeHtml(batch.id)}">Roll back</button></td>
+            </tr>`;
+    }
+    batchesBody.innerHTML = html;
+}
+
+function openManager() {
+    if (!state.currentTimelineId) return;
+    importerInput.value = getImporterName();
+    renderBatches();
+    overlay.hidden = false;
+    overlay.classList.add('visible');
+}
+
+function closeManager() {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+}
+
+function rollBackBatch(batchId) {
+    const batch = state.batches.get(batchId);
+    if (!batch) return;
+    if (!confirm(`Remove all events imported from "${batch.fileName}"? This cannot be undone.`)) return;
+    if (!requireTimelineReady('roll back an import')) return;
+    sendDeleteBatch(batchId);
+}
+
+export function initBatchController() {
+    if (initialized) return;
+    initialized = true;
+
+    batchesBtn = document.getElementById('batches-btn');
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+        <div class="import-dialog">
+            <div class="import-dialog-header">
+                <h2>Import Batches</h2>
+            </div>
+            <div class="import-dialog-toolbar">
+                <label>Your name <input type="text" id="batch-importer-input" maxlength="80" placeholder="(recorded on new imports)"></label>
+            </div>
+            <div class="import-dialog-content">
+                <table class="mapping-table">
+                    <thead><tr><th>File</th><th>Type</th><th>Imported by</th><th>Imported at</th><th>Events</th><th></th></tr></thead>
+                    <tbody id="batch-list-body"></tbody>
+                </table>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="batch-close-btn" class="btn-secondary" type="button">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    importerInput = overlay.querySelector('#batch-importer-input');
+    batchesBody = overlay.querySelector('#batch-list-body');
+
+    batchesBtn.addEventListener('click', openManager);
+    importerInput.addEventListener('change', saveImporterName);
+    batchesBody.addEventListener('click', (event) => {
+        const button = event.target.closest('.batch-rollback');
+        if (button) rollBackBatch(button.dataset.batchId);
+    });
+    overlay.querySelector('#batch-close-btn').addEventListener('click', closeManager);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !overlay.hidden) closeManager();
+    });
+
+    const refreshIfOpen = () => {
+        if (!overlay.hidden) renderBatches();
+    };
+    bus.on(EVENTS.BATCHES_CHANGED, refreshIfOpen);
+    bus.on(EVENTS.EVENT_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_DELETED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_JOINED, renderBatchesButton);
+    bus.on(EVENTS.TIMELINE_DELETED, renderBatchesButton);
+    renderBatchesButton();
+}
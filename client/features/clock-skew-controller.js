@@ -0,0 +1,172 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {requireTimelineReady, sendSetHostOffset} from '../sync.js';
+import {escapeHtml} from '../utils.js';
+import {formatClockOffset, hostOffsetKey, suggestHostOffsets} from '../clock-skew.js';
+
+let clockSkewBtn;
+let overlay;
+let hostsBody;
+let suggestionsEl;
+let initialized = false;
+
+function renderClockSkewButton() {
+    clockSkewBtn.disabled = !state.currentTimelineId;
+}
+
+/**
+ * Host lanes with events in the timeline, plus any host that still has an offset.
+ *
+ * @returns {Array<{name: string, key: string, count: number}>} Hosts by name
+ */
+function listHosts() {
+    const hostRegistry = state.hostRegistry;
+    const hosts = new Map();
+    for (const event of state.events) {
+        const lane = hostRegistry.laneOf(event);
+        if (!lane || lane === 'Unknown') continue;
+        const key = hostOffsetKey(lane);
+        const host = hosts.get(key) || {name: lane, key, count: 0};
+        host.count++;
+        hosts.set(key, host);
+    }
+    for (const key of state.hostOffsets.keys()) {
+        if (!hosts.has(key)) hosts.set(key, {name: key, key, count: 0});
+    }
+    return [...hosts.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function renderHosts() {
+    const hosts = listHosts();
+    if (hosts.length === 0) {
+        hostsBody.innerHTML = '<tr><td colspan="3" class="mapping-samples">No hosts in this timeline</td></tr>';
+        return;
+    }
+
+    hostsBody.innerHTML = hosts.map(host => {
+        const offset = state.hostOffsets.get(host.key) || 0;
+        return `
+            <tr>
+                <td class="mapping-column" title="${escapeHtml(host.name)}">${escapeHtml(host.name)}</td>
+                <td class="preview-count">${host.count.toLocaleString()}</td>
+                <td>
+                    <input type="number" class="mapping-path clock-offset-input" step="any" data-host="${escapeHtml(host.name)}"
+                        value="${offset / 1000}" title="Seconds added to this host's recorded times">
+                    <span class="mapping-samples">${offset ? escapeHtml(formatClockOffset(offset)) : ''}</span>
+                </td>
+            </tr>`;
+    }).join('');
+}
+
+function renderSuggestions() {
+    const suggestions = suggestHostOffsets(state.events, state.hostOffsets, state.hostRegistry)
+        .filter(suggestion => suggestion.offsetMs !== (state.hostOffsets.get(hostOffsetKey(suggestion.host)) || 0));
+    if (suggestions.length === 0) {
+        suggestionsEl.innerHTML = '<div class="mapping-samples">No skew detected between hosts sharing network.community_id flows</div>';
+        return;
+    }
+
+    suggestionsEl.innerHTML = suggestions.map(suggestion => `
+        <div class="clock-suggestion">
+            <span>
+                <strong>${escapeHtml(suggestion.host)}</strong> runs ${escapeHtml(formatClockOffset(suggestion.skewMs))}
+                relative to ${escapeHtml(suggestion.reference)}
+                <span class="mapping-samples">(${suggestion.samples.toLocaleString()} shared flows)</span>
+            </span>
+            <button class="btn-secondary clock-suggestion-apply" type="button"
+                data-host="${escapeHtml(suggestion.host)}" data-offset="${suggestion.offsetMs}">
+                Set offset ${escapeHtml(formatClockOffset(suggestion.offsetMs))}
+            </button>
+        </div>`).join('');
+}
+
+function render() {
+    renderHosts();
+    renderSuggestions();
+}
+
+function openManager() {
+    if (!state.currentTimelineId) return;
+    render();
+    overlay.hidden = false;
+    overlay.classList.add('visible');
+}
+
+function closeManager() {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+}
+
+function setHostOffset(host, offsetMs) {
+    if (!requireTimelineReady('change clock offsets')) return;
+    sendSetHostOffset(host, offsetMs);
+}
+
+function handleOffsetInput(input) {
+    const seconds = Number(input.value || 0);
+    if (!Number.isFinite(seconds)) {
+        input.classList.add('invalid');
+        return;
+    }
+    input.classList.remove('invalid');
+    setHostOffset(input.dataset.host, Math.round(seconds * 1000));
+}
+
+export function initClockSkewController() {
+    if (initialized) return;
+    initialized = true;
+
+    clockSkewBtn = document.getElementById('clock-skew-btn');
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+        <div class="import-dialog">
+            <div class="import-dialog-header">
+                <h2>Host Clock Skew</h2>
+            </div>
+            <div class="import-dialog-content">
+                <h3 class="preview-heading">Suggested from shared flows</h3>
+                <div id="clock-suggestions"></div>
+                <h3 class="preview-heading">Offsets</h3>
+                <table class="mapping-table">
+                    <thead><tr><th>Host</th><th>Events</th><th>Offset (seconds)</th></tr></thead>
+                    <tbody id="clock-hosts-body"></tbody>
+                </table>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="clock-close-btn" class="btn-secondary" type="button">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    hostsBody = overlay.querySelector('#clock-hosts-body');
+    suggestionsEl = overlay.querySelector('#clock-suggestions');
+
+    clockSkewBtn.addEventListener('click', openManager);
+    hostsBody.addEventListener('change', (event) => {
+        if (event.target.classList.contains('clock-offset-input')) handleOffsetInput(event.target);
+    });
+    suggestionsEl.addEventListener('click', (event) => {
+        const button = event.target.closest('.clock-suggestion-apply');
+        if (button) setHostOffset(button.dataset.host, Number(button.dataset.offset));
+    });
+    overlay.querySelector('#clock-close-btn').addEventListener('click', closeManager);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !overlay.hidden) closeManager();
+    });
+
+    const refreshIfOpen = () => {
+        if (!overlay.hidden) render();
+    };
+    bus.on(EVENTS.HOST_OFFSETS_CHANGED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_ADDED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_SYNCED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_JOINED, renderClockSkewButton);
+    bus.on(EVENTS.TIMELINE_DELETED, renderClockSkewButton);
+    renderClockSkewButton();
+}
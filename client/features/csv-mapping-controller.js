@@ -0,0 +1,157 @@
+import {
+    ECS_FIELD_SUGGESTIONS,
+    buildEcsEvents,
+    detectDelimiter,
+    isL2tCsv,
+    parseDelimited,
+    suggestFieldMapping
+} from '../formats/csv.js';
+import {DAY_FIRST, MONTH_FIRST} from '../../shared/time-zones.js';
+import {escapeHtml} from '../utils.js';
+
+const SAMPLE_ROWS = 3;
+const DELIMITER_LABELS = {',': 'comma', '\t': 'tab', ';': 'semicolon', '|': 'pipe'};
+// Year-last dates such as 01/02/2024 are left unread unless the user says which order they use
+const DATE_ORDER_LABELS = {'': 'year first (ISO)', [MONTH_FIRST]: 'MM/DD/YYYY', [DAY_FIRST]: 'DD/MM/YYYY'};
+
+let overlay;
+let titleEl;
+let delimiterSelect;
+let headerToggle;
+let dateOrderSelect;
+let mappingBody;
+let pending = null;
+let initialized = false;
+
+/**
+ * Re-split the pending text with the chosen delimiter and redraw the column table
+ * with fresh field suggestions. plaso's l2tcsv layout also selects month-first dates.
+ */
+function renderMappingTable() {
+    const rows = parseDelimited(pending.text, delimiterSelect.value);
+    const hasHeader = headerToggle.checked;
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const headers = Array.from({length: width}, (_, i) => (hasHeader && rows[0][i]) || `column ${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    pending.rows = dataRows;
+    pending.mapping = hasHeader ? suggestFieldMapping(headers) : headers.map(() => '');
+    if (hasHeader && isL2tCsv(headers)) dateOrderSelect.value = MONTH_FIRST;
+
+    let html = '';
+    headers.forEach((header, i) => {
+        const samples = dataRows.slice(0, SAMPLE_ROWS).map(row => row[i] ?? '').filter(Boolean);
+        html += `
+            <tr>
+                <td class="mapping-column" title="${escapeHtml(header)}">${escapeHtml(header)}</td>
+                <td class="mapping-samples">${samples.map(s => `<span>${escapeHtml(s)}</span>`).join('')}</td>
+                <td>
+                    <input class="mapping-path" data-column="${i}" list="ecs-field-paths"
+                           value="${escapeHtml(pending.mapping[i])}" placeholder="(ignore)">
+                </td>
+            </tr>`;
+    });
+    mappingBody.innerHTML = html;
+    titleEl.textContent = `Map Columns · ${pending.name} · ${dataRows.length.toLocaleString()} rows`;
+}
+
+function close(result) {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+    if (pending) {
+        pending.resolve(result);
+        pending = null;
+    }
+}
+
+function confirmMapping() {
+    const mapping = pending.mapping.map(path => path.trim());
+    if (!mapping.includes('@timestamp')) {
+        alert('Map at least one column to @timestamp');
+        return;
+    }
+    close(buildEcsEvents(pending.rows, mapping, {dateOrder: dateOrderSelect.value || null}));
+}
+
+/**
+ * Open the column mapping dialog for a block of delimited text.
+ *
+ * @param {{name: string, text: string}} source - Display name and raw CSV/TSV text
+ * @returns {Promise<Object[]|null>} ECS events built from the mapping, or null if cancelled
+ */
+export function requestCsvMapping({name, text}) {
+    if (pending) close(null);
+
+    return new Promise((resolve) => {
+        pending = {name, text, resolve, mapping: [], rows: []};
+        delimiterSelect.value = detectDelimiter(text);
+        headerToggle.checked = true;
+        dateOrderSelect.value = '';
+        renderMappingTable();
+        overlay.hidden = false;
+        overlay.classList.add('visible');
+    });
+}
+
+export function initCsvMappingController() {
+    if (initialized) return;
+    initialized = true;
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    const delimiterOptions = Object.entries(DELIMITER_LABELS)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${label}</option>`)
+        .join('');
+    const dateOrderOptions = Object.entries(DATE_ORDER_LABELS)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${label}</option>`)
+        .join('');
+    const fieldOptions = ECS_FIELD_SUGGESTIONS
+        .map(path => `<option value="${escapeHtml(path)}"></option>`)
+        .join('');
+
+    overlay.innerHTML = `
+        <div class="import-dialog">
+            <div class="import-dialog-header">
+                <h2 id="csv-mapping-title">Map Columns</h2>
+            </div>
+            <div class="import-dialog-toolbar">
+                <label>Delimiter <select id="csv-delimiter">${delimiterOptions}</select></label>
+                <label><input type="checkbox" id="csv-has-header" checked> First row is a header</label>
+                <label>Dates <select id="csv-date-order">${dateOrderOptions}</select></label>
+            </div>
+            <div class="import-dialog-content">
+                <table class="mapping-table">
+                    <thead><tr><th>Column</th><th>Sample</th><th>ECS Field</th></tr></thead>
+                    <tbody id="csv-mapping-body"></tbody>
+                </table>
+                <datalist id="ecs-field-paths">${fieldOptions}</datalist>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="csv-cancel-btn" class="btn-secondary" type="button">Cancel</button>
+                <button id="csv-confirm-btn" class="btn-primary" type="button">Import</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    titleEl = overlay.querySelector('#csv-mapping-title');
+    delimiterSelect = overlay.querySelector('#csv-delimiter');
+    headerToggle = overlay.querySelector('#csv-has-header');
+    dateOrderSelect = overlay.querySelector('#csv-date-order');
+    mappingBody = overlay.querySelector('#csv-mapping-body');
+
+    delimiterSelect.addEventListener('change', renderMappingTable);
+    headerToggle.addEventListener('change', renderMappingTable);
+    mappingBody.addEventListener('input', (event) => {
+        if (event.target.classList.contains('mapping-path')) {
+            pending.mapping[Number(event.target.dataset.column)] = event.target.value;
+        }
+    });
+    overlay.querySelector('#csv-cancel-btn').addEventListener('click', () => close(null));
+    overlay.querySelector('#csv-confirm-btn').addEventListener('click', confirmMapping);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && pending) close(null);
+    });
+}
@@ -9,29 +9,103 @@ import {
 } from '../sync.js';
 import {state} from '../state.js';
 import {TECHNIQUES} from '../mitre.js';
+import {appendQueryClause, fieldClause} from '../query.js';
 
 let eventDetail;
 let detailContent;
 let closeDetailBtn;
+let pivotMenu;
+let pivotTitle;
 let currentDetailEvent = null;
+// Field value the pivot menu is open for: {field, value, button}
+let pivotTarget = null;
 let initialized = false;
 
 function hideEventDetail() {
     if (eventDetail) {
+        hidePivotMenu();
         eventDetail.hidden = true;
     }
 }
 
+function hidePivotMenu() {
+    if (!pivotTarget) return;
+    pivotTarget.button.classList.remove('active');
+    pivotTarget = null;
+    pivotMenu.hidden = true;
+}
+
+/**
+ * Open the pivot menu under a field value (above it when there is no room
+ * below), kept within the panel.
+ *
+ * @param {HTMLElement} button - The clicked `.detail-pivot` value
+ */
+function showPivotMenu(button) {
+    hidePivotMenu();
+    pivotTarget = {field: button.dataset.field, value: button.dataset.value, button};
+    button.classList.add('active');
+    pivotTitle.textContent = `${pivotTarget.field}: ${pivotTarget.value}`;
+    pivotTitle.title = pivotTitle.textContent;
+    pivotMenu.hidden = false;
+
+    const panel = eventDetail.getBoundingClientRect();
+    const anchor = button.getBoundingClientRect();
+    const left = Math.min(anchor.left - panel.left, panel.width - pivotMenu.offsetWidth - 8);
+    const below = anchor.bottom - panel.top + 4;
+    const top = below + pivotMenu.offsetHeight > panel.height
+        ? anchor.top - panel.top - pivotMenu.offsetHeight - 4
+        : below;
+    pivotMenu.style.left = `${Math.max(8, left)}px`;
+    pivotMenu.style.top = `${Math.max(8, top)}px`;
+    pivotMenu.querySelector('button').focus();
+}
+
+/**
+ * Filter the timeline on the pivoted value: show only events that have it,
+ * or narrow the current filter to events with or without it.
+ *
+ * @param {'show'|'filter'|'exclude'} action - Menu action
+ */
+function applyPivot(action) {
+    const {field, value} = pivotTarget;
+    hidePivotMenu();
+    if (action === 'show') {
+        state.setFilter({query: fieldClause(field, value), facets: {}});
+    } else {
+        const clause = fieldClause(field, value, {exclude: action === 'exclude'});
+        state.setFilter({query: appendQueryClause(state.filter.query, clause)});
+    }
+}
+
 function refreshDetailIfOpen(eventId) {
     if (currentDetailEvent && currentDetailEvent.id === eventId) {
         showEventDetail(currentDetailEvent);
     }
 }
 
+function refreshZoneIfOpen(timeline) {
+    if (currentDetailEvent && !eventDetail.hidden && timeline.id === state.currentTimelineId) {
+        showEventDetail(currentDetailEvent);
+    }
+}
+
+function refreshBatchIfOpen() {
+    if (!currentDetailEvent?.batchId || eventDetail.hidden) return;
+    if (state.events.some(event => event.id === currentDetailEvent.id)) {
+        showEventDetail(currentDetailEvent);
+    } else {
+        // The event's batch was rolled back
+        hideEventDetail();
+    }
+}
+
 export function showEventDetail(event) {
+    hidePivotMenu();
     currentDetailEvent = event;
     const annotation = state.annotations.get(event.id) || null;
-    detailContent.innerHTML = renderEventDetailPanel(event, annotation);
+    const batch = state.batches.get(event.batchId) || null;
+    detailContent.innerHTML = renderEventDetailPanel(event, annotation, batch, state.displayZone);
     eventDetail.hidden = false;
 
     const deleteBtn = document.getElementById('delete-event-btn');
@@ -86,17 +160,44 @@ export function initDetailPanelController() {
     eventDetail = document.getElementById('event-detail');
     detailContent = document.getElementById('detail-content');
     closeDetailBtn = document.getElementById('close-detail');
+    pivotMenu = document.getElementById('pivot-menu');
+    pivotTitle = document.getElementById('pivot-menu-title');
 
     closeDetailBtn.addEventListener('click', hideEventDetail);
+    detailContent.addEventListener('click', (event) => {
+        const button = event.target.closest('.detail-pivot');
+        if (button) showPivotMenu(button);
+    });
+    detailContent.addEventListener('scroll', hidePivotMenu);
+    pivotMenu.addEventListener('click', (event) => {
+        const item = event.target.closest('[data-pivot]');
+        if (item) applyPivot(item.dataset.pivot);
+    });
+    document.addEventListener('click', (event) => {
+        if (pivotTarget && !pivotMenu.contains(event.target) && !event.target.closest('.detail-pivot')) {
+            hidePivotMenu();
+        }
+    });
 
     document.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape' && !eventDetail.hidden) {
+        if (event.key !== 'Escape') return;
+        if (pivotTarget) {
+            hidePivotMenu();
+        } else if (!eventDetail.hidden) {
             hideEventDetail();
         }
     });
 
     bus.on(EVENTS.ANNOTATION_UPDATED, refreshDetailIfOpen);
     bus.on(EVENTS.ANNOTATION_DELETED, refreshDetailIfOpen);
+    bus.on(EVENTS.ANNOTATIONS_UPDATED, (eventIds) => {
+        if (currentDetailEvent && eventIds.includes(currentDetailEvent.id)) showEventDetail(currentDetailEvent);
+    });
     bus.on(EVENTS.EVENT_DELETED, () => hideEventDetail());
+    bus.on(EVENTS.EVENTS_DELETED, (eventIds) => {
+        if (currentDetailEvent && eventIds.includes(currentDetailEvent.id)) hideEventDetail();
+    });
     bus.on(EVENTS.EVENTS_CLEARED, () => hideEventDetail());
+    bus.on(EVENTS.BATCHES_CHANGED, refreshBatchIfOpen);
+    bus.on(EVENTS.TIMELINE_UPDATED, refreshZoneIfOpen);
 }
@@ -0,0 +1,159 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {escapeHtml} from '../utils.js';
+import {FILTER_FACETS, applyEventFilter, countFacetValues} from '../event-filter.js';
+
+// Values listed per facet; rarer ones can still be reached with the query
+const MAX_FACET_VALUES = 15;
+const QUERY_DELAY_MS = 300;
+
+let queryInput;
+let countEl;
+let modeSelect;
+let facetsBtn;
+let clearBtn;
+let facetsPanel;
+let queryTimer = null;
+let initialized = false;
+
+function renderControls() {
+    const disabled = !state.currentTimelineId;
+    queryInput.disabled = disabled;
+    modeSelect.disabled = disabled;
+    facetsBtn.disabled = disabled;
+    clearBtn.disabled = disabled;
+}
+
+/**
+ * Show how many events the filter lets through, or why the query was ignored.
+ */
+function renderCount() {
+    const result = state.filterResult;
+    queryInput.classList.toggle('invalid', Boolean(result.error));
+    queryInput.title = result.error || '';
+    countEl.classList.toggle('invalid', Boolean(result.error));
+
+    if (result.error) {
+        countEl.textContent = result.error;
+    } else if (result.active) {
+        countEl.textContent = `${result.events.length.toLocaleString()} of ${state.events.length.toLocaleString()}`;
+    } else {
+        countEl.textContent = '';
+    }
+}
+
+/**
+ * List each facet's most common values among events matching the query, with
+ * the selected ones ticked.
+ */
+function renderFacets() {
+    const selected = state.filter.facets;
+    // Counts ignore the facet selection, so ticking a value does not hide its siblings
+    const events = Object.values(selected).some(values => values.length > 0)
+        ? applyEventFilter(state.events, state.annotations, {...state.filter, facets: {}}).events
+        : state.filterResult.events;
+    const counts = countFacetValues(events, state.annotations);
+
+    facetsPanel.innerHTML = FILTER_FACETS.map(({key, label}) => {
+        const chosen = selected[key] || [];
+        const values = counts[key].slice(0, MAX_FACET_VALUES);
+        // Selected values stay listed even when nothing matches them any more
+        for (const value of chosen) {
+            if (!values.some(entry => entry.value === value)) values.push({value, count: 0});
+        }
+        const rows = values.map(({value, count}) => `
+            <label class="filter-facet-value" title="${escapeHtml(value)}">
+                <input type="checkbox" data-facet="${key}" value="${escapeHtml(value)}" ${chosen.includes(value) ? 'checked' : ''}>
+                <span class="filter-facet-name">${escapeHtml(value)}</span>
+                <span class="filter-facet-count">${count.toLocaleString()}</span>
+            </label>`).join('');
+        return `
+            <div class="filter-facet">
+                <div class="filter-facet-title">${label}</div>
+                ${rows || '<div class="filter-facet-empty">No values</div>'}
+            </div>`;
+    }).join('');
+}
+
+function refresh() {
+    renderCount();
+    if (!facetsPanel.hidden) renderFacets();
+}
+
+function applyQuery() {
+    clearTimeout(queryTimer);
+    queryTimer = null;
+    if (queryInput.value !== state.filter.query) {
+        state.setFilter({query: queryInput.value});
+    }
+}
+
+function toggleFacetValue(facet, value, checked) {
+    const current = state.filter.facets[facet] || [];
+    const values = checked ? [...current, value] : current.filter(entry => entry !== value);
+    state.setFilter({facets: {...state.filter.facets, [facet]: values}});
+}
+
+function toggleFacets() {
+    facetsPanel.hidden = !facetsPanel.hidden;
+    facetsBtn.classList.toggle('active', !facetsPanel.hidden);
+    if (!facetsPanel.hidden) renderFacets();
+}
+
+export function initFilterController() {
+    if (initialized) return;
+    initialized = true;
+
+    queryInput = document.getElementById('filter-query');
+    countEl = document.getElementById('filter-count');
+    modeSelect = document.getElementById('filter-mode');
+    facetsBtn = document.getElementById('filter-facets-btn');
+    clearBtn = document.getElementById('filter-clear-btn');
+    facetsPanel = document.getElementById('filter-facets');
+
+    queryInput.addEventListener('input', () => {
+        clearTimeout(queryTimer);
+        queryTimer = setTimeout(applyQuery, QUERY_DELAY_MS);
+    });
+    queryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') applyQuery();
+        if (event.key === 'Escape') {
+            queryInput.value = state.filter.query;
+            queryInput.blur();
+        }
+    });
+    modeSelect.addEventListener('change', () => state.setFilter({mode: modeSelect.value}));
+    facetsBtn.addEventListener('click', toggleFacets);
+    clearBtn.addEventListener('click', () => {
+        queryInput.value = '';
+        state.setFilter({query: '', facets: {}});
+    });
+    facetsPanel.addEventListener('change', (event) => {
+        const input = event.target;
+        if (input.dataset.facet) toggleFacetValue(input.dataset.facet, input.value, input.checked);
+    });
+
+    bus.on(EVENTS.FILTER_CHANGED, () => {
+        // The filter may also change from elsewhere, e.g. a timeline switch
+        if (document.activeElement !== queryInput) queryInput.value = state.filter.query;
+        modeSelect.value = state.filter.mode;
+        refresh();
+    });
+    bus.on(EVENTS.EVENTS_ADDED, refresh);
+    bus.on(EVENTS.EVENTS_SYNCED, refresh);
+    bus.on(EVENTS.EVENT_DELETED, refresh);
+    bus.on(EVENTS.EVENTS_DELETED, refresh);
+    bus.on(EVENTS.EVENTS_CLEARED, refresh);
+    bus.on(EVENTS.ANNOTATION_UPDATED, refresh);
+    bus.on(EVENTS.ANNOTATIONS_UPDATED, refresh);
+    bus.on(EVENTS.ANNOTATION_DELETED, refresh);
+    bus.on(EVENTS.TIMELINE_JOINED, () => {
+        queryInput.value = state.filter.query;
+        modeSelect.value = state.filter.mode;
+        renderControls();
+        refresh();
+    });
+    bus.on(EVENTS.TIMELINE_DELETED, renderControls);
+    renderControls();
+}
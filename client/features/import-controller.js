@@ -1,43 +1,459 @@
 import bus from '../event-bus.js';
 import {EVENTS} from '../events.js';
 import {state} from '../state.js';
-import {requireTimelineReady, sendEventsToServer} from '../sync.js';
+import {toStoredDocument} from '../parser.js';
+import {requireTimelineReady, sendAnnotationToServer, sendEventsToServer, sendSetHostOffset} from '../sync.js';
+import {exportMetadataToRestore} from '../selection.js';
+import {createImportStage} from '../import-preview.js';
+import {escapeHtml} from '../utils.js';
+import {isDelimitedText} from '../formats/csv.js';
+import {expandArchive, isZipName, readSourceText, stripGzipExtension} from '../formats/archive.js';
+import {requestCsvMapping} from './csv-mapping-controller.js';
+import {requestImportPreview} from './import-preview-controller.js';
+import {getImporterName} from './batch-controller.js';
+import {getAssumedZone} from './time-zone-controller.js';
+
+const SEND_BATCH_SIZE = 1000;
+const MAX_ERRORS_SHOWN = 50;
+const STREAMED_EXTENSIONS = ['.json', '.ndjson', '.log', '.xml'];
+const DELIMITED_EXTENSIONS = ['.csv', '.tsv'];
+const SOURCE_TYPES = {
+    '.json': 'JSON',
+    '.ndjson': 'NDJSON',
+    '.log': 'Zeek log',
+    '.xml': 'Windows event XML',
+    '.csv': 'CSV',
+    '.tsv': 'TSV'
+};
 
 let dropZone;
 let fileInput;
 let jsonInput;
 let parseBtn;
+let importStatus;
+let progressFill;
+let progressLabel;
+let cancelBtn;
+let importReport;
+let importing = false;
+let cancelActiveImport = null;
 let initialized = false;
 
+/**
+ * Describe one import for provenance. The ID is generated client-side so every
+ * message of a chunked import lands in the same batch on the server; the
+ * server only accepts IDs in this format (BATCH_ID_PATTERN).
+ *
+ * @param {string} fileName - Source file (or archive member) name
+ * @param {string} sourceType - Human-readable input format
+ * @returns {{id: string, fileName: string, sourceType: string, importer: string}} Import batch
+ */
+function createBatch(fileName, sourceType) {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    const id = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return {id, fileName, sourceType, importer: getImporterName()};
+}
+
+function sourceTypeOf(name) {
+    const lower = stripGzipExtension(name).toLowerCase();
+    const extension = Object.keys(SOURCE_TYPES).find(candidate => lower.endsWith(candidate));
+    return SOURCE_TYPES[extension] || 'Unknown';
+}
+
+/**
+ * Deduplicate and store previewed events, then push newly added events to the
+ * server in chunks so a large import never becomes one oversized message.
+ *
+ * @param {Array} events - Parsed events selected in the import preview
+ * @param {Object} batch - Import batch from createBatch() recorded on every event
+ * @returns {{parsed: number, added: Array, duplicates: number}} Ingestion result
+ */
+function commitEvents(events, batch) {
+    for (const event of events) {
+        event.batchId = batch.id;
+    }
+    const result = state.addParsedEvents(events);
+    if (result.added.length === 0) return result;
+
+    const rawEvents = result.added.map(toStoredDocument);
+    for (let i = 0; i < rawEvents.length; i += SEND_BATCH_SIZE) {
+        sendEventsToServer(rawEvents.slice(i, i + SEND_BATCH_SIZE), batch);
+    }
+    return result;
+}
+
+/**
+ * Bring back the annotations and host clock offsets of an imported export
+ * (see exportMetadataToRestore()).
+ *
+ * @param {{annotations: Object, hostOffsets: Object}|null} metadata - From readExportMetadata()
+ * @param {Array} events - Events committed from the import
+ */
+function restoreExportMetadata(metadata, events) {
+    const restore = exportMetadataToRestore(metadata, events, state.annotations, state.hostOffsets);
+    for (const [host, offsetMs] of restore.hostOffsets) {
+        sendSetHostOffset(host, offsetMs);
+    }
+    for (const [eventId, annotation] of restore.annotations) {
+        sendAnnotationToServer(eventId, annotation);
+    }
+}
+
 async function handleFiles(files) {
-    let allContent = '';
+    if (importing) {
+        alert('An import is already running');
+        return;
+    }
 
+    if (!requireTimelineReady('import events')) {
+        return;
+    }
+
+    importing = true;
+    try {
+        showImportReport(await importFiles(files));
+    } catch (error) {
+        console.error('Import error:', error);
+        alert(`Error importing files: ${error.message}`);
+    } finally {
+        importing = false;
+    }
+}
+
+/**
+ * Import dropped files one source (file or archive member) at a time.
+ *
+ * @param {File[]} files - Dropped or selected files
+ * @returns {Promise<Array>} One outcome per source, in import order
+ */
+async function importFiles(files) {
+    hideImportReport();
+    const reports = [];
+
+    let cancelled = false;
     for (const file of files) {
+        if (cancelled) break;
+        let sources;
         try {
-            const content = await readFile(file);
-            allContent += `${content}\n`;
+            sources = (await expandArchive(file)).filter(source => source.failure || isImportable(source.name));
         } catch (error) {
-            console.error(`Error reading file ${file.name}:`, error);
-            alert(`Error reading file ${file.name}: ${error.message}`);
+            reports.push({...createOutcome(file.name), failure: error.message});
+            continue;
+        }
+        if (sources.length === 0) {
+            const failure = isZipName(file.name) ? 'no importable files in archive' : 'unsupported file type';
+            reports.push({...createOutcome(file.name), failure});
+            continue;
         }
+
+        // Each archive member is imported and reported on its own; one that fails does not stop the rest
+        for (const source of sources) {
+            const outcome = await importSource(source).catch(error => {
+                console.error(`Import error in ${source.name}:`, error);
+                return {...createOutcome(source.name), failure: error.message};
+            });
+            reports.push(outcome);
+            if (outcome.cancelled) {
+                cancelled = true;
+                break;
+            }
+        }
+    }
+
+    return reports;
+}
+
+function hasExtension(name, extensions) {
+    const lower = stripGzipExtension(name).toLowerCase();
+    return extensions.some(extension => lower.endsWith(extension));
+}
+
+function isImportable(name) {
+    return hasExtension(name, [...STREAMED_EXTENSIONS, ...DELIMITED_EXTENSIONS]);
+}
+
+/**
+ * Import one source produced by expandArchive(): parse it, preview it, and
+ * commit what the analyst keeps.
+ *
+ * @param {{name: string, blob: Blob|null, decompress: string[], failure?: string}} source - Import source
+ * @returns {Promise<{name: string, records: number, added: number, duplicates: number, skipped: number,
+ *   excluded: number, errorCount: number, errors: Array, cancelled: boolean, failure: string|null}>} Outcome
+ */
+async function importSource(source) {
+    const outcome = createOutcome(source.name);
+    if (source.failure) {
+        outcome.failure = source.failure;
+        return outcome;
+    }
+
+    // Fixed per source so changing the setting mid-import cannot mix zones
+    const parseOptions = {assumeZone: getAssumedZone()};
+    const staged = hasExtension(source.name, DELIMITED_EXTENSIONS)
+        ? await stageDelimitedFile(source, outcome, parseOptions)
+        : await stageFileInWorker(source, outcome, parseOptions);
+    if (!staged) return outcome;
+
+    try {
+        if (staged.summary.total > 0) await reviewAndCommit(outcome, staged);
+    } finally {
+        staged.release();
+    }
+    return outcome;
+}
+
+/**
+ * Stage events parsed on the main thread (tables and pasted input) for the
+ * import preview, behind the same interface as a file staged in the worker.
+ *
+ * @param {Array} events - Parsed events
+ * @returns {{summary: Object, sample: Array, count: Function, take: Function, release: Function}} Staged import
+ */
+function stageParsedEvents(events) {
+    const stage = createImportStage(new Set(state.events.map(event => event.id)));
+    stage.add(events);
+    return {
+        summary: stage.summary(),
+        sample: stage.sample(),
+        count: async selection => stage.select(selection).length,
+        take: async selection => stage.select(selection),
+        release() {}
+    };
+}
+
+function createOutcome(name) {
+    return {
+        name,
+        records: 0,
+        added: 0,
+        duplicates: 0,
+        skipped: 0,
+        excluded: 0,
+        errorCount: 0,
+        errors: [],
+        exportMetadata: null,
+        cancelled: false,
+        failure: null
+    };
+}
+
+/**
+ * Show the import preview for staged events and commit the selection.
+ *
+ * @param {Object} outcome - Outcome to update
+ * @param {Object} staged - Staged import from stageParsedEvents() or stageFileInWorker()
+ */
+async function reviewAndCommit(outcome, staged) {
+    const selection = await requestImportPreview({
+        name: outcome.name,
+        summary: staged.summary,
+        sample: staged.sample,
+        records: outcome.records,
+        errorCount: outcome.errorCount,
+        errors: outcome.errors,
+        countSelected: staged.count
+    });
+    if (!selection) {
+        outcome.cancelled = true;
+        return;
     }
 
-    if (allContent.trim()) {
-        jsonInput.value = allContent.trim();
-        parseAndRender();
+    const selected = await staged.take(selection);
+    if (outcome.failure) return;
+    const result = commitEvents(selected, createBatch(outcome.name, sourceTypeOf(outcome.name)));
+    restoreExportMetadata(outcome.exportMetadata, selected);
+    outcome.added = result.added.length;
+    outcome.duplicates = result.duplicates;
+    outcome.excluded = staged.summary.total - selected.length;
+}
+
+/**
+ * Read a CSV/TSV source and ask the analyst to map its columns to ECS.
+ *
+ * @param {{name: string, blob: Blob, decompress: string[]}} source - Delimited text source
+ * @param {Object} outcome - Outcome to update
+ * @param {{assumeZone: string}} parseOptions - Options for state.parseInput()
+ * @returns {Promise<Object|null>} Staged import (see stageParsedEvents()), or null when cancelled or failed
+ */
+async function stageDelimitedFile(source, outcome, parseOptions) {
+    try {
+        const rows = await requestCsvMapping({name: source.name, text: await readSourceText(source)});
+        if (!rows) {
+            outcome.cancelled = true;
+            return null;
+        }
+        const {events} = state.parseInput(rows, parseOptions);
+        outcome.records = rows.length;
+        outcome.skipped = rows.length - events.length;
+        return stageParsedEvents(events);
+    } catch (error) {
+        outcome.failure = error.message;
+        return null;
     }
 }
 
-function readFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (event) => resolve(event.target.result);
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsText(file);
+/**
+ * Stream a single source through the import worker, which parses and stages
+ * its events. Only the summary and a sample come back until the analyst
+ * commits a selection; the worker then sends the events it keeps.
+ *
+ * @param {{name: string, blob: Blob, decompress: string[]}} source - File or archive member to import
+ * @param {Object} outcome - Outcome to update
+ * @param {{assumeZone: string}} parseOptions - Parse options; the worker also gets the active profile
+ * @returns {Promise<{summary: Object, sample: Array, count: Function, take: Function, release: Function}|null>}
+ *   Staged import, or null when cancelled or failed
+ */
+function stageFileInWorker(source, outcome, parseOptions) {
+    return new Promise((resolve) => {
+        const worker = new Worker(new URL('../workers/import-worker.js', import.meta.url), {type: 'module'});
+        // Pending count requests by ID, and the commit being received
+        const counts = new Map();
+        let nextRequestId = 0;
+        let commit = null;
+
+        const release = () => worker.terminate();
+
+        const endStaging = () => {
+            cancelActiveImport = null;
+            hideProgress();
+        };
+
+        const fail = (message) => {
+            outcome.failure = message;
+            release();
+            endStaging();
+            counts.forEach(resolveCount => resolveCount(0));
+            counts.clear();
+            if (commit) commit.resolve([]);
+            resolve(null);
+        };
+
+        cancelActiveImport = () => {
+            outcome.cancelled = true;
+            release();
+            endStaging();
+            resolve(null);
+        };
+
+        const count = selection => new Promise((resolveCount) => {
+            const requestId = nextRequestId++;
+            counts.set(requestId, resolveCount);
+            worker.postMessage({type: 'count', requestId, selection});
+        });
+
+        const take = selection => new Promise((resolveTake) => {
+            commit = {events: [], resolve: resolveTake};
+            worker.postMessage({type: 'commit', selection});
+        });
+
+        showProgress(source.name, 0, source.blob.size);
+
+        worker.onmessage = ({data}) => {
+            switch (data.type) {
+                case 'progress':
+                    showProgress(source.name, data.bytesRead, data.totalBytes, data.records);
+                    break;
+                case 'done':
+                    outcome.records = data.records;
+                    outcome.skipped = data.skipped;
+                    outcome.errorCount = data.errorCount;
+                    outcome.errors = data.errors;
+                    outcome.exportMetadata = data.exportMetadata;
+                    endStaging();
+                    resolve({summary: data.summary, sample: data.sample, count, take, release});
+                    break;
+                case 'count':
+                    counts.get(data.requestId)(data.count);
+                    counts.delete(data.requestId);
+                    break;
+                case 'batch':
+                    commit.events.push(...data.events);
+                    break;
+                case 'committed':
+                    commit.resolve(commit.events);
+                    commit = null;
+                    break;
+                case 'error':
+                    fail(data.message);
+                    break;
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            fail(event.message || 'Import worker failed');
+        };
+
+        worker.postMessage({
+            type: 'start',
+            file: source.blob,
+            decompress: source.decompress,
+            profile: state.activeProfile,
+            assumeZone: parseOptions.assumeZone,
+            existingIds: state.events.map(event => event.id)
+        });
     });
 }
 
-function parseAndRender() {
+function showProgress(fileName, bytesRead, totalBytes, records = 0) {
+    const percent = totalBytes > 0 ? Math.min(100, (bytesRead / totalBytes) * 100) : 100;
+    importStatus.hidden = false;
+    progressFill.style.width = `${percent.toFixed(1)}%`;
+    progressLabel.textContent = `${fileName} · ${percent.toFixed(0)}% · ${records.toLocaleString()} records`;
+}
+
+function hideProgress() {
+    importStatus.hidden = true;
+    progressFill.style.width = '0%';
+    progressLabel.textContent = '';
+}
+
+/**
+ * Render a per-file summary with line-level parse errors under the intake bar.
+ *
+ * @param {Array} reports - Outcomes from importSource()
+ */
+function showImportReport(reports) {
+    if (reports.length === 0) return;
+
+    let html = '';
+    for (const report of reports) {
+        let summary = `${report.added.toLocaleString()} added`;
+        if (report.duplicates > 0) summary += `, ${report.duplicates.toLocaleString()} duplicates`;
+        if (report.skipped > 0) summary += `, ${report.skipped.toLocaleString()} without timestamp`;
+        if (report.excluded > 0) summary += `, ${report.excluded.toLocaleString()} left out`;
+        if (report.errorCount > 0) summary += `, ${report.errorCount.toLocaleString()} unparseable`;
+        if (report.cancelled) summary += ' (cancelled)';
+        if (report.failure) summary = `failed: ${report.failure}`;
+
+        html += `
+            <div class="import-report-file">
+                <span class="import-report-name">${escapeHtml(report.name)}</span>
+                <span class="import-report-summary">${escapeHtml(summary)}</span>
+            </div>`;
+
+        const shown = report.errors.slice(0, MAX_ERRORS_SHOWN);
+        if (shown.length > 0) {
+            html += '<ul class="import-report-errors">';
+            for (const error of shown) {
+                html += `<li>line ${error.line}: ${escapeHtml(error.message)}</li>`;
+            }
+            if (report.errorCount > shown.length) {
+                html += `<li>… ${(report.errorCount - shown.length).toLocaleString()} more</li>`;
+            }
+            html += '</ul>';
+        }
+    }
+
+    importReport.querySelector('.import-report-body').innerHTML = html;
+    importReport.hidden = false;
+}
+
+function hideImportReport() {
+    importReport.hidden = true;
+}
+
+async function parseAndRender() {
     const input = jsonInput.value.trim();
 
     if (!input) {
@@ -50,22 +466,41 @@ function parseAndRender() {
     }
 
     try {
-        const result = state.addEvents(input);
+        let rawInput = input;
+        const delimited = isDelimitedText(input);
+        if (delimited) {
+            rawInput = await requestCsvMapping({name: 'Pasted table', text: input});
+            if (!rawInput) return;
+        }
 
-        if (result.parsed === 0) {
+        const report = state.parseInput(rawInput, {assumeZone: getAssumedZone()});
+        if (report.events.length === 0) {
             alert('No valid events found in the input');
             return;
         }
 
+        const staged = stageParsedEvents(report.events);
+        const selection = await requestImportPreview({
+            name: 'Pasted input',
+            summary: staged.summary,
+            sample: staged.sample,
+            records: report.records,
+            errorCount: report.errors.length,
+            errors: report.errors,
+            countSelected: staged.count
+        });
+        if (!selection) return;
+        const selected = await staged.take(selection);
+
+        const result = commitEvents(selected, createBatch('Pasted input', delimited ? 'Pasted table' : 'Pasted text'));
+        restoreExportMetadata(report.exportMetadata, selected);
+
         if (result.added.length === 0) {
             alert(`All ${result.parsed} events already exist in the timeline`);
             jsonInput.value = '';
             return;
         }
 
-        const rawEvents = result.added.map(event => ({_id: event.id, ...event.raw}));
-        sendEventsToServer(rawEvents);
-
         jsonInput.value = '';
 
         if (result.duplicates > 0) {
@@ -85,6 +520,11 @@ export function initImportController() {
     fileInput = document.getElementById('file-input');
     jsonInput = document.getElementById('json-input');
     parseBtn = document.getElementById('parse-btn');
+    importStatus = document.getElementById('import-status');
+    progressFill = document.getElementById('import-progress-fill');
+    progressLabel = document.getElementById('import-progress-label');
+    cancelBtn = document.getElementById('import-cancel-btn');
+    importReport = document.getElementById('import-report');
 
     dropZone.addEventListener('click', () => fileInput.click());
 
@@ -92,6 +532,7 @@ export function initImportController() {
         if (event.target.files.length > 0) {
             handleFiles(Array.from(event.target.files));
         }
+        fileInput.value = '';
     });
 
     dropZone.addEventListener('dragover', (event) => {
@@ -109,7 +550,7 @@ export function initImportController() {
         dropZone.classList.remove('drag-over');
 
         const files = Array.from(event.dataTransfer.files).filter(
-            file => file.name.endsWith('.json') || file.name.endsWith('.ndjson')
+            file => isImportable(file.name) || isZipName(file.name)
         );
 
         if (files.length > 0) {
@@ -125,6 +566,12 @@ export function initImportController() {
         }
     });
 
+    cancelBtn.addEventListener('click', () => {
+        if (cancelActiveImport) cancelActiveImport();
+    });
+
+    importReport.querySelector('.import-report-close').addEventListener('click', hideImportReport);
+
     bus.on(EVENTS.EVENTS_CLEARED, () => {
         jsonInput.value = '';
     });
@@ -0,0 +1,266 @@
+import {escapeHtml} from '../utils.js';
+import {getImporterName, setImporterName} from './batch-controller.js';
+
+const MAX_FIELDS_SHOWN = 60;
+const MAX_ERRORS_SHOWN = 20;
+
+let overlay;
+let titleEl;
+let startInput;
+let endInput;
+let importerInput;
+let statsEl;
+let hostsBody;
+let categoriesEl;
+let fieldsEl;
+let sampleBody;
+let errorsEl;
+let confirmBtn;
+let pending = null;
+let initialized = false;
+
+function formatTime(date) {
+    return date ? date.toISOString() : '';
+}
+
+/**
+ * Read a time bound input. Empty means unbounded; anything unparseable is
+ * flagged on the input and blocks the import.
+ *
+ * @param {HTMLInputElement} input - Bound input
+ * @returns {Date|null|undefined} Bound, null when empty, undefined when invalid
+ */
+function readBound(input) {
+    const value = input.value.trim();
+    if (!value) {
+        input.classList.remove('invalid');
+        return null;
+    }
+    const date = new Date(value);
+    const valid = !isNaN(date.getTime());
+    input.classList.toggle('invalid', !valid);
+    return valid ? date : undefined;
+}
+
+function renderStat(label, value) {
+    return `
+        <div class="preview-stat">
+            <span class="preview-stat-label">${escapeHtml(label)}</span>
+            <span class="preview-stat-value">${escapeHtml(String(value))}</span>
+        </div>`;
+}
+
+function renderSummary() {
+    const {summary, source} = pending;
+    const skipped = Math.max(0, source.records - summary.total);
+
+    statsEl.innerHTML =
+        renderStat('Events', summary.total.toLocaleString()) +
+        renderStat('Duplicates', summary.duplicates.toLocaleString()) +
+        renderStat('Unparseable', source.errorCount.toLocaleString()) +
+        renderStat('No timestamp', skipped.toLocaleString()) +
+        renderStat('Earliest', formatTime(summary.earliest) || '—') +
+        renderStat('Latest', formatTime(summary.latest) || '—');
+
+    let hostsHtml = '';
+    for (const host of summary.hosts) {
+        hostsHtml += `
+            <tr>
+                <td><input type="checkbox" class="preview-host" data-host="${escapeHtml(host.name)}" checked></td>
+                <td class="mapping-column" title="${escapeHtml(host.name)}">${escapeHtml(host.name)}</td>
+                <td class="preview-count">${host.count.toLocaleString()}</td>
+            </tr>`;
+    }
+    hostsBody.innerHTML = hostsHtml;
+
+    categoriesEl.innerHTML = summary.categories.map(category => `
+        <div class="preview-category">
+            <span class="preview-category-swatch ${escapeHtml(category.name)}"></span>
+            <span>${escapeHtml(category.name)}</span>
+            <span class="preview-count">${category.count.toLocaleString()}</span>
+        </div>`).join('');
+
+    const shownFields = summary.fields.slice(0, MAX_FIELDS_SHOWN);
+    let fieldsHtml = shownFields.map(field => {
+        const percent = summary.total > 0 ? (field.count / summary.total) * 100 : 0;
+        return `
+            <div class="preview-field" title="${field.count.toLocaleString()} of ${summary.total.toLocaleString()} events">
+                <span class="preview-field-name">${escapeHtml(field.name)}</span>
+                <span class="preview-field-bar"><span style="width: ${percent.toFixed(1)}%"></span></span>
+                <span class="preview-count">${percent.toFixed(0)}%</span>
+            </div>`;
+    }).join('');
+    if (summary.fields.length > shownFields.length) {
+        fieldsHtml += `<div class="preview-more">… ${(summary.fields.length - shownFields.length).toLocaleString()} more fields</div>`;
+    }
+    fieldsEl.innerHTML = fieldsHtml;
+
+    sampleBody.innerHTML = source.sample.map(event => `
+        <tr>
+            <td class="preview-count">${escapeHtml(formatTime(event.timestamp))}</td>
+            <td class="mapping-column" title="${escapeHtml(event.host.hostname)}">${escapeHtml(event.host.hostname)}</td>
+            <td><span class="preview-category-swatch ${escapeHtml(event.category)}"></span></td>
+            <td class="mapping-column" title="${escapeHtml(event.summary)}">${escapeHtml(event.summary)}</td>
+        </tr>`).join('');
+
+    const shownErrors = source.errors.slice(0, MAX_ERRORS_SHOWN);
+    let errorsHtml = shownErrors.map(error => `<li>line ${error.line}: ${escapeHtml(error.message)}</li>`).join('');
+    if (source.errorCount > shownErrors.length) {
+        errorsHtml += `<li>… ${(source.errorCount - shownErrors.length).toLocaleString()} more</li>`;
+    }
+    errorsEl.innerHTML = errorsHtml;
+    errorsEl.hidden = shownErrors.length === 0;
+
+    startInput.value = formatTime(summary.earliest);
+    endInput.value = formatTime(summary.latest);
+    titleEl.textContent = `Preview Import · ${source.name}`;
+}
+
+/**
+ * Re-apply the host and time selection and update the commit button once the
+ * staged import has counted the events it keeps.
+ *
+ * @returns {Promise<void>} Settles when the button is up to date
+ */
+function updateSelection() {
+    const start = readBound(startInput);
+    const end = readBound(endInput);
+    const excludedHosts = new Set();
+    hostsBody.querySelectorAll('.preview-host').forEach(checkbox => {
+        if (!checkbox.checked) excludedHosts.add(checkbox.dataset.host);
+    });
+
+    const valid = start !== undefined && end !== undefined;
+    // Every batch names who imported it
+    const named = importerInput.value.trim() !== '';
+    importerInput.classList.toggle('invalid', !named);
+    const current = pending;
+    const selection = valid ? {excludedHosts, start, end} : null;
+    current.selection = selection;
+    confirmBtn.disabled = true;
+    if (!selection) {
+        confirmBtn.textContent = 'Import 0 events';
+        return Promise.resolve();
+    }
+
+    return current.source.countSelected(selection).then(count => {
+        // A later change, or closing the preview, makes this count stale
+        if (pending !== current || current.selection !== selection) return;
+        confirmBtn.disabled = !named || count === 0;
+        confirmBtn.textContent = `Import ${count.toLocaleString()} events`;
+    });
+}
+
+function close(result) {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+    if (pending) {
+        pending.resolve(result);
+        pending = null;
+    }
+}
+
+/**
+ * Show what an import would add and let the analyst trim it by host and time
+ * before anything is committed or sent to collaborators. The staged events
+ * themselves never have to be here: the preview works from their summary and
+ * a sample, and asks the stage to count what a selection keeps.
+ *
+ * @param {{name: string, summary: Object, sample: Array, records: number, errorCount: number, errors: Array,
+ *   countSelected: Function}} source - Staged import: summary (see summarizeImport()) and first events,
+ *   raw record count, unparseable lines, and a function resolving to the number of events a selection keeps
+ * @returns {Promise<{excludedHosts: Set<string>, start: Date|null, end: Date|null}|null>} Selection to
+ *   commit (see selectImportEvents()), or null if cancelled
+ */
+export function requestImportPreview(source) {
+    if (pending) close(null);
+
+    return new Promise((resolve) => {
+        pending = {source, resolve, summary: source.summary, selection: null};
+        importerInput.value = getImporterName();
+        renderSummary();
+        const counted = updateSelection();
+        overlay.hidden = false;
+        overlay.classList.add('visible');
+        if (importerInput.value) {
+            counted.then(() => confirmBtn.focus());
+        } else {
+            importerInput.focus();
+        }
+    });
+}
+
+export function initImportPreviewController() {
+    if (initialized) return;
+    initialized = true;
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+        <div class="import-dialog import-preview">
+            <div class="import-dialog-header">
+                <h2 id="import-preview-title">Preview Import</h2>
+            </div>
+            <div class="import-dialog-toolbar">
+                <label>From <input type="text" id="import-preview-start" placeholder="(unbounded)"></label>
+                <label>To <input type="text" id="import-preview-end" placeholder="(unbounded)"></label>
+                <label title="Recorded on the import batch">Imported by <input type="text" id="import-preview-importer"
+                    maxlength="80" placeholder="(your name)"></label>
+            </div>
+            <div class="import-dialog-content">
+                <div class="preview-stats" id="import-preview-stats"></div>
+                <div class="preview-columns">
+                    <div>
+                        <h3 class="preview-heading">Hosts</h3>
+                        <table class="mapping-table">
+                            <tbody id="import-preview-hosts"></tbody>
+                        </table>
+                    </div>
+                    <div>
+                        <h3 class="preview-heading">Categories</h3>
+                        <div id="import-preview-categories"></div>
+                    </div>
+                </div>
+                <h3 class="preview-heading">Field presence</h3>
+                <div id="import-preview-fields"></div>
+                <h3 class="preview-heading">First events</h3>
+                <table class="mapping-table">
+                    <tbody id="import-preview-sample"></tbody>
+                </table>
+                <ul class="import-report-errors" id="import-preview-errors" hidden></ul>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="import-preview-cancel-btn" class="btn-secondary" type="button">Cancel</button>
+                <button id="import-preview-confirm-btn" class="btn-primary" type="button">Import</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    titleEl = overlay.querySelector('#import-preview-title');
+    startInput = overlay.querySelector('#import-preview-start');
+    endInput = overlay.querySelector('#import-preview-end');
+    importerInput = overlay.querySelector('#import-preview-importer');
+    statsEl = overlay.querySelector('#import-preview-stats');
+    hostsBody = overlay.querySelector('#import-preview-hosts');
+    categoriesEl = overlay.querySelector('#import-preview-categories');
+    fieldsEl = overlay.querySelector('#import-preview-fields');
+    sampleBody = overlay.querySelector('#import-preview-sample');
+    errorsEl = overlay.querySelector('#import-preview-errors');
+    confirmBtn = overlay.querySelector('#import-preview-confirm-btn');
+
+    startInput.addEventListener('input', updateSelection);
+    endInput.addEventListener('input', updateSelection);
+    importerInput.addEventListener('input', updateSelection);
+    hostsBody.addEventListener('change', updateSelection);
+    overlay.querySelector('#import-preview-cancel-btn').addEventListener('click', () => close(null));
+    confirmBtn.addEventListener('click', () => {
+        setImporterName(importerInput.value);
+        close(pending.selection);
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && pending) close(null);
+    });
+}
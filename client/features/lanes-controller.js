@@ -0,0 +1,287 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {requireTimelineReady, sendSetLaneLayout} from '../sync.js';
+import {escapeHtml} from '../utils.js';
+import {
+    addLaneGroup,
+    arrangeLanes,
+    moveLane,
+    removeLaneGroup,
+    setLaneGroup,
+    toggleLaneFlag,
+    updateLaneGroup
+} from '../lane-layout.js';
+import {MAX_LANE_GROUP_NAME_LENGTH, createEmptyLaneLayout} from '../../shared/lane-layout.js';
+import {MAX_PATH_LENGTH} from '../../shared/field-profiles.js';
+
+let lanesBtn;
+let overlay;
+let groupsBody;
+let hostsBody;
+let groupNameInput;
+let laneKeyInput;
+let initialized = false;
+
+// Suggested lane keys; any field path can be typed in
+const LANE_KEY_SUGGESTIONS = [
+    {path: 'user.name', label: 'User'},
+    {path: 'process.entity_id', label: 'Process (entity ID)'},
+    {path: 'process.executable', label: 'Process executable'},
+    {path: 'source.ip', label: 'Source IP'},
+    {path: 'destination.ip', label: 'Destination IP'},
+    {path: 'event.dataset', label: 'Data source'}
+];
+
+function renderLanesButton() {
+    lanesBtn.disabled = !state.currentTimelineId;
+}
+
+function currentArrangement() {
+    const hosts = state.laneRegistry ? state.laneRegistry.getHostList() : [];
+    return {hosts, arrangement: arrangeLanes(hosts, state.laneLayout)};
+}
+
+/**
+ * Share a new lane layout with everyone on the timeline. The timeline redraws
+ * when the server broadcasts it back.
+ *
+ * @param {Object} layout - New lane layout
+ */
+function updateLayout(layout) {
+    if (layout === state.laneLayout) return;
+    if (!requireTimelineReady('arrange lanes')) return;
+    sendSetLaneLayout(layout);
+}
+
+/**
+ * Apply a lane action from the controls drawn on the timeline.
+ *
+ * @param {{type: string, key?: string, flag?: string, groupId?: string, target?: string, after?: boolean}} action
+ *   Lane action (see initTimelineVisualization())
+ */
+export function handleLaneAction(action) {
+    const layout = state.laneLayout;
+    switch (action.type) {
+        case 'toggleHost':
+            updateLayout(toggleLaneFlag(layout, action.key, action.flag));
+            break;
+
+        case 'toggleGroup': {
+            const group = layout.groups.find(candidate => candidate.id === action.groupId);
+            if (group) updateLayout(updateLaneGroup(layout, group.id, {collapsed: !group.collapsed}));
+            break;
+        }
+
+        case 'move':
+            updateLayout(moveLane(layout, currentArrangement().arrangement, action.key, action.target, action.after));
+            break;
+
+        default:
+            console.warn('Unknown lane action:', action.type);
+    }
+}
+
+function renderGroups() {
+    const groups = state.laneLayout.groups;
+    if (groups.length === 0) {
+        groupsBody.innerHTML = '<tr><td colspan="4" class="mapping-samples">No groups yet</td></tr>';
+        return;
+    }
+
+    groupsBody.innerHTML = groups.map(group => `
+        <tr>
+            <td>
+                <input type="text" class="mapping-path lane-group-name" data-group-id="${escapeHtml(group.id)}"
+                    maxlength="${MAX_LANE_GROUP_NAME_LENGTH}" value="${escapeHtml(group.name)}">
+            </td>
+            <td class="preview-count">${group.hosts.length.toLocaleString()}</td>
+            <td><input type="checkbox" class="lane-group-collapsed" data-group-id="${escapeHtml(group.id)}"
+                ${group.collapsed ? 'checked' : ''} title="Show the group as a single lane"></td>
+            <td><button class="btn-secondary lane-group-remove" type="button" data-group-id="${escapeHtml(group.id)}">Remove</button></td>
+        </tr>`).join('');
+}
+
+function renderHosts() {
+    const {hosts, arrangement} = currentArrangement();
+    if (hosts.length === 0) {
+        hostsBody.innerHTML = '<tr><td colspan="5" class="mapping-samples">No lanes in this timeline</td></tr>';
+        return;
+    }
+
+    const layout = state.laneLayout;
+    const hostByKey = new Map(hosts.map(host => [host.hostname.toLowerCase(), host]));
+    const groupOf = new Map();
+    for (const group of layout.groups) {
+        for (const key of group.hosts) {
+            if (!groupOf.has(key)) groupOf.set(key, group.id);
+        }
+    }
+
+    hostsBody.innerHTML = arrangement.order.map(key => {
+        const host = hostByKey.get(key);
+        const groupOptions = layout.groups.map(group => `
+            <option value="${escapeHtml(group.id)}" ${groupOf.get(key) === group.id ? 'selected' : ''}>${escapeHtml(group.name)}</option>`).join('');
+        const flag = (name, title) => `
+            <td><input type="checkbox" class="lane-flag" data-host="${escapeHtml(key)}" data-flag="${name}"
+                ${layout[name].includes(key) ? 'checked' : ''} title="${title}"></td>`;
+        return `
+            <tr>
+                <td class="mapping-column" title="${escapeHtml(host.hostname)}">${escapeHtml(host.hostname)}</td>
+                <td>
+                    <select class="mapping-path lane-host-group" data-host="${escapeHtml(key)}">
+                        <option value="">None</option>${groupOptions}
+                    </select>
+                </td>
+                ${flag('pinned', 'Keep this lane at the top')}
+                ${flag('collapsed', 'Draw this lane thin')}
+                ${flag('hidden', 'Remove this lane from the timeline')}
+            </tr>`;
+    }).join('');
+}
+
+function render() {
+    laneKeyInput.value = state.laneKey || '';
+    renderGroups();
+    renderHosts();
+}
+
+function openManager() {
+    if (!state.currentTimelineId) return;
+    render();
+    overlay.hidden = false;
+    overlay.classList.add('visible');
+}
+
+function closeManager() {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+}
+
+function addGroup() {
+    const name = groupNameInput.value.trim();
+    if (!name) {
+        groupNameInput.focus();
+        return;
+    }
+    groupNameInput.value = '';
+    updateLayout(addLaneGroup(state.laneLayout, name));
+}
+
+function handleGroupsChange(target) {
+    const groupId = target.dataset.groupId;
+    if (target.classList.contains('lane-group-name')) {
+        const name = target.value.trim();
+        if (name) {
+            updateLayout(updateLaneGroup(state.laneLayout, groupId, {name}));
+        } else {
+            renderGroups();
+        }
+    } else if (target.classList.contains('lane-group-collapsed')) {
+        updateLayout(updateLaneGroup(state.laneLayout, groupId, {collapsed: target.checked}));
+    }
+}
+
+function applyLaneKey() {
+    state.setLaneKey(laneKeyInput.value);
+}
+
+function handleHostsChange(target) {
+    const key = target.dataset.host;
+    if (target.classList.contains('lane-host-group')) {
+        updateLayout(setLaneGroup(state.laneLayout, key, target.value || null));
+    } else if (target.classList.contains('lane-flag')) {
+        updateLayout(toggleLaneFlag(state.laneLayout, key, target.dataset.flag));
+    }
+}
+
+export function initLanesController() {
+    if (initialized) return;
+    initialized = true;
+
+    lanesBtn = document.getElementById('lanes-btn');
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    overlay.innerHTML = `
+        <div class="import-dialog">
+            <div class="import-dialog-header">
+                <h2>Lanes</h2>
+            </div>
+            <div class="import-dialog-content">
+                <h3 class="preview-heading">Lane by</h3>
+                <div class="lane-group-add">
+                    <input type="text" id="lane-key-input" class="mapping-path" list="lane-key-suggestions"
+                        maxlength="${MAX_PATH_LENGTH}" placeholder="Host (default), or a field such as user.name">
+                    <datalist id="lane-key-suggestions">
+                        ${LANE_KEY_SUGGESTIONS.map(key => `<option value="${escapeHtml(key.path)}">${escapeHtml(key.label)}</option>`).join('')}
+                    </datalist>
+                    <button id="lane-key-host-btn" class="btn-secondary" type="button">By host</button>
+                </div>
+                <p class="mapping-samples">Only changes your own view. Events without the field share one lane.</p>
+                <h3 class="preview-heading">Groups</h3>
+                <p class="mapping-samples">Changes are shared with everyone on this timeline. Drag a lane by its name on the timeline to reorder it.</p>
+                <table class="mapping-table">
+                    <thead><tr><th>Name</th><th>Lanes</th><th>Collapsed</th><th></th></tr></thead>
+                    <tbody id="lane-groups-body"></tbody>
+                </table>
+                <div class="lane-group-add">
+                    <input type="text" id="lane-group-name" class="mapping-path" maxlength="${MAX_LANE_GROUP_NAME_LENGTH}"
+                        placeholder="New group, e.g. Domain Controllers">
+                    <button id="lane-group-add-btn" class="btn-secondary" type="button">Add group</button>
+                </div>
+                <h3 class="preview-heading">Lanes</h3>
+                <table class="mapping-table">
+                    <thead><tr><th>Lane</th><th>Group</th><th>Pinned</th><th>Collapsed</th><th>Hidden</th></tr></thead>
+                    <tbody id="lane-hosts-body"></tbody>
+                </table>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="lanes-reset-btn" class="btn-secondary" type="button">Reset layout</button>
+                <button id="lanes-close-btn" class="btn-secondary" type="button">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    groupsBody = overlay.querySelector('#lane-groups-body');
+    hostsBody = overlay.querySelector('#lane-hosts-body');
+    groupNameInput = overlay.querySelector('#lane-group-name');
+    laneKeyInput = overlay.querySelector('#lane-key-input');
+
+    lanesBtn.addEventListener('click', openManager);
+    laneKeyInput.addEventListener('change', applyLaneKey);
+    overlay.querySelector('#lane-key-host-btn').addEventListener('click', () => state.setLaneKey(null));
+    overlay.querySelector('#lane-group-add-btn').addEventListener('click', addGroup);
+    groupNameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addGroup();
+    });
+    groupsBody.addEventListener('change', (event) => handleGroupsChange(event.target));
+    groupsBody.addEventListener('click', (event) => {
+        const button = event.target.closest('.lane-group-remove');
+        if (button) updateLayout(removeLaneGroup(state.laneLayout, button.dataset.groupId));
+    });
+    hostsBody.addEventListener('change', (event) => handleHostsChange(event.target));
+    overlay.querySelector('#lanes-reset-btn').addEventListener('click', () => {
+        if (confirm('Reset the lane layout for everyone on this timeline?')) {
+            updateLayout(createEmptyLaneLayout());
+        }
+    });
+    overlay.querySelector('#lanes-close-btn').addEventListener('click', closeManager);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !overlay.hidden) closeManager();
+    });
+
+    const refreshIfOpen = () => {
+        if (!overlay.hidden) render();
+    };
+    bus.on(EVENTS.LANE_LAYOUT_CHANGED, refreshIfOpen);
+    bus.on(EVENTS.LANE_KEY_CHANGED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_ADDED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_SYNCED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_JOINED, renderLanesButton);
+    bus.on(EVENTS.TIMELINE_DELETED, renderLanesButton);
+    renderLanesButton();
+}
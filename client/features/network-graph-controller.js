@@ -0,0 +1,326 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {zoomToRange} from '../timeline.js';
+import {eventsTimeRange} from '../selection.js';
+import {buildNetworkGraph, edgeLabel} from '../network-graph.js';
+import {formatTimestamp} from '../../shared/time-zones.js';
+
+const NODE_RADIUS = {min: 5, max: 14};
+const EDGE_WIDTH = {min: 1, max: 8};
+// How far edges bow out, as a share of their length, so A→B and B→A stay apart
+const EDGE_BEND = 0.12;
+
+let networkGraphBtn;
+let panel;
+let summaryEl;
+let weightSelect;
+let svg;
+let graphGroup;
+let selectEvents = null;
+let simulation = null;
+let connections = [];
+// Graph over all connections: fixes the layout and the width scale
+let fullGraph = {nodes: [], edges: []};
+let simNodes = new Map();
+let view = null;
+let drawFrame = null;
+let initialized = false;
+
+function renderButton() {
+    networkGraphBtn.disabled = !state.currentTimelineId;
+}
+
+/**
+ * Host connections the viewer's filter lets through.
+ */
+function currentConnections() {
+    const result = state.filterResult;
+    return result.active ? state.connections.filter(connection => result.matches.has(connection.eventId)) : state.connections;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function edgeWeight(edge) {
+    return weightSelect.value === 'bytes' ? edge.bytes || 0 : edge.count;
+}
+
+function edgeTitle(edge) {
+    const zone = state.displayZone;
+    return [
+        `${edge.source} → ${edge.target}`,
+        `${edge.count.toLocaleString()} ${edge.count === 1 ? 'connection' : 'connections'}` +
+            (edge.bytes !== null ? ` · ${formatBytes(edge.bytes)}` : ''),
+        edge.ports.length > 0 ? `Ports: ${edge.ports.map(({port, count}) => `${port} (${count})`).join(', ')}` : '',
+        edge.protocols.length > 0 ? `Protocols: ${edge.protocols.join(', ')}` : '',
+        `First: ${formatTimestamp(edge.first, zone)}`,
+        `Last: ${formatTimestamp(edge.last, zone)}`,
+        'Click to select these events'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Curved path between two nodes, stopping at the edge of the target so the
+ * arrowhead stays visible.
+ *
+ * @returns {{path: string, labelX: number, labelY: number}} Path data and label position
+ */
+function edgeGeometry(edge) {
+    const source = simNodes.get(edge.source);
+    const target = simNodes.get(edge.target);
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const cx = (source.x + target.x) / 2 - dy * EDGE_BEND;
+    const cy = (source.y + target.y) / 2 + dx * EDGE_BEND;
+
+    const toTargetX = target.x - cx;
+    const toTargetY = target.y - cy;
+    const length = Math.hypot(toTargetX, toTargetY) || 1;
+    const inset = target.radius + 2;
+    const endX = target.x - toTargetX / length * inset;
+    const endY = target.y - toTargetY / length * inset;
+
+    return {
+        path: `M${source.x},${source.y}Q${cx},${cy} ${endX},${endY}`,
+        labelX: (source.x + 2 * cx + target.x) / 4,
+        labelY: (source.y + 2 * cy + target.y) / 4
+    };
+}
+
+function positionElements() {
+    graphGroup.selectAll('.network-node')
+        .attr('transform', d => `translate(${d.x},${d.y})`);
+    graphGroup.selectAll('.network-edge').each(function (edge) {
+        const {path, labelX, labelY} = edgeGeometry(edge);
+        const group = d3.select(this);
+        group.select('path').attr('d', path);
+        group.select('text').attr('x', labelX).attr('y', labelY);
+    });
+}
+
+function renderSummary(graph) {
+    const hosts = graph.nodes.filter(node => node.active).length;
+    const count = graph.edges.reduce((sum, edge) => sum + edge.count, 0);
+    const range = view ? `${formatTimestamp(view.start, state.displayZone)} – ${formatTimestamp(view.end, state.displayZone)}` : '';
+    summaryEl.textContent = fullGraph.nodes.length === 0
+        ? 'No connections between hosts'
+        : `${count.toLocaleString()} ${count === 1 ? 'connection' : 'connections'} between ${hosts} ${hosts === 1 ? 'host' : 'hosts'}` +
+            (range ? ` · ${range}` : '');
+}
+
+/**
+ * Draw the edges of the connections in the visible time range, and fade the
+ * hosts that had none.
+ */
+function drawGraph() {
+    drawFrame = null;
+    const graph = buildNetworkGraph(connections, view);
+    renderSummary(graph);
+
+    const maxWeight = Math.max(1, ...fullGraph.edges.map(edgeWeight));
+    const width = d3.scaleSqrt().domain([0, maxWeight]).range([EDGE_WIDTH.min, EDGE_WIDTH.max]);
+    const active = new Map(graph.nodes.map(node => [node.id, node]));
+
+    graphGroup.selectAll('.network-node')
+        .classed('inactive', d => !active.get(d.id).active)
+        .select('title')
+        .text(d => `${d.id}\n${active.get(d.id).count.toLocaleString()} connections in view`);
+
+    const edges = graphGroup.select('.network-edges').selectAll('.network-edge')
+        .data(graph.edges, edge => edge.id);
+    edges.exit().remove();
+    const entered = edges.enter().append('g')
+        .attr('class', 'network-edge')
+        .on('click', (event, edge) => focusEdge(edge));
+    entered.append('path').attr('marker-end', 'url(#network-arrow)');
+    entered.append('text');
+    entered.append('title');
+    entered.merge(edges).each(function (edge) {
+        const group = d3.select(this);
+        group.select('path').attr('stroke-width', width(edgeWeight(edge)));
+        group.select('text').text(edgeLabel(edge));
+        group.select('title').text(edgeTitle(edge));
+    });
+    positionElements();
+}
+
+function scheduleDraw() {
+    if (panel.hidden || drawFrame) return;
+    drawFrame = requestAnimationFrame(drawGraph);
+}
+
+/**
+ * Rebuild the graph from the current connections. Hosts keep their places;
+ * new ones start near the middle and the layout settles around them.
+ */
+function rebuild() {
+    connections = currentConnections();
+    fullGraph = buildNetworkGraph(connections);
+
+    const {width, height} = svg.node().getBoundingClientRect();
+    const maxCount = Math.max(1, ...fullGraph.nodes.map(node => node.count));
+    const radius = d3.scaleSqrt().domain([0, maxCount]).range([NODE_RADIUS.min, NODE_RADIUS.max]);
+    const previous = simNodes;
+    simNodes = new Map(fullGraph.nodes.map(node => {
+        const kept = previous.get(node.id);
+        return [node.id, Object.assign(kept || {
+            id: node.id,
+            x: width / 2 + (Math.random() - 0.5) * 40,
+            y: height / 2 + (Math.random() - 0.5) * 40
+        }, {radius: radius(node.count)})];
+    }));
+    const added = fullGraph.nodes.some(node => !previous.has(node.id));
+
+    const nodes = graphGroup.select('.network-nodes').selectAll('.network-node')
+        .data([...simNodes.values()], d => d.id);
+    nodes.exit().remove();
+    const entered = nodes.enter().append('g')
+        .attr('class', 'network-node')
+        .call(d3.drag()
+            .on('start', (event, d) => {
+                if (!event.active) simulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', (event, d) => {
+                d.fx = event.x;
+                d.fy = event.y;
+            })
+            .on('end', (event) => {
+                // Dragged hosts stay pinned; double-click one to let it go
+                if (!event.active) simulation.alphaTarget(0);
+            }))
+        .on('dblclick', (event, d) => {
+            event.stopPropagation();
+            d.fx = null;
+            d.fy = null;
+            simulation.alpha(0.3).restart();
+        });
+    entered.append('circle');
+    entered.append('text').attr('dy', '0.35em');
+    entered.append('title');
+    entered.merge(nodes).each(function (d) {
+        const group = d3.select(this);
+        group.select('circle').attr('r', d.radius);
+        group.select('text').attr('x', d.radius + 4).text(d.id);
+    });
+
+    simulation
+        .nodes([...simNodes.values()])
+        .force('link', d3.forceLink(fullGraph.edges.map(edge => ({source: edge.source, target: edge.target})))
+            .id(d => d.id)
+            .distance(90))
+        .force('collide', d3.forceCollide(d => d.radius + 12))
+        .force('center', d3.forceCenter(width / 2, height / 2));
+    simulation.alpha(added ? 0.8 : 0.1).restart();
+
+    drawGraph();
+}
+
+function refreshIfOpen() {
+    if (!panel.hidden) rebuild();
+}
+
+function openPanel() {
+    panel.hidden = false;
+    rebuild();
+}
+
+function closePanel() {
+    panel.hidden = true;
+    simulation.stop();
+    if (drawFrame) cancelAnimationFrame(drawFrame);
+    drawFrame = null;
+}
+
+/**
+ * Select the events behind an edge on the timeline and zoom to them.
+ *
+ * @param {Object} edge - Edge from buildNetworkGraph()
+ */
+function focusEdge(edge) {
+    const ids = new Set(edge.eventIds);
+    const events = state.events.filter(event => ids.has(event.id));
+    if (events.length === 0) return;
+    if (selectEvents) selectEvents(events);
+    const range = eventsTimeRange(events);
+    if (range) zoomToRange(...range);
+}
+
+/**
+ * Follow the timeline's visible time range: the graph only shows the
+ * connections made within it.
+ *
+ * @param {Date} start - Start of the visible range
+ * @param {Date} end - End of the visible range
+ */
+export function setNetworkGraphView(start, end) {
+    view = {start, end};
+    if (initialized) scheduleDraw();
+}
+
+export function initNetworkGraphController({onSelectEvents}) {
+    if (initialized) return;
+    initialized = true;
+    selectEvents = onSelectEvents;
+
+    networkGraphBtn = document.getElementById('network-graph-btn');
+    panel = document.getElementById('network-graph-panel');
+    summaryEl = document.getElementById('network-graph-summary');
+    weightSelect = document.getElementById('network-graph-weight');
+    svg = d3.select('#network-graph-svg');
+
+    svg.append('defs').append('marker')
+        .attr('id', 'network-arrow')
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 8)
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,-5L10,0L0,5');
+    graphGroup = svg.append('g');
+    graphGroup.append('g').attr('class', 'network-edges');
+    graphGroup.append('g').attr('class', 'network-nodes');
+    svg.call(d3.zoom()
+        .scaleExtent([0.2, 5])
+        .on('zoom', (event) => graphGroup.attr('transform', event.transform)))
+        .on('dblclick.zoom', null);
+
+    simulation = d3.forceSimulation()
+        .force('charge', d3.forceManyBody().strength(-250))
+        .on('tick', positionElements)
+        .stop();
+
+    networkGraphBtn.addEventListener('click', () => (panel.hidden ? openPanel() : closePanel()));
+    document.getElementById('network-graph-close').addEventListener('click', closePanel);
+    weightSelect.addEventListener('change', scheduleDraw);
+
+    bus.on(EVENTS.EVENTS_ADDED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_SYNCED, refreshIfOpen);
+    bus.on(EVENTS.EVENT_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_CLEARED, refreshIfOpen);
+    bus.on(EVENTS.FILTER_CHANGED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_UPDATED, scheduleDraw);
+    bus.on(EVENTS.TIMELINE_JOINED, () => {
+        simNodes = new Map();
+        view = null;
+        renderButton();
+        refreshIfOpen();
+    });
+    bus.on(EVENTS.TIMELINE_DELETED, () => {
+        renderButton();
+        if (!state.currentTimelineId) closePanel();
+    });
+    renderButton();
+}
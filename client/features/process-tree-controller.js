@@ -0,0 +1,189 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {focusTimelineEvent, zoomToRange} from '../timeline.js';
+import {eventsTimeRange} from '../selection.js';
+import {buildProcessTrees, subtreeEvents} from '../process-tree.js';
+import {getTacticName} from '../mitre.js';
+import {escapeHtml} from '../utils.js';
+import {formatTimestamp} from '../../shared/time-zones.js';
+
+// Activity rows listed per kind when a process is expanded
+const MAX_ACTIVITY_ROWS = 50;
+
+let processTreeBtn;
+let panel;
+let content;
+let selectEvents = null;
+let showEvent = null;
+let trees = null;
+let expanded = new Set();
+let focusedKey = null;
+let initialized = false;
+
+function renderButton() {
+    processTreeBtn.disabled = !state.currentTimelineId;
+}
+
+/**
+ * Badge counting a process's annotated events, titled with their tactics.
+ */
+function renderAnnotationBadge(node) {
+    const annotated = node.events.map(event => state.annotations.get(event.id)).filter(Boolean);
+    if (annotated.length === 0) return '';
+    const tactics = [...new Set(annotated.map(annotation => annotation.mitreTactic).filter(Boolean))];
+    const title = tactics.length > 0
+        ? `Annotated: ${tactics.map(getTacticName).join(', ')}`
+        : `${annotated.length} annotated ${annotated.length === 1 ? 'event' : 'events'}`;
+    return `<span class="process-badge annotated" title="${escapeHtml(title)}">★ ${annotated.length}</span>`;
+}
+
+function renderActivity(label, events) {
+    if (events.length === 0) return '';
+    const rows = events.slice(0, MAX_ACTIVITY_ROWS).map(event => `
+        <li>
+            <button type="button" class="process-activity-row" data-event="${escapeHtml(event.id)}"
+                title="${escapeHtml(formatTimestamp(event.timestamp, state.displayZone))}">${escapeHtml(event.summary)}</button>
+        </li>`).join('');
+    const more = events.length > MAX_ACTIVITY_ROWS
+        ? `<li class="process-activity-more">+${(events.length - MAX_ACTIVITY_ROWS).toLocaleString()} more</li>`
+        : '';
+    return `
+        <div class="process-activity-title">${label} · ${events.length.toLocaleString()}</div>
+        <ul class="process-activity">${rows}${more}</ul>`;
+}
+
+function renderNode(node) {
+    const expandable = node.children.length > 0 || node.network.length > 0 || node.files.length > 0;
+    const open = expandable && expanded.has(node.key);
+    const name = node.name || (node.pid !== null ? `PID ${node.pid}` : 'unknown process');
+    const classes = ['process-row', node.placeholder ? 'placeholder' : '', node.key === focusedKey ? 'focused' : '']
+        .filter(Boolean).join(' ');
+    const title = [node.commandLine || node.executable, node.placeholder ? 'Known only as a parent' : '']
+        .filter(Boolean).join('\n');
+    const key = escapeHtml(node.key);
+
+    return `
+        <li class="process-node">
+            <div class="${classes}">
+                ${expandable
+        ? `<button type="button" class="process-toggle" data-toggle="${key}" aria-expanded="${open}">${open ? '▾' : '▸'}</button>`
+        : '<span class="process-toggle"></span>'}
+                <button type="button" class="process-label" data-focus="${key}" title="${escapeHtml(title)}"
+                    ${node.events.length === 0 ? 'disabled' : ''}>${escapeHtml(name)}${node.pid !== null ? ` <span class="process-pid">${escapeHtml(node.pid)}</span>` : ''}</button>
+                ${node.network.length > 0 ? `<span class="process-badge" title="Network events">net ${node.network.length}</span>` : ''}
+                ${node.files.length > 0 ? `<span class="process-badge" title="File events">file ${node.files.length}</span>` : ''}
+                ${renderAnnotationBadge(node)}
+                ${node.children.length > 0
+        ? `<button type="button" class="process-subtree" data-subtree="${key}" title="Focus this process and everything it started">tree</button>`
+        : ''}
+            </div>
+            ${open ? `
+                ${renderActivity('Network', node.network)}
+                ${renderActivity('Files', node.files)}
+                ${node.children.length > 0 ? `<ul class="process-tree">${node.children.map(renderNode).join('')}</ul>` : ''}` : ''}
+        </li>`;
+}
+
+function render() {
+    trees = buildProcessTrees(state.events);
+    if (trees.hosts.length === 0) {
+        content.innerHTML = '<div class="process-tree-empty">No events name a process (process.entity_id or process.pid)</div>';
+        return;
+    }
+    content.innerHTML = trees.hosts.map(({host, roots, processCount}) => `
+        <section class="process-host">
+            <div class="process-host-title">
+                <span>${escapeHtml(host)}</span>
+                <span class="process-host-count">${processCount.toLocaleString()} ${processCount === 1 ? 'process' : 'processes'}</span>
+            </div>
+            <ul class="process-tree">${roots.map(renderNode).join('')}</ul>
+        </section>`).join('');
+}
+
+function refreshIfOpen() {
+    if (!panel.hidden) render();
+}
+
+function openPanel() {
+    panel.hidden = false;
+    render();
+}
+
+function closePanel() {
+    panel.hidden = true;
+    trees = null;
+}
+
+/**
+ * Select a set of events on the timeline and zoom to the time they cover.
+ *
+ * @param {string} key - Process node key
+ * @param {Array} events - Events to focus
+ */
+function focusEvents(key, events) {
+    if (events.length === 0) return;
+    focusedKey = key;
+    if (selectEvents) selectEvents(events);
+    const range = eventsTimeRange(events);
+    if (range) zoomToRange(...range);
+    render();
+}
+
+function handleClick(target) {
+    const button = target.closest('button');
+    if (!button || !trees) return;
+
+    if (button.dataset.toggle) {
+        const key = button.dataset.toggle;
+        if (!expanded.delete(key)) expanded.add(key);
+        render();
+    } else if (button.dataset.focus) {
+        const node = trees.nodes.get(button.dataset.focus);
+        if (node) focusEvents(node.key, node.events);
+    } else if (button.dataset.subtree) {
+        const node = trees.nodes.get(button.dataset.subtree);
+        if (node) focusEvents(node.key, subtreeEvents(node));
+    } else if (button.dataset.event) {
+        const event = state.events.find(candidate => candidate.id === button.dataset.event);
+        if (!event) return;
+        focusTimelineEvent(event);
+        if (showEvent) showEvent(event);
+    }
+}
+
+export function initProcessTreeController({onSelectEvents, onShowEvent}) {
+    if (initialized) return;
+    initialized = true;
+    selectEvents = onSelectEvents;
+    showEvent = onShowEvent;
+
+    processTreeBtn = document.getElementById('process-tree-btn');
+    panel = document.getElementById('process-tree-panel');
+    content = document.getElementById('process-tree-content');
+
+    processTreeBtn.addEventListener('click', () => (panel.hidden ? openPanel() : closePanel()));
+    document.getElementById('process-tree-close').addEventListener('click', closePanel);
+    content.addEventListener('click', (event) => handleClick(event.target));
+
+    bus.on(EVENTS.EVENTS_ADDED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_SYNCED, refreshIfOpen);
+    bus.on(EVENTS.EVENT_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_DELETED, refreshIfOpen);
+    bus.on(EVENTS.EVENTS_CLEARED, refreshIfOpen);
+    bus.on(EVENTS.ANNOTATION_UPDATED, refreshIfOpen);
+    bus.on(EVENTS.ANNOTATIONS_UPDATED, refreshIfOpen);
+    bus.on(EVENTS.ANNOTATION_DELETED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_UPDATED, refreshIfOpen);
+    bus.on(EVENTS.TIMELINE_JOINED, () => {
+        expanded = new Set();
+        focusedKey = null;
+        renderButton();
+        refreshIfOpen();
+    });
+    bus.on(EVENTS.TIMELINE_DELETED, () => {
+        renderButton();
+        if (!state.currentTimelineId) closePanel();
+    });
+    renderButton();
+}
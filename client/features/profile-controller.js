@@ -0,0 +1,177 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {DEFAULT_FIELD_PATHS} from '../parser.js';
+import {requireTimelineReady, sendDeleteProfile, sendSaveProfile, sendSetActiveProfile} from '../sync.js';
+import {escapeHtml} from '../utils.js';
+import {PROFILE_FIELD_KEYS} from '../../shared/field-profiles.js';
+import {ECS_FIELD_SUGGESTIONS} from '../formats/csv.js';
+
+const FIELD_LABELS = {
+    timestamp: 'Timestamp',
+    host: 'Host lane',
+    ip: 'Host IP',
+    category: 'Category',
+    summary: 'Summary',
+    sourceIp: 'Connection source IP',
+    destIp: 'Connection destination IP'
+};
+
+let profileSelect;
+let editBtn;
+let overlay;
+let editorSelect;
+let nameInput;
+let fieldsBody;
+let deleteBtn;
+let initialized = false;
+
+function renderProfileOptions(select, emptyLabel) {
+    let html = `<option value="">${escapeHtml(emptyLabel)}</option>`;
+    for (const profile of state.profiles.values()) {
+        html += `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`;
+    }
+    select.innerHTML = html;
+}
+
+function renderProfileSelect() {
+    renderProfileOptions(profileSelect, 'ECS defaults');
+    profileSelect.value = state.activeProfileId || '';
+    const disabled = !state.currentTimelineId;
+    profileSelect.disabled = disabled;
+    editBtn.disabled = disabled;
+}
+
+function handleProfileSelect() {
+    if (!requireTimelineReady('change the mapping profile')) {
+        profileSelect.value = state.activeProfileId || '';
+        return;
+    }
+    sendSetActiveProfile(profileSelect.value || null);
+}
+
+/**
+ * Fill the editor form from the profile picked in the editor's own selector.
+ * An empty selection starts a new profile.
+ */
+function renderEditorFields() {
+    const profile = state.profiles.get(editorSelect.value) || null;
+    nameInput.value = profile ? profile.name : '';
+    deleteBtn.hidden = !profile;
+
+    let html = '';
+    for (const key of PROFILE_FIELD_KEYS) {
+        const paths = profile?.fields?.[key] || [];
+        html += `
+            <tr>
+                <td class="mapping-column">${FIELD_LABELS[key]}</td>
+                <td>
+                    <input class="mapping-path" data-field="${key}" list="profile-field-paths"
+                           value="${escapeHtml(paths.join(', '))}" placeholder="(ECS defaults)">
+                </td>
+                <td class="mapping-samples">${DEFAULT_FIELD_PATHS[key].map(path => `<span>${escapeHtml(path)}</span>`).join('')}</td>
+            </tr>`;
+    }
+    fieldsBody.innerHTML = html;
+}
+
+function openEditor() {
+    if (!state.currentTimelineId) return;
+    renderProfileOptions(editorSelect, 'New profile');
+    editorSelect.value = state.activeProfileId || '';
+    renderEditorFields();
+    overlay.hidden = false;
+    overlay.classList.add('visible');
+    nameInput.focus();
+}
+
+function closeEditor() {
+    overlay.classList.remove('visible');
+    overlay.hidden = true;
+}
+
+function saveProfile() {
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('Give the profile a name');
+        return;
+    }
+
+    const fields = {};
+    fieldsBody.querySelectorAll('.mapping-path').forEach(input => {
+        const paths = input.value.split(',').map(path => path.trim()).filter(Boolean);
+        if (paths.length > 0) fields[input.dataset.field] = paths;
+    });
+
+    if (!requireTimelineReady('save a mapping profile')) return;
+    sendSaveProfile({id: editorSelect.value || undefined, name, fields});
+    closeEditor();
+}
+
+function deleteProfile() {
+    const profile = state.profiles.get(editorSelect.value);
+    if (!profile || !confirm(`Delete mapping profile "${profile.name}"?`)) return;
+    if (!requireTimelineReady('delete a mapping profile')) return;
+    sendDeleteProfile(profile.id);
+    closeEditor();
+}
+
+export function initProfileController() {
+    if (initialized) return;
+    initialized = true;
+
+    profileSelect = document.getElementById('profile-select');
+    editBtn = document.getElementById('profile-edit-btn');
+
+    overlay = document.createElement('div');
+    overlay.className = 'import-dialog-overlay';
+    overlay.hidden = true;
+
+    const fieldOptions = ECS_FIELD_SUGGESTIONS
+        .map(path => `<option value="${escapeHtml(path)}"></option>`)
+        .join('');
+
+    overlay.innerHTML = `
+        <div class="import-dialog">
+            <div class="import-dialog-header">
+                <h2>Field Mapping Profiles</h2>
+            </div>
+            <div class="import-dialog-toolbar">
+                <label>Profile <select id="profile-editor-select"></select></label>
+                <label>Name <input type="text" id="profile-name-input" maxlength="80"></label>
+            </div>
+            <div class="import-dialog-content">
+                <table class="mapping-table">
+                    <thead><tr><th>Property</th><th>Source paths (tried first)</th><th>ECS fallback</th></tr></thead>
+                    <tbody id="profile-fields-body"></tbody>
+                </table>
+                <datalist id="profile-field-paths">${fieldOptions}</datalist>
+            </div>
+            <div class="import-dialog-actions">
+                <button id="profile-delete-btn" class="btn-secondary" type="button">Delete</button>
+                <button id="profile-cancel-btn" class="btn-secondary" type="button">Cancel</button>
+                <button id="profile-save-btn" class="btn-primary" type="button">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    editorSelect = overlay.querySelector('#profile-editor-select');
+    nameInput = overlay.querySelector('#profile-name-input');
+    fieldsBody = overlay.querySelector('#profile-fields-body');
+    deleteBtn = overlay.querySelector('#profile-delete-btn');
+
+    profileSelect.addEventListener('change', handleProfileSelect);
+    editBtn.addEventListener('click', openEditor);
+    editorSelect.addEventListener('change', renderEditorFields);
+    deleteBtn.addEventListener('click', deleteProfile);
+    overlay.querySelector('#profile-cancel-btn').addEventListener('click', closeEditor);
+    overlay.querySelector('#profile-save-btn').addEventListener('click', saveProfile);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !overlay.hidden) closeEditor();
+    });
+
+    bus.on(EVENTS.PROFILES_CHANGED, renderProfileSelect);
+    bus.on(EVENTS.TIMELINE_JOINED, renderProfileSelect);
+    renderProfileSelect();
+}
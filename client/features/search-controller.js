@@ -0,0 +1,139 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {focusTimelineEvent, highlightSearchHits} from '../timeline.js';
+import {createSearchMatcher, findSearchHits, stepSearchHit} from '../search.js';
+
+const SEARCH_DELAY_MS = 300;
+
+let searchInput;
+let fieldInput;
+let regexCheckbox;
+let countEl;
+let prevBtn;
+let nextBtn;
+let showEvent = null;
+let hits = [];
+let hitIndex = -1;
+let error = null;
+let searchTimer = null;
+let initialized = false;
+
+function renderControls() {
+    const disabled = !state.currentTimelineId;
+    searchInput.disabled = disabled;
+    fieldInput.disabled = disabled;
+    regexCheckbox.disabled = disabled;
+    prevBtn.disabled = disabled || hits.length === 0;
+    nextBtn.disabled = disabled || hits.length === 0;
+}
+
+function renderCount() {
+    searchInput.classList.toggle('invalid', Boolean(error));
+    countEl.classList.toggle('invalid', Boolean(error));
+    if (error) {
+        countEl.textContent = error;
+    } else if (!searchInput.value) {
+        countEl.textContent = '';
+    } else if (hits.length === 0) {
+        countEl.textContent = 'No matches';
+    } else if (hitIndex < 0) {
+        countEl.textContent = `${hits.length.toLocaleString()} ${hits.length === 1 ? 'match' : 'matches'}`;
+    } else {
+        countEl.textContent = `${(hitIndex + 1).toLocaleString()} / ${hits.length.toLocaleString()}`;
+    }
+}
+
+function render() {
+    renderControls();
+    renderCount();
+    const current = hitIndex >= 0 ? hits[hitIndex].id : null;
+    highlightSearchHits(hits.length > 0 ? new Set(hits.map(event => event.id)) : null, current);
+}
+
+/**
+ * Run the search over the events the filter lets through, staying on the
+ * current hit when it still matches.
+ */
+function runSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    const currentId = hitIndex >= 0 ? hits[hitIndex].id : null;
+
+    let matcher = null;
+    error = null;
+    try {
+        matcher = createSearchMatcher(searchInput.value, {regex: regexCheckbox.checked, field: fieldInput.value});
+    } catch (e) {
+        error = e.message;
+    }
+
+    hits = matcher ? findSearchHits(state.filterResult.events, matcher) : [];
+    hitIndex = currentId ? hits.findIndex(event => event.id === currentId) : -1;
+    render();
+}
+
+function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY_MS);
+}
+
+/**
+ * Move to the next or previous hit, bring it into view and open it.
+ *
+ * @param {number} direction - 1 for the next hit, -1 for the previous one
+ */
+function step(direction) {
+    if (searchTimer) runSearch();
+    hitIndex = stepSearchHit(hits.length, hitIndex, direction);
+    render();
+    if (hitIndex < 0) return;
+
+    const event = hits[hitIndex];
+    focusTimelineEvent(event);
+    if (showEvent) showEvent(event);
+}
+
+function clearSearch() {
+    searchInput.value = '';
+    hits = [];
+    hitIndex = -1;
+    error = null;
+    render();
+}
+
+export function initSearchController({onShowEvent}) {
+    if (initialized) return;
+    initialized = true;
+    showEvent = onShowEvent;
+
+    searchInput = document.getElementById('search-input');
+    fieldInput = document.getElementById('search-field');
+    regexCheckbox = document.getElementById('search-regex');
+    countEl = document.getElementById('search-count');
+    prevBtn = document.getElementById('search-prev-btn');
+    nextBtn = document.getElementById('search-next-btn');
+
+    searchInput.addEventListener('input', scheduleSearch);
+    fieldInput.addEventListener('input', scheduleSearch);
+    regexCheckbox.addEventListener('change', runSearch);
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') step(event.shiftKey ? -1 : 1);
+        if (event.key === 'Escape') clearSearch();
+    });
+    prevBtn.addEventListener('click', () => step(-1));
+    nextBtn.addEventListener('click', () => step(1));
+
+    const refresh = () => {
+        if (searchInput.value) runSearch();
+    };
+    bus.on(EVENTS.EVENTS_ADDED, refresh);
+    bus.on(EVENTS.EVENTS_SYNCED, refresh);
+    bus.on(EVENTS.EVENT_DELETED, refresh);
+    bus.on(EVENTS.EVENTS_DELETED, refresh);
+    bus.on(EVENTS.EVENTS_CLEARED, refresh);
+    bus.on(EVENTS.FILTER_CHANGED, refresh);
+    bus.on(EVENTS.TIMELINE_JOINED, clearSearch);
+    bus.on(EVENTS.TIMELINE_DELETED, renderControls);
+    renderControls();
+}
@@ -0,0 +1,160 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {sessionState} from '../stores/session-store.js';
+import {highlightSelection, setTimelineSelectMode, zoomToRange} from '../timeline.js';
+import {buildExportDocument, eventsTimeRange, selectionToJson} from '../selection.js';
+import {renderMitreOptions} from '../detail-renderer.js';
+import {TACTICS, TECHNIQUES} from '../mitre.js';
+import {requireTimelineReady, sendAnnotateEventsToServer, sendDeleteEventsToServer} from '../sync.js';
+import {downloadJson} from '../utils.js';
+
+let selectModeBtn;
+let bar;
+let countEl;
+let annotateBtn;
+let annotateRow;
+let tacticSelect;
+let techniqueSelect;
+let commentInput;
+let copyBtn;
+let selected = [];
+let selectMode = false;
+let initialized = false;
+
+function render() {
+    bar.hidden = selected.length === 0;
+    countEl.textContent = `${selected.length.toLocaleString()} ${selected.length === 1 ? 'event' : 'events'} selected`;
+    if (selected.length === 0) {
+        annotateRow.hidden = true;
+        annotateBtn.classList.remove('active');
+    }
+    highlightSelection(selected.length > 0 ? new Set(selected.map(event => event.id)) : null);
+}
+
+/**
+ * Select events, replacing the current selection. Called by the timeline
+ * with the events inside a brushed rectangle.
+ *
+ * @param {Array} events - Events to select, in time order
+ */
+export function selectEvents(events) {
+    selected = events;
+    render();
+}
+
+/**
+ * Keep the selection in step with the timeline: drop events that were deleted
+ * or that the filter no longer lets through, and pick up re-parsed copies.
+ */
+function pruneSelection() {
+    if (selected.length === 0) return;
+    const result = state.filterResult;
+    const byId = new Map(state.events.map(event => [event.id, event]));
+    const kept = selected
+        .map(event => byId.get(event.id))
+        .filter(event => event && (!result.active || result.matches.has(event.id)));
+    selectEvents(kept);
+}
+
+function toggleSelectMode() {
+    selectMode = !selectMode;
+    selectModeBtn.classList.toggle('active', selectMode);
+    setTimelineSelectMode(selectMode);
+}
+
+function toggleAnnotate() {
+    annotateRow.hidden = !annotateRow.hidden;
+    annotateBtn.classList.toggle('active', !annotateRow.hidden);
+    if (!annotateRow.hidden) {
+        tacticSelect.innerHTML = renderMitreOptions(TACTICS, '', '-- Select Tactic --');
+        techniqueSelect.innerHTML = renderMitreOptions(null, '', '-- Select Technique --');
+        commentInput.value = '';
+    }
+}
+
+/**
+ * Annotate every selected event. A blank tactic keeps each event's current
+ * tactic and technique, and a blank comment keeps its current comment.
+ */
+function applyAnnotation() {
+    const tactic = tacticSelect.value;
+    const comment = commentInput.value.trim();
+    if (!tactic && !comment) return;
+    if (!requireTimelineReady('annotate events')) return;
+
+    sendAnnotateEventsToServer(selected.map(event => event.id), {
+        comment: comment || undefined,
+        mitreTactic: tactic || undefined,
+        mitreTechnique: tactic ? techniqueSelect.value : undefined
+    });
+    toggleAnnotate();
+}
+
+function deleteSelection() {
+    const count = selected.length;
+    if (!confirm(`Delete ${count.toLocaleString()} selected ${count === 1 ? 'event' : 'events'}? This cannot be undone.`)) return;
+    if (requireTimelineReady('delete events')) {
+        sendDeleteEventsToServer(selected.map(event => event.id));
+    }
+}
+
+function zoomToSelection() {
+    const range = eventsTimeRange(selected);
+    if (range) zoomToRange(...range);
+}
+
+async function copySelection() {
+    try {
+        await navigator.clipboard.writeText(selectionToJson(selected));
+        copyBtn.textContent = 'Copied';
+        setTimeout(() => {
+            copyBtn.textContent = 'Copy JSON';
+        }, 1500);
+    } catch {
+        sessionState.setLastError('Could not copy the selection to the clipboard.');
+    }
+}
+
+function exportSelection() {
+    downloadJson(buildExportDocument(selected, state.annotations, state.hostOffsets), 'ecs-selection');
+}
+
+export function initSelectionController() {
+    if (initialized) return;
+    initialized = true;
+
+    selectModeBtn = document.getElementById('select-mode-btn');
+    bar = document.getElementById('selection-bar');
+    countEl = document.getElementById('selection-count');
+    annotateBtn = document.getElementById('selection-annotate-btn');
+    annotateRow = document.getElementById('selection-annotate');
+    tacticSelect = document.getElementById('selection-tactic');
+    techniqueSelect = document.getElementById('selection-technique');
+    commentInput = document.getElementById('selection-comment');
+    copyBtn = document.getElementById('selection-copy-btn');
+
+    selectModeBtn.addEventListener('click', toggleSelectMode);
+    annotateBtn.addEventListener('click', toggleAnnotate);
+    tacticSelect.addEventListener('change', () => {
+        techniqueSelect.innerHTML = renderMitreOptions(TECHNIQUES[tacticSelect.value] || null, '', '-- Select Technique --');
+    });
+    document.getElementById('selection-apply-btn').addEventListener('click', applyAnnotation);
+    document.getElementById('selection-zoom-btn').addEventListener('click', zoomToSelection);
+    copyBtn.addEventListener('click', copySelection);
+    document.getElementById('selection-export-btn').addEventListener('click', exportSelection);
+    document.getElementById('selection-delete-btn').addEventListener('click', deleteSelection);
+    document.getElementById('selection-clear-btn').addEventListener('click', () => selectEvents([]));
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && selected.length > 0 && !event.target.closest('input, textarea, select')) {
+            selectEvents([]);
+        }
+    });
+
+    bus.on(EVENTS.EVENTS_SYNCED, pruneSelection);
+    bus.on(EVENTS.EVENT_DELETED, pruneSelection);
+    bus.on(EVENTS.EVENTS_DELETED, pruneSelection);
+    bus.on(EVENTS.EVENTS_CLEARED, pruneSelection);
+    bus.on(EVENTS.FILTER_CHANGED, pruneSelection);
+    bus.on(EVENTS.TIMELINE_JOINED, () => selectEvents([]));
+}
@@ -0,0 +1,74 @@
+import bus from '../event-bus.js';
+import {EVENTS} from '../events.js';
+import {state} from '../state.js';
+import {requireTimelineReady, updateTimeline} from '../sync.js';
+import {escapeHtml} from '../utils.js';
+import {LOCAL_ZONE, UTC_ZONE, resolveTimeZone} from '../../shared/time-zones.js';
+
+let displayZoneSelect;
+let assumeZoneSelect;
+let initialized = false;
+
+/**
+ * Build zone <option> HTML: UTC, the viewer's local zone, then every IANA zone
+ * the browser knows. A selected zone missing from the list is kept as an option.
+ *
+ * @param {string} selected - Zone to mark selected
+ * @returns {string} Options HTML
+ */
+function renderZoneOptions(selected) {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const options = [
+        {value: UTC_ZONE, label: 'UTC'},
+        {value: LOCAL_ZONE, label: `Local (${resolveTimeZone(LOCAL_ZONE)})`},
+        ...zones.filter(zone => zone !== UTC_ZONE).map(zone => ({value: zone, label: zone}))
+    ];
+    if (!options.some(option => option.value === selected)) {
+        options.push({value: selected, label: selected});
+    }
+    return options.map(option => `<option value="${escapeHtml(option.value)}"${option.value === selected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('');
+}
+
+function renderDisplayZone() {
+    displayZoneSelect.innerHTML = renderZoneOptions(state.displayZone);
+    displayZoneSelect.disabled = !state.currentTimelineId;
+}
+
+function handleDisplayZoneSelect() {
+    if (!requireTimelineReady('change the display zone')) {
+        displayZoneSelect.value = state.displayZone;
+        return;
+    }
+    updateTimeline(state.currentTimelineId, {displayZone: displayZoneSelect.value});
+}
+
+/**
+ * Zone the analyst says naive timestamps in the next import were recorded in.
+ * "Local" is resolved to the browser's IANA zone so the choice recorded on
+ * each event reads the same for every collaborator.
+ *
+ * @returns {string} IANA zone name or "UTC"
+ */
+export function getAssumedZone() {
+    return resolveTimeZone(assumeZoneSelect ? assumeZoneSelect.value : UTC_ZONE);
+}
+
+export function initTimeZoneController() {
+    if (initialized) return;
+    initialized = true;
+
+    displayZoneSelect = document.getElementById('display-zone-select');
+    assumeZoneSelect = document.getElementById('assume-zone-select');
+
+    assumeZoneSelect.innerHTML = renderZoneOptions(UTC_ZONE);
+    displayZoneSelect.addEventListener('change', handleDisplayZoneSelect);
+
+    const renderIfCurrent = (timeline) => {
+        if (timeline.id === state.currentTimelineId) renderDisplayZone();
+    };
+    bus.on(EVENTS.TIMELINE_JOINED, renderDisplayZone);
+    bus.on(EVENTS.TIMELINE_UPDATED, renderIfCurrent);
+    bus.on(EVENTS.TIMELINES_CHANGED, renderDisplayZone);
+    bus.on(EVENTS.TIMELINE_DELETED, renderDisplayZone);
+    renderDisplayZone();
+}
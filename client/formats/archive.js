@@ -0,0 +1,242 @@
+/**
+ * ECS Timeline Builder - Compressed Evidence Archives
+ * Expands dropped `.gz` files and `.zip` bundles into individual import
+ * sources. Zip members are located through the central directory and sliced
+ * out of the file lazily; decompression happens while streaming via
+ * `DecompressionStream`, so nothing is inflated up front.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIZE = 56;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+const ZIP64_EXTRA_ID = 0x0001;
+const UINT16_MAX = 0xFFFF;
+const UINT32_MAX = 0xFFFFFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Check whether a file name is a zip bundle.
+ *
+ * @param {string} name - File name
+ * @returns {boolean} True for `.zip` files
+ */
+export function isZipName(name) {
+    return name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Strip a trailing `.gz` so the inner file type ("events.ndjson.gz" is NDJSON)
+ * drives format handling.
+ *
+ * @param {string} name - File name
+ * @returns {string} Name without the gzip extension
+ */
+export function stripGzipExtension(name) {
+    return name.toLowerCase().endsWith('.gz') ? name.slice(0, -3) : name;
+}
+
+async function readView(blob, start, end) {
+    return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Locate the central directory from the end-of-central-directory record,
+ * following the zip64 locator when the classic fields are saturated.
+ *
+ * @param {Blob} blob - Zip file
+ * @returns {Promise<{count: number, size: number, offset: number}>} Central directory bounds
+ * @throws {Error} If the file is not a zip archive
+ */
+async function readDirectoryBounds(blob) {
+    const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT_LENGTH);
+    const tail = await readView(blob, tailStart, blob.size);
+
+    let eocd = -1;
+    for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+        if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive');
+
+    const bounds = {
+        count: tail.getUint16(eocd + 10, true),
+        size: tail.getUint32(eocd + 12, true),
+        offset: tail.getUint32(eocd + 16, true)
+    };
+    if (bounds.count !== UINT16_MAX && bounds.size !== UINT32_MAX && bounds.offset !== UINT32_MAX) {
+        return bounds;
+    }
+
+    const locator = eocd - ZIP64_LOCATOR_SIZE;
+    if (locator < 0 || tail.getUint32(locator, true) !== ZIP64_LOCATOR_SIGNATURE) {
+        throw new Error('Corrupt zip64 archive');
+    }
+    const recordOffset = Number(tail.getBigUint64(locator + 8, true));
+    const record = await readView(blob, recordOffset, recordOffset + ZIP64_EOCD_SIZE);
+    if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) throw new Error('Corrupt zip64 archive');
+
+    return {
+        count: Number(record.getBigUint64(32, true)),
+        size: Number(record.getBigUint64(40, true)),
+        offset: Number(record.getBigUint64(48, true))
+    };
+}
+
+/**
+ * List the file entries of a zip archive (directories are omitted).
+ *
+ * @param {Blob} blob - Zip file
+ * @returns {Promise<Array<{name: string, method: number, compressedSize: number,
+ *   uncompressedSize: number, localOffset: number, encrypted: boolean}>>} Entries in directory order
+ * @throws {Error} If the archive or its central directory is corrupt
+ */
+export async function readZipEntries(blob) {
+    const {count, size, offset} = await readDirectoryBounds(blob);
+    const directory = await readView(blob, offset, offset + size);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > directory.byteLength || directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const entry = {
+            name: '',
+            method: directory.getUint16(position + 10, true),
+            compressedSize: directory.getUint32(position + 20, true),
+            uncompressedSize: directory.getUint32(position + 24, true),
+            localOffset: directory.getUint32(position + 42, true),
+            encrypted: (directory.getUint16(position + 8, true) & 1) !== 0
+        };
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const nameStart = position + 46;
+        entry.name = decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + nameStart, nameLength));
+
+        // Saturated 32-bit fields are stored in the zip64 extra field, in this order
+        const extraEnd = nameStart + nameLength + extraLength;
+        for (let extra = nameStart + nameLength; extra + 4 <= extraEnd;) {
+            const id = directory.getUint16(extra, true);
+            const length = directory.getUint16(extra + 2, true);
+            if (id === ZIP64_EXTRA_ID) {
+                let field = extra + 4;
+                for (const key of ['uncompressedSize', 'compressedSize', 'localOffset']) {
+                    if (entry[key] === UINT32_MAX && field + 8 <= extra + 4 + length) {
+                        entry[key] = Number(directory.getBigUint64(field, true));
+                        field += 8;
+                    }
+                }
+            }
+            extra += 4 + length;
+        }
+
+        position = extraEnd + commentLength;
+        if (!entry.name.endsWith('/')) entries.push(entry);
+    }
+
+    return entries;
+}
+
+/**
+ * Slice a zip entry's compressed data out of the archive.
+ *
+ * @param {Blob} blob - Zip file
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {Promise<Blob>} Compressed member data
+ * @throws {Error} If the entry is encrypted, uses an unsupported method, or its header is corrupt
+ */
+async function sliceZipEntry(blob, entry) {
+    if (entry.encrypted) throw new Error('Encrypted zip entries are not supported');
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+        throw new Error(`Unsupported zip compression method ${entry.method}`);
+    }
+
+    const header = await readView(blob, entry.localOffset, entry.localOffset + LOCAL_HEADER_SIZE);
+    if (header.byteLength < LOCAL_HEADER_SIZE || header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt zip local header');
+    }
+    const dataStart = entry.localOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+    return blob.slice(dataStart, dataStart + entry.compressedSize);
+}
+
+/**
+ * macOS Finder adds `__MACOSX/` resource forks and `._` AppleDouble files to zips.
+ *
+ * @param {string} name - Entry path
+ * @returns {boolean} True for metadata entries that are not evidence
+ */
+function isMetadataEntry(name) {
+    return name.startsWith('__MACOSX/') || name.split('/').pop().startsWith('._');
+}
+
+function addGzipLayer(source) {
+    if (source.name.toLowerCase().endsWith('.gz')) source.decompress.push('gzip');
+    return source;
+}
+
+/**
+ * Expand a dropped file into import sources. Plain and `.gz` files yield one
+ * source; a `.zip` yields one per member (members may themselves be `.gz`).
+ * Members that cannot be opened are returned with a `failure` message so they
+ * can be reported alongside the rest.
+ *
+ * @param {File} file - Dropped file
+ * @returns {Promise<Array<{name: string, blob: Blob|null, decompress: string[], failure?: string}>>}
+ *   Sources with the DecompressionStream formats to apply, outermost first
+ * @throws {Error} If a `.zip` file's directory cannot be read
+ */
+export async function expandArchive(file) {
+    if (!isZipName(file.name)) {
+        return [addGzipLayer({name: file.name, blob: file, decompress: []})];
+    }
+
+    const sources = [];
+    for (const entry of await readZipEntries(file)) {
+        if (isMetadataEntry(entry.name)) continue;
+
+        const name = `${file.name}/${entry.name}`;
+        try {
+            const blob = await sliceZipEntry(file, entry);
+            const decompress = entry.method === METHOD_DEFLATE ? ['deflate-raw'] : [];
+            sources.push(addGzipLayer({name, blob, decompress}));
+        } catch (error) {
+            sources.push({name, blob: null, decompress: [], failure: error.message});
+        }
+    }
+    return sources;
+}
+
+/**
+ * Pipe a byte stream through each decompression layer in turn.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - Compressed bytes
+ * @param {string[]} formats - DecompressionStream formats, outermost first
+ * @returns {ReadableStream<Uint8Array>} Decompressed bytes
+ */
+export function decompressStream(stream, formats) {
+    return formats.reduce((current, format) => current.pipeThrough(new DecompressionStream(format)), stream);
+}
+
+/**
+ * Read a whole source as text, decompressing as needed.
+ *
+ * @param {{blob: Blob, decompress: string[]}} source - Source from expandArchive()
+ * @returns {Promise<string>} Decoded UTF-8 text
+ */
+export function readSourceText(source) {
+    return new Response(decompressStream(source.blob.stream(), source.decompress)).text();
+}
@@ -0,0 +1,266 @@
+/**
+ * ECS Timeline Builder - AWS CloudTrail Ingestion
+ * Translates raw CloudTrail records (trail log files and CloudTrail Lake query
+ * results) into ECS documents laid out like Elastic's AWS integration, and
+ * derives a swim-lane identity from the acting principal.
+ */
+
+import {pruneEmpty} from './ecs-utils.js';
+
+/**
+ * API calls that establish or exchange credentials. Anything else from these
+ * services is still IAM activity and categorised as `iam`.
+ */
+const AUTHENTICATION_ACTIONS = new Set([
+    'ConsoleLogin', 'AssumeRole', 'AssumeRoleWithSAML', 'AssumeRoleWithWebIdentity',
+    'GetSessionToken', 'GetFederationToken', 'SwitchRole', 'ExitRole', 'CheckMfa'
+]);
+const IAM_SOURCES = new Set(['iam.amazonaws.com', 'sts.amazonaws.com', 'signin.amazonaws.com', 'sso.amazonaws.com']);
+
+/**
+ * ECS paths that hold a principal ARN, most specific first. An assumed role's
+ * session issuer is preferred so every session of the same role shares a lane.
+ */
+const PRINCIPAL_ARN_PATHS = [
+    ['aws', 'cloudtrail', 'user_identity', 'session_context', 'session_issuer', 'arn'],
+    ['aws', 'cloudtrail', 'user_identity', 'arn']
+];
+
+const IP_PATTERN = /^(\d{1,3}\.){3}\d{1,3}$|^[0-9a-f:]+:[0-9a-f:.]*$/i;
+
+/**
+ * Check whether an object is a raw (non-ECS) CloudTrail record.
+ *
+ * @param {Object} record - Candidate event object
+ * @returns {boolean} True if it carries CloudTrail's eventTime/eventName and an event source or identity
+ */
+export function isCloudTrailRecord(record) {
+    if (!record || typeof record !== 'object') return false;
+    return typeof record.eventTime === 'string'
+        && typeof record.eventName === 'string'
+        && (typeof record.eventSource === 'string' || typeof record.userIdentity === 'object');
+}
+
+/**
+ * Expand a dotted key ("userIdentity.arn") into nested objects on a target.
+ *
+ * @param {Object} target - Object to write into
+ * @param {string} key - Column name, possibly dotted
+ * @param {*} value - Column value
+ */
+function assignColumn(target, key, value) {
+    const parts = key.split('.');
+    let current = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (!current[parts[i]] || typeof current[parts[i]] !== 'object') current[parts[i]] = {};
+        current = current[parts[i]];
+    }
+    current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Unwrap a CloudTrail container into its records.
+ * Handles trail log files (`{Records: [...]}`) and CloudTrail Lake query results
+ * (`{QueryResultRows: [[{column: value}, ...], ...]}`).
+ *
+ * @param {Object} value - Parsed JSON document
+ * @returns {Object[]|null} Contained records, or null if the value is not a CloudTrail container
+ */
+export function unwrapCloudTrailContainer(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    if (Array.isArray(value.Records) && (value.Records.length === 0 || isCloudTrailRecord(value.Records[0]))) {
+        return value.Records;
+    }
+
+    if (Array.isArray(value.QueryResultRows)) {
+        return value.QueryResultRows.map(row => {
+            const record = {};
+            for (const column of Array.isArray(row) ? row : [row]) {
+                for (const [key, cell] of Object.entries(column)) {
+                    assignColumn(record, key, parseLakeCell(cell));
+                }
+            }
+            return record;
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Lake returns nested columns (userIdentity, requestParameters, ...) as JSON text.
+ *
+ * @param {*} cell - Column value
+ * @returns {*} Parsed object for JSON-looking strings, otherwise the value unchanged
+ */
+function parseLakeCell(cell) {
+    if (typeof cell !== 'string' || !/^\s*[{[]/.test(cell)) return cell;
+    try {
+        return JSON.parse(cell);
+    } catch {
+        return cell;
+    }
+}
+
+/**
+ * Normalize CloudTrail timestamps. Trail logs use ISO 8601 with `Z`; Lake uses
+ * "YYYY-MM-DD HH:MM:SS.sss" in UTC without a zone designator.
+ *
+ * @param {string} value - CloudTrail eventTime
+ * @returns {string} ISO 8601 timestamp
+ */
+function normalizeEventTime(value) {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2}(?:\.\d+)?)$/);
+    return match ? `${match[1]}T${match[2]}Z` : value;
+}
+
+function categorize(record) {
+    if (AUTHENTICATION_ACTIONS.has(record.eventName)) return ['authentication'];
+    if (IAM_SOURCES.has(record.eventSource)) return ['iam'];
+    return ['configuration'];
+}
+
+/**
+ * Translate a raw CloudTrail record into an ECS document.
+ *
+ * @param {Object} record - CloudTrail record
+ * @returns {Object} ECS event object
+ */
+export function cloudTrailToEcs(record) {
+    const identity = record.userIdentity || {};
+    const sessionContext = identity.sessionContext || {};
+    const issuer = sessionContext.sessionIssuer || {};
+    const sourceAddress = record.sourceIPAddress;
+    const isIp = typeof sourceAddress === 'string' && IP_PATTERN.test(sourceAddress);
+    const readOnly = record.readOnly === true || record.readOnly === 'true';
+
+    const ecs = {
+        '@timestamp': normalizeEventTime(record.eventTime),
+        event: {
+            id: record.eventID,
+            action: record.eventName,
+            provider: record.eventSource,
+            kind: 'event',
+            module: 'aws',
+            dataset: 'aws.cloudtrail',
+            category: categorize(record),
+            type: readOnly ? ['info'] : ['change'],
+            outcome: record.errorCode ? 'failure' : 'success'
+        },
+        cloud: {
+            provider: 'aws',
+            region: record.awsRegion,
+            account: {id: record.recipientAccountId || identity.accountId}
+        },
+        source: {
+            ip: isIp ? sourceAddress : undefined,
+            address: sourceAddress,
+            domain: isIp ? undefined : sourceAddress
+        },
+        user_agent: {original: record.userAgent},
+        user: {
+            name: identity.userName || issuer.userName,
+            id: identity.principalId
+        },
+        error: record.errorCode ? {code: record.errorCode, message: record.errorMessage} : undefined,
+        aws: {
+            cloudtrail: {
+                event_type: record.eventType,
+                event_version: record.eventVersion,
+                event_category: record.eventCategory,
+                recipient_account_id: record.recipientAccountId,
+                request_id: record.requestID,
+                shared_event_id: record.sharedEventID,
+                read_only: record.readOnly === undefined ? undefined : readOnly,
+                request_parameters: record.requestParameters,
+                response_elements: record.responseElements,
+                additional_eventdata: record.additionalEventData,
+                resources: Array.isArray(record.resources)
+                    ? record.resources.map(resource => ({
+                        arn: resource.ARN,
+                        type: resource.type,
+                        account_id: resource.accountId
+                    }))
+                    : undefined,
+                user_identity: {
+                    type: identity.type,
+                    arn: identity.arn,
+                    access_key_id: identity.accessKeyId,
+                    invoked_by: identity.invokedBy,
+                    session_context: {
+                        mfa_authenticated: sessionContext.attributes?.mfaAuthenticated,
+                        creation_date: sessionContext.attributes?.creationDate,
+                        session_issuer: {
+                            type: issuer.type,
+                            arn: issuer.arn,
+                            principal_id: issuer.principalId,
+                            account_id: issuer.accountId
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    return pruneEmpty(ecs);
+}
+
+/**
+ * Read a path from an object, taking the first element of ES-style arrays.
+ *
+ * @param {Object} obj - Object to traverse
+ * @param {string[]} path - Path segments
+ * @returns {*} Resolved value, or undefined
+ */
+function readPath(obj, path) {
+    let current = obj;
+    for (const key of path) {
+        if (current == null) return undefined;
+        current = current[key];
+        if (Array.isArray(current)) current = current[0];
+    }
+    return current;
+}
+
+/**
+ * Shorten an ARN to "<account>:<resource>", collapsing assumed-role sessions
+ * ("assumed-role/Role/session") onto their role.
+ *
+ * @param {string} arn - IAM or STS ARN
+ * @returns {string} Lane identifier
+ */
+function principalFromArn(arn) {
+    const parts = arn.split(':');
+    if (parts.length < 6) return arn;
+    const account = parts[4];
+    let resource = parts.slice(5).join(':');
+    const assumed = resource.match(/^assumed-role\/([^/]+)/);
+    if (assumed) resource = `role/${assumed[1]}`;
+    return account ? `${account}:${resource}` : resource;
+}
+
+/**
+ * Derive a swim-lane identity for cloud audit events, which have no host.
+ * Uses the acting principal (role or user ARN), then the invoking AWS service,
+ * then the account.
+ *
+ * @param {Object} event - ECS event object
+ * @returns {string|null} Principal lane name, or null for non-CloudTrail events
+ */
+export function cloudTrailPrincipal(event) {
+    for (const path of PRINCIPAL_ARN_PATHS) {
+        const arn = readPath(event, path);
+        if (typeof arn === 'string' && arn.startsWith('arn:')) return principalFromArn(arn);
+    }
+
+    const invokedBy = readPath(event, ['aws', 'cloudtrail', 'user_identity', 'invoked_by']);
+    if (typeof invokedBy === 'string' && invokedBy) return invokedBy;
+
+    if (readPath(event, ['event', 'dataset']) === 'aws.cloudtrail') {
+        const account = readPath(event, ['cloud', 'account', 'id']);
+        if (account) return String(account);
+    }
+
+    return null;
+}
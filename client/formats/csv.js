@@ -0,0 +1,290 @@
+/**
+ * ECS Timeline Builder - CSV/TSV Ingestion
+ * Parses delimited text (firewall/EDR exports, plaso l2tcsv) and turns rows into
+ * nested ECS documents using an analyst-supplied column-to-field mapping.
+ */
+
+import {setNestedValue} from '../parser.js';
+import {LOCAL_ZONE, isValidTimeZone, parseNaiveTimestamp, toIsoDateTime} from '../../shared/time-zones.js';
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * ECS paths whose values are numeric in the schema. Column values mapped to these
+ * paths are converted to numbers when they look like integers.
+ */
+const NUMERIC_PATH_SUFFIXES = ['.port', '.pid', '.bytes', '.packets', '.exit_code', '.size'];
+
+/**
+ * Column header aliases used to pre-fill the mapping dialog. Keys are lowercased
+ * headers with non-alphanumerics stripped; values are ECS dot-notation paths.
+ */
+const HEADER_ALIASES = {
+    timestamp: '@timestamp', time: '@timestamp', datetime: '@timestamp', date: '@timestamp',
+    eventtime: '@timestamp', timegenerated: '@timestamp', timecreated: '@timestamp',
+    utctime: '@timestamp',
+    host: 'host.name', hostname: 'host.name', computer: 'host.name', computername: 'host.name',
+    devicename: 'host.name', device: 'host.name', endpoint: 'host.name',
+    hostip: 'host.ip', deviceip: 'host.ip',
+    srcip: 'source.ip', sourceip: 'source.ip', src: 'source.ip', sourceaddress: 'source.ip',
+    srcport: 'source.port', sourceport: 'source.port', sport: 'source.port',
+    dstip: 'destination.ip', destip: 'destination.ip', destinationip: 'destination.ip',
+    dst: 'destination.ip', destinationaddress: 'destination.ip',
+    dstport: 'destination.port', destport: 'destination.port', destinationport: 'destination.port',
+    dport: 'destination.port',
+    protocol: 'network.transport', proto: 'network.transport', transport: 'network.transport',
+    action: 'event.action', eventaction: 'event.action', activity: 'event.action',
+    category: 'event.category', eventcategory: 'event.category',
+    outcome: 'event.outcome', result: 'event.outcome',
+    eventid: 'event.code', eventcode: 'event.code',
+    user: 'user.name', username: 'user.name', account: 'user.name', accountname: 'user.name',
+    process: 'process.name', processname: 'process.name', image: 'process.executable',
+    commandline: 'process.command_line', cmdline: 'process.command_line',
+    pid: 'process.pid', processid: 'process.pid',
+    parentprocess: 'process.parent.name', parentprocessname: 'process.parent.name',
+    file: 'file.path', filename: 'file.path', filepath: 'file.path', path: 'file.path',
+    sha256: 'file.hash.sha256', md5: 'file.hash.md5', sha1: 'file.hash.sha1',
+    url: 'url.full', domain: 'url.domain', query: 'dns.question.name',
+    message: 'message', description: 'message', desc: 'message',
+    rule: 'rule.name', rulename: 'rule.name', signature: 'rule.name',
+    severity: 'event.severity', timezone: 'event.timezone'
+};
+
+/**
+ * Column layout of plaso's `l2tcsv` output. When a header row matches it exactly
+ * the date and time columns are combined into @timestamp; its dates are month-first.
+ */
+const L2TCSV_MAPPING = {
+    date: '@timestamp', time: '@timestamp', timezone: 'event.timezone', MACB: '',
+    source: 'event.dataset', sourcetype: 'event.provider', type: 'event.action',
+    user: 'user.name', host: 'host.name', short: '', desc: 'message', version: '',
+    filename: 'file.path', inode: 'file.inode', notes: '', format: 'event.module', extra: ''
+};
+
+/**
+ * Common ECS field paths offered as suggestions in the mapping dialog.
+ */
+export const ECS_FIELD_SUGGESTIONS = [
+    '@timestamp', 'message', 'event.action', 'event.category', 'event.type', 'event.outcome',
+    'event.code', 'event.dataset', 'event.module', 'event.provider', 'event.severity',
+    'event.timezone', 'event.id',
+    'host.name', 'host.hostname', 'host.ip', 'observer.name',
+    'source.ip', 'source.port', 'source.domain', 'source.bytes',
+    'destination.ip', 'destination.port', 'destination.domain', 'destination.bytes',
+    'network.transport', 'network.protocol', 'network.direction', 'network.community_id',
+    'user.name', 'user.domain', 'user.id',
+    'process.name', 'process.pid', 'process.executable', 'process.command_line',
+    'process.parent.name', 'process.parent.pid', 'process.entity_id',
+    'file.path', 'file.name', 'file.hash.sha256', 'file.hash.md5',
+    'registry.path', 'dns.question.name', 'url.full', 'url.domain',
+    'rule.name', 'threat.technique.id'
+];
+
+/**
+ * Guess the delimiter of a delimited text block by counting candidates on the
+ * header line (outside of quotes).
+ *
+ * @param {string} text - Delimited text
+ * @returns {string} The most frequent candidate delimiter (defaults to ",")
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        let count = 0;
+        let inQuotes = false;
+        for (const ch of firstLine) {
+            if (ch === '"') inQuotes = !inQuotes;
+            else if (ch === delimiter && !inQuotes) count++;
+        }
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Check whether text looks like a delimited table rather than JSON/XML or a
+ * `#`-headed log (Zeek TSV).
+ *
+ * @param {string} text - Candidate input
+ * @returns {boolean} True if the header line contains at least one delimiter
+ */
+export function isDelimitedText(text) {
+    const trimmed = text.trim();
+    if (!trimmed || '[{<#'.includes(trimmed[0])) return false;
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    return CANDIDATE_DELIMITERS.some(delimiter => firstLine.includes(delimiter));
+}
+
+/**
+ * Parse RFC 4180-style delimited text into rows of string cells.
+ * Handles quoted cells, doubled quotes, embedded delimiters/newlines, and CRLF.
+ *
+ * @param {string} text - Delimited text
+ * @param {string} [delimiter] - Cell delimiter; detected when omitted
+ * @returns {string[][]} Rows of cells; blank lines are dropped
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"' && cell === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Normalize a header for alias lookup ("Src IP" -> "srcip").
+ *
+ * @param {string} header - Raw header cell
+ * @returns {string} Lowercased alphanumeric key
+ */
+function headerKey(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest an ECS path for each column from its header.
+ * Headers that are already ECS dot paths (e.g., "source.ip") map to themselves.
+ *
+ * @param {string[]} headers - Header row
+ * @returns {string[]} ECS path per column, or '' to ignore the column
+ */
+export function suggestFieldMapping(headers) {
+    if (isL2tCsv(headers)) {
+        return headers.map(header => L2TCSV_MAPPING[header]);
+    }
+
+    const used = new Set();
+    return headers.map(header => {
+        const trimmed = header.trim();
+        let path = '';
+        if (/^@?[a-z_]+(\.[a-z0-9_]+)+$/.test(trimmed) || trimmed === '@timestamp') {
+            path = trimmed;
+        } else {
+            path = HEADER_ALIASES[headerKey(trimmed)] || '';
+        }
+        // Only the first matching column gets a suggestion, except @timestamp parts
+        // (separate date and time columns are joined)
+        if (path && path !== '@timestamp' && used.has(path)) return '';
+        if (path) used.add(path);
+        return path;
+    });
+}
+
+/**
+ * Check whether a header row is plaso's l2tcsv layout.
+ *
+ * @param {string[]} headers - Header row
+ * @returns {boolean} True if every l2tcsv column is present in order
+ */
+export function isL2tCsv(headers) {
+    const expected = Object.keys(L2TCSV_MAPPING);
+    return headers.length === expected.length && headers.every((header, i) => header.trim() === expected[i]);
+}
+
+/**
+ * Convert a cell value for the target ECS path.
+ *
+ * @param {string} path - ECS path the cell is mapped to
+ * @param {string} value - Raw cell text
+ * @returns {string|number} Number for numeric ECS fields holding integers, otherwise the string
+ */
+function coerceValue(path, value) {
+    if (NUMERIC_PATH_SUFFIXES.some(suffix => path.endsWith(suffix)) && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Put a row's joined @timestamp in ISO form. When the row names its zone (the
+ * l2tcsv timezone column, mapped to event.timezone) a naive value is read in
+ * it; otherwise it stays naive and is read in the import's zone.
+ *
+ * @param {string} value - Joined @timestamp cells
+ * @param {string|undefined} zone - The row's event.timezone cell
+ * @param {string|null} dateOrder - MONTH_FIRST, DAY_FIRST or null (see toIsoDateTime())
+ * @returns {string} ISO date-time, with a Z when the zone was applied
+ */
+function normalizeRowTimestamp(value, zone, dateOrder) {
+    const iso = toIsoDateTime(value, dateOrder) || value;
+    const instant = zone && zone !== LOCAL_ZONE && isValidTimeZone(zone) ? parseNaiveTimestamp(iso, zone) : null;
+    return instant ? instant.toISOString() : iso;
+}
+
+/**
+ * Build nested ECS documents from data rows using a column mapping.
+ * Columns mapped to the same path are joined with a space (e.g., separate date and
+ * time columns both mapped to @timestamp). Empty cells are omitted. Slashed
+ * dates are rewritten in ISO form (see normalizeRowTimestamp()); dates with the
+ * year last only when `dateOrder` says which of day and month comes first.
+ *
+ * @param {string[][]} rows - Data rows (header row excluded)
+ * @param {string[]} mapping - ECS path per column; '' ignores the column
+ * @param {Object} [options]
+ * @param {string|null} [options.dateOrder=null] - MONTH_FIRST (l2tcsv) or DAY_FIRST for year-last dates
+ * @returns {Object[]} ECS event objects ready for parseEvents()
+ */
+export function buildEcsEvents(rows, mapping, {dateOrder = null} = {}) {
+    return rows.map(row => {
+        const joined = new Map();
+        mapping.forEach((path, column) => {
+            if (!path) return;
+            const value = (row[column] ?? '').trim();
+            if (!value) return;
+            joined.set(path, joined.has(path) ? `${joined.get(path)} ${value}` : value);
+        });
+        if (joined.has('@timestamp')) {
+            joined.set('@timestamp', normalizeRowTimestamp(joined.get('@timestamp'), joined.get('event.timezone'), dateOrder));
+        }
+
+        const event = {};
+        for (const [path, value] of joined) {
+            setNestedValue(event, path, coerceValue(path, value));
+        }
+        return event;
+    });
+}
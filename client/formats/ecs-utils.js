@@ -0,0 +1,23 @@
+/**
+ * ECS Timeline Builder - ECS Document Helpers
+ * Small utilities shared by the native-format translators in this directory.
+ */
+
+/**
+ * Drop null/undefined values, and objects left empty, so mapped documents stay
+ * sparse and the detail panel does not show blank sections.
+ *
+ * @param {Object} obj - Object to prune in place
+ * @returns {Object} The same object
+ */
+export function pruneEmpty(obj) {
+    for (const [key, value] of Object.entries(obj)) {
+        if (value === undefined || value === null) {
+            delete obj[key];
+        } else if (typeof value === 'object' && !Array.isArray(value)) {
+            pruneEmpty(value);
+            if (Object.keys(value).length === 0) delete obj[key];
+        }
+    }
+    return obj;
+}
@@ -0,0 +1,160 @@
+/**
+ * ECS Timeline Builder - Streaming JSON Record Splitter
+ * Splits a chunked text stream into individual JSON records without ever
+ * holding the whole input in memory. Understands the same layouts as
+ * parseEvents(): a top-level JSON array, NDJSON, and back-to-back objects.
+ */
+
+/**
+ * Creates a stateful splitter that accepts text chunks and returns parsed records.
+ *
+ * Layout is detected from the first record:
+ * - A leading `[` switches to array mode; each top-level array element is a record.
+ * - If the first object fits on one line the input is treated as NDJSON and every
+ *   non-empty line is parsed independently, so one bad line cannot swallow the rest.
+ * - Otherwise objects are split structurally (pretty-printed or concatenated objects).
+ *
+ * @returns {{push: Function, flush: Function}} Splitter; push(chunk) and flush() both
+ *   return `{records: Array<Object>, errors: Array<{line: number, message: string}>}`
+ */
+export function createJsonRecordSplitter() {
+    let mode = null;            // 'array' | 'lines' | 'objects' | 'done' | 'invalid'
+    let buffer = '';
+    let line = 1;               // current line number in the overall stream
+    let recordLine = 1;         // line on which the record in progress started
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let recordHasNewline = false;
+    let recordCount = 0;
+
+    function parseRecord(text, startLine, out) {
+        try {
+            const value = JSON.parse(text);
+            if (Array.isArray(value)) {
+                out.records.push(...value);
+            } else {
+                out.records.push(value);
+            }
+        } catch (error) {
+            out.errors.push({line: startLine, message: error.message});
+        }
+    }
+
+    function pushLines(chunk, out, isFinal) {
+        buffer += chunk;
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const text = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            if (text) parseRecord(text, line, out);
+            line++;
+        }
+        if (isFinal) {
+            const text = buffer.trim();
+            buffer = '';
+            if (text) parseRecord(text, line, out);
+        }
+    }
+
+    function pushStructural(chunk, out) {
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+
+            if (ch === '\n') {
+                line++;
+                if (depth > 0) recordHasNewline = true;
+            }
+
+            if (mode === null) {
+                if (ch === '[') {
+                    mode = 'array';
+                    continue;
+                }
+                if (ch === '{') {
+                    mode = 'objects';
+                } else if (/\s/.test(ch)) {
+                    continue;
+                } else {
+                    out.errors.push({line, message: 'Input does not appear to be valid JSON'});
+                    mode = 'invalid';
+                    return '';
+                }
+            }
+
+            if (depth === 0) {
+                // Between records: skip separators until the next object/array opens
+                if (ch === '{' || ch === '[') {
+                    depth = 1;
+                    buffer = ch;
+                    recordLine = line;
+                    recordHasNewline = false;
+                } else if (mode === 'array' && ch === ']') {
+                    mode = 'done';
+                }
+                continue;
+            }
+
+            buffer += ch;
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{' || ch === '[') {
+                depth++;
+            } else if (ch === '}' || ch === ']') {
+                depth--;
+                if (depth === 0) {
+                    const text = buffer;
+                    const singleLine = !recordHasNewline;
+                    buffer = '';
+                    recordCount++;
+                    parseRecord(text, recordLine, out);
+
+                    // First object on a single line: the rest is NDJSON
+                    if (mode === 'objects' && singleLine && recordCount === 1) {
+                        mode = 'lines';
+                        return chunk.slice(i + 1);
+                    }
+                }
+            }
+        }
+        return '';
+    }
+
+    function consume(chunk, isFinal) {
+        const out = {records: [], errors: []};
+
+        if (mode === null || mode === 'array' || mode === 'objects') {
+            const rest = pushStructural(chunk, out);
+            if (mode === 'lines') {
+                pushLines(rest, out, isFinal);
+            }
+        } else if (mode === 'lines') {
+            pushLines(chunk, out, isFinal);
+        }
+
+        if (isFinal && depth > 0) {
+            out.errors.push({line: recordLine, message: 'Unexpected end of input inside a JSON record'});
+            depth = 0;
+            buffer = '';
+        }
+
+        return out;
+    }
+
+    return {
+        push: (chunk) => consume(chunk, false),
+        flush: () => consume('', true)
+    };
+}
@@ -0,0 +1,567 @@
+/**
+ * ECS Timeline Builder - Windows Event Log XML Ingestion
+ * Parses Event Viewer "Save as XML" exports (`<Events><Event>...`) and
+ * `wevtutil qe /f:xml` output (bare `<Event>` elements), and translates the
+ * events into ECS documents laid out like Winlogbeat's, with common Security,
+ * System and Sysmon event IDs mapped to ECS categories.
+ */
+
+import {pruneEmpty} from './ecs-utils.js';
+
+const EVENT_OPEN_PATTERN = /<Event[\s>]/;
+const EVENT_CLOSE_TAG = '</Event>';
+
+/**
+ * XML tokens: comment, processing instruction/doctype, CDATA, tag, text.
+ * Groups: 1 CDATA body, 2 closing slash, 3 tag name, 4 attributes, 5 self-closing slash, 6 text.
+ */
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<[?!](?!\[CDATA\[)[\s\S]*?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_PATTERN = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const NAMED_ENTITIES = {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'"};
+
+/** Keyword bits Windows sets on Security audit events. */
+const AUDIT_SUCCESS = 0x20000000000000n;
+const AUDIT_FAILURE = 0x10000000000000n;
+
+const LEVEL_NAMES = {0: 'information', 1: 'critical', 2: 'error', 3: 'warning', 4: 'information', 5: 'verbose'};
+
+const LOGON_TYPES = {
+    2: 'Interactive',
+    3: 'Network',
+    4: 'Batch',
+    5: 'Service',
+    7: 'Unlock',
+    8: 'NetworkCleartext',
+    9: 'NewCredentials',
+    10: 'RemoteInteractive',
+    11: 'CachedInteractive'
+};
+
+const SYSMON_PROVIDER = 'Microsoft-Windows-Sysmon';
+
+/**
+ * Check whether text is Windows event XML.
+ *
+ * @param {string} text - Candidate input
+ * @returns {boolean} True if the first element is `<Events>` or `<Event>`
+ */
+export function isWindowsEventXml(text) {
+    const body = text.trimStart()
+        .replace(/^<\?xml[\s\S]*?\?>\s*/, '')
+        .replace(/^(<!--[\s\S]*?-->\s*)+/, '');
+    return /^<Events?[\s>]/.test(body);
+}
+
+/**
+ * Replace XML character and predefined entity references.
+ *
+ * @param {string} text - Escaped XML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        if (entity[0] !== '#') return NAMED_ENTITIES[entity.toLowerCase()];
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    });
+}
+
+function localName(name) {
+    const colonIndex = name.indexOf(':');
+    return colonIndex === -1 ? name : name.slice(colonIndex + 1);
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(ATTRIBUTE_PATTERN)) {
+        if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+        attributes[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+}
+
+/**
+ * Parse a single XML element into a node tree. Namespace prefixes are dropped.
+ *
+ * @param {string} xml - Text of one element
+ * @returns {{name: string, attributes: Object, children: Array, text: string}} Root element
+ * @throws {Error} If tags are mismatched or left open
+ */
+function parseElement(xml) {
+    const root = {name: null, attributes: {}, children: [], text: ''};
+    const stack = [root];
+
+    for (const [, cdata, closing, tagName, attributeText, selfClosing, text] of xml.matchAll(TOKEN_PATTERN)) {
+        const current = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (tagName && closing) {
+            const name = localName(tagName);
+            if (current.name !== name) throw new Error(`Unexpected </${name}>`);
+            stack.pop();
+        } else if (tagName) {
+            const node = {name: localName(tagName), attributes: parseAttributes(attributeText), children: [], text: ''};
+            current.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+    if (root.children.length === 0) throw new Error('No element found');
+    return root.children[0];
+}
+
+/**
+ * Convert an element to a plain value: leaf elements become their text, others an
+ * object of attributes and child values (repeated children collect into arrays).
+ * Text alongside attributes or children is kept under `#text`.
+ *
+ * @param {Object} node - Parsed element
+ * @returns {string|Object} Plain value
+ */
+function elementToValue(node) {
+    const text = node.text.trim();
+    if (node.children.length === 0 && Object.keys(node.attributes).length === 0) return text;
+
+    const value = {...node.attributes};
+    for (const child of node.children) {
+        const childValue = elementToValue(child);
+        value[child.name] = child.name in value ? [].concat(value[child.name], childValue) : childValue;
+    }
+    if (text) value['#text'] = text;
+    return value;
+}
+
+/**
+ * Collect `<Data Name="...">` values. Unnamed data items are numbered
+ * `param1`, `param2`, ... as Winlogbeat does; empty values are dropped.
+ *
+ * @param {Object} node - EventData element
+ * @returns {Object<string, string>} Event data keyed by name
+ */
+function eventDataToObject(node) {
+    const data = {};
+    let unnamed = 0;
+    for (const child of node.children) {
+        const value = child.text.trim();
+        if (!value) continue;
+        const name = child.name === 'Data' ? (child.attributes.Name || `param${++unnamed}`) : child.name;
+        data[name] = value;
+    }
+    return data;
+}
+
+/**
+ * Convert a parsed `<Event>` element into a record keyed by section
+ * (`System`, `EventData`, `UserData`, `RenderingInfo`).
+ *
+ * @param {Object} node - Event element
+ * @returns {Object} Windows event record
+ */
+function eventNodeToRecord(node) {
+    const record = {};
+    for (const section of node.children) {
+        record[section.name] = section.name === 'EventData' ? eventDataToObject(section) : elementToValue(section);
+    }
+    return record;
+}
+
+/**
+ * Create a streaming Windows event XML parser. Chunks may split elements
+ * anywhere; each complete `<Event>` element is emitted as one record, and
+ * any surrounding `<Events>` wrapper is ignored.
+ *
+ * @returns {{push: Function, flush: Function}} Parser; push(chunk) and flush() both
+ *   return `{records: Array<Object>, errors: Array<{line: number, message: string}>}`
+ */
+export function createWindowsEventXmlParser() {
+    let buffer = '';
+    let line = 1;
+
+    function advance(count) {
+        for (let i = 0; i < count; i++) {
+            if (buffer.charCodeAt(i) === 10) line++;
+        }
+        buffer = buffer.slice(count);
+    }
+
+    function consume(chunk, isFinal) {
+        const out = {records: [], errors: []};
+        buffer += chunk;
+
+        for (;;) {
+            const start = buffer.search(EVENT_OPEN_PATTERN);
+            if (start === -1) {
+                // Keep a possible partial "<Event" at the chunk boundary
+                advance(Math.max(0, buffer.length - EVENT_CLOSE_TAG.length));
+                break;
+            }
+            advance(start);
+
+            const end = buffer.indexOf(EVENT_CLOSE_TAG);
+            if (end === -1) break;
+
+            const length = end + EVENT_CLOSE_TAG.length;
+            try {
+                out.records.push(eventNodeToRecord(parseElement(buffer.slice(0, length))));
+            } catch (error) {
+                out.errors.push({line, message: error.message});
+            }
+            advance(length);
+        }
+
+        if (isFinal) {
+            if (EVENT_OPEN_PATTERN.test(buffer)) out.errors.push({line, message: 'Unterminated <Event> element'});
+            buffer = '';
+        }
+
+        return out;
+    }
+
+    return {
+        push: (chunk) => consume(chunk, false),
+        flush: () => consume('', true)
+    };
+}
+
+/**
+ * Parse a complete Windows event XML export.
+ *
+ * @param {string} text - Event XML text
+ * @returns {Object[]} Windows event records
+ */
+export function parseWindowsEventXml(text) {
+    const parser = createWindowsEventXmlParser();
+    const {records} = parser.push(text);
+    records.push(...parser.flush().records);
+    return records;
+}
+
+/**
+ * Check whether an object is a parsed Windows event record.
+ *
+ * @param {Object} record - Candidate event object
+ * @returns {boolean} True if it has a `System` section with an EventID and Provider
+ */
+export function isWindowsEventRecord(record) {
+    if (!record || typeof record !== 'object') return false;
+    const system = record.System;
+    return !!system && typeof system === 'object' && system.EventID !== undefined && !!system.Provider;
+}
+
+/** Read the text of a value that may carry attributes (e.g. `<EventID Qualifiers="...">`). */
+function textOf(value) {
+    return value && typeof value === 'object' ? value['#text'] : value;
+}
+
+/** Treat Windows placeholders ("-", empty) as missing. */
+function meaningful(value) {
+    return value === undefined || value === null || value === '' || value === '-' ? undefined : value;
+}
+
+/** Parse decimal or `0x` hex numbers (Security logs write PIDs in hex). */
+function toNumber(value) {
+    if (meaningful(value) === undefined) return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+function basename(path) {
+    return typeof path === 'string' ? path.split(/[\\/]/).pop() : undefined;
+}
+
+/**
+ * Split a "DOMAIN\user" account into ECS user fields.
+ *
+ * @param {string} account - Account name
+ * @returns {{name?: string, domain?: string}} ECS user fields
+ */
+function splitAccount(account) {
+    if (!meaningful(account)) return {};
+    const slash = account.indexOf('\\');
+    return slash === -1 ? {name: account} : {domain: account.slice(0, slash), name: account.slice(slash + 1)};
+}
+
+/**
+ * Parse Sysmon's "SHA256=...,MD5=..." hash lists into ECS hash fields.
+ *
+ * @param {string} hashes - Sysmon Hashes value
+ * @returns {Object|undefined} Hashes keyed by lowercase algorithm
+ */
+function parseHashes(hashes) {
+    if (!meaningful(hashes)) return undefined;
+    const result = {};
+    for (const pair of hashes.split(',')) {
+        const [algorithm, value] = pair.split('=');
+        if (algorithm && value) result[algorithm.trim().toLowerCase()] = value.trim().toLowerCase();
+    }
+    return result;
+}
+
+function auditOutcome(keywords) {
+    try {
+        const bits = BigInt(keywords);
+        if (bits & AUDIT_FAILURE) return 'failure';
+        if (bits & AUDIT_SUCCESS) return 'success';
+    } catch {
+        // Not a numeric keyword mask
+    }
+    return undefined;
+}
+
+function mapLogon(data, ecs) {
+    ecs.user = {
+        name: meaningful(data.TargetUserName),
+        domain: meaningful(data.TargetDomainName),
+        id: meaningful(data.TargetUserSid)
+    };
+    ecs.source = {
+        ip: meaningful(data.IpAddress),
+        port: toNumber(data.IpPort) || undefined,
+        domain: meaningful(data.WorkstationName)
+    };
+    ecs.process = {
+        pid: toNumber(data.ProcessId),
+        executable: meaningful(data.ProcessName),
+        name: basename(meaningful(data.ProcessName))
+    };
+    ecs.winlog.logon = {
+        id: meaningful(data.TargetLogonId),
+        type: LOGON_TYPES[data.LogonType]
+    };
+}
+
+function mapSubject(data, ecs) {
+    ecs.user = {
+        name: meaningful(data.SubjectUserName),
+        domain: meaningful(data.SubjectDomainName),
+        id: meaningful(data.SubjectUserSid)
+    };
+}
+
+function mapProcessCreation(data, ecs) {
+    mapSubject(data, ecs);
+    ecs.process = {
+        pid: toNumber(data.NewProcessId),
+        executable: meaningful(data.NewProcessName),
+        name: basename(meaningful(data.NewProcessName)),
+        command_line: meaningful(data.CommandLine),
+        parent: {
+            pid: toNumber(data.ProcessId),
+            executable: meaningful(data.ParentProcessName),
+            name: basename(meaningful(data.ParentProcessName))
+        }
+    };
+}
+
+function mapProcessExit(data, ecs) {
+    mapSubject(data, ecs);
+    ecs.process = {
+        pid: toNumber(data.ProcessId),
+        executable: meaningful(data.ProcessName),
+        name: basename(meaningful(data.ProcessName))
+    };
+}
+
+function mapServiceInstall(data, ecs) {
+    if (data.SubjectUserName) mapSubject(data, ecs);
+    ecs.service = {
+        name: meaningful(data.ServiceName),
+        type: meaningful(data.ServiceType)
+    };
+}
+
+function mapTargetAccount(data, ecs) {
+    mapSubject(data, ecs);
+    ecs.user.target = {
+        name: meaningful(data.TargetUserName),
+        domain: meaningful(data.TargetDomainName),
+        id: meaningful(data.TargetSid)
+    };
+}
+
+/**
+ * Sysmon uses the same field names across event IDs; the source process of
+ * access/injection events (8, 10) becomes the ECS process.
+ */
+function mapSysmon(data, ecs) {
+    const image = data.Image || data.SourceImage;
+    const hashes = parseHashes(data.Hashes);
+
+    ecs.process = {
+        entity_id: data.ProcessGuid || data.SourceProcessGuid,
+        pid: toNumber(data.ProcessId ?? data.SourceProcessId),
+        executable: image,
+        name: basename(image),
+        command_line: data.CommandLine,
+        working_directory: data.CurrentDirectory,
+        parent: {
+            entity_id: data.ParentProcessGuid,
+            pid: toNumber(data.ParentProcessId),
+            executable: data.ParentImage,
+            name: basename(data.ParentImage),
+            command_line: data.ParentCommandLine
+        }
+    };
+    ecs.user = splitAccount(data.User);
+
+    const filePath = data.TargetFilename || data.ImageLoaded;
+    if (filePath) {
+        ecs.file = {path: filePath, name: basename(filePath), hash: hashes};
+    } else {
+        ecs.process.hash = hashes;
+    }
+
+    if (data.TargetObject) {
+        ecs.registry = {
+            path: data.TargetObject,
+            data: data.Details ? {strings: [data.Details]} : undefined
+        };
+    }
+
+    if (data.SourceIp || data.DestinationIp) {
+        ecs.source = {ip: data.SourceIp, port: toNumber(data.SourcePort), domain: data.SourceHostname};
+        ecs.destination = {ip: data.DestinationIp, port: toNumber(data.DestinationPort), domain: data.DestinationHostname};
+        ecs.network = {
+            transport: data.Protocol,
+            direction: data.Initiated === 'true' ? 'egress' : data.Initiated === 'false' ? 'ingress' : undefined
+        };
+    }
+
+    if (data.QueryName) {
+        ecs.dns = {question: {name: data.QueryName}};
+    }
+}
+
+/**
+ * ECS mappings per provider, keyed by event ID. `map` lifts EventData into ECS
+ * fields; everything stays available under winlog.event_data.
+ */
+const SECURITY_EVENTS = {
+    1102: {action: 'audit-log-cleared', category: ['iam'], type: ['admin', 'change'], map: mapSubject},
+    4624: {action: 'logged-in', category: ['authentication'], type: ['start'], map: mapLogon},
+    4625: {action: 'logon-failed', category: ['authentication'], type: ['start'], outcome: 'failure', map: mapLogon},
+    4634: {action: 'logged-out', category: ['authentication'], type: ['end'], map: mapLogon},
+    4647: {action: 'logged-out', category: ['authentication'], type: ['end'], map: mapLogon},
+    4648: {action: 'logged-in-explicit', category: ['authentication'], type: ['start'], map: mapLogon},
+    4672: {action: 'logged-in-special', category: ['iam'], type: ['admin'], map: mapSubject},
+    4688: {action: 'created-process', category: ['process'], type: ['start'], map: mapProcessCreation},
+    4689: {action: 'exited-process', category: ['process'], type: ['end'], map: mapProcessExit},
+    4697: {action: 'service-installed', category: ['iam', 'configuration'], type: ['admin', 'change'], map: mapServiceInstall},
+    4720: {action: 'added-user-account', category: ['iam'], type: ['user', 'creation'], map: mapTargetAccount},
+    4726: {action: 'deleted-user-account', category: ['iam'], type: ['user', 'deletion'], map: mapTargetAccount}
+};
+
+const SYSTEM_EVENTS = {
+    7045: {action: 'service-installed', category: ['configuration'], type: ['creation'], map: mapServiceInstall}
+};
+
+const SYSMON_EVENTS = {
+    1: {action: 'process-created', category: ['process'], type: ['start']},
+    2: {action: 'file-creation-time-changed', category: ['file'], type: ['change']},
+    3: {action: 'network-connection-detected', category: ['network'], type: ['connection', 'start']},
+    5: {action: 'process-terminated', category: ['process'], type: ['end']},
+    7: {action: 'image-loaded', category: ['process'], type: ['change']},
+    8: {action: 'remote-thread-created', category: ['process'], type: ['change']},
+    10: {action: 'process-accessed', category: ['process'], type: ['access']},
+    11: {action: 'file-created', category: ['file'], type: ['creation']},
+    12: {action: 'registry-object-added-or-deleted', category: ['registry'], type: ['change']},
+    13: {action: 'registry-value-set', category: ['registry'], type: ['change']},
+    14: {action: 'registry-object-renamed', category: ['registry'], type: ['change']},
+    15: {action: 'file-stream-created', category: ['file'], type: ['creation']},
+    22: {action: 'dns-query', category: ['network'], type: ['protocol', 'info']},
+    23: {action: 'file-deleted', category: ['file'], type: ['deletion']},
+    26: {action: 'file-delete-detected', category: ['file'], type: ['deletion']}
+};
+
+/**
+ * Pick the ECS mapping and Winlogbeat module for an event.
+ *
+ * @param {string} provider - System.Provider Name
+ * @param {string} channel - System.Channel
+ * @param {number} eventId - Event ID
+ * @returns {{module: string, mapping: Object|undefined}} Module name and event mapping
+ */
+function lookupMapping(provider, channel, eventId) {
+    if (provider === SYSMON_PROVIDER) {
+        const mapping = SYSMON_EVENTS[eventId];
+        return {module: 'sysmon', mapping: mapping && {map: mapSysmon, ...mapping}};
+    }
+    if (channel === 'Security') return {module: 'security', mapping: SECURITY_EVENTS[eventId]};
+    if (channel === 'System') return {module: 'system', mapping: SYSTEM_EVENTS[eventId]};
+    return {module: 'windows', mapping: undefined};
+}
+
+/**
+ * Translate a parsed Windows event record into an ECS document. EventData goes
+ * to winlog.event_data; known event IDs also fill process.*, user.*, source.*,
+ * file.*, registry.* and friends.
+ *
+ * @param {Object} record - Windows event record from parseWindowsEventXml()
+ * @returns {Object} ECS event object
+ */
+export function windowsEventToEcs(record) {
+    const system = record.System;
+    const data = record.EventData || {};
+    const rendering = record.RenderingInfo && typeof record.RenderingInfo === 'object' ? record.RenderingInfo : {};
+    const eventId = Number(textOf(system.EventID));
+    const provider = system.Provider.Name;
+    const channel = system.Channel;
+    const keywords = textOf(system.Keywords);
+    const {module, mapping} = lookupMapping(provider, channel, eventId);
+
+    const ecs = {
+        '@timestamp': system.TimeCreated?.SystemTime,
+        message: rendering.Message,
+        event: {
+            id: system.EventRecordID ? `winlog-${system.Computer}-${channel}-${system.EventRecordID}` : undefined,
+            code: String(eventId),
+            provider,
+            kind: 'event',
+            module,
+            action: mapping?.action,
+            category: mapping?.category,
+            type: mapping?.type,
+            outcome: mapping?.outcome || auditOutcome(keywords)
+        },
+        host: {
+            name: system.Computer
+        },
+        log: {
+            level: typeof rendering.Level === 'string' ? rendering.Level.toLowerCase() : LEVEL_NAMES[system.Level]
+        },
+        winlog: {
+            channel,
+            computer_name: system.Computer,
+            event_id: String(eventId),
+            provider_name: provider,
+            provider_guid: system.Provider.Guid,
+            record_id: system.EventRecordID,
+            version: toNumber(system.Version),
+            task: typeof rendering.Task === 'string' ? rendering.Task : system.Task,
+            opcode: typeof rendering.Opcode === 'string' ? rendering.Opcode : system.Opcode,
+            keywords: rendering.Keywords?.Keyword,
+            activity_id: system.Correlation?.ActivityID,
+            process: {
+                pid: toNumber(system.Execution?.ProcessID),
+                thread: {id: toNumber(system.Execution?.ThreadID)}
+            },
+            user: {
+                identifier: system.Security?.UserID
+            },
+            event_data: data,
+            user_data: record.UserData || undefined
+        }
+    };
+
+    // Fall back to the provider's own description for unmapped events
+    if (!ecs.event.action) {
+        ecs.event.action = typeof rendering.Task === 'string' && rendering.Task ? rendering.Task : `${provider}-${eventId}`;
+    }
+    if (mapping?.map) mapping.map(data, ecs);
+
+    return pruneEmpty(ecs);
+}
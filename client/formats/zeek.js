@@ -0,0 +1,448 @@
+/**
+ * ECS Timeline Builder - Zeek Log Ingestion
+ * Parses Zeek TSV logs (`#fields`/`#types` headers) and translates Zeek records
+ * (TSV or JSON) from conn, dns, http, ssl and files logs into ECS documents.
+ */
+
+import {pruneEmpty} from './ecs-utils.js';
+
+const DEFAULT_HEADER = {
+    separator: '\t',
+    setSeparator: ',',
+    emptyField: '(empty)',
+    unsetField: '-'
+};
+
+const NUMERIC_TYPES = new Set(['time', 'interval', 'double', 'count', 'int', 'port']);
+
+/**
+ * Fields that identify each Zeek log type when a JSON record carries no `_path`.
+ * Checked in order; the first type whose fields are all present wins.
+ */
+const LOG_SIGNATURES = [
+    ['files', ['fuid']],
+    ['conn', ['proto', 'conn_state']],
+    ['dns', ['query']],
+    ['http', ['method']],
+    ['http', ['status_code', 'trans_depth']],
+    ['ssl', ['server_name']],
+    ['ssl', ['cipher']]
+];
+
+/**
+ * Check whether text starts with a Zeek TSV log header.
+ *
+ * @param {string} text - Candidate input
+ * @returns {boolean} True if the first line is a `#separator` or `#fields` directive
+ */
+export function isZeekTsv(text) {
+    const trimmed = text.trimStart();
+    return trimmed.startsWith('#separator') || trimmed.startsWith('#fields');
+}
+
+/**
+ * Decode `\xHH` escapes used in Zeek header directives and values.
+ *
+ * @param {string} value - Escaped text
+ * @returns {string} Decoded text
+ */
+function unescapeZeek(value) {
+    return value.replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Convert a single TSV cell to its JSON-log equivalent based on the column type.
+ *
+ * @param {string} value - Raw cell text
+ * @param {string} type - Zeek type from the `#types` directive
+ * @param {Object} header - Active header directives
+ * @returns {*} Converted value, or undefined for unset fields
+ */
+function convertValue(value, type, header) {
+    if (value === header.unsetField) return undefined;
+
+    if (type.startsWith('set[') || type.startsWith('vector[')) {
+        if (value === header.emptyField) return [];
+        const itemType = type.slice(type.indexOf('[') + 1, -1);
+        return value.split(header.setSeparator).map(item => convertValue(item, itemType, header));
+    }
+
+    if (value === header.emptyField) return '';
+    if (NUMERIC_TYPES.has(type)) return Number(value);
+    if (type === 'bool') return value === 'T';
+    return unescapeZeek(value);
+}
+
+/**
+ * Creates a stateful Zeek TSV parser that accepts text chunks and returns records.
+ * Header directives may reappear mid-stream (concatenated logs), and each record
+ * is tagged with the `_path` of the log it came from.
+ *
+ * @returns {{push: Function, flush: Function}} Parser; push(chunk) and flush() both
+ *   return `{records: Array<Object>, errors: Array<{line: number, message: string}>}`
+ */
+export function createZeekTsvParser() {
+    let header = {...DEFAULT_HEADER, path: null, fields: null, types: null};
+    let buffer = '';
+    let line = 0;
+
+    function parseDirective(text) {
+        const spaceIndex = text.search(/[ \t]/);
+        const name = text.slice(1, spaceIndex === -1 ? undefined : spaceIndex);
+        const rest = spaceIndex === -1 ? '' : text.slice(spaceIndex + 1);
+
+        switch (name) {
+            case 'separator':
+                header.separator = unescapeZeek(rest.trim());
+                break;
+            case 'set_separator':
+                header.setSeparator = rest.split(header.separator)[0];
+                break;
+            case 'empty_field':
+                header.emptyField = rest.split(header.separator)[0];
+                break;
+            case 'unset_field':
+                header.unsetField = rest.split(header.separator)[0];
+                break;
+            case 'path':
+                header.path = rest.split(header.separator)[0];
+                break;
+            case 'fields':
+                header.fields = rest.split(header.separator);
+                break;
+            case 'types':
+                header.types = rest.split(header.separator);
+                break;
+        }
+    }
+
+    function parseLine(text, out) {
+        line++;
+        if (!text) return;
+
+        if (text.startsWith('#')) {
+            parseDirective(text);
+            return;
+        }
+
+        if (!header.fields) {
+            out.errors.push({line, message: 'Zeek record before #fields header'});
+            return;
+        }
+
+        const cells = text.split(header.separator);
+        if (cells.length !== header.fields.length) {
+            out.errors.push({line, message: `Expected ${header.fields.length} fields, found ${cells.length}`});
+            return;
+        }
+
+        const record = header.path ? {_path: header.path} : {};
+        header.fields.forEach((name, i) => {
+            const value = convertValue(cells[i], header.types?.[i] || 'string', header);
+            if (value !== undefined) record[name] = value;
+        });
+        out.records.push(record);
+    }
+
+    function consume(chunk, isFinal) {
+        const out = {records: [], errors: []};
+        buffer += chunk;
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            parseLine(buffer.slice(0, newlineIndex).replace(/\r$/, ''), out);
+            buffer = buffer.slice(newlineIndex + 1);
+        }
+        if (isFinal) {
+            parseLine(buffer.replace(/\r$/, ''), out);
+            buffer = '';
+        }
+
+        return out;
+    }
+
+    return {
+        push: (chunk) => consume(chunk, false),
+        flush: () => consume('', true)
+    };
+}
+
+/**
+ * Parse a complete Zeek TSV log.
+ *
+ * @param {string} text - Zeek TSV log text
+ * @returns {Object[]} Zeek records keyed by field name (e.g., "id.orig_h")
+ */
+export function parseZeekTsv(text) {
+    const parser = createZeekTsvParser();
+    const {records} = parser.push(text);
+    records.push(...parser.flush().records);
+    return records;
+}
+
+/**
+ * Read a Zeek field from either flat ("id.orig_h") or nested ({id: {orig_h}}) JSON.
+ *
+ * @param {Object} record - Zeek record
+ * @param {string} name - Zeek field name
+ * @returns {*} Field value, or undefined
+ */
+function field(record, name) {
+    if (name in record) return record[name];
+    const [parent, child] = name.split('.');
+    return child ? record[parent]?.[child] : undefined;
+}
+
+/**
+ * Check whether an object is a raw Zeek log record (TSV-parsed or JSON log line).
+ *
+ * @param {Object} record - Candidate event object
+ * @returns {boolean} True if it carries Zeek's `ts` plus a `uid`/`fuid` session key
+ */
+export function isZeekRecord(record) {
+    if (!record || typeof record !== 'object' || record.ts === undefined) return false;
+    return typeof record.uid === 'string' || typeof record.fuid === 'string';
+}
+
+/**
+ * Determine the Zeek log type of a record.
+ *
+ * @param {Object} record - Zeek record
+ * @returns {string} Log type (e.g., "conn", "dns"), or "unknown"
+ */
+export function detectZeekLogType(record) {
+    if (typeof record._path === 'string' && record._path) return record._path;
+    const match = LOG_SIGNATURES.find(([, fields]) => fields.every(name => field(record, name) !== undefined));
+    return match ? match[0] : 'unknown';
+}
+
+/**
+ * Convert a Zeek `ts` (epoch seconds or ISO string) to an ISO timestamp.
+ *
+ * @param {number|string} ts - Zeek timestamp
+ * @returns {string|null} ISO 8601 string, or null if unparseable
+ */
+function toIsoTimestamp(ts) {
+    const numeric = typeof ts === 'number' ? ts : Number(ts);
+    const date = Number.isFinite(numeric) ? new Date(numeric * 1000) : new Date(ts);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalize Zeek SSL version strings ("TLSv12", "TLSv13", "SSLv3") to ECS tls.version.
+ *
+ * @param {string} version - Zeek version string
+ * @returns {{version: string|undefined, protocol: string|undefined}} ECS version parts
+ */
+function parseTlsVersion(version) {
+    const match = typeof version === 'string' && version.match(/^(TLS|SSL|DTLS)v(\d)(\d)?$/i);
+    if (!match) return {version: undefined, protocol: undefined};
+    return {
+        version: match[3] ? `${match[2]}.${match[3]}` : `${match[2]}.0`,
+        protocol: match[1].toLowerCase()
+    };
+}
+
+function mapConn(record, ecs) {
+    const duration = field(record, 'duration');
+    const origBytes = field(record, 'orig_bytes');
+    const respBytes = field(record, 'resp_bytes');
+
+    ecs.event.category = ['network'];
+    ecs.event.type = ['connection'];
+    ecs.event.action = 'connection';
+    if (typeof duration === 'number') {
+        ecs.event.duration = Math.round(duration * 1e9);
+        ecs.event.end = toIsoTimestamp(Number(record.ts) + duration);
+    }
+    ecs.network.transport = field(record, 'proto');
+    ecs.network.protocol = field(record, 'service');
+    ecs.source.bytes = origBytes;
+    ecs.source.packets = field(record, 'orig_pkts');
+    ecs.destination.bytes = respBytes;
+    ecs.destination.packets = field(record, 'resp_pkts');
+    if (typeof origBytes === 'number' && typeof respBytes === 'number') {
+        ecs.network.bytes = origBytes + respBytes;
+    }
+}
+
+function mapDns(record, ecs) {
+    const answers = field(record, 'answers');
+    const rcode = field(record, 'rcode_name');
+
+    ecs.event.category = ['network'];
+    ecs.event.type = ['protocol'];
+    ecs.event.action = 'dns-query';
+    ecs.network.transport = field(record, 'proto');
+    ecs.network.protocol = 'dns';
+    ecs.dns = {
+        id: field(record, 'trans_id'),
+        type: rcode !== undefined ? 'answer' : 'query',
+        response_code: rcode,
+        question: {
+            name: field(record, 'query'),
+            type: field(record, 'qtype_name'),
+            class: field(record, 'qclass_name')
+        }
+    };
+    if (Array.isArray(answers) && answers.length > 0) {
+        ecs.dns.answers = answers.map(data => ({data: String(data)}));
+        ecs.dns.resolved_ip = answers.filter(answer => /^[\d.]+$|:/.test(String(answer)));
+    }
+}
+
+function mapHttp(record, ecs) {
+    const host = field(record, 'host');
+    const uri = field(record, 'uri');
+    const method = field(record, 'method');
+
+    ecs.event.category = ['network', 'web'];
+    ecs.event.type = ['protocol'];
+    ecs.event.action = 'http-request';
+    ecs.network.protocol = 'http';
+    ecs.http = {
+        version: field(record, 'version'),
+        request: {
+            method,
+            referrer: field(record, 'referrer'),
+            body: {bytes: field(record, 'request_body_len')}
+        },
+        response: {
+            status_code: field(record, 'status_code'),
+            body: {bytes: field(record, 'response_body_len')}
+        }
+    };
+    if (host || uri) {
+        const [path, query] = (uri || '').split('?');
+        ecs.url = {
+            domain: host,
+            original: uri,
+            path: path || undefined,
+            query,
+            full: host ? `http://${host}${uri || ''}` : undefined
+        };
+    }
+    ecs.user_agent = {original: field(record, 'user_agent')};
+    if (method) {
+        ecs.message = `${method} ${host || ''}${uri || ''}`;
+    }
+}
+
+function mapSsl(record, ecs) {
+    const serverName = field(record, 'server_name');
+    const {version, protocol} = parseTlsVersion(field(record, 'version'));
+
+    ecs.event.category = ['network'];
+    ecs.event.type = ['protocol'];
+    ecs.event.action = 'tls-handshake';
+    ecs.network.protocol = 'tls';
+    ecs.destination.domain = serverName;
+    ecs.tls = {
+        version,
+        version_protocol: protocol,
+        cipher: field(record, 'cipher'),
+        curve: field(record, 'curve'),
+        resumed: field(record, 'resumed'),
+        established: field(record, 'established'),
+        next_protocol: field(record, 'next_protocol'),
+        client: {
+            server_name: serverName,
+            ja3: field(record, 'ja3')
+        },
+        server: {
+            subject: field(record, 'subject'),
+            issuer: field(record, 'issuer'),
+            ja3s: field(record, 'ja3s')
+        }
+    };
+}
+
+function mapFiles(record, ecs) {
+    const txHosts = field(record, 'tx_hosts');
+    const rxHosts = field(record, 'rx_hosts');
+
+    ecs.event.category = ['file'];
+    ecs.event.type = ['info'];
+    ecs.event.action = 'file-transfer';
+    ecs.network.protocol = typeof field(record, 'source') === 'string'
+        ? field(record, 'source').toLowerCase()
+        : undefined;
+    if (ecs.source.ip === undefined && Array.isArray(txHosts)) ecs.source.ip = txHosts[0];
+    if (ecs.destination.ip === undefined && Array.isArray(rxHosts)) ecs.destination.ip = rxHosts[0];
+    ecs.file = {
+        name: field(record, 'filename'),
+        mime_type: field(record, 'mime_type'),
+        size: field(record, 'total_bytes') ?? field(record, 'seen_bytes'),
+        hash: {
+            md5: field(record, 'md5'),
+            sha1: field(record, 'sha1'),
+            sha256: field(record, 'sha256')
+        }
+    };
+}
+
+const LOG_MAPPERS = {
+    conn: mapConn,
+    dns: mapDns,
+    http: mapHttp,
+    ssl: mapSsl,
+    files: mapFiles
+};
+
+/**
+ * Translate a Zeek record into an ECS document. Connection endpoints land in
+ * source.* / destination.* so identifyConnections() draws arcs for them; the
+ * Zeek uid becomes zeek.session_id and the remaining log fields are kept under
+ * zeek.<log type>.
+ *
+ * @param {Object} record - Zeek record from a TSV or JSON log
+ * @returns {Object} ECS event object
+ */
+export function zeekToEcs(record) {
+    const logType = detectZeekLogType(record);
+    const uid = field(record, 'uid');
+    const sessionKey = field(record, 'fuid') || uid;
+
+    const ecs = {
+        '@timestamp': toIsoTimestamp(record.ts),
+        event: {
+            id: `zeek-${logType}-${sessionKey}-${record.ts}`,
+            kind: 'event',
+            module: 'zeek',
+            dataset: `zeek.${logType}`
+        },
+        source: {
+            ip: field(record, 'id.orig_h'),
+            port: field(record, 'id.orig_p')
+        },
+        destination: {
+            ip: field(record, 'id.resp_h'),
+            port: field(record, 'id.resp_p')
+        },
+        network: {
+            community_id: field(record, 'community_id')
+        },
+        zeek: {
+            session_id: uid
+        }
+    };
+    ecs.event.start = ecs['@timestamp'];
+
+    const mapper = LOG_MAPPERS[logType];
+    if (mapper) {
+        mapper(record, ecs);
+    } else {
+        ecs.event.category = ['network'];
+        ecs.event.action = `zeek-${logType}`;
+    }
+
+    const original = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (!['_path', 'ts', 'uid', 'id'].includes(key) && !key.startsWith('id.')) {
+            original[key] = value;
+        }
+    }
+    ecs.zeek[logType] = original;
+
+    return pruneEmpty(ecs);
+}
@@ -121,8 +121,10 @@ function init() {
     bus.on(EVENTS.EVENTS_ADDED, invalidateEventsCache);
     bus.on(EVENTS.EVENTS_SYNCED, invalidateEventsCache);
     bus.on(EVENTS.EVENT_DELETED, invalidateEventsCache);
+    bus.on(EVENTS.EVENTS_DELETED, invalidateEventsCache);
     bus.on(EVENTS.EVENTS_CLEARED, invalidateEventsCache);
     bus.on(EVENTS.ANNOTATION_UPDATED, render);
+    bus.on(EVENTS.ANNOTATIONS_UPDATED, render);
     bus.on(EVENTS.ANNOTATION_DELETED, render);
     render();
 }
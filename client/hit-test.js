@@ -0,0 +1,91 @@
+/**
+ * ECS Timeline Builder - Canvas Hit Testing
+ * Finds the laid-out event under the pointer for the canvas event layer, the
+ * way the SVG dots and bars would catch it: a dot near the point wins over a
+ * duration bar, and where items overlap the one drawn last is on top.
+ */
+
+import {getDotTimestamp} from './parser.js';
+
+function cellKey(column, row) {
+    return `${column}:${row}`;
+}
+
+/**
+ * Index the dots and bars drawn for one time scale. Dots are bucketed into
+ * square cells one hit radius wide, so a lookup only checks the cells around
+ * the point; bars are listed in every cell their drawn part covers, so a lookup
+ * only checks the cell under the point.
+ *
+ * @param {Array<{event: Object, y: number, clustered: boolean}>} items - Laid-out events (see timeline.js);
+ *   clustered items have no dot, and events with a `span` also have a bar
+ * @param {Object} options
+ * @param {Function} options.xScale - D3 time scale the items are drawn with
+ * @param {number} options.width - Drawn width; dots outside [0, width] cannot be hit
+ * @param {number} options.spanHeight - Height of duration bars in pixels
+ * @param {number} options.radius - Distance in pixels within which a dot counts as hit
+ * @returns {{find: Function}} Index whose `find(x, y)` returns the item under the point, or null
+ */
+export function createHitIndex(items, {xScale, width, spanHeight, radius}) {
+    const cells = new Map();
+    const spanCells = new Map();
+    const hitHalfHeight = spanHeight / 2 + 1;
+
+    items.forEach((item, order) => {
+        if (item.event.span) {
+            const span = {item, x1: xScale(item.event.span.start), x2: xScale(item.event.span.end)};
+            // Only the part inside the drawn width can be under the pointer
+            const firstColumn = Math.floor(Math.max(span.x1, 0) / radius);
+            const lastColumn = Math.floor(Math.min(span.x2, width) / radius);
+            const firstRow = Math.floor((item.y - hitHalfHeight) / radius);
+            const lastRow = Math.floor((item.y + hitHalfHeight) / radius);
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                for (let row = firstRow; row <= lastRow; row++) {
+                    const key = cellKey(column, row);
+                    if (!spanCells.has(key)) spanCells.set(key, []);
+                    spanCells.get(key).push(span);
+                }
+            }
+        }
+        if (item.clustered) return;
+        const x = xScale(getDotTimestamp(item.event));
+        if (x < 0 || x > width) return;
+        const key = cellKey(Math.floor(x / radius), Math.floor(item.y / radius));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({item, x, order});
+    });
+
+    function findDot(x, y) {
+        const column = Math.floor(x / radius);
+        const row = Math.floor(y / radius);
+        let best = null;
+        let bestDistance = radius * radius;
+        for (let dc = -1; dc <= 1; dc++) {
+            for (let dr = -1; dr <= 1; dr++) {
+                for (const dot of cells.get(cellKey(column + dc, row + dr)) || []) {
+                    const distance = (dot.x - x) ** 2 + (dot.item.y - y) ** 2;
+                    // Of two dots at the same distance, the later one is drawn over the other
+                    if (distance < bestDistance || (best && distance === bestDistance && dot.order > best.order)) {
+                        best = dot;
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+        return best ? best.item : null;
+    }
+
+    function findSpan(x, y) {
+        // Cells list bars in drawing order, so the last one hit is on top
+        const spans = spanCells.get(cellKey(Math.floor(x / radius), Math.floor(y / radius))) || [];
+        for (let i = spans.length - 1; i >= 0; i--) {
+            const {item, x1, x2} = spans[i];
+            if (Math.abs(item.y - y) <= hitHalfHeight && x >= x1 && x <= x2) return item;
+        }
+        return null;
+    }
+
+    return {
+        find: (x, y) => findDot(x, y) || findSpan(x, y)
+    };
+}
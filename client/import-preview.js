@@ -0,0 +1,135 @@
+/**
+ * ECS Timeline Builder - Import Preview Statistics
+ * Summarizes a staged (parsed but not yet committed) import so the analyst can
+ * check it before it is shared, and applies the host/time selection they make.
+ */
+
+/**
+ * Collect the dot-notation paths of every populated leaf in an event.
+ * Arrays count as leaves; null, undefined, empty strings and empty arrays are ignored.
+ *
+ * @param {Object} obj - Raw ECS event
+ * @param {string} [prefix=''] - Path of `obj` itself
+ * @param {string[]} [out=[]] - Accumulator
+ * @returns {string[]} Leaf field paths (e.g., "host.name")
+ */
+export function collectFieldPaths(obj, prefix = '', out = []) {
+    for (const [key, value] of Object.entries(obj)) {
+        if (value === null || value === undefined || value === '') continue;
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            collectFieldPaths(value, path, out);
+        } else if (!Array.isArray(value) || value.length > 0) {
+            out.push(path);
+        }
+    }
+    return out;
+}
+
+// Events the preview lists as a sample of what the import holds
+const PREVIEW_SAMPLE_SIZE = 20;
+
+function increment(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function sortByCount(counts) {
+    return [...counts.entries()]
+        .map(([name, count]) => ({name, count}))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Summarize staged events for the import preview.
+ *
+ * @param {Array} events - Parsed events awaiting commit
+ * @param {Set<string>} [existingIds=new Set()] - IDs already in the timeline
+ * @returns {{total: number, duplicates: number, earliest: Date|null, latest: Date|null,
+ *   hosts: Array<{name: string, count: number}>, categories: Array<{name: string, count: number}>,
+ *   fields: Array<{name: string, count: number}>}} Preview statistics, lists sorted by count descending
+ */
+export function summarizeImport(events, existingIds = new Set()) {
+    const stage = createImportStage(existingIds);
+    stage.add(events);
+    return stage.summary();
+}
+
+/**
+ * Hold the parsed events of an import until the analyst commits it, keeping
+ * its summary up to date as batches are added. The import worker stages a
+ * file this way so only the summary and a few sample events have to reach
+ * the main thread for the preview.
+ *
+ * @param {Set<string>} [existingIds=new Set()] - IDs already in the timeline
+ * @param {number} [sampleSize=PREVIEW_SAMPLE_SIZE] - Number of events kept as the preview sample
+ * @returns {{add: Function, summary: Function, sample: Function, select: Function}} Stage whose
+ *   `add(events)` stages a batch, `summary()` returns summarizeImport() statistics for everything
+ *   staged, `sample()` the first events staged, and `select(selection)` the selectImportEvents() result
+ */
+export function createImportStage(existingIds = new Set(), sampleSize = PREVIEW_SAMPLE_SIZE) {
+    const events = [];
+    const hosts = new Map();
+    const categories = new Map();
+    const fields = new Map();
+    let duplicates = 0;
+    let earliest = Infinity;
+    let latest = -Infinity;
+
+    return {
+        add(batch) {
+            for (const event of batch) {
+                events.push(event);
+                if (existingIds.has(event.id)) duplicates++;
+
+                const time = event.timestamp.getTime();
+                if (time < earliest) earliest = time;
+                if (time > latest) latest = time;
+
+                increment(hosts, event.host.hostname);
+                increment(categories, event.category);
+                for (const path of new Set(collectFieldPaths(event.raw))) {
+                    increment(fields, path);
+                }
+            }
+        },
+
+        summary() {
+            return {
+                total: events.length,
+                duplicates,
+                earliest: events.length > 0 ? new Date(earliest) : null,
+                latest: events.length > 0 ? new Date(latest) : null,
+                hosts: sortByCount(hosts),
+                categories: sortByCount(categories),
+                fields: sortByCount(fields)
+            };
+        },
+
+        sample() {
+            return events.slice(0, sampleSize);
+        },
+
+        select(selection) {
+            return selectImportEvents(events, selection);
+        }
+    };
+}
+
+/**
+ * Apply the analyst's preview selection to the staged events.
+ *
+ * @param {Array} events - Parsed events awaiting commit
+ * @param {Object} [selection]
+ * @param {Set<string>} [selection.excludedHosts] - Host lanes to leave out
+ * @param {Date|null} [selection.start] - Inclusive lower time bound
+ * @param {Date|null} [selection.end] - Inclusive upper time bound
+ * @returns {Array} Events to commit
+ */
+export function selectImportEvents(events, {excludedHosts = new Set(), start = null, end = null} = {}) {
+    const from = start ? start.getTime() : -Infinity;
+    const to = end ? end.getTime() : Infinity;
+    return events.filter(event => {
+        const time = event.timestamp.getTime();
+        return !excludedHosts.has(event.host.hostname) && time >= from && time <= to;
+    });
+}
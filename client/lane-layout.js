@@ -0,0 +1,230 @@
+/**
+ * ECS Timeline Builder - Lane Layout
+ * Turns a timeline's shared lane layout (see shared/lane-layout.js) into the
+ * rows the timeline draws, and edits layouts for the lane controls. Edits
+ * always return a new layout; the result is sent to the server, which shares
+ * it with everyone on the timeline.
+ */
+
+import {createEmptyLaneLayout, laneHostKey} from '../shared/lane-layout.js';
+
+/**
+ * Row key of a group lane (host rows use laneHostKey()).
+ *
+ * @param {string} groupId - Group ID
+ * @returns {string} Row key
+ */
+export function groupRowKey(groupId) {
+    return `group\u0000${groupId}`;
+}
+
+/**
+ * Work out the rows to draw. Pinned hosts come first, then each group with a
+ * header row followed by its hosts, then hosts in no group. Hidden hosts get
+ * no row, and the hosts of a collapsed group are drawn on its header row.
+ *
+ * @param {Array<{hostname: string}>} hosts - Host list from the host registry, in first-seen order
+ * @param {Object} [layout] - Lane layout
+ * @returns {{rows: Array<Object>, laneOf: Map<string, string>, order: string[], hidden: Array<Object>}}
+ *   `rows` are `{key, kind: 'host', host, pinned, collapsed, groupId}` or
+ *   `{key, kind: 'group', group, collapsed, hosts}`; `laneOf` maps each shown
+ *   host key to the key of the row it is drawn on; `order` is every host key
+ *   in display order; `hidden` lists the hidden hosts
+ */
+export function arrangeLanes(hosts, layout = createEmptyLaneLayout()) {
+    const orderIndex = new Map(layout.order.map((key, index) => [key, index]));
+    const sorted = hosts
+        .map((host, index) => ({host, key: laneHostKey(host.hostname), index}))
+        .sort((a, b) => (orderIndex.get(a.key) ?? layout.order.length + a.index) -
+            (orderIndex.get(b.key) ?? layout.order.length + b.index));
+
+    const hidden = new Set(layout.hidden);
+    const pinned = new Set(layout.pinned);
+    const collapsed = new Set(layout.collapsed);
+    const groupOf = new Map();
+    for (const group of layout.groups) {
+        for (const key of group.hosts) {
+            if (!groupOf.has(key)) groupOf.set(key, group);
+        }
+    }
+
+    const rows = [];
+    const laneOf = new Map();
+    const hostRow = ({host, key}) => {
+        laneOf.set(key, key);
+        rows.push({
+            key,
+            kind: 'host',
+            host,
+            pinned: pinned.has(key),
+            collapsed: collapsed.has(key),
+            groupId: pinned.has(key) ? null : groupOf.get(key)?.id ?? null
+        });
+    };
+
+    const shown = sorted.filter(entry => !hidden.has(entry.key));
+    shown.filter(entry => pinned.has(entry.key)).forEach(hostRow);
+
+    const unpinned = shown.filter(entry => !pinned.has(entry.key));
+    for (const group of layout.groups) {
+        const members = unpinned.filter(entry => groupOf.get(entry.key) === group);
+        if (members.length === 0) continue;
+
+        const key = groupRowKey(group.id);
+        rows.push({key, kind: 'group', group, collapsed: group.collapsed, hosts: members.map(entry => entry.host)});
+        if (group.collapsed) {
+            members.forEach(entry => laneOf.set(entry.key, key));
+        } else {
+            members.forEach(hostRow);
+        }
+    }
+    unpinned.filter(entry => !groupOf.has(entry.key)).forEach(hostRow);
+
+    return {
+        rows,
+        laneOf,
+        order: sorted.map(entry => entry.key),
+        hidden: sorted.filter(entry => hidden.has(entry.key)).map(entry => entry.host)
+    };
+}
+
+/**
+ * Position rows top to bottom. Like a band scale, rows stretch to fill the
+ * range when they need less, and each lane keeps a little padding.
+ *
+ * @param {Array<Object>} rows - Rows from arrangeLanes()
+ * @param {Map<string, string>} laneOf - Host key to row key, from arrangeLanes()
+ * @param {Function} rowHeight - Returns a row's height in pixels
+ * @param {number[]} range - [top, bottom] pixel range
+ * @returns {Function} `scale(name)` gives the top of the lane a host (any case)
+ *   or row key is drawn on, or undefined when it has none; `scale.bandwidth(name)`
+ *   gives that lane's height, and `scale.rows` the rows with `y` and `height` set
+ */
+export function createLaneScale(rows, laneOf, rowHeight, [top, bottom]) {
+    const total = rows.reduce((sum, row) => sum + rowHeight(row), 0);
+    const stretch = total > 0 && total < bottom - top ? (bottom - top) / total : 1;
+
+    const positions = new Map();
+    let y = top;
+    const positioned = rows.map(row => {
+        const step = rowHeight(row) * stretch;
+        const band = {...row, y: y + step * 0.05, height: step * 0.9};
+        positions.set(row.key, band);
+        y += step;
+        return band;
+    });
+
+    const lookup = name => positions.get(laneOf.get(laneHostKey(name)) ?? name);
+    const scale = name => lookup(name)?.y;
+    scale.bandwidth = name => lookup(name)?.height ?? 0;
+    scale.rows = positioned;
+    return scale;
+}
+
+function toggle(list, key) {
+    return list.includes(key) ? list.filter(entry => entry !== key) : [...list, key];
+}
+
+/**
+ * Flip one of a host's lane flags.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {string} key - Host key
+ * @param {'pinned'|'hidden'|'collapsed'} flag - Flag to flip
+ * @returns {Object} New layout
+ */
+export function toggleLaneFlag(layout, key, flag) {
+    return {...layout, [flag]: toggle(layout[flag], key)};
+}
+
+/**
+ * Put a host in a group, or in none.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {string} key - Host key
+ * @param {string|null} groupId - Target group ID, or null to ungroup
+ * @returns {Object} New layout
+ */
+export function setLaneGroup(layout, key, groupId) {
+    return {
+        ...layout,
+        groups: layout.groups.map(group => {
+            const hosts = group.hosts.filter(entry => entry !== key);
+            if (group.id === groupId) hosts.push(key);
+            return {...group, hosts};
+        })
+    };
+}
+
+/**
+ * Move a host's lane next to another row. The host takes on where it was
+ * dropped: it joins the group of the target row (or leaves its group when
+ * dropped among ungrouped hosts) and becomes pinned only among pinned hosts.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {Object} arrangement - Result of arrangeLanes() for the same layout
+ * @param {string} key - Host key of the lane being moved
+ * @param {string} targetKey - Row key of the lane it was dropped on
+ * @param {boolean} after - Whether it goes below the target rather than above
+ * @returns {Object} New layout (unchanged when dropped on itself)
+ */
+export function moveLane(layout, arrangement, key, targetKey, after) {
+    const target = arrangement.rows.find(row => row.key === targetKey);
+    if (!target || targetKey === key) return layout;
+
+    const order = arrangement.order.filter(entry => entry !== key);
+    let anchor;
+    if (target.kind === 'group') {
+        // Dropped on a group header: last in the group
+        const members = target.hosts.map(host => laneHostKey(host.hostname)).filter(entry => entry !== key);
+        anchor = members.length > 0 ? order.indexOf(members[members.length - 1]) + 1 : order.length;
+    } else {
+        anchor = order.indexOf(targetKey) + (after ? 1 : 0);
+    }
+    order.splice(anchor, 0, key);
+
+    const groupId = target.kind === 'group' ? target.group.id : target.groupId;
+    const moved = setLaneGroup({...layout, order}, key, groupId);
+    const pinned = target.kind === 'host' && target.pinned;
+    return moved.pinned.includes(key) === pinned ? moved : toggleLaneFlag(moved, key, 'pinned');
+}
+
+/**
+ * Add an empty, expanded group.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {string} name - Group name
+ * @returns {Object} New layout
+ */
+export function addLaneGroup(layout, name) {
+    const ids = new Set(layout.groups.map(group => group.id));
+    let n = layout.groups.length + 1;
+    while (ids.has(`g${n}`)) n++;
+    return {...layout, groups: [...layout.groups, {id: `g${n}`, name, hosts: [], collapsed: false}]};
+}
+
+/**
+ * Change some of a group's properties.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {string} groupId - Group ID
+ * @param {{name?: string, collapsed?: boolean}} changes - New values
+ * @returns {Object} New layout
+ */
+export function updateLaneGroup(layout, groupId, changes) {
+    return {
+        ...layout,
+        groups: layout.groups.map(group => group.id === groupId ? {...group, ...changes} : group)
+    };
+}
+
+/**
+ * Delete a group; its hosts go back to being ungrouped.
+ *
+ * @param {Object} layout - Lane layout
+ * @param {string} groupId - Group ID
+ * @returns {Object} New layout
+ */
+export function removeLaneGroup(layout, groupId) {
+    return {...layout, groups: layout.groups.filter(group => group.id !== groupId)};
+}
@@ -0,0 +1,102 @@
+/**
+ * ECS Timeline Builder - Network Graph
+ * Aggregates host-to-host connections (see identifyConnections()) into the
+ * nodes and edges of the network graph view. Edges are directed, one per
+ * source and destination host, and only count the connections inside the
+ * time range being shown; nodes cover every host that connected at all, so
+ * the layout stays put while the range moves.
+ */
+
+// Destination ports spelled out in an edge label; the rest are counted
+const LABEL_PORTS = 3;
+
+function createEdge(id, source, target) {
+    return {
+        id,
+        source,
+        target,
+        count: 0,
+        bytes: null,
+        ports: new Map(),
+        protocols: new Set(),
+        first: null,
+        last: null,
+        eventIds: []
+    };
+}
+
+/**
+ * Build the graph of which hosts talked to which.
+ *
+ * @param {Array} connections - Connections from identifyConnections()
+ * @param {{start: Date, end: Date}|null} [range] - Only count connections in this
+ *   time range (inclusive); all of them when null
+ * @returns {{nodes: Array<{id: string, count: number, active: boolean}>, edges: Array}}
+ *   Hosts sorted by name, with the number of connections in range they took part
+ *   in and whether there were any; and edges in order of their first connection, each
+ *   `{id, source, target, count, bytes, ports, protocols, first, last, eventIds}` where
+ *   `bytes` is null when no connection recorded any, `ports` lists destination ports as
+ *   `{port, count}` most used first and `protocols` is sorted
+ */
+export function buildNetworkGraph(connections, range = null) {
+    const nodes = new Map();
+    const edges = new Map();
+    const start = range ? range.start.getTime() : -Infinity;
+    const end = range ? range.end.getTime() : Infinity;
+
+    for (const connection of connections) {
+        const {sourceHost, destHost} = connection;
+        for (const host of [sourceHost, destHost]) {
+            if (!nodes.has(host)) nodes.set(host, {id: host, count: 0, active: false});
+        }
+
+        const time = connection.timestamp.getTime();
+        if (time < start || time > end) continue;
+
+        const id = `${sourceHost}\u0000${destHost}`;
+        if (!edges.has(id)) edges.set(id, createEdge(id, sourceHost, destHost));
+        const edge = edges.get(id);
+        edge.count++;
+        if (typeof connection.bytes === 'number') edge.bytes = (edge.bytes || 0) + connection.bytes;
+        if (connection.destPort !== null && connection.destPort !== undefined) {
+            const port = String(connection.destPort);
+            edge.ports.set(port, (edge.ports.get(port) || 0) + 1);
+        }
+        if (connection.protocol) edge.protocols.add(String(connection.protocol).toLowerCase());
+        if (!edge.first || connection.timestamp < edge.first) edge.first = connection.timestamp;
+        if (!edge.last || connection.timestamp > edge.last) edge.last = connection.timestamp;
+        edge.eventIds.push(connection.eventId);
+
+        for (const host of [sourceHost, destHost]) {
+            const node = nodes.get(host);
+            node.count++;
+            node.active = true;
+        }
+    }
+
+    return {
+        nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+        edges: [...edges.values()]
+            .map(edge => ({
+                ...edge,
+                ports: Array.from(edge.ports, ([port, count]) => ({port, count}))
+                    .sort((a, b) => b.count - a.count || a.port.localeCompare(b.port, undefined, {numeric: true})),
+                protocols: [...edge.protocols].sort()
+            }))
+            .sort((a, b) => a.first - b.first || a.id.localeCompare(b.id))
+    };
+}
+
+/**
+ * Short label for an edge: its most used destination ports, or its protocols
+ * when no ports were recorded.
+ *
+ * @param {Object} edge - Edge from buildNetworkGraph()
+ * @returns {string} e.g. "445, 135, 3389 +2", "icmp" or ""
+ */
+export function edgeLabel(edge) {
+    if (edge.ports.length === 0) return edge.protocols.join(', ');
+    const shown = edge.ports.slice(0, LABEL_PORTS).map(entry => entry.port).join(', ');
+    const rest = edge.ports.length - LABEL_PORTS;
+    return rest > 0 ? `${shown} +${rest}` : shown;
+}
@@ -7,6 +7,23 @@
  * Elasticsearch deployments and data sources.
  */
 
+import {PROFILE_FIELD_KEYS} from '../shared/field-profiles.js';
+import {UTC_ZONE, hasZoneDesignator, isNaiveTimestamp, isValidTimeZone, parseNaiveTimestamp} from '../shared/time-zones.js';
+import {createJsonRecordSplitter} from './formats/json-stream.js';
+import {createZeekTsvParser, isZeekRecord, isZeekTsv, zeekToEcs} from './formats/zeek.js';
+import {
+    cloudTrailPrincipal,
+    cloudTrailToEcs,
+    isCloudTrailRecord,
+    unwrapCloudTrailContainer
+} from './formats/cloudtrail.js';
+import {
+    createWindowsEventXmlParser,
+    isWindowsEventRecord,
+    isWindowsEventXml,
+    windowsEventToEcs
+} from './formats/winevt-xml.js';
+
 /**
  * Safely get a nested property from an object by dot-notation path.
  *
@@ -26,6 +43,29 @@ export function getNestedValue(obj, path, defaultValue = null) {
     return current !== undefined ? current : defaultValue;
 }
 
+/**
+ * Set a nested property on an object by dot-notation path, creating
+ * intermediate objects as needed. Used to build ECS documents from flat sources.
+ *
+ * @param {Object} obj - Object to mutate
+ * @param {string} path - Dot-notation key path (e.g., "source.ip")
+ * @param {*} value - Value to assign at the leaf
+ * @returns {Object} The same object, for chaining
+ */
+export function setNestedValue(obj, path, value) {
+    const keys = path.split('.');
+    let current = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+        const key = keys[i];
+        if (current[key] === null || typeof current[key] !== 'object') {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+    return obj;
+}
+
 /**
  * Normalize a value that might be an array. Returns the first element if
  * value is an array, otherwise the value itself.
@@ -85,54 +125,144 @@ function getFirstString(obj, paths, defaultValue = null) {
 }
 
 /**
- * Parse timestamp from ECS timestamp fields.
- * Tries @timestamp first, then event.created/ingested/start/end as fallbacks.
- *
- * @param {Object} event - Raw ECS event object
- * @returns {Date|null} Parsed Date, or null if no valid timestamp found
+ * Default ECS path priority lists for every derived event property (one entry
+ * per PROFILE_FIELD_KEYS key).
+ * A field-mapping profile can put its own paths in front of any of these lists
+ * for sources that keep the information in non-standard fields.
  */
-function parseTimestamp(event) {
+export const DEFAULT_FIELD_PATHS = {
     // ECS standard timestamp fields (in priority order)
-    const tsValue = getFirstValue(event, [
+    timestamp: [
         '@timestamp',           // Primary ECS timestamp
         'event.created',        // When event was created
         'event.ingested',       // When event was ingested
         'event.start',          // When event started
         'event.end'             // When event ended (fallback)
-    ]);
+    ],
+    // ECS host identification (priority order per ECS spec)
+    // host.* - Information about the host
+    // agent.* - Information about the agent collecting data
+    // observer.* - Information about the observer (for network devices)
+    host: [
+        'host.hostname',        // ECS: Hostname of the host
+        'host.name',            // ECS: Name of the host
+        'agent.name',           // ECS: Custom name of the agent
+        'observer.hostname',    // ECS: Hostname of observer
+        'observer.name'         // ECS: Custom name of observer
+    ],
+    ip: [
+        'host.ip',              // ECS: Host IP address(es)
+        'observer.ip'           // ECS: Observer IP address(es)
+    ],
+    category: ['event.category', 'event.type'],
+    // ECS event.action is the primary descriptor; event.type is the array fallback
+    summary: ['event.action', 'event.type'],
+    sourceIp: ['source.ip'],
+    destIp: ['destination.ip']
+};
+
+/**
+ * Merge a field-mapping profile over the ECS defaults. Profile paths are tried
+ * first; the ECS defaults remain as fallbacks so standard events still parse.
+ *
+ * @param {{fields?: Object<string, string[]>}|null} [profile] - Mapping profile
+ * @returns {Object<string, string[]>} Path priority list per derived property
+ */
+export function resolveFieldPaths(profile = null) {
+    if (!profile || !profile.fields) return DEFAULT_FIELD_PATHS;
+
+    const resolved = {};
+    for (const key of PROFILE_FIELD_KEYS) {
+        const custom = Array.isArray(profile.fields[key]) ? profile.fields[key] : [];
+        resolved[key] = [...new Set([...custom, ...DEFAULT_FIELD_PATHS[key]])];
+    }
+    return resolved;
+}
 
-    if (!tsValue) return null;
-    const date = new Date(tsValue);
+/**
+ * Parse timestamp from ECS timestamp fields.
+ * Tries @timestamp first, then event.created/ingested/start/end as fallbacks.
+ * Naive date-times (no zone designator) are read in `naiveZone` rather than
+ * the browser's zone, so every collaborator derives the same instant. Other
+ * zone-less strings, such as "Jan 15 2024 10:00", are not read at all.
+ *
+ * @param {Object} event - Raw ECS event object
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
+ * @param {string} [naiveZone='UTC'] - Zone for timestamps without an offset
+ * @returns {Date|null} Parsed Date, or null if no valid timestamp found
+ */
+function parseTimestamp(event, fields = DEFAULT_FIELD_PATHS, naiveZone = UTC_ZONE) {
+    return parseTimeValue(getFirstValue(event, fields.timestamp), naiveZone);
+}
+
+function parseTimeValue(value, naiveZone) {
+    value = normalizeValue(value);
+    if (!value) return null;
+    const naive = parseNaiveTimestamp(value, naiveZone);
+    if (naive) return naive;
+    // Date would read other zone-less strings in the browser's zone, so collaborators would disagree
+    if (typeof value === 'string' && !hasZoneDesignator(value)) return null;
+    const date = new Date(value);
     return isNaN(date.getTime()) ? null : date;
 }
 
+/**
+ * Derive the period an event covers from ECS `event.start`, `event.end` and
+ * `event.duration` (nanoseconds). A bound that is missing is taken from the
+ * other two fields, or from the event timestamp.
+ *
+ * @param {Object} event - Raw ECS event object
+ * @param {Date} timestamp - Parsed event timestamp
+ * @param {string} [naiveZone='UTC'] - Zone for timestamps without an offset
+ * @returns {{start: Date, end: Date}|null} Covered period, or null for point-in-time events
+ */
+function parseSpan(event, timestamp, naiveZone = UTC_ZONE) {
+    let start = parseTimeValue(getNestedValue(event, 'event.start'), naiveZone);
+    let end = parseTimeValue(getNestedValue(event, 'event.end'), naiveZone);
+    const durationNs = Number(normalizeValue(getNestedValue(event, 'event.duration')));
+    const durationMs = Number.isFinite(durationNs) && durationNs > 0 ? durationNs / 1e6 : null;
+
+    if (durationMs !== null && !(start && end)) {
+        if (start) {
+            end = new Date(start.getTime() + durationMs);
+        } else if (end) {
+            start = new Date(end.getTime() - durationMs);
+        } else {
+            start = timestamp;
+            end = new Date(timestamp.getTime() + durationMs);
+        }
+    }
+    start = start || timestamp;
+    end = end || timestamp;
+    return end > start ? {start, end} : null;
+}
+
+/**
+ * Instant an event's dot is drawn at on the timeline: the start of its bar
+ * when it covers a period (see parseSpan()), otherwise its timestamp.
+ *
+ * @param {Object} event - Parsed event
+ * @returns {Date} Dot position in time
+ */
+export function getDotTimestamp(event) {
+    return event.span ? event.span.start : event.timestamp;
+}
+
 /**
  * Determine the host identifier for swim lane assignment.
  * Uses only ECS standard fields from host.*, agent.*, and observer.* field sets.
  * Falls back to source/destination IP for network-only events with no host metadata.
  *
  * @param {Object} event - Raw ECS event object
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
  * @returns {{ hostname: string, ip: string|null, displayName: string }} Host identity
  */
-function extractHostIdentifier(event) {
-    // ECS host identification (priority order per ECS spec)
-    // host.* - Information about the host
-    // agent.* - Information about the agent collecting data
-    // observer.* - Information about the observer (for network devices)
+function extractHostIdentifier(event, fields = DEFAULT_FIELD_PATHS) {
     // Use getFirstString to handle ES array values
-    const hostname = getFirstString(event, [
-        'host.hostname',        // ECS: Hostname of the host
-        'host.name',            // ECS: Name of the host
-        'agent.name',           // ECS: Custom name of the agent
-        'observer.hostname',    // ECS: Hostname of observer
-        'observer.name'         // ECS: Custom name of observer
-    ]);
+    const hostname = getFirstString(event, fields.host);
 
     // ECS IP fields - use getFirstString to handle arrays
-    const ip = getFirstString(event, [
-        'host.ip',              // ECS: Host IP address(es)
-        'observer.ip'           // ECS: Observer IP address(es)
-    ]);
+    const ip = getFirstString(event, fields.ip);
 
     // If we have hostname or IP, use it
     if (hostname || ip) {
@@ -143,9 +273,19 @@ function extractHostIdentifier(event) {
         };
     }
 
+    // Cloud audit events have no host: lane by the acting principal
+    const principal = cloudTrailPrincipal(event);
+    if (principal) {
+        return {
+            hostname: principal,
+            ip: null,
+            displayName: principal
+        };
+    }
+
     // For network-only events (like firewall logs with empty host)
     // Try to use source IP as the host identifier
-    const sourceIp = getNestedString(event, 'source.ip');
+    const sourceIp = getFirstString(event, fields.sourceIp);
     if (sourceIp) {
         return {
             hostname: sourceIp,
@@ -155,7 +295,7 @@ function extractHostIdentifier(event) {
     }
 
     // Use destination IP if nothing else is available
-    const destIp = getNestedString(event, 'destination.ip');
+    const destIp = getFirstString(event, fields.destIp);
     if (destIp) {
         return {
             hostname: destIp,
@@ -197,10 +337,11 @@ export const CATEGORY_MAP = {
  * swim-lane categories used by the visualization.
  *
  * @param {Object} event - Raw ECS event object
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
  * @returns {string} One of: 'network', 'file', 'process', 'authentication', 'registry', 'other'
  */
-function extractCategory(event) {
-    const category = getFirstString(event, ['event.category', 'event.type']);
+function extractCategory(event, fields = DEFAULT_FIELD_PATHS) {
+    const category = getFirstString(event, fields.category);
     return CATEGORY_MAP[category] || 'other';
 }
 
@@ -209,11 +350,12 @@ function extractCategory(event) {
  * Returns true if source and destination IPs exist and are not localhost/same-host.
  *
  * @param {Object} event - Raw ECS event object
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
  * @returns {boolean} True if the event represents a distinct cross-host flow
  */
-function hasConnection(event) {
-    const sourceIp = getNestedString(event, 'source.ip');
-    const destIp = getNestedString(event, 'destination.ip');
+function hasConnection(event, fields = DEFAULT_FIELD_PATHS) {
+    const sourceIp = getFirstString(event, fields.sourceIp);
+    const destIp = getFirstString(event, fields.destIp);
 
     if (!sourceIp || !destIp) return false;
 
@@ -230,11 +372,11 @@ function hasConnection(event) {
  * Uses only ECS standard fields.
  *
  * @param {Object} event - Raw ECS event object
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
  * @returns {string} Short single-line summary suitable for tooltips and the detail panel
  */
-function extractSummary(event) {
-    // ECS event.action is the primary descriptor; event.type is the array fallback
-    const actionStr = getFirstString(event, ['event.action', 'event.type']);
+function extractSummary(event, fields = DEFAULT_FIELD_PATHS) {
+    const actionStr = getFirstString(event, fields.summary);
 
     // ECS process.* fields (use getNestedString to handle ES array values)
     const processName = getNestedString(event, 'process.name');
@@ -306,31 +448,130 @@ function generateEventId(event, timestamp) {
     return `${ts}-${host}-${action}-${category}`;
 }
 
+/**
+ * Translate records from known non-ECS source formats into ECS documents.
+ * ECS input is returned unchanged, so already normalized events are idempotent.
+ *
+ * @param {Object} event - Raw event object (after `_source` unwrapping)
+ * @returns {Object} ECS event object
+ */
+function normalizeSourceFormat(event) {
+    if (isZeekRecord(event)) return zeekToEcs(event);
+    if (isCloudTrailRecord(event)) return cloudTrailToEcs(event);
+    if (isWindowsEventRecord(event)) return windowsEventToEcs(event);
+    return event;
+}
+
+/**
+ * Unwrap Elasticsearch `_search` responses (including scroll/PIT pages) and
+ * `_msearch` responses into their hits.
+ *
+ * @param {Object} value - Parsed JSON document
+ * @returns {Object[]|null} Hits (with `_index`, `_id`, `_source`), or null if not a search response
+ */
+function unwrapSearchResponse(value) {
+    if (!value || typeof value !== 'object') return null;
+    if (Array.isArray(value.hits?.hits)) return value.hits.hits;
+    if (Array.isArray(value.responses) && value.responses.some(response => Array.isArray(response?.hits?.hits))) {
+        return value.responses.flatMap(response => response?.hits?.hits || []);
+    }
+    return null;
+}
+
+/**
+ * Recognise a file written by the Export button (see buildExportDocument()).
+ *
+ * @param {Object} value - Parsed JSON document
+ * @returns {boolean} True for `{exportedAt, events: [...]}` documents
+ */
+function isExportDocument(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.exportedAt === 'string' && Array.isArray(value.events);
+}
+
+/**
+ * Collect the annotations and host clock offsets carried by Export files
+ * among parsed documents, so they can be restored with the events.
+ *
+ * @param {Array} records - Parsed JSON documents, before expandRecordContainers()
+ * @param {{annotations: Object, hostOffsets: Object}|null} [merged] - Metadata from earlier documents to add to
+ * @returns {{annotations: Object, hostOffsets: Object}|null} Annotations by event ID and offsets by host
+ *   key, or `merged` when no document is an export
+ */
+export function readExportMetadata(records, merged = null) {
+    for (const record of records) {
+        if (!isExportDocument(record)) continue;
+        merged ??= {annotations: {}, hostOffsets: {}};
+        Object.assign(merged.annotations, record.annotations);
+        Object.assign(merged.hostOffsets, record.hostOffsets);
+    }
+    return merged;
+}
+
+/**
+ * Flatten container documents (Export files, Elasticsearch search and
+ * multi-search responses, CloudTrail `{Records: [...]}` files, CloudTrail Lake
+ * query results) into the records they hold. Other values pass through.
+ *
+ * @param {Array} records - Parsed JSON documents
+ * @returns {Array} Individual event records
+ */
+export function expandRecordContainers(records) {
+    return records.flatMap(record => (isExportDocument(record) ? record.events : null) ??
+        unwrapSearchResponse(record) ?? unwrapCloudTrailContainer(record) ?? [record]);
+}
+
+/**
+ * Build the document stored on the server for a parsed event: the ECS body
+ * plus the `_id` (and `_index`, for Elasticsearch hits) it was imported under,
+ * the `_batch` of the import that added it, and the `_tz` its naive
+ * timestamps were read in.
+ *
+ * @param {Object} event - Parsed event object
+ * @returns {Object} Flat document that parseEvents() reads back to the same event
+ */
+export function toStoredDocument(event) {
+    const document = {_id: event.id};
+    if (event.provenance) document._index = event.provenance.index;
+    if (event.batchId) document._batch = event.batchId;
+    if (event.timeZone) document._tz = event.timeZone;
+    return Object.assign(document, event.raw);
+}
+
 /**
  * Parse a single raw event into a normalized internal representation.
  * Accepts both raw ECS events and Elasticsearch export format (with `_source` wrapper),
- * preserving the ES `_id` for deduplication when available.
+ * preserving the ES `_id` for deduplication when available and the `_index`
+ * as provenance. A `_batch` stamped by the server names the import batch, and
+ * a `_tz` recorded at import time overrides `assumeZone` for naive timestamps.
  *
  * @param {Object} rawEvent - Raw event, optionally wrapped in Elasticsearch `_source`
  * @param {number} index - Position in the source stream (used for warning messages)
- * @returns {{id: string, timestamp: Date, host: Object, category: string, summary: string, raw: Object}|null}
- *   Parsed event, or null if the event has no valid timestamp
+ * @param {Object} [fields=DEFAULT_FIELD_PATHS] - Resolved field paths
+ * @param {string|null} [assumeZone=null] - Zone for naive timestamps (UTC when null)
+ * @returns {{id: string, timestamp: Date, span: {start: Date, end: Date}|null, host: Object,
+ *   category: string, summary: string, provenance: {index: string, id: string}|null, batchId: string|null, timeZone: string|null,
+ *   raw: Object}|null} Parsed event, or null if the event has no valid timestamp
  */
-function parseEvent(rawEvent, index) {
+function parseEvent(rawEvent, index, fields = DEFAULT_FIELD_PATHS, assumeZone = null) {
     // Handle Elasticsearch export format (unwrap _source if present)
     // Preserve _id from ES wrapper for deduplication
-    const esId = rawEvent._id || null;
-    const event = rawEvent._source || rawEvent;
-
-    const timestamp = parseTimestamp(event);
+    const {_id: esId = null, _index: esIndex = null, _batch: batchId = null, _tz: storedZone = null, ...body} = rawEvent;
+    const event = normalizeSourceFormat(rawEvent._source || body);
+
+    // A stored `_tz` comes from whoever sent the event; one that names no zone is ignored.
+    // Only record a zone when it changed how this event's timestamp was read
+    const zone = [storedZone, assumeZone].find(isValidTimeZone) || UTC_ZONE;
+    const timeZone = zone !== UTC_ZONE && isNaiveTimestamp(getFirstValue(event, fields.timestamp)) ? zone : null;
+    const timestamp = parseTimestamp(event, fields, zone);
     if (!timestamp) {
         console.warn(`Event ${index} has no valid timestamp, skipping`);
         return null;
     }
 
-    const hostInfo = extractHostIdentifier(event);
-    const category = extractCategory(event);
-    const summary = extractSummary(event);
+    const span = parseSpan(event, timestamp, zone);
+    const hostInfo = extractHostIdentifier(event, fields);
+    const category = extractCategory(event, fields);
+    const summary = extractSummary(event, fields);
 
     // Use ES _id if available, otherwise generate one
     const eventId = esId || generateEventId(event, timestamp);
@@ -338,29 +579,72 @@ function parseEvent(rawEvent, index) {
     return {
         id: eventId,
         timestamp: timestamp,
+        span,
         host: hostInfo,
         category: category,
         summary: summary,
+        provenance: esIndex ? {index: esIndex, id: eventId} : null,
+        batchId,
+        timeZone,
         raw: event
     };
 }
 
 /**
- * Parses raw ECS JSON/NDJSON input into normalized event objects.
- * Handles both single events and newline-delimited event streams.
- * Extracts timestamps, categories, and creates unique IDs for deduplication.
+ * Re-derive already parsed events under a different field-mapping profile.
+ * Event IDs are kept so annotations stay attached; events the profile cannot
+ * place (no resolvable timestamp) keep their previous derivation.
  *
- * @param {string|Array} input - JSON string, NDJSON string, or array of event objects
- * @returns {Array} Array of parsed event objects with id, timestamp, host, category, summary, and raw properties
+ * @param {Array} events - Parsed event objects
+ * @param {Object} [options]
+ * @param {Object|null} [options.profile] - Field-mapping profile to apply
+ * @returns {Array} Newly derived event objects in the same order
+ */
+export function reparseEvents(events, options = {}) {
+    const fields = resolveFieldPaths(options.profile);
+    return events.map((event, index) => parseEvent(toStoredDocument(event), index, fields) || event);
+}
+
+/**
+ * Run a streaming record parser over a complete text.
+ *
+ * @param {{push: Function, flush: Function}} parser - Record splitter or format parser
+ * @param {string} text - Complete input
+ * @returns {{records: Array, errors: Array<{line: number, message: string}>}} All records and errors
  */
-export function parseEvents(input) {
+function splitText(parser, text) {
+    const first = parser.push(text);
+    const last = parser.flush();
+    return {records: [...first.records, ...last.records], errors: [...first.errors, ...last.errors]};
+}
+
+/**
+ * Parses input like parseEvents(), and also reports what could not be used:
+ * how many records were found and which lines failed to parse. Records minus
+ * events is the number skipped for lack of a timestamp. Export files also
+ * bring back their annotations and host clock offsets.
+ *
+ * @param {string|Array} input - JSON string, NDJSON string, Zeek TSV log, event XML, or array of event objects
+ * @param {Object} [options]
+ * @param {Object|null} [options.profile] - Field-mapping profile for non-ECS sources
+ * @param {string|null} [options.assumeZone] - IANA zone (or "UTC") for naive timestamps
+ * @returns {{events: Array, records: number, errors: Array<{line: number, message: string}>,
+ *   exportMetadata: {annotations: Object, hostOffsets: Object}|null}} Parse report
+ */
+export function parseEventsReport(input, options = {}) {
+    const fields = resolveFieldPaths(options.profile);
     let rawEvents = [];
+    let errors = [];
 
     if (typeof input === 'string') {
         // Try to parse as JSON
         const trimmed = input.trim();
 
-        if (trimmed.startsWith('[')) {
+        if (isZeekTsv(trimmed)) {
+            ({records: rawEvents, errors} = splitText(createZeekTsvParser(), trimmed));
+        } else if (isWindowsEventXml(trimmed)) {
+            ({records: rawEvents, errors} = splitText(createWindowsEventXmlParser(), trimmed));
+        } else if (trimmed.startsWith('[')) {
             // JSON array
             try {
                 rawEvents = JSON.parse(trimmed);
@@ -373,28 +657,10 @@ export function parseEvents(input) {
             try {
                 rawEvents = [JSON.parse(trimmed)];
             } catch (e) {
-                // If that fails, try NDJSON (one JSON object per line)
-                const lines = trimmed.split('\n').filter(line => line.trim());
-                rawEvents = lines.map((line, i) => {
-                    try {
-                        return JSON.parse(line);
-                    } catch (e2) {
-                        console.warn(`Failed to parse line ${i + 1}: ${e2.message}`);
-                        return null;
-                    }
-                }).filter(Boolean);
-
-                // If NDJSON also failed to produce results, throw original error
+                // Otherwise NDJSON, or back-to-back objects such as concatenated scroll pages
+                ({records: rawEvents, errors} = splitText(createJsonRecordSplitter(), trimmed));
+
                 if (rawEvents.length === 0) {
-                    // Check if this looks like multiple back-to-back objects
-                    // Pattern: closing brace followed by opening brace (with optional whitespace)
-                    if (/}\s*\n\s*\{/.test(trimmed) || /}\s*\{/.test(trimmed)) {
-                        throw new Error(
-                            'Multiple JSON objects detected. Please use one of these formats:\n' +
-                            '• Wrap objects in an array: [{...}, {...}]\n' +
-                            '• Use NDJSON: one minified object per line'
-                        );
-                    }
                     throw new Error(`Failed to parse JSON: ${e.message}`);
                 }
             }
@@ -410,9 +676,29 @@ export function parseEvents(input) {
     }
 
     // Parse each event
-    return rawEvents
-        .map((event, index) => parseEvent(event, index))
+    const records = expandRecordContainers(rawEvents);
+    const events = records
+        .map((event, index) => parseEvent(event, index, fields, options.assumeZone))
         .filter(Boolean);
+    return {events, records: records.length, errors, exportMetadata: readExportMetadata(rawEvents)};
+}
+
+/**
+ * Parses raw ECS JSON/NDJSON input into normalized event objects.
+ * Handles single events, newline-delimited and back-to-back event streams,
+ * Elasticsearch `_search`/`_msearch` responses and scroll dumps, plus native
+ * source formats that are translated to ECS on the way in (Zeek TSV/JSON logs,
+ * CloudTrail log files and Lake query results, Windows event XML).
+ * Extracts timestamps, categories, and creates unique IDs for deduplication.
+ *
+ * @param {string|Array} input - JSON string, NDJSON string, Zeek TSV log, event XML, or array of event objects
+ * @param {Object} [options]
+ * @param {Object|null} [options.profile] - Field-mapping profile for non-ECS sources
+ * @param {string|null} [options.assumeZone] - IANA zone (or "UTC") for naive timestamps
+ * @returns {Array} Array of parsed event objects with id, timestamp, host, category, summary, and raw properties
+ */
+export function parseEvents(input, options = {}) {
+    return parseEventsReport(input, options).events;
 }
 
 /**
@@ -420,9 +706,11 @@ export function parseEvents(input) {
  * Used to organize events into swim lanes on the timeline visualization.
  *
  * @param {Array} events - Array of parsed event objects
+ * @param {Object|null} [profile] - Field-mapping profile used to locate source/destination IPs
  * @returns {Object} Host registry with getHostList() and getEventsForHost(hostname) methods
  */
-export function buildHostRegistry(events) {
+export function buildHostRegistry(events, profile = null) {
+    const fields = resolveFieldPaths(profile);
     const registry = new Map();
     const ipToHost = new Map();
 
@@ -445,9 +733,9 @@ export function buildHostRegistry(events) {
         }
 
         // Also collect IPs from network connections in raw data
-        if (hasConnection(event.raw)) {
+        if (hasConnection(event.raw, fields)) {
             const sourceDomain = getNestedString(event.raw, 'source.domain');
-            const sourceIp = getNestedString(event.raw, 'source.ip');
+            const sourceIp = getFirstString(event.raw, fields.sourceIp);
             if (sourceDomain) {
                 const sourceKey = sourceDomain.toLowerCase();
                 if (!registry.has(sourceKey)) {
@@ -461,7 +749,7 @@ export function buildHostRegistry(events) {
             }
 
             const destDomain = getNestedString(event.raw, 'destination.domain');
-            const destIp = getNestedString(event.raw, 'destination.ip');
+            const destIp = getFirstString(event.raw, fields.destIp);
             if (destDomain) {
                 const destKey = destDomain.toLowerCase();
                 if (!registry.has(destKey)) {
@@ -498,6 +786,26 @@ export function buildHostRegistry(events) {
             return ip; // Return IP if no hostname found
         },
 
+        // Resolve one end of a network connection to a lane
+        resolveEndpoint: function (raw, side, ip) {
+            return this.resolveIp(ip);
+        },
+
+        // Name of the lane an event is drawn on, or null when it has none
+        laneOf: function (event) {
+            if (!event.host) return null;
+
+            // Network events without a host go on their source host when it is known
+            if (event.host.hostname === 'Unknown' && event.raw) {
+                const sourceIp = getFirstString(event.raw, fields.sourceIp);
+                if (sourceIp) {
+                    const sourceHost = this.resolveIp(sourceIp);
+                    if (sourceHost !== sourceIp) return sourceHost;
+                }
+            }
+            return event.host.hostname;
+        },
+
         // Get all unique hosts as array
         getHostList: function () {
             return Array.from(this.hosts.values());
@@ -505,26 +813,139 @@ export function buildHostRegistry(events) {
     };
 }
 
+/**
+ * Lane name for events that lack the lane key field.
+ *
+ * @param {string} laneKey - Dot-notation field path events are laned by
+ * @returns {string} Lane name
+ */
+export function missingLaneName(laneKey) {
+    return `(no ${laneKey})`;
+}
+
+/**
+ * Creates a lane registry that groups events by the value of any field
+ * (e.g. `user.name` or `process.entity_id`) instead of by host. It has the
+ * same interface as the host registry, so lanes, lane layouts and connections
+ * work the same way; events without the field share one lane.
+ *
+ * Connection ends are resolved from the field nested under `source.` or
+ * `destination.` (e.g. `source.user.name`, or `destination.ip` when laning by
+ * `source.ip`), falling back to IPs seen on a single lane only.
+ *
+ * @param {Array} events - Array of parsed event objects
+ * @param {string} laneKey - Dot-notation field path to lane events by
+ * @param {Object|null} [profile] - Field-mapping profile used to locate host IPs
+ * @returns {Object} Lane registry with getHostList(), laneOf(event), resolveIp(ip) and resolveEndpoint()
+ */
+export function buildFieldLaneRegistry(events, laneKey, profile = null) {
+    const fields = resolveFieldPaths(profile);
+    const missing = missingLaneName(laneKey);
+    const registry = new Map();
+    const ipLanes = new Map();
+
+    const nameOf = (raw) => {
+        const value = getNestedString(raw, laneKey);
+        return value === null || value === undefined || value === '' ? missing : String(value);
+    };
+
+    events.forEach(event => {
+        const name = nameOf(event.raw);
+        const key = name.toLowerCase();
+        if (!registry.has(key)) {
+            registry.set(key, {hostname: name, ips: new Set(), displayName: name});
+        }
+
+        const ip = getFirstString(event.raw, fields.ip);
+        if (ip && name !== missing) {
+            registry.get(key).ips.add(ip);
+            if (!ipLanes.has(ip)) ipLanes.set(ip, new Set());
+            ipLanes.get(ip).add(key);
+        }
+    });
+
+    // IPs shared by several lanes say nothing about which one a connection belongs to
+    const ipToHost = new Map();
+    ipLanes.forEach((keys, ip) => {
+        if (keys.size === 1) ipToHost.set(ip, keys.values().next().value);
+    });
+    registry.forEach(lane => {
+        lane.ips = Array.from(lane.ips);
+    });
+
+    const sideField = laneKey.startsWith('source.') || laneKey.startsWith('destination.')
+        ? laneKey.slice(laneKey.indexOf('.') + 1)
+        : laneKey;
+
+    return {
+        hosts: registry,
+        ipToHost: ipToHost,
+
+        resolveIp: function (ip) {
+            const key = this.ipToHost.get(ip);
+            return key ? this.hosts.get(key).hostname : ip;
+        },
+
+        resolveEndpoint: function (raw, side, ip) {
+            const value = getNestedString(raw, `${side}.${sideField}`);
+            if (value !== null && value !== undefined && value !== '') {
+                const lane = this.hosts.get(String(value).toLowerCase());
+                if (lane) return lane.hostname;
+            }
+            return this.resolveIp(ip);
+        },
+
+        laneOf: function (event) {
+            return nameOf(event.raw);
+        },
+
+        getHostList: function () {
+            return Array.from(this.hosts.values());
+        }
+    };
+}
+
+/**
+ * Bytes a flow carried: ECS `network.bytes`, or the sum of `source.bytes` and
+ * `destination.bytes` when only the per-direction counts are present.
+ *
+ * @param {Object} event - Raw ECS event object
+ * @returns {number|null} Byte count, or null when the event records none
+ */
+function connectionBytes(event) {
+    const toNumber = value => (value === null || value === '' ? NaN : Number(value));
+    const total = toNumber(getNestedString(event, 'network.bytes'));
+    if (Number.isFinite(total)) return total;
+
+    const parts = ['source.bytes', 'destination.bytes']
+        .map(path => toNumber(getNestedString(event, path)))
+        .filter(Number.isFinite);
+    return parts.length > 0 ? parts.reduce((sum, value) => sum + value, 0) : null;
+}
+
 /**
  * Analyzes network events to identify connections between hosts.
  * Matches source/destination IPs and ports across events to find related activity.
  *
  * @param {Array} events - Array of parsed event objects
- * @param {Object} hostRegistry - Host registry from buildHostRegistry()
- * @returns {Array} Array of connection objects with source, destination, and related event references
+ * @param {Object} hostRegistry - Host registry from buildHostRegistry(), or a lane registry from buildFieldLaneRegistry()
+ * @param {Object|null} [profile] - Field-mapping profile used to locate source/destination IPs
+ * @returns {Array} Array of connection objects with source, destination, and related event references,
+ *   plus the bytes each flow carried (null when not recorded)
  */
-export function identifyConnections(events, hostRegistry) {
+export function identifyConnections(events, hostRegistry, profile = null) {
+    const fields = resolveFieldPaths(profile);
     const connections = [];
 
     events.forEach(event => {
-        if (!hasConnection(event.raw)) return;
+        if (!hasConnection(event.raw, fields)) return;
 
-        const sourceIp = getNestedString(event.raw, 'source.ip');
-        const destIp = getNestedString(event.raw, 'destination.ip');
+        const sourceIp = getFirstString(event.raw, fields.sourceIp);
+        const destIp = getFirstString(event.raw, fields.destIp);
 
-        // Resolve IPs to hostnames
-        const sourceHost = hostRegistry.resolveIp(sourceIp);
-        const destHost = hostRegistry.resolveIp(destIp);
+        // Resolve each end to a lane
+        const sourceHost = hostRegistry.resolveEndpoint(event.raw, 'source', sourceIp);
+        const destHost = hostRegistry.resolveEndpoint(event.raw, 'destination', destIp);
 
         // Skip if same host (after resolution)
         if (sourceHost.toLowerCase() === destHost.toLowerCase()) return;
@@ -540,7 +961,8 @@ export function identifyConnections(events, hostRegistry) {
             destPort: getNestedString(event.raw, 'destination.port'),
             protocol: getFirstValue(event.raw, ['network.transport', 'network.protocol']),
             direction: getNestedValue(event.raw, 'network.direction'),
-            communityId: getNestedValue(event.raw, 'network.community_id')
+            communityId: getNestedValue(event.raw, 'network.community_id'),
+            bytes: connectionBytes(event.raw)
         });
     });
 
@@ -0,0 +1,280 @@
+/**
+ * ECS Timeline Builder - Process Tree
+ * Rebuilds process lineage per host from loaded events. Processes are keyed
+ * by ECS `process.entity_id` and linked through `process.parent.entity_id`.
+ * Sources without entity IDs are linked by PID and parent PID instead, each
+ * PID standing for the latest process started with it at or before the time
+ * in question, so reused PIDs do not merge unrelated processes. Winlogbeat
+ * Sysmon records that were never mapped to ECS are read from
+ * winlog.event_data.
+ */
+
+import {fieldValues} from './query.js';
+
+// Paths tried in order for each process property
+const PROCESS_FIELDS = {
+    entityId: ['process.entity_id', 'winlog.event_data.ProcessGuid'],
+    pid: ['process.pid', 'winlog.event_data.ProcessId'],
+    start: ['process.start'],
+    name: ['process.name'],
+    executable: ['process.executable', 'winlog.event_data.Image'],
+    commandLine: ['process.command_line', 'winlog.event_data.CommandLine'],
+    parentEntityId: ['process.parent.entity_id', 'winlog.event_data.ParentProcessGuid'],
+    parentPid: ['process.parent.pid', 'winlog.event_data.ParentProcessId'],
+    parentName: ['process.parent.name'],
+    parentExecutable: ['process.parent.executable', 'winlog.event_data.ParentImage'],
+    parentCommandLine: ['process.parent.command_line', 'winlog.event_data.ParentCommandLine']
+};
+
+const NETWORK_FIELDS = ['destination.ip', 'dns.question.name', 'winlog.event_data.DestinationIp', 'winlog.event_data.QueryName'];
+const FILE_FIELDS = ['file.path', 'winlog.event_data.TargetFilename'];
+
+const SYSMON_PROVIDER = 'Microsoft-Windows-Sysmon';
+const SYSMON_PROCESS_CREATED = '1';
+const SYSMON_PROCESS_TERMINATED = '5';
+
+function firstValue(raw, paths) {
+    for (const path of paths) {
+        const [value] = fieldValues(raw, path);
+        if (value !== undefined) return value;
+    }
+    return null;
+}
+
+function readProcessFields(raw) {
+    const fields = {};
+    for (const [key, paths] of Object.entries(PROCESS_FIELDS)) {
+        const value = firstValue(raw, paths);
+        fields[key] = value === null ? null : String(value);
+    }
+    return fields;
+}
+
+function basename(path) {
+    return path ? path.split(/[\\/]/).pop() : null;
+}
+
+function parseTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether an event records a process starting or ending.
+ *
+ * @param {Object} event - Parsed event
+ * @param {'start'|'end'} type - ECS event.type to look for
+ * @returns {boolean} True for process start or end events
+ */
+function isLifecycleEvent(event, type) {
+    if (event.category === 'process' && fieldValues(event.raw, 'event.type').includes(type)) return true;
+    if (firstValue(event.raw, ['winlog.provider_name']) !== SYSMON_PROVIDER) return false;
+    const eventId = String(firstValue(event.raw, ['winlog.event_id']));
+    return eventId === (type === 'start' ? SYSMON_PROCESS_CREATED : SYSMON_PROCESS_TERMINATED);
+}
+
+function hasAny(raw, paths) {
+    return paths.some(path => fieldValues(raw, path).length > 0);
+}
+
+function createNode(key, host, fields) {
+    return {
+        key,
+        host,
+        entityId: fields.entityId ?? null,
+        pid: fields.pid ?? null,
+        name: fields.name ?? basename(fields.executable),
+        executable: fields.executable ?? null,
+        commandLine: fields.commandLine ?? null,
+        start: null,
+        end: null,
+        parentKey: null,
+        placeholder: false,
+        events: [],
+        network: [],
+        files: [],
+        children: []
+    };
+}
+
+// Fill in details the first event of a process did not carry
+function mergeDetails(node, fields) {
+    node.entityId ??= fields.entityId;
+    node.pid ??= fields.pid;
+    node.executable ??= fields.executable;
+    node.name ??= fields.name ?? basename(fields.executable);
+    node.commandLine ??= fields.commandLine;
+}
+
+function sortTime(node) {
+    if (node.start) return node.start.getTime();
+    return node.events.length > 0 ? node.events[0].timestamp.getTime() : Infinity;
+}
+
+/**
+ * Rebuild the process trees of every host from a set of events. Events that
+ * name no process are left out. A parent that none of the events describe
+ * becomes a placeholder node built from the child's `process.parent.*`
+ * fields.
+ *
+ * @param {Array} events - Parsed events
+ * @returns {{hosts: Array<{host: string, roots: Array, processCount: number}>, nodes: Map<string, Object>}}
+ *   Root processes per host, sorted by host name, and every process by key.
+ *   Each process node has `key`, `host`, `entityId`, `pid`, `name`,
+ *   `executable`, `commandLine`, `start` and `end` (Date or null),
+ *   `parentKey`, `placeholder`, its `events` in time order, the `network` and
+ *   `files` subsets of them, and its `children` in start order
+ */
+export function buildProcessTrees(events) {
+    const nodes = new Map();
+    const parentFields = new Map();
+    // Processes started with each host and PID, to resolve PID-only references
+    const pidStarts = new Map();
+    const deferred = [];
+
+    const pidKey = (host, pid) => `${host}\u0000${pid}`;
+    const registerStart = (node) => {
+        if (node.pid === null || !node.start) return;
+        const key = pidKey(node.host, node.pid);
+        if (!pidStarts.has(key)) pidStarts.set(key, []);
+        const starts = pidStarts.get(key);
+        if (!starts.includes(node)) starts.push(node);
+    };
+    const getNode = (key, host, fields) => {
+        let node = nodes.get(key);
+        if (!node) {
+            node = createNode(key, host, fields);
+            nodes.set(key, node);
+        } else {
+            mergeDetails(node, fields);
+        }
+        return node;
+    };
+    const attach = (node, event, fields) => {
+        node.events.push(event);
+        if (!parentFields.has(node.key) && (fields.parentEntityId || fields.parentPid)) {
+            parentFields.set(node.key, fields);
+        }
+        if (isLifecycleEvent(event, 'end')) node.end = event.timestamp;
+        if (event.category === 'network' || hasAny(event.raw, NETWORK_FIELDS)) {
+            node.network.push(event);
+        } else if (event.category === 'file' || hasAny(event.raw, FILE_FIELDS)) {
+            node.files.push(event);
+        }
+    };
+    // The latest process started with a PID at or before a time
+    const findByPid = (host, pid, time) => {
+        const starts = pidStarts.get(pidKey(host, pid)) || [];
+        let found = null;
+        for (const node of starts) {
+            if (node.start.getTime() <= time && (!found || node.start > found.start)) found = node;
+        }
+        return found;
+    };
+
+    const sorted = [...events].sort((a, b) => a.timestamp - b.timestamp);
+    for (const event of sorted) {
+        const host = event.host ? event.host.hostname : 'Unknown';
+        const fields = readProcessFields(event.raw);
+        const start = parseTime(fields.start) || (isLifecycleEvent(event, 'start') ? event.timestamp : null);
+
+        if (fields.entityId) {
+            const node = getNode(`${host}\u0000entity\u0000${fields.entityId}`, host, fields);
+            if (start && !node.start) node.start = start;
+            registerStart(node);
+            attach(node, event, fields);
+        } else if (fields.pid !== null && start) {
+            const node = getNode(`${host}\u0000pid\u0000${fields.pid}\u0000${start.getTime()}`, host, fields);
+            node.start = start;
+            registerStart(node);
+            attach(node, event, fields);
+        } else if (fields.pid !== null) {
+            deferred.push({event, host, fields});
+        }
+    }
+
+    // PID-only events belong to the process running under that PID at the time
+    for (const {event, host, fields} of deferred) {
+        const node = findByPid(host, fields.pid, event.timestamp.getTime()) ||
+            getNode(`${host}\u0000pid\u0000${fields.pid}\u0000`, host, fields);
+        mergeDetails(node, fields);
+        attach(node, event, fields);
+    }
+    const byTime = (a, b) => a.timestamp - b.timestamp;
+    for (const node of nodes.values()) {
+        node.events.sort(byTime);
+        node.network.sort(byTime);
+        node.files.sort(byTime);
+    }
+
+    const isAncestor = (candidate, node) => {
+        for (let current = candidate; current; current = current.parentKey ? nodes.get(current.parentKey) : null) {
+            if (current === node) return true;
+        }
+        return false;
+    };
+
+    for (const node of [...nodes.values()]) {
+        const fields = parentFields.get(node.key);
+        if (!fields) continue;
+        const details = {
+            entityId: fields.parentEntityId,
+            pid: fields.parentPid,
+            name: fields.parentName,
+            executable: fields.parentExecutable,
+            commandLine: fields.parentCommandLine
+        };
+
+        let parent;
+        if (fields.parentEntityId) {
+            parent = nodes.get(`${node.host}\u0000entity\u0000${fields.parentEntityId}`);
+            if (!parent) {
+                parent = getNode(`${node.host}\u0000entity\u0000${fields.parentEntityId}`, node.host, details);
+                parent.placeholder = true;
+            }
+        } else {
+            parent = findByPid(node.host, fields.parentPid, sortTime(node));
+            if (!parent) {
+                parent = getNode(`${node.host}\u0000pid\u0000${fields.parentPid}\u0000`, node.host, details);
+                if (parent.events.length === 0) parent.placeholder = true;
+            }
+        }
+        if (parent.placeholder) mergeDetails(parent, details);
+        if (isAncestor(parent, node)) continue;
+        node.parentKey = parent.key;
+        parent.children.push(node);
+    }
+
+    const hosts = new Map();
+    for (const node of nodes.values()) {
+        node.children.sort((a, b) => sortTime(a) - sortTime(b));
+        if (!hosts.has(node.host)) hosts.set(node.host, {host: node.host, roots: [], processCount: 0});
+        const entry = hosts.get(node.host);
+        entry.processCount++;
+        if (!node.parentKey) entry.roots.push(node);
+    }
+    for (const entry of hosts.values()) entry.roots.sort((a, b) => sortTime(a) - sortTime(b));
+
+    return {
+        hosts: [...hosts.values()].sort((a, b) => a.host.localeCompare(b.host)),
+        nodes
+    };
+}
+
+/**
+ * Events of a process and of every process it started, in time order.
+ *
+ * @param {Object} node - Process node from buildProcessTrees()
+ * @returns {Array} Parsed events
+ */
+export function subtreeEvents(node) {
+    const events = [];
+    const stack = [node];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        events.push(...current.events);
+        stack.push(...current.children);
+    }
+    return events.sort((a, b) => a.timestamp - b.timestamp);
+}
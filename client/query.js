@@ -0,0 +1,353 @@
+/**
+ * ECS Timeline Builder - Filter Query Language
+ * A small KQL-like language for filtering events by their ECS fields:
+ *
+ *   event.category:process and not user.name:SYSTEM and host.name:ws-*
+ *   source.ip:("10.0.0.5" or 10.0.0.6) or (event.outcome:failure and not tag:*)
+ *   event.severity >= 3 and @timestamp < "2024-01-15T12:00:00Z"
+ *   mimikatz
+ *
+ * `field:value` matches any value of the field (arrays match on any element),
+ * case-insensitively; unquoted values may use `*` wildcards, and `field:*`
+ * matches events that have the field at all. `>`, `>=`, `<` and `<=` compare
+ * numbers, timestamps or text. A bare value matches the event summary or any
+ * field value containing it. Terms combine with `and`, `or`, `not` and
+ * parentheses; adjacent terms are joined with `and`.
+ */
+
+import {getNestedValue} from './parser.js';
+
+const KEYWORDS = new Set(['and', 'or', 'not']);
+const COMPARISONS = ['>=', '<=', '>', '<'];
+
+/**
+ * Split a query into tokens. After `:` or a comparison, a value runs to the
+ * next space or parenthesis, so values such as IPv6 addresses and times need
+ * no quotes.
+ *
+ * @param {string} text - Query text
+ * @returns {Array<{type: string, value: string, position: number}>} Tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const position = i;
+        if (char === '(' || char === ')' || char === ':') {
+            tokens.push({type: char, value: char, position});
+            i++;
+            continue;
+        }
+
+        const comparison = COMPARISONS.find(op => text.startsWith(op, i));
+        if (comparison) {
+            tokens.push({type: 'compare', value: comparison, position});
+            i += comparison.length;
+            continue;
+        }
+
+        if (char === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i];
+                i++;
+            }
+            if (i >= text.length) throw new Error(`Unterminated quote at position ${position + 1}`);
+            i++;
+            tokens.push({type: 'string', value, position});
+            continue;
+        }
+
+        const previous = tokens[tokens.length - 1];
+        const afterOperator = previous && (previous.type === ':' || previous.type === 'compare');
+        const stop = afterOperator ? /[\s()"]/ : /[\s()":<>]/;
+        let value = '';
+        while (i < text.length && !stop.test(text[i])) {
+            value += text[i];
+            i++;
+        }
+        tokens.push({type: 'word', value, position});
+    }
+    return tokens;
+}
+
+/**
+ * Parse a query into a syntax tree.
+ *
+ * @param {string} text - Query text
+ * @returns {Object|null} Syntax tree, or null for a blank query; nodes are
+ *   `{type: 'and'|'or', left, right}`, `{type: 'not', operand}`,
+ *   `{type: 'field', field, values}`, `{type: 'exists', field}`,
+ *   `{type: 'compare', field, op, value}` and `{type: 'text', value}`, where
+ *   values are `{text, quoted}`
+ * @throws {Error} When the query is malformed, naming the position
+ */
+export function parseQuery(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toLowerCase() === keyword;
+    const fail = (message, token = peek()) => {
+        throw new Error(token ? `${message} at position ${token.position + 1}` : `${message} at end of query`);
+    };
+
+    function parseValue() {
+        const token = peek();
+        if (!token || (token.type !== 'word' && token.type !== 'string')) fail('Expected a value');
+        index++;
+        return {text: token.value, quoted: token.type === 'string'};
+    }
+
+    function parseTerm() {
+        const token = peek();
+        if (!token) fail('Expected a term');
+
+        if (token.type === '(') {
+            index++;
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') fail('Expected )');
+            index++;
+            return node;
+        }
+        if (token.type !== 'word' && token.type !== 'string') fail(`Unexpected "${token.value}"`);
+        if (token.type === 'word' && KEYWORDS.has(token.value.toLowerCase())) fail(`Unexpected "${token.value}"`);
+        index++;
+
+        const operator = peek();
+        if (token.type === 'word' && operator && operator.type === ':') {
+            index++;
+            if (peek() && peek().type === '(') {
+                index++;
+                const values = [parseValue()];
+                while (isKeyword(peek(), 'or')) {
+                    index++;
+                    values.push(parseValue());
+                }
+                if (!peek() || peek().type !== ')') fail('Expected )');
+                index++;
+                return {type: 'field', field: token.value, values};
+            }
+            const value = parseValue();
+            if (!value.quoted && value.text === '*') return {type: 'exists', field: token.value};
+            return {type: 'field', field: token.value, values: [value]};
+        }
+        if (token.type === 'word' && operator && operator.type === 'compare') {
+            index++;
+            return {type: 'compare', field: token.value, op: operator.value, value: parseValue()};
+        }
+        return {type: 'text', value: {text: token.value, quoted: token.type === 'string'}};
+    }
+
+    function parseNot() {
+        if (isKeyword(peek(), 'not')) {
+            index++;
+            return {type: 'not', operand: parseNot()};
+        }
+        return parseTerm();
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        for (;;) {
+            const token = peek();
+            if (isKeyword(token, 'and')) {
+                index++;
+            } else if (!token || token.type === ')' || isKeyword(token, 'or')) {
+                return left;
+            }
+            left = {type: 'and', left, right: parseNot()};
+        }
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'or')) {
+            index++;
+            left = {type: 'or', left, right: parseAnd()};
+        }
+        return left;
+    }
+
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (index < tokens.length) fail(`Unexpected "${peek().value}"`);
+    return tree;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive matcher for one query value.
+ *
+ * @param {{text: string, quoted: boolean}} value - Query value
+ * @param {boolean} partial - Whether the value may match part of a field value
+ * @returns {Function} Returns whether a lowercased string matches
+ */
+function valueMatcher(value, partial) {
+    const text = value.text.toLowerCase();
+    if (value.quoted || !text.includes('*')) {
+        return partial ? candidate => candidate.includes(text) : candidate => candidate === text;
+    }
+    const pattern = text.split('*').map(escapeRegExp).join('.*');
+    const regex = new RegExp(partial ? pattern : `^${pattern}$`);
+    return candidate => regex.test(candidate);
+}
+
+/**
+ * Scalar values of a field, looked up as a nested path or as a flattened
+ * dotted key. Arrays give each of their elements.
+ *
+ * @param {Object} raw - Raw event document
+ * @param {string} field - Dot-notation field path
+ * @returns {Array} Field values (empty when the field is missing)
+ */
+export function fieldValues(raw, field) {
+    const value = raw && Object.hasOwn(raw, field) ? raw[field] : getNestedValue(raw, field);
+    if (value === null || value === undefined || value === '') return [];
+    return Array.isArray(value) ? value.filter(entry => entry !== null && entry !== undefined) : [value];
+}
+
+function collectStrings(value, out) {
+    if (value === null || value === undefined) return out;
+    if (typeof value === 'object') {
+        for (const entry of Object.values(value)) collectStrings(entry, out);
+    } else {
+        out.push(String(value).toLowerCase());
+    }
+    return out;
+}
+
+/**
+ * Every scalar value anywhere in a document, lowercased.
+ *
+ * @param {Object} raw - Raw event document
+ * @returns {string[]} Lowercased values
+ */
+export function rawValueStrings(raw) {
+    return collectStrings(raw, []);
+}
+
+function compareValues(actual, expected) {
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    if (actual !== '' && expected !== '' && !Number.isNaN(actualNumber) && !Number.isNaN(expectedNumber)) {
+        return actualNumber - expectedNumber;
+    }
+    const actualTime = Date.parse(actual);
+    const expectedTime = Date.parse(expected);
+    if (!Number.isNaN(actualTime) && !Number.isNaN(expectedTime)) {
+        return actualTime - expectedTime;
+    }
+    const a = String(actual).toLowerCase();
+    const b = String(expected).toLowerCase();
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const COMPARE = {
+    '>': diff => diff > 0,
+    '>=': diff => diff >= 0,
+    '<': diff => diff < 0,
+    '<=': diff => diff <= 0
+};
+
+function compileNode(node) {
+    switch (node.type) {
+        case 'and': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            return event => left(event) && right(event);
+        }
+        case 'or': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            return event => left(event) || right(event);
+        }
+        case 'not': {
+            const operand = compileNode(node.operand);
+            return event => !operand(event);
+        }
+        case 'exists':
+            return event => fieldValues(event.raw, node.field).length > 0;
+        case 'field': {
+            const matchers = node.values.map(value => valueMatcher(value, false));
+            return event => fieldValues(event.raw, node.field)
+                .some(value => {
+                    const candidate = String(value).toLowerCase();
+                    return matchers.some(matches => matches(candidate));
+                });
+        }
+        case 'compare': {
+            const test = COMPARE[node.op];
+            return event => fieldValues(event.raw, node.field)
+                .some(value => test(compareValues(String(value), node.value.text)));
+        }
+        case 'text': {
+            const matches = valueMatcher(node.value, true);
+            return event => (event.summary && matches(String(event.summary).toLowerCase())) ||
+                rawValueStrings(event.raw).some(matches);
+        }
+        default:
+            throw new Error(`Unknown query node ${node.type}`);
+    }
+}
+
+/**
+ * Query clause matching events whose field has exactly a value, e.g.
+ * `process.hash.sha256:"ab12…"`, or lacks it with `exclude`.
+ *
+ * @param {string} field - Dot-notation field path
+ * @param {*} value - Field value; quoted, so wildcards and spaces are taken literally
+ * @param {Object} [options]
+ * @param {boolean} [options.exclude=false] - Match events without the value instead
+ * @returns {string} Query clause
+ */
+export function fieldClause(field, value, {exclude = false} = {}) {
+    const quoted = `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    return `${exclude ? 'not ' : ''}${field}:${quoted}`;
+}
+
+/**
+ * Narrow a query with another clause. A query whose top level is an `or` is
+ * parenthesized first so the clause applies to all of it; a malformed query
+ * is kept as typed.
+ *
+ * @param {string} query - Current query text
+ * @param {string} clause - Clause to add
+ * @returns {string} Combined query
+ */
+export function appendQueryClause(query, clause) {
+    const text = (query || '').trim();
+    if (!text) return clause;
+
+    let tree = null;
+    try {
+        tree = parseQuery(text);
+    } catch {
+        // Appended as is, so the user can still see and fix their own part
+    }
+    return tree && tree.type === 'or' ? `(${text}) and ${clause}` : `${text} and ${clause}`;
+}
+
+/**
+ * Turn a query into an event predicate.
+ *
+ * @param {string} text - Query text
+ * @returns {Function|null} `(event) => boolean` over parsed events, or null for a blank query
+ * @throws {Error} When the query is malformed
+ */
+export function compileQuery(text) {
+    const tree = parseQuery(text || '');
+    return tree ? compileNode(tree) : null;
+}
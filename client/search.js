@@ -0,0 +1,68 @@
+/**
+ * ECS Timeline Builder - Event Search
+ * Finds the events whose raw document contains a piece of text (a hash, an
+ * IP, part of a command line), optionally as a regular expression or within
+ * a single field, so the timeline can highlight them and step through them.
+ */
+
+import {fieldValues, rawValueStrings} from './query.js';
+
+/**
+ * Build a predicate for a search.
+ *
+ * @param {string} text - Text to look for
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false] - Treat the text as a regular expression
+ * @param {string} [options.field=''] - Dot-notation field to search in; blank searches every field
+ * @returns {Function|null} `(event) => boolean`, or null when the text is blank
+ * @throws {Error} When the regular expression is invalid
+ */
+export function createSearchMatcher(text, {regex = false, field = ''} = {}) {
+    if (!text) return null;
+
+    let matches;
+    if (regex) {
+        let pattern;
+        try {
+            pattern = new RegExp(text, 'i');
+        } catch (e) {
+            throw new Error(`Invalid regular expression: ${e.message}`);
+        }
+        matches = value => pattern.test(value);
+    } else {
+        const needle = text.toLowerCase();
+        matches = value => value.includes(needle);
+    }
+
+    const scope = field.trim();
+    if (scope) {
+        return event => fieldValues(event.raw, scope).some(value =>
+            typeof value !== 'object' && matches(String(value).toLowerCase()));
+    }
+    return event => rawValueStrings(event.raw).some(matches);
+}
+
+/**
+ * Events a search matches, earliest first.
+ *
+ * @param {Array} events - Parsed events
+ * @param {Function} matcher - Predicate from createSearchMatcher()
+ * @returns {Array} Matching events sorted by timestamp
+ */
+export function findSearchHits(events, matcher) {
+    return events.filter(matcher).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Step through hits, wrapping around at either end.
+ *
+ * @param {number} count - Number of hits
+ * @param {number} index - Current hit index, or -1 before the first step
+ * @param {number} step - 1 for the next hit, -1 for the previous one
+ * @returns {number} New hit index, or -1 when there are no hits
+ */
+export function stepSearchHit(count, index, step) {
+    if (count === 0) return -1;
+    if (index < 0) return step > 0 ? 0 : count - 1;
+    return (index + step + count) % count;
+}
@@ -0,0 +1,108 @@
+/**
+ * ECS Timeline Builder - Event Selection
+ * Works out which events a rectangle brushed on the timeline covers, and
+ * turns a selection into the documents that bulk export and copy produce,
+ * and back: what an imported export restores.
+ */
+
+import {getDotTimestamp, toStoredDocument} from './parser.js';
+
+/**
+ * Events inside a brushed rectangle: those whose dot (see getDotTimestamp()) falls within the
+ * time range and whose lane overlaps the brushed height. Events the filter
+ * dims are left out, so bulk actions only touch what the filter lets through.
+ *
+ * @param {Array<{event: Object, lane: string, dimmed?: boolean}>} items - Laid-out events
+ * @param {{start: Date, end: Date, top: number, bottom: number}} area - Brushed time range, and
+ *   its vertical extent in pixels
+ * @param {Function} laneBand - Returns the [top, bottom] pixel extent of a lane
+ * @returns {Array} Selected events in time order
+ */
+export function selectBrushedEvents(items, {start, end, top, bottom}, laneBand) {
+    const overlaps = new Map();
+    const inBrushedLane = (lane) => {
+        if (!overlaps.has(lane)) {
+            const [laneTop, laneBottom] = laneBand(lane);
+            overlaps.set(lane, laneTop < bottom && laneBottom > top);
+        }
+        return overlaps.get(lane);
+    };
+
+    return items
+        .filter(item => !item.dimmed && getDotTimestamp(item.event) >= start && getDotTimestamp(item.event) <= end &&
+            inBrushedLane(item.lane))
+        .map(item => item.event)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Time range events cover, including bars that start before or run past their timestamp.
+ *
+ * @param {Array} events - Parsed events
+ * @returns {Date[]|null} [start, end], or null when there are no events
+ */
+export function eventsTimeRange(events) {
+    if (events.length === 0) return null;
+    let start = Infinity;
+    let end = -Infinity;
+    for (const event of events) {
+        start = Math.min(start, getDotTimestamp(event).getTime());
+        end = Math.max(end, event.span ? event.span.end.getTime() : event.timestamp.getTime());
+    }
+    return [new Date(start), new Date(end)];
+}
+
+/**
+ * Build the export file for a set of events, in the format the Export button
+ * writes and intake reads back.
+ *
+ * @param {Array} events - Parsed events to export
+ * @param {Map} annotations - Map of eventId to annotation; only those of the exported events are kept
+ * @param {Map} hostOffsets - Map of host key to clock offset in milliseconds
+ * @returns {{exportedAt: string, events: Array, annotations: Object, hostOffsets: Object}} Export document
+ */
+export function buildExportDocument(events, annotations, hostOffsets) {
+    const exported = {};
+    for (const event of events) {
+        if (annotations.has(event.id)) exported[event.id] = annotations.get(event.id);
+    }
+    return {
+        exportedAt: new Date().toISOString(),
+        events: events.map(toStoredDocument),
+        annotations: exported,
+        hostOffsets: Object.fromEntries(hostOffsets)
+    };
+}
+
+/**
+ * Work out which annotations and host offsets from an imported export to
+ * restore. Only events that were committed are annotated, and nothing the
+ * timeline already has is overwritten: annotated events and hosts with an
+ * offset keep theirs.
+ *
+ * @param {{annotations: Object, hostOffsets: Object}|null} metadata - From readExportMetadata()
+ * @param {Array} events - Events committed from the import
+ * @param {Map} annotations - Map of eventId to annotation already in the timeline
+ * @param {Map} hostOffsets - Map of host key to clock offset already in the timeline
+ * @returns {{annotations: Array<[string, Object]>, hostOffsets: Array<[string, number]>}} Entries to send
+ */
+export function exportMetadataToRestore(metadata, events, annotations, hostOffsets) {
+    if (!metadata) return {annotations: [], hostOffsets: []};
+    const committed = new Set(events.map(event => event.id));
+    return {
+        annotations: Object.entries(metadata.annotations || {})
+            .filter(([eventId, annotation]) => committed.has(eventId) && !annotations.has(eventId) && annotation),
+        hostOffsets: Object.entries(metadata.hostOffsets || {})
+            .filter(([host, offsetMs]) => Number.isInteger(offsetMs) && offsetMs !== 0 && !hostOffsets.has(host))
+    };
+}
+
+/**
+ * Raw documents of a set of events as JSON, ready to paste back into intake.
+ *
+ * @param {Array} events - Parsed events
+ * @returns {string} Pretty-printed JSON array
+ */
+export function selectionToJson(events) {
+    return JSON.stringify(events.map(toStoredDocument), null, 2);
+}
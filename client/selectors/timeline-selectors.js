@@ -1,12 +1,19 @@
-import {buildHostRegistry, identifyConnections} from '../parser.js';
+import {buildFieldLaneRegistry, buildHostRegistry, identifyConnections} from '../parser.js';
+import {applyEventFilter} from '../event-filter.js';
+import {applySessionSpans, buildAuthSessions} from '../auth-sessions.js';
 
 let cachedEvents = null;
+let cachedProfile = null;
 let cachedDerived = {
     hostRegistry: null,
     connections: []
 };
+let cachedLaneKey = null;
+let cachedLanes = null;
+let cachedFilter = null;
+let cachedSessions = null;
 
-function deriveTimelineData(events) {
+function deriveTimelineData(events, profile) {
     if (!events || events.length === 0) {
         return {
             hostRegistry: null,
@@ -14,8 +21,8 @@ function deriveTimelineData(events) {
         };
     }
 
-    const hostRegistry = buildHostRegistry(events);
-    const connections = identifyConnections(events, hostRegistry);
+    const hostRegistry = buildHostRegistry(events, profile);
+    const connections = identifyConnections(events, hostRegistry, profile);
 
     return {
         hostRegistry,
@@ -23,28 +30,110 @@ function deriveTimelineData(events) {
     };
 }
 
-export function getDerivedTimelineData(events) {
-    if (events === cachedEvents) {
+export function getDerivedTimelineData(events, profile = null) {
+    if (events === cachedEvents && profile === cachedProfile) {
         return cachedDerived;
     }
 
     cachedEvents = events;
-    cachedDerived = deriveTimelineData(events);
+    cachedProfile = profile;
+    cachedDerived = deriveTimelineData(events, profile);
+    cachedLanes = null;
     return cachedDerived;
 }
 
-export function getHostRegistry(events) {
-    return getDerivedTimelineData(events).hostRegistry;
+export function getHostRegistry(events, profile = null) {
+    return getDerivedTimelineData(events, profile).hostRegistry;
 }
 
-export function getConnections(events) {
-    return getDerivedTimelineData(events).connections;
+export function getConnections(events, profile = null) {
+    return getDerivedTimelineData(events, profile).connections;
+}
+
+/**
+ * Lanes and connection arcs for the chosen lane key: the host registry and
+ * host connections when laning by host, otherwise a field lane registry with
+ * connections recomputed between its lanes.
+ *
+ * @param {Array} events - Parsed event objects
+ * @param {Object|null} [profile] - Active field-mapping profile
+ * @param {string|null} [laneKey] - Field path to lane events by, or null for hosts
+ * @returns {{laneRegistry: Object|null, connections: Array}} Lane data
+ */
+export function getLaneData(events, profile = null, laneKey = null) {
+    const derived = getDerivedTimelineData(events, profile);
+    if (!laneKey) {
+        return {laneRegistry: derived.hostRegistry, connections: derived.connections};
+    }
+    if (cachedLanes && cachedLaneKey === laneKey) {
+        return cachedLanes;
+    }
+
+    cachedLaneKey = laneKey;
+    if (!events || events.length === 0) {
+        cachedLanes = {laneRegistry: null, connections: []};
+    } else {
+        const laneRegistry = buildFieldLaneRegistry(events, laneKey, profile);
+        cachedLanes = {laneRegistry, connections: identifyConnections(events, laneRegistry, profile)};
+    }
+    return cachedLanes;
+}
+
+/**
+ * Events the viewer's filter lets through (see applyEventFilter()), kept
+ * until the events, annotations or filter change.
+ *
+ * @param {Array} events - Parsed event objects
+ * @param {Map} annotations - Map of eventId to annotation
+ * @param {Object} filter - Filter from createEmptyFilter()
+ * @returns {{active: boolean, events: Array, matches: Set<string>|null, error: string|null}} Filter result
+ */
+export function getFilterResult(events, annotations, filter) {
+    if (cachedFilter && cachedFilter.events === events && cachedFilter.annotations === annotations &&
+        cachedFilter.filter === filter) {
+        return cachedFilter.result;
+    }
+
+    cachedFilter = {events, annotations, filter, result: applyEventFilter(events, annotations, filter)};
+    return cachedFilter.result;
+}
+
+/**
+ * Authentication sessions (see buildAuthSessions()) and the events to draw,
+ * with each logon stretched over its session, kept until the events or the
+ * host lanes change.
+ *
+ * @param {Array} events - Parsed event objects
+ * @param {Object|null} [profile] - Active field-mapping profile
+ * @returns {{sessions: Array, displayEvents: Array}} Sessions and timeline events
+ */
+export function getSessionData(events, profile = null) {
+    const hostRegistry = getHostRegistry(events, profile);
+    if (cachedSessions && cachedSessions.events === events && cachedSessions.hostRegistry === hostRegistry) {
+        return cachedSessions.result;
+    }
+
+    const sessions = buildAuthSessions(events, hostRegistry);
+    cachedSessions = {events, hostRegistry, result: {sessions, displayEvents: applySessionSpans(events, sessions)}};
+    return cachedSessions.result;
+}
+
+/**
+ * Drop the cached filter result after annotations change in place.
+ */
+export function invalidateFilterResult() {
+    cachedFilter = null;
 }
 
 export function invalidateTimelineSelectors() {
     cachedEvents = null;
+    cachedProfile = null;
     cachedDerived = {
         hostRegistry: null,
         connections: []
     };
+    cachedLaneKey = null;
+    cachedLanes = null;
+    cachedFilter = null;
+    cachedSessions = null;
 }
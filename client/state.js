@@ -1,16 +1,37 @@
 import bus from './event-bus.js';
 import {EVENTS} from './events.js';
-import {parseEvents} from './parser.js';
+import {buildHostRegistry, parseEvents, parseEventsReport, reparseEvents} from './parser.js';
+import {applyHostOffsets, hostOffsetKey} from './clock-skew.js';
 import {deduplicateEvents} from '../shared/dedup.js';
-import {getConnections, getHostRegistry, invalidateTimelineSelectors} from './selectors/timeline-selectors.js';
+import {UTC_ZONE} from '../shared/time-zones.js';
+import {createEmptyLaneLayout} from '../shared/lane-layout.js';
+import {createEmptyFilter} from './event-filter.js';
+import {
+    getConnections,
+    getFilterResult,
+    getHostRegistry,
+    getLaneData,
+    getSessionData,
+    invalidateFilterResult,
+    invalidateTimelineSelectors
+} from './selectors/timeline-selectors.js';
 
 /**
  * Centralized timeline/domain state store. Holds canonical timeline data:
- * events, annotations, timeline metadata, and active timeline selection.
+ * events, annotations, field-mapping profiles, import batches, host clock
+ * offsets, the lane layout, the viewer's lane key and filter, timeline
+ * metadata, and active timeline selection.
  */
 class TimelineState {
     #events = [];
     #annotations = new Map();
+    #profiles = new Map();
+    #activeProfileId = null;
+    #batches = new Map();
+    #hostOffsets = new Map();
+    #laneLayout = createEmptyLaneLayout();
+    #laneKey = null;
+    #filter = createEmptyFilter();
     #timelines = [];
     #currentTimelineId = null;
     #currentTimelineCache = null;
@@ -22,12 +43,32 @@ class TimelineState {
 
     /** @returns {Object|null} Host registry with getHostList()/getEventsForHost()/resolveIp() */
     get hostRegistry() {
-        return getHostRegistry(this.#events);
+        return getHostRegistry(this.#events, this.activeProfile);
     }
 
     /** @returns {Array} Cross-host connection objects */
     get connections() {
-        return getConnections(this.#events);
+        return getConnections(this.#events, this.activeProfile);
+    }
+
+    /** @returns {Object|null} Registry of the lanes events are drawn on: hosts, or values of the lane key */
+    get laneRegistry() {
+        return getLaneData(this.#events, this.activeProfile, this.#laneKey).laneRegistry;
+    }
+
+    /** @returns {Array} Connection objects between the lanes of laneRegistry */
+    get laneConnections() {
+        return getLaneData(this.#events, this.activeProfile, this.#laneKey).connections;
+    }
+
+    /** @returns {Array} Authentication sessions reconstructed from the events */
+    get sessions() {
+        return getSessionData(this.#events, this.activeProfile).sessions;
+    }
+
+    /** @returns {Array} Events as drawn on the timeline, with logons spanning their sessions */
+    get displayEvents() {
+        return getSessionData(this.#events, this.activeProfile).displayEvents;
     }
 
     /** @returns {Map<string, Object>} Map of eventId to annotation */
@@ -35,6 +76,51 @@ class TimelineState {
         return this.#annotations;
     }
 
+    /** @returns {Map<string, Object>} Map of profileId to field-mapping profile */
+    get profiles() {
+        return this.#profiles;
+    }
+
+    /** @returns {string|null} ID of the field-mapping profile applied to events */
+    get activeProfileId() {
+        return this.#activeProfileId;
+    }
+
+    /** @returns {Object|null} Field-mapping profile applied to events */
+    get activeProfile() {
+        return this.#profiles.get(this.#activeProfileId) || null;
+    }
+
+    /** @returns {Map<string, Object>} Map of batchId to import batch record */
+    get batches() {
+        return this.#batches;
+    }
+
+    /** @returns {Map<string, number>} Clock offset in milliseconds keyed by lowercased host name */
+    get hostOffsets() {
+        return this.#hostOffsets;
+    }
+
+    /** @returns {Object} Shared arrangement of host lanes (see shared/lane-layout.js) */
+    get laneLayout() {
+        return this.#laneLayout;
+    }
+
+    /** @returns {string|null} Field path events are laned by, or null for hosts */
+    get laneKey() {
+        return this.#laneKey;
+    }
+
+    /** @returns {{query: string, facets: Object<string, string[]>, mode: string}} This viewer's event filter */
+    get filter() {
+        return this.#filter;
+    }
+
+    /** @returns {{active: boolean, events: Array, matches: Set<string>|null, error: string|null}} Events the filter lets through */
+    get filterResult() {
+        return getFilterResult(this.#events, this.#annotations, this.#filter);
+    }
+
     /** @returns {Array} Available timelines */
     get timelines() {
         return this.#timelines;
@@ -50,6 +136,24 @@ class TimelineState {
         return this.#currentTimelineCache;
     }
 
+    /** @returns {string} Zone the current timeline is displayed in ("UTC", "local" or IANA name) */
+    get displayZone() {
+        return this.#currentTimelineCache?.displayZone || UTC_ZONE;
+    }
+
+    /**
+     * Parse raw input under the active mapping profile without changing state,
+     * so an import can be previewed before it is committed.
+     *
+     * @param {string|Array} rawInput - JSON string, NDJSON, or array of raw events
+     * @param {Object} [options]
+     * @param {string|null} [options.assumeZone] - IANA zone (or "UTC") for naive timestamps
+     * @returns {{events: Array, records: number, errors: Array}} Parse report from parseEventsReport()
+     */
+    parseInput(rawInput, {assumeZone = null} = {}) {
+        return parseEventsReport(rawInput, {profile: this.activeProfile, assumeZone});
+    }
+
     /**
      * Parse raw input, deduplicate against existing events, and add new ones.
      * Emits `events:added` with the array of newly added events.
@@ -58,7 +162,18 @@ class TimelineState {
      * @returns {{parsed: number, added: Array, duplicates: number}} Ingestion result
      */
     addEvents(rawInput) {
-        const parsed = parseEvents(rawInput);
+        return this.addParsedEvents(parseEvents(rawInput, {profile: this.activeProfile}));
+    }
+
+    /**
+     * Deduplicate already parsed events against existing events and add new ones,
+     * shifted by their hosts' clock offsets.
+     * Emits `events:added` with the array of newly added events.
+     *
+     * @param {Array} parsed - Parsed event objects
+     * @returns {{parsed: number, added: Array, duplicates: number}} Ingestion result
+     */
+    addParsedEvents(parsed) {
         if (parsed.length === 0) {
             return {parsed: 0, added: [], duplicates: 0};
         }
@@ -68,10 +183,12 @@ class TimelineState {
             return {parsed: parsed.length, added: [], duplicates: parsed.length};
         }
 
-        this.#events = [...this.#events, ...unique];
+        // New events can put host-less ones already loaded on another lane
+        this.#events = this.#applyHostOffsets([...this.#events, ...unique]);
+        const added = this.#events.slice(this.#events.length - unique.length);
         invalidateTimelineSelectors();
-        bus.emit(EVENTS.EVENTS_ADDED, unique);
-        return {parsed: parsed.length, added: unique, duplicates: parsed.length - unique.length};
+        bus.emit(EVENTS.EVENTS_ADDED, added);
+        return {parsed: parsed.length, added, duplicates: parsed.length - unique.length};
     }
 
     /**
@@ -82,7 +199,9 @@ class TimelineState {
      * @param {Object} [annotations={}] - Annotation object keyed by eventId
      */
     setEvents(rawEvents, annotations = {}) {
-        this.#events = rawEvents.length > 0 ? parseEvents(rawEvents) : [];
+        this.#events = rawEvents.length > 0
+            ? this.#applyHostOffsets(parseEvents(rawEvents, {profile: this.activeProfile}))
+            : [];
         this.#annotations = new Map(Object.entries(annotations));
         invalidateTimelineSelectors();
         bus.emit(EVENTS.EVENTS_SYNCED);
@@ -104,17 +223,175 @@ class TimelineState {
         this.#annotations.delete(eventId);
         invalidateTimelineSelectors();
         bus.emit(EVENTS.EVENT_DELETED, eventId);
+        this.#uncountBatchEvents([removed]);
         return removed;
     }
 
     /**
-     * Reset all state to empty. Emits `events:cleared`.
+     * Delete several events by ID, with their annotations.
+     * Emits `events:deleted` with the IDs when any event was removed.
+     *
+     * @param {Array<string>} eventIds - IDs of the events to remove
+     * @returns {number} Number of events removed
+     */
+    deleteEvents(eventIds) {
+        const ids = new Set(eventIds);
+        const kept = this.#events.filter(event => !ids.has(event.id));
+        const removed = this.#events.length - kept.length;
+        if (removed === 0) return 0;
+
+        const deleted = this.#events.filter(event => ids.has(event.id));
+        this.#events = kept;
+        for (const eventId of ids) this.#annotations.delete(eventId);
+        invalidateTimelineSelectors();
+        bus.emit(EVENTS.EVENTS_DELETED, eventIds);
+        this.#uncountBatchEvents(deleted);
+        return removed;
+    }
+
+    /**
+     * Take deleted events off the counts of the batches they were imported in,
+     * as the server does. Emits `batches:changed` when a count changed.
+     *
+     * @param {Array} events - Removed events
+     */
+    #uncountBatchEvents(events) {
+        let changed = false;
+        for (const event of events) {
+            const batch = this.#batches.get(event.batchId);
+            if (!batch) continue;
+            this.#batches.set(batch.id, {...batch, count: Math.max(0, batch.count - 1)});
+            changed = true;
+        }
+        if (changed) bus.emit(EVENTS.BATCHES_CHANGED);
+    }
+
+    /**
+     * Reset all state to empty. Emits `events:cleared` and `batches:changed`.
      */
     clear() {
         this.#events = [];
         this.#annotations = new Map();
+        this.#batches = new Map();
         invalidateTimelineSelectors();
         bus.emit(EVENTS.EVENTS_CLEARED);
+        bus.emit(EVENTS.BATCHES_CHANGED);
+    }
+
+    /**
+     * Replace the import batch records from a server payload.
+     * Emits `batches:changed`.
+     *
+     * @param {Object} [batches={}] - Batches keyed by batchId
+     */
+    setBatches(batches = {}) {
+        this.#batches = new Map(Object.entries(batches));
+        bus.emit(EVENTS.BATCHES_CHANGED);
+    }
+
+    /**
+     * Add or replace an import batch record (its count grows as chunks arrive).
+     * Emits `batches:changed`.
+     *
+     * @param {Object} batch - { id, fileName, sourceType, importer, importedAt, count }
+     */
+    upsertBatch(batch) {
+        this.#batches.set(batch.id, batch);
+        bus.emit(EVENTS.BATCHES_CHANGED);
+    }
+
+    /**
+     * Roll back an import batch: remove its events, their annotations, and the record.
+     * Emits `events:synced` when events were removed, then `batches:changed`.
+     *
+     * @param {string} batchId - Batch to remove
+     * @returns {number} Number of events removed
+     */
+    removeBatch(batchId) {
+        const kept = this.#events.filter(event => event.batchId !== batchId);
+        const removed = this.#events.length - kept.length;
+        if (removed > 0) {
+            for (const event of this.#events) {
+                if (event.batchId === batchId) this.#annotations.delete(event.id);
+            }
+            this.#events = kept;
+            invalidateTimelineSelectors();
+            bus.emit(EVENTS.EVENTS_SYNCED);
+        }
+        this.#batches.delete(batchId);
+        bus.emit(EVENTS.BATCHES_CHANGED);
+        return removed;
+    }
+
+    /**
+     * Replace the host clock offsets from a server payload.
+     * Does not shift events; callers follow up with setEvents().
+     * Emits `hostoffsets:changed`.
+     *
+     * @param {Object} [hostOffsets={}] - Offset in milliseconds keyed by lowercased host name
+     */
+    setHostOffsets(hostOffsets = {}) {
+        this.#hostOffsets = new Map(Object.entries(hostOffsets));
+        bus.emit(EVENTS.HOST_OFFSETS_CHANGED);
+    }
+
+    /**
+     * Set one host's clock offset and shift its loaded events onto the corrected clock.
+     * Emits `events:synced` when events moved, then `hostoffsets:changed`.
+     *
+     * @param {string} host - Host name (any case)
+     * @param {number} offsetMs - Milliseconds added to the host's recorded times; 0 removes the offset
+     */
+    setHostOffset(host, offsetMs) {
+        const key = hostOffsetKey(host);
+        if (offsetMs) {
+            this.#hostOffsets.set(key, offsetMs);
+        } else {
+            this.#hostOffsets.delete(key);
+        }
+
+        const shifted = this.#applyHostOffsets(this.#events);
+        if (shifted.some((event, index) => event !== this.#events[index])) {
+            this.#events = shifted;
+            invalidateTimelineSelectors();
+            bus.emit(EVENTS.EVENTS_SYNCED);
+        }
+        bus.emit(EVENTS.HOST_OFFSETS_CHANGED);
+    }
+
+    /**
+     * Replace the lane layout, e.g. from a server payload.
+     * Emits `lanelayout:changed`.
+     *
+     * @param {Object|null} [layout] - Lane layout; missing fields (or no layout) mean no arrangement
+     */
+    setLaneLayout(layout = null) {
+        this.#laneLayout = {...createEmptyLaneLayout(), ...layout};
+        bus.emit(EVENTS.LANE_LAYOUT_CHANGED);
+    }
+
+    /**
+     * Lane events by another field for this viewer only, e.g. `user.name`.
+     * Emits `lanekey:changed`.
+     *
+     * @param {string|null} [laneKey] - Dot-notation field path, or null/empty to lane by host
+     */
+    setLaneKey(laneKey = null) {
+        const next = laneKey ? laneKey.trim() || null : null;
+        if (next === this.#laneKey) return;
+        this.#laneKey = next;
+        bus.emit(EVENTS.LANE_KEY_CHANGED);
+    }
+
+    /**
+     * Change this viewer's event filter.
+     * Emits `filter:changed`.
+     *
+     * @param {{query?: string, facets?: Object<string, string[]>, mode?: 'hide'|'dim'}} changes - New filter values
+     */
+    setFilter(changes) {
+        this.#filter = {...this.#filter, ...changes};
+        bus.emit(EVENTS.FILTER_CHANGED);
     }
 
     /**
@@ -126,9 +403,24 @@ class TimelineState {
      */
     setAnnotation(eventId, annotation) {
         this.#annotations.set(eventId, annotation);
+        invalidateFilterResult();
         bus.emit(EVENTS.ANNOTATION_UPDATED, eventId, annotation);
     }
 
+    /**
+     * Add or update the annotations of several events at once.
+     * Emits `annotations:updated` with the event IDs.
+     *
+     * @param {Object} annotations - Annotations keyed by eventId
+     */
+    setAnnotations(annotations) {
+        for (const [eventId, annotation] of Object.entries(annotations)) {
+            this.#annotations.set(eventId, annotation);
+        }
+        invalidateFilterResult();
+        bus.emit(EVENTS.ANNOTATIONS_UPDATED, Object.keys(annotations));
+    }
+
     /**
      * Remove an annotation by event ID.
      * Emits `annotation:deleted` with the eventId if the annotation existed.
@@ -139,10 +431,88 @@ class TimelineState {
     deleteAnnotation(eventId) {
         if (!this.#annotations.has(eventId)) return false;
         this.#annotations.delete(eventId);
+        invalidateFilterResult();
         bus.emit(EVENTS.ANNOTATION_DELETED, eventId);
         return true;
     }
 
+    /**
+     * Replace the field-mapping profiles from a server payload.
+     * Does not re-derive events; callers follow up with setEvents().
+     * Emits `profiles:changed`.
+     *
+     * @param {Object} [profiles={}] - Profiles keyed by profileId
+     * @param {string|null} [activeProfileId=null] - Profile applied to events
+     */
+    setProfiles(profiles = {}, activeProfileId = null) {
+        this.#profiles = new Map(Object.entries(profiles));
+        this.#activeProfileId = this.#profiles.has(activeProfileId) ? activeProfileId : null;
+        bus.emit(EVENTS.PROFILES_CHANGED);
+    }
+
+    /**
+     * Add or replace a field-mapping profile. Re-derives events if it is the active one.
+     * Emits `profiles:changed`.
+     *
+     * @param {Object} profile - { id, name, fields }
+     */
+    upsertProfile(profile) {
+        this.#profiles.set(profile.id, profile);
+        if (profile.id === this.#activeProfileId) {
+            this.#applyActiveProfile();
+        }
+        bus.emit(EVENTS.PROFILES_CHANGED);
+    }
+
+    /**
+     * Remove a field-mapping profile. Falls back to plain ECS if it was active.
+     * Emits `profiles:changed`.
+     *
+     * @param {string} profileId - Profile to remove
+     * @returns {boolean} True if the profile existed
+     */
+    removeProfile(profileId) {
+        if (!this.#profiles.delete(profileId)) return false;
+        if (profileId === this.#activeProfileId) {
+            this.#activeProfileId = null;
+            this.#applyActiveProfile();
+        }
+        bus.emit(EVENTS.PROFILES_CHANGED);
+        return true;
+    }
+
+    /**
+     * Select the field-mapping profile and re-derive every loaded event with it.
+     * Emits `profiles:changed` (and `events:synced` when events were re-derived).
+     *
+     * @param {string|null} profileId - Profile ID, or null for plain ECS
+     */
+    setActiveProfile(profileId) {
+        const nextId = this.#profiles.has(profileId) ? profileId : null;
+        if (nextId === this.#activeProfileId) return;
+        this.#activeProfileId = nextId;
+        this.#applyActiveProfile();
+        bus.emit(EVENTS.PROFILES_CHANGED);
+    }
+
+    /**
+     * Shift events by the offsets of the host lanes they are drawn on.
+     *
+     * @param {Array} events - All parsed events of the timeline
+     * @returns {Array} Shifted events
+     */
+    #applyHostOffsets(events) {
+        const hostRegistry = this.#hostOffsets.size > 0 ? buildHostRegistry(events, this.activeProfile) : null;
+        return applyHostOffsets(events, this.#hostOffsets, hostRegistry);
+    }
+
+    #applyActiveProfile() {
+        if (this.#events.length === 0) return;
+        this.#events = this.#applyHostOffsets(reparseEvents(this.#events, {profile: this.activeProfile}));
+        invalidateTimelineSelectors();
+        bus.emit(EVENTS.EVENTS_SYNCED);
+    }
+
     /**
      * Set the list of available timelines.
      * Emits `timelines:changed` only if the list actually changed.
@@ -225,6 +595,13 @@ class TimelineState {
     clearForTimelineSwitch() {
         this.#events = [];
         this.#annotations = new Map();
+        this.#profiles = new Map();
+        this.#activeProfileId = null;
+        this.#batches = new Map();
+        this.#hostOffsets = new Map();
+        this.#laneLayout = createEmptyLaneLayout();
+        this.#laneKey = null;
+        this.#filter = createEmptyFilter();
         invalidateTimelineSelectors();
     }
 
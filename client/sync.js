@@ -5,7 +5,7 @@
 
 import {state} from './state.js';
 import {sessionState} from './stores/session-store.js';
-import {WS_MESSAGE_TYPES} from '../shared/ws-protocol.js';
+import {MAX_BULK_EVENT_IDS, WS_MESSAGE_TYPES} from '../shared/ws-protocol.js';
 
 const MAX_RECONNECT_ATTEMPTS = 10;
 const BASE_RECONNECT_DELAY_MS = 1000;
@@ -134,6 +134,10 @@ function handleMessage(message) {
             console.log(`Joined timeline: ${message.timelineId} (${message.events.length} events)`);
             state.clearForTimelineSwitch();
             state.setCurrentTimeline(message.timelineId);
+            state.setProfiles(message.profiles || {}, message.activeProfileId ?? null);
+            state.setBatches(message.batches || {});
+            state.setHostOffsets(message.hostOffsets || {});
+            state.setLaneLayout(message.laneLayout);
             state.setEvents(message.events, message.annotations || {});
             sessionState.setUserCount(typeof message.userCount === 'number' ? message.userCount : sessionState.userCount);
             sessionState.setSyncStatus('connected');
@@ -147,16 +151,22 @@ function handleMessage(message) {
 
         case WS_MESSAGE_TYPES.SYNC:
             console.log(`Received sync: ${message.events.length} events`);
+            state.setProfiles(message.profiles || {}, message.activeProfileId ?? null);
+            state.setBatches(message.batches || {});
+            state.setHostOffsets(message.hostOffsets || {});
+            state.setLaneLayout(message.laneLayout);
             state.setEvents(message.events, message.annotations || {});
             break;
 
         case WS_MESSAGE_TYPES.EVENTS_ADDED:
             console.log(`Events added by another user: ${message.events.length}`);
+            if (message.batch) state.upsertBatch(message.batch);
             state.addEvents(message.events);
             break;
 
         case WS_MESSAGE_TYPES.ADD_CONFIRMED:
             console.log(`Add confirmed: ${message.count} added, ${message.duplicates} duplicates`);
+            if (message.batch) state.upsertBatch(message.batch);
             break;
 
         case WS_MESSAGE_TYPES.EVENT_DELETED:
@@ -164,6 +174,16 @@ function handleMessage(message) {
             state.deleteEvent(message.eventId);
             break;
 
+        case WS_MESSAGE_TYPES.EVENTS_DELETED:
+            console.log(`Events deleted: ${message.eventIds.length}`);
+            state.deleteEvents(message.eventIds);
+            break;
+
+        case WS_MESSAGE_TYPES.BATCH_DELETED:
+            console.log(`Import batch rolled back: ${message.batchId} (${message.count} events)`);
+            state.removeBatch(message.batchId);
+            break;
+
         case WS_MESSAGE_TYPES.CLEARED:
             console.log('Timeline cleared');
             state.clear();
@@ -177,10 +197,38 @@ function handleMessage(message) {
             state.setAnnotation(message.eventId, message.annotation);
             break;
 
+        case WS_MESSAGE_TYPES.ANNOTATIONS_UPDATED:
+            state.setAnnotations(message.annotations);
+            break;
+
         case WS_MESSAGE_TYPES.ANNOTATION_DELETED:
             state.deleteAnnotation(message.eventId);
             break;
 
+        case WS_MESSAGE_TYPES.PROFILE_SAVED:
+            console.log(`Profile saved: ${message.profile.name}`);
+            state.upsertProfile(message.profile);
+            break;
+
+        case WS_MESSAGE_TYPES.PROFILE_DELETED:
+            console.log(`Profile deleted: ${message.profileId}`);
+            state.removeProfile(message.profileId);
+            break;
+
+        case WS_MESSAGE_TYPES.ACTIVE_PROFILE_CHANGED:
+            console.log(`Active profile: ${message.profileId || 'ECS defaults'}`);
+            state.setActiveProfile(message.profileId);
+            break;
+
+        case WS_MESSAGE_TYPES.HOST_OFFSET_CHANGED:
+            console.log(`Clock offset for ${message.host}: ${message.offsetMs}ms`);
+            state.setHostOffset(message.host, message.offsetMs);
+            break;
+
+        case WS_MESSAGE_TYPES.LANE_LAYOUT_CHANGED:
+            state.setLaneLayout(message.layout);
+            break;
+
         case WS_MESSAGE_TYPES.PING:
             send({type: WS_MESSAGE_TYPES.PONG});
             break;
@@ -213,10 +261,21 @@ function send(message) {
  * Broadcasts new events to the server for distribution to other clients.
  *
  * @param {Array} rawEvents - Array of raw ECS event objects to send
+ * @param {Object} [batch] - Import batch { id, fileName, sourceType, importer } the events belong to
  * @returns {boolean} True if message was sent, false if not connected
  */
-export function sendEventsToServer(rawEvents) {
-    return send({type: WS_MESSAGE_TYPES.ADD_EVENTS, events: rawEvents});
+export function sendEventsToServer(rawEvents, batch) {
+    return send({type: WS_MESSAGE_TYPES.ADD_EVENTS, events: rawEvents, batch});
+}
+
+/**
+ * Requests the server to roll back an import batch, removing all of its events.
+ *
+ * @param {string} batchId - The import batch to remove
+ * @returns {boolean} True if message was sent, false if not connected
+ */
+export function sendDeleteBatch(batchId) {
+    return send({type: WS_MESSAGE_TYPES.DELETE_BATCH, batchId});
 }
 
 /**
@@ -229,6 +288,32 @@ export function sendDeleteToServer(eventId) {
     return send({type: WS_MESSAGE_TYPES.DELETE_EVENT, eventId});
 }
 
+/**
+ * Sends a bulk message once per MAX_BULK_EVENT_IDS event IDs.
+ *
+ * @param {Object} message - Message without eventIds
+ * @param {Array<string>} eventIds - Event IDs to act on
+ * @returns {boolean} True if every message was sent
+ */
+function sendBulk(message, eventIds) {
+    for (let start = 0; start < eventIds.length; start += MAX_BULK_EVENT_IDS) {
+        if (!send({...message, eventIds: eventIds.slice(start, start + MAX_BULK_EVENT_IDS)})) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Requests the server to delete several events in one go.
+ *
+ * @param {Array<string>} eventIds - IDs of the events to delete
+ * @returns {boolean} True if the messages were sent, false if not connected
+ */
+export function sendDeleteEventsToServer(eventIds) {
+    return sendBulk({type: WS_MESSAGE_TYPES.DELETE_EVENTS}, eventIds);
+}
+
 /**
  * Requests the server to clear the shared timeline state.
  *
@@ -255,6 +340,23 @@ export function sendAnnotationToServer(eventId, annotation) {
     });
 }
 
+/**
+ * Annotates several events in one go. Fields left out of the annotation keep
+ * each event's current value.
+ *
+ * @param {Array<string>} eventIds - IDs of the events to annotate
+ * @param {Object} annotation - { comment?, mitreTactic?, mitreTechnique? }
+ * @returns {boolean} True if the messages were sent
+ */
+export function sendAnnotateEventsToServer(eventIds, annotation) {
+    return sendBulk({
+        type: WS_MESSAGE_TYPES.ANNOTATE_EVENTS,
+        comment: annotation.comment,
+        mitreTactic: annotation.mitreTactic,
+        mitreTechnique: annotation.mitreTechnique
+    }, eventIds);
+}
+
 /**
  * Requests the server to delete an annotation.
  *
@@ -265,6 +367,57 @@ export function sendDeleteAnnotationToServer(eventId) {
     return send({type: WS_MESSAGE_TYPES.DELETE_ANNOTATION, eventId});
 }
 
+/**
+ * Creates or updates a field-mapping profile on the current timeline.
+ *
+ * @param {Object} profile - { id?, name, fields }
+ * @returns {boolean} True if message was sent
+ */
+export function sendSaveProfile(profile) {
+    return send({type: WS_MESSAGE_TYPES.SAVE_PROFILE, profile});
+}
+
+/**
+ * Requests the server to delete a field-mapping profile.
+ *
+ * @param {string} profileId - The profile ID to delete
+ * @returns {boolean} True if message was sent
+ */
+export function sendDeleteProfile(profileId) {
+    return send({type: WS_MESSAGE_TYPES.DELETE_PROFILE, profileId});
+}
+
+/**
+ * Selects the field-mapping profile applied to the current timeline.
+ *
+ * @param {string|null} profileId - Profile ID, or null for plain ECS
+ * @returns {boolean} True if message was sent
+ */
+export function sendSetActiveProfile(profileId) {
+    return send({type: WS_MESSAGE_TYPES.SET_ACTIVE_PROFILE, profileId});
+}
+
+/**
+ * Sets the clock offset applied to a host's events for everyone on the timeline.
+ *
+ * @param {string} host - Host name (any case)
+ * @param {number} offsetMs - Whole milliseconds added to the host's recorded times; 0 removes the offset
+ * @returns {boolean} True if message was sent
+ */
+export function sendSetHostOffset(host, offsetMs) {
+    return send({type: WS_MESSAGE_TYPES.SET_HOST_OFFSET, host, offsetMs});
+}
+
+/**
+ * Replaces the arrangement of host lanes for everyone on the timeline.
+ *
+ * @param {Object} layout - Lane layout (see shared/lane-layout.js)
+ * @returns {boolean} True if message was sent
+ */
+export function sendSetLaneLayout(layout) {
+    return send({type: WS_MESSAGE_TYPES.SET_LANE_LAYOUT, layout});
+}
+
 /**
  * Checks if WebSocket connection is currently active.
  *
@@ -0,0 +1,274 @@
+/**
+ * ECS Timeline Builder - Canvas Event Layer
+ * Draws event dots and duration bars onto a single <canvas> for timelines too
+ * large for one SVG element per event, with hit-testing (see hit-test.js) so
+ * hover and click behave like the SVG dots. Lanes, arcs and axes stay in SVG.
+ */
+
+import {createHitIndex} from './hit-test.js';
+import {getDotTimestamp} from './parser.js';
+
+// CSS custom property holding each display category's color
+const CATEGORY_COLOR_VARS = {
+    network: '--cat-network',
+    file: '--cat-file',
+    process: '--cat-process',
+    authentication: '--cat-auth',
+    registry: '--cat-registry',
+    other: '--cat-other'
+};
+
+// Browsers refuse very large canvases; drop below device resolution first
+const MAX_CANVAS_PIXELS = 64 * 1024 * 1024;
+
+const DOT_RADIUS = 4.5;
+const ANNOTATED_DOT_RADIUS = 6;
+const HIT_RADIUS = 8;
+// Opacity of events the viewer's filter dims
+const DIMMED_ALPHA = 0.15;
+
+/**
+ * Resolve category colors from the stylesheet so the canvas matches the SVG dots.
+ *
+ * @returns {Object<string, string>} Color per display category
+ */
+function readCategoryColors() {
+    const styles = getComputedStyle(document.documentElement);
+    const colors = {};
+    for (const [category, variable] of Object.entries(CATEGORY_COLOR_VARS)) {
+        colors[category] = styles.getPropertyValue(variable).trim();
+    }
+    colors.highlight = styles.getPropertyValue('--ink-primary').trim();
+    colors.search = styles.getPropertyValue('--signal-amber').trim();
+    colors.selection = styles.getPropertyValue('--signal-green').trim();
+    return colors;
+}
+
+function groupByCategory(items) {
+    const groups = new Map();
+    for (const item of items) {
+        const category = item.event.category in CATEGORY_COLOR_VARS ? item.event.category : 'other';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(item);
+    }
+    return groups;
+}
+
+/**
+ * Create the canvas layer inside an SVG group. The canvas sits in a
+ * <foreignObject> so it scrolls with the lanes and keeps the SVG layer order;
+ * it ignores pointer events, and the caller forwards hover and click through
+ * hitTest().
+ *
+ * @param {Object} parentGroup - D3 selection of the SVG group to draw in
+ * @param {Object} options
+ * @param {number} options.spanHeight - Height of duration bars in pixels
+ * @returns {{resize: Function, setItems: Function, draw: Function, hitTest: Function,
+ *   setHighlight: Function, clear: Function}} Layer controls
+ */
+export function createCanvasEventLayer(parentGroup, {spanHeight}) {
+    const foreignObject = parentGroup.append('foreignObject')
+        .attr('class', 'events-canvas-layer')
+        .style('pointer-events', 'none');
+    const canvas = foreignObject.append('xhtml:canvas').node();
+    const context = canvas.getContext('2d');
+
+    let width = 0;
+    let height = 0;
+    let items = [];
+    let spanItems = [];
+    let annotations = null;
+    let colors = null;
+    let xScale = null;
+    let highlighted = null;
+    let hitIndex = null;
+
+    function resize(nextWidth, nextHeight) {
+        width = nextWidth;
+        height = nextHeight;
+        const ratio = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_CANVAS_PIXELS / Math.max(1, width * height)));
+        foreignObject.attr('width', width).attr('height', height);
+        canvas.width = Math.floor(width * ratio);
+        canvas.height = Math.floor(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Replace what the layer draws.
+     *
+     * @param {Array<{event: Object, y: number, clustered: boolean, dimmed: boolean}>} nextItems - Laid-out
+     *   events with their row y; dots of clustered items are left to the density bubbles, dimmed
+     *   items are drawn faintly, and search hits (`searchHit`, `searchCurrent`) and selected
+     *   items (`selected`) get a ring
+     * @param {Map} nextAnnotations - eventId -> annotation, for the filled "figure" style
+     */
+    function setItems(nextItems, nextAnnotations) {
+        items = nextItems;
+        spanItems = items.filter(item => item.event.span);
+        annotations = nextAnnotations;
+        colors = readCategoryColors();
+        highlighted = null;
+        hitIndex = null;
+    }
+
+    function isAnnotated(item) {
+        return Boolean(annotations && annotations.has(item.event.id));
+    }
+
+    function drawSpans(left, right) {
+        for (const [category, group] of groupByCategory(spanItems)) {
+            context.fillStyle = colors[category];
+            for (const item of group) {
+                context.globalAlpha = item.dimmed ? 0.35 * DIMMED_ALPHA : 0.35;
+                const x1 = xScale(item.event.span.start);
+                const x2 = xScale(item.event.span.end);
+                if (x2 < left || x1 > right) continue;
+                context.fillRect(x1, item.y - spanHeight / 2, Math.max(1, x2 - x1), spanHeight);
+            }
+        }
+        context.globalAlpha = 1;
+    }
+
+    function strokeDots(dots) {
+        context.lineWidth = 1.25;
+        for (const [category, group] of groupByCategory(dots)) {
+            context.strokeStyle = colors[category];
+            context.beginPath();
+            for (const item of group) {
+                context.moveTo(item.x + DOT_RADIUS, item.y);
+                context.arc(item.x, item.y, DOT_RADIUS, 0, Math.PI * 2);
+            }
+            context.stroke();
+        }
+    }
+
+    function drawDots(left, right) {
+        const dimmed = [];
+        const plain = [];
+        const annotated = [];
+        for (const item of items) {
+            item.x = xScale(getDotTimestamp(item.event));
+            if (item.x < left || item.x > right || item.clustered) continue;
+            (item.dimmed ? dimmed : isAnnotated(item) ? annotated : plain).push(item);
+        }
+
+        context.globalAlpha = DIMMED_ALPHA;
+        strokeDots(dimmed);
+        context.globalAlpha = 1;
+        strokeDots(plain);
+
+        // Annotated events are the "figure": filled, with a light outline
+        context.lineWidth = 1.5;
+        context.strokeStyle = colors.highlight;
+        for (const [category, group] of groupByCategory(annotated)) {
+            context.fillStyle = colors[category];
+            context.beginPath();
+            for (const item of group) {
+                context.moveTo(item.x + ANNOTATED_DOT_RADIUS, item.y);
+                context.arc(item.x, item.y, ANNOTATED_DOT_RADIUS, 0, Math.PI * 2);
+            }
+            context.fill();
+            context.stroke();
+        }
+    }
+
+    function drawSearchHits(left, right) {
+        context.strokeStyle = colors.search;
+        for (const item of items) {
+            if (!item.searchHit || item.x < left || item.x > right || item.clustered) continue;
+            const radius = (isAnnotated(item) ? ANNOTATED_DOT_RADIUS : DOT_RADIUS) + (item.searchCurrent ? 4 : 2);
+            context.lineWidth = item.searchCurrent ? 2.5 : 1.5;
+            context.beginPath();
+            context.arc(item.x, item.y, radius, 0, Math.PI * 2);
+            context.stroke();
+        }
+    }
+
+    function drawSelection(left, right) {
+        context.strokeStyle = colors.selection;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        for (const item of items) {
+            if (!item.selected || item.x < left || item.x > right || item.clustered) continue;
+            const radius = (isAnnotated(item) ? ANNOTATED_DOT_RADIUS : DOT_RADIUS) + 3;
+            context.moveTo(item.x + radius, item.y);
+            context.arc(item.x, item.y, radius, 0, Math.PI * 2);
+        }
+        context.stroke();
+    }
+
+    function drawHighlight() {
+        if (!highlighted) return;
+        const radius = (isAnnotated(highlighted) ? ANNOTATED_DOT_RADIUS : DOT_RADIUS) + 2;
+        context.lineWidth = 2;
+        context.strokeStyle = colors.highlight;
+        context.beginPath();
+        context.arc(xScale(getDotTimestamp(highlighted.event)), highlighted.y, radius, 0, Math.PI * 2);
+        context.stroke();
+    }
+
+    /**
+     * Redraw every event for a time scale (the zoomed scale while panning).
+     *
+     * @param {Function} scale - D3 time scale
+     */
+    function draw(scale) {
+        xScale = scale;
+        hitIndex = null;
+        paint();
+    }
+
+    function paint() {
+        context.clearRect(0, 0, width, height);
+        const left = -ANNOTATED_DOT_RADIUS;
+        const right = width + ANNOTATED_DOT_RADIUS;
+        drawSpans(left, right);
+        drawDots(left, right);
+        drawSelection(left, right);
+        drawSearchHits(left, right);
+        drawHighlight();
+    }
+
+    /**
+     * Find the event under a point: the nearest dot within a few pixels, else
+     * the bar that contains the point.
+     *
+     * @param {number} x - SVG x coordinate
+     * @param {number} y - SVG y coordinate
+     * @returns {{event: Object, y: number}|null} Laid-out event, or null
+     */
+    function hitTest(x, y) {
+        if (!xScale) return null;
+        // Built on first use after each redraw or change of items
+        hitIndex ??= createHitIndex(items, {xScale, width, spanHeight, radius: HIT_RADIUS});
+        return hitIndex.find(x, y);
+    }
+
+    /**
+     * Ring the hovered event, repainting only when it changes. The scale and
+     * items stay the same, so the hit index is kept.
+     *
+     * @param {Object|null} item - Item returned by hitTest(), or null to clear
+     */
+    function setHighlight(item) {
+        if (item === highlighted) return;
+        highlighted = item;
+        if (xScale) paint();
+    }
+
+    /**
+     * Empty the layer and release the canvas memory (SVG mode, or no events).
+     */
+    function clear() {
+        items = [];
+        spanItems = [];
+        highlighted = null;
+        hitIndex = null;
+        xScale = null;
+        resize(0, 0);
+    }
+
+    return {resize, setItems, draw, hitTest, setHighlight, clear};
+}
@@ -0,0 +1,134 @@
+/**
+ * ECS Timeline Builder - Timeline Overview
+ * Compact strip under the main timeline showing event density across the
+ * whole incident time range, with markers for annotated events and a brush
+ * for the window the main timeline shows. The brush and the main zoom drive
+ * each other (see zoom-range.js).
+ */
+
+import {brushToRange, rangeToBrush} from './zoom-range.js';
+
+// Width of one density bar in pixels
+const BIN_WIDTH = 3;
+
+/**
+ * Create the overview strip in a container holding an empty <svg>.
+ *
+ * @param {string} selector - CSS selector for the overview container
+ * @param {Object} options
+ * @param {{left: number, right: number}} options.margin - Horizontal margins, matching the main timeline
+ * @param {Function} options.onBrush - Called with (start, end) Dates when the user moves the brush
+ * @returns {{show: Function, render: Function, setView: Function, clear: Function, destroy: Function}} Overview controls
+ */
+export function createTimelineOverview(selector, {margin, onBrush}) {
+    const root = d3.select(selector);
+    const svg = root.select('svg');
+    const barsGroup = svg.append('g').attr('class', 'overview-bars');
+    const markersGroup = svg.append('g').attr('class', 'overview-markers');
+    const brushGroup = svg.append('g').attr('class', 'overview-brush');
+
+    let xScale = null;
+    // Set while the brush follows the main zoom, so it does not echo back
+    let syncing = false;
+
+    const brush = d3.brushX()
+        .on('brush end', (event) => {
+            if (syncing || !event.sourceEvent || !event.selection) return;
+            onBrush(...brushToRange(xScale, event.selection));
+        });
+
+    /**
+     * Unhide the strip so the main timeline can measure the space left for it.
+     */
+    function show() {
+        root.node().hidden = false;
+    }
+
+    /**
+     * Draw density bars and annotation markers for the full time range.
+     *
+     * @param {Array} events - Parsed events
+     * @param {Map} annotations - Map of eventId to annotation
+     * @param {Date[]} domain - Full time range [start, end] of the main timeline
+     */
+    function render(events, annotations, domain) {
+        const width = root.node().clientWidth;
+        const height = root.node().clientHeight;
+        const left = margin.left;
+        const right = Math.max(left + 1, width - margin.right);
+
+        svg.attr('width', width).attr('height', height);
+        xScale = d3.scaleUtc().domain(domain).range([left, right]);
+
+        const counts = new Array(Math.ceil((right - left) / BIN_WIDTH)).fill(0);
+        for (const event of events) {
+            const bin = Math.floor((xScale(event.timestamp) - left) / BIN_WIDTH);
+            if (bin >= 0 && bin < counts.length) counts[bin]++;
+        }
+        const barHeight = d3.scaleSqrt()
+            .domain([0, d3.max(counts) || 1])
+            .range([0, height - 4]);
+        const bins = counts
+            .map((count, index) => ({count, index}))
+            .filter(bin => bin.count > 0);
+
+        barsGroup.selectAll('.overview-bar')
+            .data(bins)
+            .join('rect')
+            .attr('class', 'overview-bar')
+            .attr('x', d => left + d.index * BIN_WIDTH)
+            .attr('width', BIN_WIDTH - 1)
+            .attr('y', d => height - barHeight(d.count))
+            .attr('height', d => barHeight(d.count));
+
+        const annotated = annotations ? events.filter(event => annotations.has(event.id)) : [];
+        markersGroup.selectAll('.overview-marker')
+            .data(annotated, d => d.id)
+            .join('line')
+            .attr('class', 'overview-marker')
+            .attr('x1', d => xScale(d.timestamp))
+            .attr('x2', d => xScale(d.timestamp))
+            .attr('y1', 0)
+            .attr('y2', height);
+
+        brush.extent([[left, 0], [right, height]]);
+        brushGroup.call(brush);
+    }
+
+    /**
+     * Move the brush to the window shown by the main timeline.
+     *
+     * @param {Date} start - First visible instant
+     * @param {Date} end - Last visible instant
+     */
+    function setView(start, end) {
+        if (!xScale) return;
+        syncing = true;
+        brushGroup.call(brush.move, rangeToBrush(xScale, start, end));
+        syncing = false;
+    }
+
+    /**
+     * Empty and hide the strip.
+     */
+    function clear() {
+        xScale = null;
+        barsGroup.selectAll('*').remove();
+        markersGroup.selectAll('*').remove();
+        brushGroup.selectAll('*').remove();
+        root.node().hidden = true;
+    }
+
+    /**
+     * Empty and hide the strip, then remove the groups it added to the <svg>.
+     */
+    function destroy() {
+        clear();
+        brush.on('brush end', null);
+        barsGroup.remove();
+        markersGroup.remove();
+        brushGroup.remove();
+    }
+
+    return {show, render, setView, clear, destroy};
+}
@@ -3,13 +3,33 @@
  * Renders swim lane timeline with cross-host connection lines
  */
 
-import {escapeHtml} from './utils.js';
+import {escapeHtml, formatDuration} from './utils.js';
+import {getDotTimestamp} from './parser.js';
+import {formatClockOffset} from './clock-skew.js';
+import {createCanvasEventLayer} from './timeline-canvas.js';
+import {clusterLaneItems} from './density.js';
+import {createTimelineOverview} from './timeline-overview.js';
+import {arrangeLanes, createLaneScale} from './lane-layout.js';
+import {selectBrushedEvents} from './selection.js';
+import {rangeToZoom} from './zoom-range.js';
+import {createEmptyLaneLayout, laneHostKey} from '../shared/lane-layout.js';
+import {LOCAL_ZONE, UTC_ZONE, formatTimestamp, toZoneWallClock} from '../shared/time-zones.js';
 
 // Configuration
 const config = {
     margin: {top: 110, right: 70, bottom: 40, left: 220},
     laneHeight: 60,
+    collapsedLaneHeight: 24,
+    groupHeaderHeight: 26,
     eventRadius: 5,
+    spanHeight: 4,
+    spanRowGap: 3,
+    // Above this many events, dots and bars are drawn on a canvas instead of as SVG elements
+    canvasThreshold: 20000,
+    // Events of a lane closer than this many pixels are binned together...
+    densityBinWidth: 12,
+    // ...and a bin with at least this many becomes a count bubble
+    densityMinCount: 4,
     minWidth: 800,
     transitionDuration: 300
 };
@@ -32,9 +52,22 @@ function calculateTopMargin() {
 
 // State
 let svg, container, mainGroup;
-let xAxis, zoom;
+let xAxis, zoom, brush;
 let currentData = null;
 let onEventClick = null;
+let onLaneAction = null;
+let onSelect = null;
+let onViewChange = null;
+let canvasLayer = null;
+let overview = null;
+let layoutCache = {events: null, laneOf: null, items: []};
+let arrangementCache = {hostRegistry: null, laneLayout: null, arrangement: null};
+let searchHits = {matches: null, currentId: null};
+let selectedIds = null;
+// Dragging draws a selection rectangle instead of panning while select mode is on or Shift is held
+let selectMode = false;
+// [type, listener] pairs added to window, removed again by destroyTimelineVisualization()
+let windowListeners = [];
 
 /**
  * Initializes the D3.js timeline visualization SVG container.
@@ -42,11 +75,22 @@ let onEventClick = null;
  *
  * @param {string} containerId - CSS selector for the container element (e.g., '#timeline-container')
  * @param {Function} eventClickHandler - Callback invoked when user clicks an event dot, receives event object
+ * @param {Function} [laneActionHandler] - Callback invoked with a lane action from the lane controls:
+ *   `{type: 'toggleHost', key, flag}`, `{type: 'toggleGroup', groupId}` or `{type: 'move', key, target, after}`
+ * @param {Function} [selectHandler] - Callback invoked with the events (in time order) inside a
+ *   rectangle brushed in select mode; an empty array when the user clicks without dragging
+ * @param {Function} [viewChangeHandler] - Callback invoked with the start and end of the visible
+ *   time range whenever it changes through zooming, panning, the overview brush or a redraw
  */
-export function initTimelineVisualization(containerId, eventClickHandler) {
+export function initTimelineVisualization(containerId, eventClickHandler, laneActionHandler = null, selectHandler = null,
+    viewChangeHandler = null) {
+    if (mainGroup) destroyTimelineVisualization();
     container = d3.select(containerId);
     svg = container.select('svg');
     onEventClick = eventClickHandler;
+    onLaneAction = laneActionHandler;
+    onSelect = selectHandler;
+    onViewChange = viewChangeHandler;
 
     // Create main group for transforms
     mainGroup = svg.append('g')
@@ -56,8 +100,14 @@ export function initTimelineVisualization(containerId, eventClickHandler) {
     mainGroup.append('g').attr('class', 'lanes-group');
     mainGroup.append('g').attr('class', 'grid-group');
     mainGroup.append('g').attr('class', 'connections-group');
+    canvasLayer = createCanvasEventLayer(mainGroup.append('g').attr('class', 'canvas-group'), {
+        spanHeight: config.spanHeight
+    });
+    mainGroup.append('g').attr('class', 'spans-group');
     mainGroup.append('g').attr('class', 'events-group');
+    mainGroup.append('g').attr('class', 'density-group');
     mainGroup.append('g').attr('class', 'axis-group');
+    mainGroup.append('g').attr('class', 'selection-brush');
 
     // Create tooltip
     d3.select('body').append('div')
@@ -72,9 +122,70 @@ export function initTimelineVisualization(containerId, eventClickHandler) {
         .on('zoom', handleZoom);
 
     svg.call(zoom);
+    svg.on('mousemove', handleCanvasPointerMove)
+        .on('mouseleave', () => {
+            if (currentData?.useCanvas) {
+                canvasLayer.setHighlight(null);
+                hideTooltip();
+            }
+        })
+        .on('click', handleCanvasClick);
+
+    // The brush overlay only takes pointer events in select mode (see the stylesheet)
+    brush = d3.brush()
+        .on('end', handleBrushEnd);
+    // Shift typed into a form field is text, not a request to select
+    const followShift = (event) => updateSelectMode(event.shiftKey && !isEditableTarget(event.target));
+    listenOnWindow('keydown', followShift);
+    listenOnWindow('keyup', followShift);
+    listenOnWindow('blur', () => updateSelectMode(false));
+
+    overview = createTimelineOverview('#timeline-overview', {
+        margin: config.margin,
+        onBrush: (start, end) => svg.call(zoom.transform, rangeTransform(start, end, 1))
+    });
 
     // Handle window resize
-    window.addEventListener('resize', debounce(handleResize, 250));
+    listenOnWindow('resize', debounce(handleResize, 250));
+}
+
+/**
+ * Tear down the timeline: removes its window listeners, pointer handlers and
+ * everything it drew, so initTimelineVisualization() can start over.
+ */
+export function destroyTimelineVisualization() {
+    windowListeners.forEach(([type, listener]) => window.removeEventListener(type, listener));
+    windowListeners = [];
+    if (!mainGroup) return;
+
+    clearTimelineVisualization();
+    overview.destroy();
+    svg.on('.zoom', null)
+        .on('mousemove', null)
+        .on('mouseleave', null)
+        .on('click', null)
+        .classed('select-mode', false);
+    mainGroup.remove();
+    d3.select('body').selectAll('.tooltip').remove();
+    mainGroup = null;
+    canvasLayer = null;
+    overview = null;
+}
+
+function listenOnWindow(type, listener) {
+    window.addEventListener(type, listener);
+    windowListeners.push([type, listener]);
+}
+
+/**
+ * Whether a key event comes from somewhere the user types text.
+ *
+ * @param {EventTarget|null} target - Key event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+function isEditableTarget(target) {
+    if (!target || !target.closest) return false;
+    return target.isContentEditable || target.closest('input, textarea, select') !== null;
 }
 
 /**
@@ -85,25 +196,36 @@ export function initTimelineVisualization(containerId, eventClickHandler) {
  * @param {Object} hostRegistry - Host registry mapping hosts to their events
  * @param {Array} connections - Array of cross-host connection objects
  * @param {Map} annotations - Map of eventId to annotation for styling annotated events
+ * @param {string} [displayZone='UTC'] - Zone for axis labels and tooltips ("UTC", "local" or IANA name)
+ * @param {Object} [laneLayout] - Shared arrangement of host lanes (see shared/lane-layout.js)
+ * @param {{events: Array, matches: Set<string>, mode: 'hide'|'dim'}|null} [filtered] - Events the
+ *   viewer's filter lets through, when a filter is active; the others are hidden or dimmed. Lanes and
+ *   the time range still cover every event, so changing the filter keeps the view in place.
  */
-export function renderTimelineVisualization(events, hostRegistry, connections, annotations) {
-    currentData = {events, hostRegistry, connections, annotations};
-    const hosts = hostRegistry.getHostList();
+export function renderTimelineVisualization(events, hostRegistry, connections, annotations, displayZone = UTC_ZONE,
+    laneLayout = createEmptyLaneLayout(), filtered = null) {
+    currentData = {events, hostRegistry, connections, annotations, displayZone, laneLayout, filtered};
+    const arrangement = getArrangement(hostRegistry, laneLayout);
 
     // Update top margin based on input box position
     config.margin.top = calculateTopMargin();
 
+    // The overview strip takes its space from the bottom of the container
+    overview.show();
+    container.classed('with-overview', true);
+
     const containerRect = container.node().getBoundingClientRect();
     const width = Math.max(containerRect.width, config.minWidth);
-    const contentHeight = hosts.length * config.laneHeight + config.margin.top + config.margin.bottom;
+    const lanesHeight = arrangement.rows.reduce((sum, row) => sum + laneRowHeight(row), 0);
+    const contentHeight = lanesHeight + config.margin.top + config.margin.bottom;
     const height = Math.max(contentHeight, containerRect.height);
 
     // Update SVG size
     svg.attr('width', width)
         .attr('height', height);
 
-    // Calculate time domain
-    const timeExtent = d3.extent(events, d => d.timestamp);
+    // Calculate time domain (bars may run past the last timestamp)
+    const timeExtent = d3.extent(events.flatMap(d => d.span ? [d.timestamp, d.span.end] : [d.timestamp]));
     if (!timeExtent[0] || !timeExtent[1]) {
         console.warn('No valid timestamps in events');
         return;
@@ -114,15 +236,13 @@ export function renderTimelineVisualization(events, hostRegistry, connections, a
     const timeMin = new Date(timeExtent[0].getTime() - timePadding);
     const timeMax = new Date(timeExtent[1].getTime() + timePadding);
 
-    // Create scales
-    const xScale = d3.scaleTime()
+    // Create scales; ticks fall on local boundaries only when displaying local time
+    const xScale = (displayZone === LOCAL_ZONE ? d3.scaleTime() : d3.scaleUtc())
         .domain([timeMin, timeMax])
         .range([config.margin.left, width - config.margin.right]);
 
-    const yScale = d3.scaleBand()
-        .domain(hosts.map(h => h.hostname))
-        .range([config.margin.top, height - config.margin.bottom])
-        .padding(0.1);
+    const yScale = createLaneScale(arrangement.rows, arrangement.laneOf, laneRowHeight,
+        [config.margin.top, height - config.margin.bottom]);
 
     // Store scales for zoom
     currentData.xScale = xScale;
@@ -130,30 +250,169 @@ export function renderTimelineVisualization(events, hostRegistry, connections, a
     currentData.width = width;
     currentData.height = height;
 
-    // Render components
-    renderLanes(hosts, yScale, width);
-    renderAxis(xScale, height);
-    renderGrid(xScale, yScale, width, height);
-    renderConnections(connections, xScale, yScale, hostRegistry);
-    renderEvents(events, xScale, yScale, hostRegistry, annotations);
+    // Render components at the current zoom, so new data does not reset the view
+    const viewScale = d3.zoomTransform(svg.node()).rescaleX(xScale);
+    renderLanes(yScale.rows, width);
+    renderAxis(viewScale, height);
+    renderGrid(viewScale, yScale, width, height);
+    renderConnections(connections, viewScale, yScale, filtered);
+    renderEvents(events, viewScale, yScale, hostRegistry, annotations, arrangement.laneOf, filtered);
+
+    brush.extent([[config.margin.left, config.margin.top], [width - config.margin.right, height - config.margin.bottom]]);
+    mainGroup.select('.selection-brush').call(brush);
+
+    overview.render(filtered ? filtered.events : events, annotations, xScale.domain());
+    overview.setView(...viewScale.domain());
+    if (onViewChange) onViewChange(...viewScale.domain());
 }
 
 /**
- * Render swim lanes with background, midline, label, and IP for each host.
+ * Arrange the host lanes, reusing the previous arrangement while neither the
+ * hosts nor the layout changed so the event layout cache stays valid.
  *
- * @param {Array<{hostname: string, ips: string[]}>} hosts - Host list from the registry
- * @param {Function} yScale - D3 band scale mapping hostname to y position
+ * @param {Object} hostRegistry - Host registry
+ * @param {Object} laneLayout - Lane layout
+ * @returns {Object} Result of arrangeLanes()
+ */
+function getArrangement(hostRegistry, laneLayout) {
+    if (arrangementCache.hostRegistry !== hostRegistry || arrangementCache.laneLayout !== laneLayout) {
+        arrangementCache = {
+            hostRegistry,
+            laneLayout,
+            arrangement: arrangeLanes(hostRegistry.getHostList(), laneLayout)
+        };
+    }
+    return arrangementCache.arrangement;
+}
+
+/**
+ * Height a lane row asks for: collapsed host lanes are thin, expanded group
+ * headers only hold the group name, and a collapsed group is a full lane
+ * carrying the events of all its hosts.
+ *
+ * @param {Object} row - Row from arrangeLanes()
+ * @returns {number} Height in pixels
+ */
+function laneRowHeight(row) {
+    if (row.kind === 'group') {
+        return row.collapsed ? config.laneHeight : config.groupHeaderHeight;
+    }
+    return row.collapsed ? config.collapsedLaneHeight : config.laneHeight;
+}
+
+/**
+ * Controls shown at the right end of a lane's label area.
+ *
+ * @param {Object} row - Positioned lane row
+ * @returns {Array<{glyph: string, title: string, active: boolean, action: Object}>} Controls, right to left
+ */
+function laneControls(row) {
+    if (row.kind === 'group') {
+        return [{
+            glyph: row.collapsed ? '\u25B8' : '\u25BE',
+            title: row.collapsed ? 'Expand group' : 'Collapse group',
+            active: false,
+            action: {type: 'toggleGroup', groupId: row.group.id}
+        }];
+    }
+
+    return [
+        {
+            glyph: '\u00D7',
+            title: 'Hide lane',
+            active: false,
+            action: {type: 'toggleHost', key: row.key, flag: 'hidden'}
+        },
+        {
+            glyph: '\u2912',
+            title: row.pinned ? 'Unpin lane' : 'Pin lane to top',
+            active: row.pinned,
+            action: {type: 'toggleHost', key: row.key, flag: 'pinned'}
+        },
+        {
+            glyph: row.collapsed ? '\u25B8' : '\u25BE',
+            title: row.collapsed ? 'Expand lane' : 'Collapse lane',
+            active: false,
+            action: {type: 'toggleHost', key: row.key, flag: 'collapsed'}
+        }
+    ];
+}
+
+function laneLabel(row) {
+    return row.kind === 'group' ? `${row.group.name} (${row.hosts.length})` : row.host.hostname;
+}
+
+/**
+ * Find where a dragged lane would land: the row under `y`, and whether it
+ * goes below that row's middle.
+ *
+ * @param {Array<Object>} rows - Positioned lane rows
+ * @param {number} y - Pointer y in SVG coordinates
+ * @returns {{row: Object, after: boolean}|null} Drop target, or null without rows
+ */
+function laneDropTarget(rows, y) {
+    if (rows.length === 0) return null;
+    const row = rows.find(candidate => y < candidate.y + candidate.height) || rows[rows.length - 1];
+    return {row, after: y > row.y + row.height / 2};
+}
+
+/**
+ * Drag behavior for reordering lanes by their label. While dragging, a line
+ * marks where the lane will go; dropping sends a `move` lane action.
+ *
+ * @param {number} width - Total SVG width in pixels
+ * @returns {Function} D3 drag behavior
+ */
+function laneDrag(width) {
+    const lanesGroup = mainGroup.select('.lanes-group');
+    let target = null;
+
+    return d3.drag()
+        .filter(event => !event.button && onLaneAction !== null)
+        .on('start', function (event, d) {
+            if (d.kind !== 'host') return;
+            d3.select(this.parentNode).classed('dragging', true);
+        })
+        .on('drag', (event, d) => {
+            if (d.kind !== 'host') return;
+            target = laneDropTarget(currentData.yScale.rows, event.y);
+            if (!target) return;
+            const y = target.row.kind === 'group' || target.after ? target.row.y + target.row.height : target.row.y;
+            lanesGroup.selectAll('.lane-drop-indicator')
+                .data([y])
+                .join('line')
+                .attr('class', 'lane-drop-indicator')
+                .attr('x1', 0)
+                .attr('x2', width)
+                .attr('y1', y)
+                .attr('y2', y);
+        })
+        .on('end', function (event, d) {
+            d3.select(this.parentNode).classed('dragging', false);
+            lanesGroup.selectAll('.lane-drop-indicator').remove();
+            if (d.kind === 'host' && target && target.row.key !== d.key) {
+                onLaneAction({type: 'move', key: d.key, target: target.row.key, after: target.after});
+            }
+            target = null;
+        });
+}
+
+/**
+ * Render swim lanes with background, midline, label, IP and lane controls for
+ * each row: host lanes (full height or collapsed) and group lanes. Lanes are
+ * reordered by dragging their label.
+ *
+ * @param {Array<Object>} rows - Positioned rows from createLaneScale()
  * @param {number} width - Total SVG width in pixels
  */
-function renderLanes(hosts, yScale, width) {
+function renderLanes(rows, width) {
     const lanesGroup = mainGroup.select('.lanes-group');
     const lanes = lanesGroup.selectAll('.swim-lane')
-        .data(hosts, d => d.hostname);
+        .data(rows, d => d.key);
 
     // Enter
     const lanesEnter = lanes.enter()
-        .append('g')
-        .attr('class', 'swim-lane');
+        .append('g');
 
     lanesEnter.append('rect')
         .attr('class', 'lane-bg');
@@ -162,38 +421,78 @@ function renderLanes(hosts, yScale, width) {
         .attr('class', 'swim-lane-midline');
 
     lanesEnter.append('text')
-        .attr('class', 'swim-lane-label');
+        .attr('class', 'swim-lane-label')
+        .on('click', (event, d) => {
+            if (d.kind === 'group' && onLaneAction && !event.defaultPrevented) {
+                onLaneAction({type: 'toggleGroup', groupId: d.group.id});
+            }
+        });
 
     lanesEnter.append('text')
         .attr('class', 'swim-lane-ip');
 
+    lanesEnter.append('g')
+        .attr('class', 'lane-controls');
+
     // Update
-    const lanesUpdate = lanesEnter.merge(lanes);
+    const lanesUpdate = lanesEnter.merge(lanes)
+        .attr('class', d => [
+            'swim-lane',
+            d.kind === 'group' ? 'group-lane' : null,
+            d.collapsed ? 'collapsed' : null,
+            d.kind === 'host' && d.pinned ? 'pinned' : null
+        ].filter(Boolean).join(' '));
+    const midY = d => d.y + d.height / 2;
 
     lanesUpdate.select('.lane-bg')
         .attr('x', 0)
-        .attr('y', d => yScale(d.hostname))
+        .attr('y', d => d.y)
         .attr('width', width)
-        .attr('height', yScale.bandwidth())
+        .attr('height', d => d.height)
         .attr('fill', (d, i) => i % 2 === 0 ? 'rgba(255,255,255,0.008)' : 'transparent');
 
+    // Expanded group headers hold no events, so they have no midline
     lanesUpdate.select('.swim-lane-midline')
+        .attr('display', d => d.kind === 'group' && !d.collapsed ? 'none' : null)
         .attr('x1', config.margin.left)
         .attr('x2', width - config.margin.right)
-        .attr('y1', d => yScale(d.hostname) + yScale.bandwidth() / 2)
-        .attr('y2', d => yScale(d.hostname) + yScale.bandwidth() / 2);
+        .attr('y1', midY)
+        .attr('y2', midY);
+
+    // Collapsed and group lanes are one line: the label without the IP
+    const singleLine = d => d.kind === 'group' || d.collapsed;
 
     lanesUpdate.select('.swim-lane-label')
         .attr('x', 20)
-        .attr('y', d => yScale(d.hostname) + yScale.bandwidth() / 2)
-        .attr('dy', '-0.2em')
-        .text(d => d.hostname);
+        .attr('y', midY)
+        .attr('dy', d => singleLine(d) ? '0.35em' : '-0.2em')
+        .text(laneLabel)
+        .call(laneDrag(width));
 
     lanesUpdate.select('.swim-lane-ip')
         .attr('x', 20)
-        .attr('y', d => yScale(d.hostname) + yScale.bandwidth() / 2)
+        .attr('y', midY)
         .attr('dy', '1.1em')
-        .text(d => d.ips.length > 0 ? d.ips[0] : '');
+        .text(d => !singleLine(d) && d.host.ips.length > 0 ? d.host.ips[0] : '');
+
+    lanesUpdate.select('.lane-controls')
+        .attr('display', onLaneAction ? null : 'none')
+        .selectAll('.lane-control')
+        .data(d => laneControls(d).map(control => ({...control, y: midY(d)})))
+        .join(enter => enter.append('text')
+            .call(text => text.append('title'))
+            .on('click', (event, control) => {
+                event.stopPropagation();
+                onLaneAction(control.action);
+            }))
+        .attr('class', control => control.active ? 'lane-control active' : 'lane-control')
+        .attr('x', (control, i) => config.margin.left - 16 - i * 16)
+        .attr('y', control => control.y)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'middle')
+        .text(control => control.glyph)
+        .select('title')
+        .text(control => control.title);
 
     // Exit
     lanes.exit().remove();
@@ -207,7 +506,7 @@ function renderLanes(hosts, yScale, width) {
  */
 function renderAxis(xScale, height) {
     const axisGroup = mainGroup.select('.axis-group');
-    const timeFormat = getTimeFormat(xScale);
+    const timeFormat = getTimeFormat(xScale, currentData.displayZone);
 
     xAxis = d3.axisBottom(xScale)
         .ticks(10)
@@ -233,7 +532,7 @@ function renderAxis(xScale, height) {
  * Render vertical grid lines across the timeline.
  *
  * @param {Function} xScale - D3 time scale
- * @param {Function} yScale - D3 band scale (unused but kept for call-site symmetry)
+ * @param {Function} yScale - Lane scale (unused but kept for call-site symmetry)
  * @param {number} width - Total SVG width in pixels (unused; reserved)
  * @param {number} height - Total SVG height in pixels
  */
@@ -268,36 +567,37 @@ function drawGridLines(gridGroup, xScale, height) {
  *
  * @param {{timestamp: Date, sourceHost: string, destHost: string}} d - Connection datum
  * @param {Function} xScale - D3 time scale
- * @param {Function} yScale - D3 band scale mapping hostname to y position
+ * @param {Function} yScale - Lane scale mapping hostname to y position
  * @returns {string} SVG path `d` attribute describing a quadratic arc between source and dest hosts
  */
 function connectionPath(d, xScale, yScale) {
     const x = xScale(d.timestamp);
-    const y1 = yScale(d.sourceHost) + yScale.bandwidth() / 2;
-    const y2 = yScale(d.destHost) + yScale.bandwidth() / 2;
+    const y1 = yScale(d.sourceHost) + yScale.bandwidth(d.sourceHost) / 2;
+    const y2 = yScale(d.destHost) + yScale.bandwidth(d.destHost) / 2;
     const midY = (y1 + y2) / 2;
     const curveOffset = Math.abs(y2 - y1) * 0.1;
     return `M ${x} ${y1} Q ${x + curveOffset} ${midY}, ${x} ${y2}`;
 }
 
 /**
- * Render cross-host connection arcs, filtering to connections between visible hosts.
+ * Render cross-host connection arcs, filtering to connections between hosts on
+ * different visible lanes (hidden hosts have no lane; hosts of a collapsed
+ * group share one).
  *
  * @param {Array} connections - Connection objects from identifyConnections()
  * @param {Function} xScale - D3 time scale
- * @param {Function} yScale - D3 band scale mapping hostname to y position
- * @param {Object} hostRegistry - Host registry used to determine which hosts are currently visible
+ * @param {Function} yScale - Lane scale mapping hostname to y position
+ * @param {Object|null} filtered - Active filter result (see renderTimelineVisualization())
  */
-function renderConnections(connections, xScale, yScale, hostRegistry) {
+function renderConnections(connections, xScale, yScale, filtered) {
     const connectionsGroup = mainGroup.select('.connections-group');
-
-    // Filter to only show connections between visible hosts
-    const visibleHosts = new Set(hostRegistry.getHostList().map(h => h.hostname.toLowerCase()));
+    const isDimmed = d => filtered !== null && !filtered.matches.has(d.eventId);
 
     const visibleConnections = connections.filter(conn => {
-        const sourceKey = conn.sourceHost.toLowerCase();
-        const destKey = conn.destHost.toLowerCase();
-        return visibleHosts.has(sourceKey) && visibleHosts.has(destKey);
+        if (filtered && filtered.mode === 'hide' && !filtered.matches.has(conn.eventId)) return false;
+        const sourceY = yScale(conn.sourceHost);
+        const destY = yScale(conn.destHost);
+        return sourceY !== undefined && destY !== undefined && sourceY !== destY;
     });
 
     const lines = connectionsGroup.selectAll('.connection-line')
@@ -320,75 +620,275 @@ function renderConnections(connections, xScale, yScale, hostRegistry) {
 
     // Update
     lines.attr('d', d => connectionPath(d, xScale, yScale));
+    connectionsGroup.selectAll('.connection-line').classed('dimmed', isDimmed);
 
     // Exit
     lines.exit().remove();
 }
 
 /**
- * Render event dots on their host swim lanes. Annotated events are filled and sized
- * larger than raw events to serve as the visual "figure" above the "ground".
+ * Stack the duration bars of one lane: each bar goes in the first row whose
+ * previous bar has ended, so overlapping sessions or flows do not hide each
+ * other. Point events stay on row 0.
+ *
+ * @param {Array<{event: Object, row: number}>} laneItems - Layout items of a single lane
+ */
+function assignSpanRows(laneItems) {
+    const rowEnds = [];
+    laneItems
+        .filter(item => item.event.span)
+        .sort((a, b) => a.event.span.start - b.event.span.start)
+        .forEach(item => {
+            let row = rowEnds.findIndex(end => end <= item.event.span.start);
+            if (row === -1) row = rowEnds.length;
+            rowEnds[row] = item.event.span.end;
+            item.row = row;
+        });
+}
+
+/**
+ * Assign every event to its lane and stacking row. The layout only depends on
+ * the events and the lane arrangement, so it is cached across zoom, resize and
+ * annotation re-renders instead of being rebuilt each time.
+ *
+ * @param {Array} events - Parsed event objects
+ * @param {Object} hostRegistry - Host or field lane registry naming each event's lane
+ * @param {Map<string, string>} laneOf - Host key to the row key of its lane (see arrangeLanes())
+ * @returns {Array<{event: Object, lane: string, row: number}>} Layout items
+ */
+function getEventLayout(events, hostRegistry, laneOf) {
+    if (layoutCache.events === events && layoutCache.laneOf === laneOf) {
+        return layoutCache.items;
+    }
+
+    const itemsByLane = new Map();
+    events.forEach(event => {
+        const name = hostRegistry.laneOf(event);
+        if (name === null) return;
+
+        // Hidden hosts have no lane
+        const lane = laneOf.get(laneHostKey(name));
+        if (lane === undefined) return;
+
+        if (!itemsByLane.has(lane)) {
+            itemsByLane.set(lane, []);
+        }
+        itemsByLane.get(lane).push({event, lane, row: 0});
+    });
+
+    const items = [];
+    itemsByLane.forEach(laneItems => {
+        assignSpanRows(laneItems);
+        items.push(...laneItems);
+    });
+
+    layoutCache = {events, laneOf, items};
+    return items;
+}
+
+/**
+ * Vertical position of a stacking row: row 0 is the lane midline and further
+ * rows alternate below and above it. Rows beyond what the lane fits share the
+ * outermost position.
+ *
+ * @param {{lane: string, row: number}} item - Layout item
+ * @param {Function} yScale - Lane scale mapping hostname or row key to y position
+ * @returns {number} y coordinate in pixels
+ */
+function rowY(item, yScale) {
+    const step = config.spanHeight + config.spanRowGap;
+    const bandwidth = yScale.bandwidth(item.lane);
+    const maxRow = Math.max(0, Math.floor(bandwidth / step) - 1);
+    const row = Math.min(item.row, maxRow);
+    const distance = Math.ceil(row / 2) * step;
+    return yScale(item.lane) + bandwidth / 2 + (row % 2 === 1 ? distance : -distance);
+}
+
+/**
+ * Position duration bars for the given x scale.
+ *
+ * @param {Object} bars - D3 selection of `.event-span` rects
+ * @param {Function} xScale - D3 time scale
+ */
+function positionSpans(bars, xScale) {
+    bars.attr('x', d => xScale(d.event.span.start))
+        .attr('width', d => Math.max(1, xScale(d.event.span.end) - xScale(d.event.span.start)));
+}
+
+/**
+ * Render events on their host swim lanes, as SVG elements or, above
+ * `config.canvasThreshold` events, on the canvas layer.
+ * Events that cover a period (see parseSpan()) also get a bar from start to end;
+ * overlapping bars stack, and the dot sits at the start of its bar, on the bar's row.
+ * Where dots crowd together at the current zoom they are replaced by count bubbles.
  *
  * @param {Array} events - Parsed event objects
  * @param {Function} xScale - D3 time scale
- * @param {Function} yScale - D3 band scale mapping hostname to y position
+ * @param {Function} yScale - Lane scale mapping hostname to y position
  * @param {Object} hostRegistry - Host registry used for IP-to-host resolution
  * @param {Map} annotations - Map of eventId to annotation (used to mark annotated dots)
+ * @param {Map<string, string>} laneOf - Host key to the row key of its lane (see arrangeLanes())
+ * @param {Object|null} filtered - Active filter result (see renderTimelineVisualization())
  */
-function renderEvents(events, xScale, yScale, hostRegistry, annotations) {
-    const eventsGroup = mainGroup.select('.events-group');
+function renderEvents(events, xScale, yScale, hostRegistry, annotations, laneOf, filtered) {
+    const laidOut = getEventLayout(events, hostRegistry, laneOf);
+    // Filtered-out events keep their row, so the rest do not shift when the filter changes
+    const items = filtered && filtered.mode === 'hide'
+        ? laidOut.filter(item => filtered.matches.has(item.event.id))
+        : laidOut;
+    items.forEach(item => {
+        item.y = rowY(item, yScale);
+        item.dimmed = filtered !== null && !filtered.matches.has(item.event.id);
+    });
+    currentData.items = items;
+    drawEventItems(items, xScale, yScale, annotations);
+}
 
-    // Group events by host
-    const eventsByHost = new Map();
-    events.forEach(event => {
-        if (!event.host) return;
-
-        let hostKey = event.host.hostname;
-
-        // For network events, also check if we should place on source/dest host
-        if (event.host.hostname === 'Unknown' && event.raw) {
-            const sourceIp = event.raw.source?.ip;
-            if (sourceIp) {
-                const sourceHost = hostRegistry.resolveIp(Array.isArray(sourceIp) ? sourceIp[0] : sourceIp);
-                if (sourceHost && sourceHost !== sourceIp) {
-                    hostKey = sourceHost;
-                }
-            }
-        }
+/**
+ * Draw laid-out events at the given zoom, marking search hits and the selection.
+ *
+ * @param {Array} items - Laid-out events with their row y
+ * @param {Function} xScale - D3 time scale
+ * @param {Function} yScale - Lane scale mapping hostname to y position
+ * @param {Map} annotations - Map of eventId to annotation
+ */
+function drawEventItems(items, xScale, yScale, annotations) {
+    items.forEach(item => {
+        item.searchHit = Boolean(searchHits.matches && searchHits.matches.has(item.event.id));
+        item.searchCurrent = item.event.id === searchHits.currentId;
+        item.selected = Boolean(selectedIds && selectedIds.has(item.event.id));
+    });
 
-        if (!yScale.domain().includes(hostKey)) return;
+    const clusters = clusterItems(items, xScale, annotations);
+    currentData.useCanvas = items.length > config.canvasThreshold;
+    if (currentData.useCanvas) {
+        mainGroup.selectAll('.spans-group > *, .events-group > *').remove();
+        canvasLayer.resize(currentData.width, currentData.height);
+        canvasLayer.setItems(items, annotations);
+        canvasLayer.draw(xScale);
+    } else {
+        canvasLayer.clear();
+        renderSvgEvents(items, xScale, annotations);
+    }
+    renderDensity(clusters, yScale);
+}
 
-        if (!eventsByHost.has(hostKey)) {
-            eventsByHost.set(hostKey, []);
-        }
-        eventsByHost.get(hostKey).push(event);
+/**
+ * Work out which dots merge into count bubbles at the given zoom (sets
+ * `item.clustered`). Annotated, dimmed, selected and search-hit events always
+ * stay individual dots.
+ *
+ * @param {Array} items - Laid-out events
+ * @param {Function} xScale - D3 time scale for the current zoom
+ * @param {Map} annotations - Map of eventId to annotation
+ * @returns {Array} Clusters from clusterLaneItems()
+ */
+function clusterItems(items, xScale, annotations) {
+    return clusterLaneItems(items, xScale, {
+        binWidth: config.densityBinWidth,
+        minCount: config.densityMinCount,
+        keepVisible: item => item.dimmed || item.searchHit || item.selected ||
+            Boolean(annotations && annotations.has(item.event.id))
     });
+}
+
+function bubbleRadius(cluster, yScale) {
+    return Math.min(yScale.bandwidth(cluster.lane) / 2 - 2, 6 + Math.sqrt(cluster.count));
+}
+
+function formatClusterCount(count) {
+    return count < 1000 ? String(count) : d3.format('.2~s')(count);
+}
 
-    // Flatten for rendering
-    const allEvents = [];
-    eventsByHost.forEach((hostEvents, hostKey) => {
-        hostEvents.forEach(event => {
-            allEvents.push({...event, renderHost: hostKey});
+/**
+ * Draw count bubbles for dense regions, colored by their dominant category.
+ * Clicking a bubble zooms to the time range it covers.
+ *
+ * @param {Array} clusters - Clusters from clusterLaneItems()
+ * @param {Function} yScale - Lane scale mapping hostname to y position
+ */
+function renderDensity(clusters, yScale) {
+    const bubbles = mainGroup.select('.density-group')
+        .selectAll('.density-bubble')
+        .data(clusters);
+
+    const entered = bubbles.enter()
+        .append('g')
+        .on('mouseover', showClusterTooltip)
+        .on('mouseout', hideTooltip)
+        .on('click', (event, d) => {
+            event.stopPropagation();
+            hideTooltip();
+            zoomToRange(d.start, d.end);
         });
-    });
+    entered.append('circle');
+    entered.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em');
+
+    const merged = entered.merge(bubbles)
+        .attr('class', d => `density-bubble ${d.category}`)
+        .attr('transform', d => `translate(${d.x},${yScale(d.lane) + yScale.bandwidth(d.lane) / 2})`);
+    merged.select('circle')
+        .attr('r', d => bubbleRadius(d, yScale));
+    merged.select('text')
+        .text(d => formatClusterCount(d.count));
+
+    bubbles.exit().remove();
+}
 
-    const dots = eventsGroup.selectAll('.event-dot')
-        .data(allEvents, d => d.id);
+/**
+ * Render one SVG dot (and bar) per event. Annotated events are filled and sized
+ * larger than raw events to serve as the visual "figure" above the "ground".
+ *
+ * @param {Array<{event: Object, y: number}>} items - Laid-out events
+ * @param {Function} xScale - D3 time scale
+ * @param {Map} annotations - Map of eventId to annotation (used to mark annotated dots)
+ */
+function renderSvgEvents(items, xScale, annotations) {
+    const eventsGroup = mainGroup.select('.events-group');
+    const spansGroup = mainGroup.select('.spans-group');
 
-    const isAnnotated = d => annotations && annotations.has(d.id);
-    const dotClass = d => isAnnotated(d) ? `event-dot ${d.category} annotated` : `event-dot ${d.category}`;
+    const isAnnotated = d => annotations && annotations.has(d.event.id);
+    const dotClass = d => `event-dot ${d.event.category}${isAnnotated(d) ? ' annotated' : ''}${d.dimmed ? ' dimmed' : ''}` +
+        `${d.searchHit ? ' search-hit' : ''}${d.searchCurrent ? ' search-current' : ''}${d.selected ? ' selected' : ''}`;
     const dotRadius = d => isAnnotated(d) ? 6 : 4.5;
 
+    const bars = spansGroup.selectAll('.event-span')
+        .data(items.filter(d => d.event.span), d => d.event.id);
+
+    bars.enter()
+        .append('rect')
+        .attr('height', config.spanHeight)
+        .on('mouseover', (event, d) => showEventTooltip(event, d.event))
+        .on('mouseout', hideTooltip)
+        .on('click', (event, d) => {
+            event.stopPropagation();
+            if (onEventClick) {
+                onEventClick(d.event);
+            }
+        })
+        .merge(bars)
+        .attr('class', d => `event-span ${d.event.category}${d.dimmed ? ' dimmed' : ''}`)
+        .attr('y', d => d.y - config.spanHeight / 2)
+        .call(positionSpans, xScale);
+
+    bars.exit().remove();
+
+    const dots = eventsGroup.selectAll('.event-dot')
+        .data(items, d => d.event.id);
+
     // Enter
     dots.enter()
         .append('circle')
         .attr('class', dotClass)
         .attr('r', dotRadius)
-        .attr('cx', d => xScale(d.timestamp))
-        .attr('cy', d => yScale(d.renderHost) + yScale.bandwidth() / 2)
+        .attr('cx', d => xScale(getDotTimestamp(d.event)))
+        .attr('cy', d => d.y)
+        .attr('display', d => d.clustered ? 'none' : null)
         .on('mouseover', function (event, d) {
             d3.select(this).attr('r', dotRadius(d) + 2);
-            showEventTooltip(event, d);
+            showEventTooltip(event, d.event);
         })
         .on('mouseout', function (event, d) {
             d3.select(this).attr('r', dotRadius(d));
@@ -397,13 +897,14 @@ function renderEvents(events, xScale, yScale, hostRegistry, annotations) {
         .on('click', (event, d) => {
             event.stopPropagation();
             if (onEventClick) {
-                onEventClick(d);
+                onEventClick(d.event);
             }
         });
 
     // Update
-    dots.attr('cx', d => xScale(d.timestamp))
-        .attr('cy', d => yScale(d.renderHost) + yScale.bandwidth() / 2)
+    dots.attr('cx', d => xScale(getDotTimestamp(d.event)))
+        .attr('cy', d => d.y)
+        .attr('display', d => d.clustered ? 'none' : null)
         .attr('r', dotRadius)
         .attr('class', dotClass);
 
@@ -411,6 +912,34 @@ function renderEvents(events, xScale, yScale, hostRegistry, annotations) {
     dots.exit().remove();
 }
 
+/**
+ * Forward pointer movement over the SVG to the canvas layer's hit-testing,
+ * so canvas-drawn events get the same tooltip and highlight as SVG dots.
+ *
+ * @param {MouseEvent} event - Pointer event on the SVG
+ */
+function handleCanvasPointerMove(event) {
+    if (!currentData?.useCanvas) return;
+    const [x, y] = d3.pointer(event, svg.node());
+    const hit = canvasLayer.hitTest(x, y);
+    canvasLayer.setHighlight(hit);
+    svg.classed('event-hover', Boolean(hit));
+    if (hit) {
+        showEventTooltip(event, hit.event);
+    } else {
+        hideTooltip();
+    }
+}
+
+function handleCanvasClick(event) {
+    if (!currentData?.useCanvas) return;
+    const [x, y] = d3.pointer(event, svg.node());
+    const hit = canvasLayer.hitTest(x, y);
+    if (hit && onEventClick) {
+        onEventClick(hit.event);
+    }
+}
+
 /**
  * Handle a D3 zoom/pan event by rescaling the time axis, grid, event dots, and connections.
  *
@@ -421,7 +950,7 @@ function handleZoom(event) {
 
     const transform = event.transform;
     const newXScale = transform.rescaleX(currentData.xScale);
-    const timeFormat = getTimeFormat(newXScale);
+    const timeFormat = getTimeFormat(newXScale, currentData.displayZone);
 
     // Update axis
     mainGroup.select('.axis-group')
@@ -434,10 +963,20 @@ function handleZoom(event) {
     // Update grid
     drawGridLines(mainGroup.select('.grid-group'), newXScale, currentData.height);
 
-    // Update event positions
-    mainGroup.select('.events-group')
-        .selectAll('.event-dot')
-        .attr('cx', d => newXScale(d.timestamp));
+    // Update event positions, merging dots that are too close to tell apart
+    const clusters = clusterItems(currentData.items, newXScale, currentData.annotations);
+    if (currentData.useCanvas) {
+        canvasLayer.draw(newXScale);
+    } else {
+        mainGroup.select('.events-group')
+            .selectAll('.event-dot')
+            .attr('cx', d => newXScale(getDotTimestamp(d.event)))
+            .attr('display', d => d.clustered ? 'none' : null);
+        positionSpans(mainGroup.select('.spans-group').selectAll('.event-span'), newXScale);
+    }
+    renderDensity(clusters, currentData.yScale);
+    overview.setView(...newXScale.domain());
+    if (onViewChange) onViewChange(...newXScale.domain());
 
     // Update connection lines
     mainGroup.select('.connections-group')
@@ -470,7 +1009,126 @@ export function zoomReset() {
 }
 
 /**
- * Show the hover tooltip for an event dot.
+ * Zoom transform that centers a time range and stretches it over a fraction
+ * of the view (see rangeToZoom()).
+ *
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} fill - Fraction of the view width the range should cover
+ * @returns {Object} D3 zoom transform
+ */
+function rangeTransform(start, end, fill) {
+    const {k, x} = rangeToZoom(currentData.xScale, start, end, {fill, scaleExtent: zoom.scaleExtent()});
+    return d3.zoomIdentity.translate(x, 0).scale(k);
+}
+
+/**
+ * Mark the events a search found, and the one currently stepped to. The marks
+ * survive re-renders until replaced.
+ *
+ * @param {Set<string>|null} matches - IDs of matching events, or null to clear
+ * @param {string|null} [currentId] - ID of the current hit
+ */
+export function highlightSearchHits(matches, currentId = null) {
+    searchHits = {matches, currentId};
+    if (!currentData || !currentData.items) return;
+
+    const viewScale = d3.zoomTransform(svg.node()).rescaleX(currentData.xScale);
+    drawEventItems(currentData.items, viewScale, currentData.yScale, currentData.annotations);
+}
+
+/**
+ * Pan to an event, zooming in when the view is wider than a twentieth of the
+ * whole time range, and scroll its lane into view.
+ *
+ * @param {Object} event - Parsed event
+ */
+export function focusTimelineEvent(event) {
+    if (!currentData || !currentData.xScale) return;
+
+    const [viewStart, viewEnd] = d3.zoomTransform(svg.node()).rescaleX(currentData.xScale).domain();
+    const [start, end] = currentData.xScale.domain();
+    const span = Math.min(viewEnd - viewStart, (end - start) / 20);
+    const time = event.timestamp.getTime();
+    svg.transition().duration(config.transitionDuration)
+        .call(zoom.transform, rangeTransform(new Date(time - span / 2), new Date(time + span / 2), 1));
+
+    const item = currentData.items && currentData.items.find(candidate => candidate.event.id === event.id);
+    if (item) {
+        const node = container.node();
+        node.scrollTo({top: Math.max(0, item.y - node.clientHeight / 2), behavior: 'smooth'});
+    }
+}
+
+/**
+ * Select events by brushing a rectangle: those inside it in time and lane.
+ *
+ * @param {{selection: number[][]|null, sourceEvent: Event|null}} event - D3 brush end event
+ */
+function handleBrushEnd(event) {
+    // Clearing the rectangle below ends the brush again, without a source event
+    if (!event.sourceEvent) return;
+    mainGroup.select('.selection-brush').call(brush.move, null);
+    if (!onSelect || !currentData || !currentData.items) return;
+    if (!event.selection) {
+        onSelect([]);
+        return;
+    }
+
+    const [[x0, y0], [x1, y1]] = event.selection;
+    const viewScale = d3.zoomTransform(svg.node()).rescaleX(currentData.xScale);
+    const yScale = currentData.yScale;
+    onSelect(selectBrushedEvents(currentData.items,
+        {start: viewScale.invert(x0), end: viewScale.invert(x1), top: y0, bottom: y1},
+        lane => [yScale(lane), yScale(lane) + yScale.bandwidth(lane)]));
+}
+
+function updateSelectMode(shiftKey) {
+    svg.classed('select-mode', selectMode || shiftKey);
+}
+
+/**
+ * Switch dragging on the timeline between panning and drawing a selection
+ * rectangle. Holding Shift selects while select mode is off.
+ *
+ * @param {boolean} enabled - Whether dragging selects
+ */
+export function setTimelineSelectMode(enabled) {
+    selectMode = enabled;
+    updateSelectMode(false);
+}
+
+/**
+ * Mark the selected events. The marks survive re-renders until replaced.
+ *
+ * @param {Set<string>|null} eventIds - IDs of the selected events, or null to clear
+ */
+export function highlightSelection(eventIds) {
+    selectedIds = eventIds && eventIds.size > 0 ? eventIds : null;
+    if (!currentData || !currentData.items) return;
+
+    const viewScale = d3.zoomTransform(svg.node()).rescaleX(currentData.xScale);
+    drawEventItems(currentData.items, viewScale, currentData.yScale, currentData.annotations);
+}
+
+/**
+ * Zoom so a time range fills most of the view, e.g. the events of a count
+ * bubble or a selection.
+ *
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ */
+export function zoomToRange(start, end) {
+    if (!currentData || !currentData.xScale) return;
+    svg.transition().duration(config.transitionDuration).call(zoom.transform, rangeTransform(start, end, 0.8));
+}
+
+function formatSpanDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)}ms` : formatDuration(ms);
+}
+
+/**
+ * Show the hover tooltip for an event dot or duration bar.
  *
  * @param {MouseEvent} event - Source mouse event (used for pointer coordinates)
  * @param {Object} d - Parsed event datum bound to the dot
@@ -478,15 +1136,16 @@ export function zoomReset() {
 function showEventTooltip(event, d) {
     const tooltip = d3.select('.tooltip');
     const summary = escapeHtml(String(d.summary || 'Unknown event'));
-    const timestamp = escapeHtml(d.timestamp ? d.timestamp.toLocaleString() : 'Unknown');
+    const timestamp = escapeHtml(d.timestamp ? formatTimestamp(d.timestamp, currentData.displayZone) : 'Unknown');
     const host = escapeHtml(String(d.host ? d.host.hostname : 'Unknown'));
     const category = escapeHtml(String(d.category || 'unknown'));
+    const duration = d.span ? `Duration: ${escapeHtml(formatSpanDuration(d.span.end - d.span.start))}<br>` : '';
 
     tooltip.html(`
             <div class="tooltip-title">${summary}</div>
             <div class="tooltip-content">
-                ${timestamp}<br>
-                Host: ${host}<br>
+                ${timestamp}${d.clockOffset ? ` (clock offset ${escapeHtml(formatClockOffset(d.clockOffset))})` : ''}<br>
+                ${duration}Host: ${host}<br>
                 Category: ${category}
             </div>
         `)
@@ -495,6 +1154,35 @@ function showEventTooltip(event, d) {
         .style('opacity', 1);
 }
 
+/**
+ * Show the hover tooltip for a count bubble.
+ *
+ * @param {MouseEvent} event - Source mouse event (used for pointer coordinates)
+ * @param {Object} d - Cluster datum bound to the bubble
+ */
+function showClusterTooltip(event, d) {
+    const tooltip = d3.select('.tooltip');
+    const start = escapeHtml(formatTimestamp(d.start, currentData.displayZone));
+    const end = escapeHtml(formatTimestamp(d.end, currentData.displayZone));
+    const categories = Object.entries(d.categories)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, count]) => `${escapeHtml(category)}: ${count.toLocaleString()}`)
+        .join('<br>');
+
+    tooltip.html(`
+            <div class="tooltip-title">${d.count.toLocaleString()} events</div>
+            <div class="tooltip-content">
+                ${start}<br>
+                to ${end}<br>
+                ${categories}<br>
+                Click to zoom in
+            </div>
+        `)
+        .style('left', (event.pageX + 10) + 'px')
+        .style('top', (event.pageY - 10) + 'px')
+        .style('opacity', 1);
+}
+
 /**
  * Show the hover tooltip for a cross-host connection arc.
  *
@@ -510,7 +1198,7 @@ function showConnectionTooltip(event, d) {
     const destIp = escapeHtml(String(d.destIp || 'Unknown'));
     const destPort = escapeHtml(String(d.destPort ?? '?'));
     const protocol = escapeHtml(String(d.protocol || 'unknown'));
-    const timestamp = escapeHtml(d.timestamp ? d.timestamp.toLocaleString() : 'Unknown');
+    const timestamp = escapeHtml(d.timestamp ? formatTimestamp(d.timestamp, currentData.displayZone) : 'Unknown');
 
     tooltip.html(`
             <div class="tooltip-title">Connection</div>
@@ -543,7 +1231,10 @@ function handleResize() {
             currentData.events,
             currentData.hostRegistry,
             currentData.connections,
-            currentData.annotations
+            currentData.annotations,
+            currentData.displayZone,
+            currentData.laneLayout,
+            currentData.filtered
         );
     }
 }
@@ -556,19 +1247,40 @@ export function clearTimelineVisualization() {
     mainGroup.selectAll('.lanes-group > *').remove();
     mainGroup.selectAll('.grid-group > *').remove();
     mainGroup.selectAll('.connections-group > *').remove();
+    mainGroup.selectAll('.spans-group > *').remove();
     mainGroup.selectAll('.events-group > *').remove();
+    mainGroup.selectAll('.density-group > *').remove();
     mainGroup.selectAll('.axis-group > *').remove();
+    canvasLayer.clear();
+    overview.clear();
+    container.classed('with-overview', false);
+    layoutCache = {events: null, laneOf: null, items: []};
+    arrangementCache = {hostRegistry: null, laneLayout: null, arrangement: null};
     currentData = null;
 }
 
 /**
- * Pick a `d3.timeFormat` appropriate for the visible time range — from multi-year
+ * Build the axis tick formatter for the visible range in the display zone.
+ *
+ * @param {Function} scale - D3 time scale whose domain determines the format
+ * @param {string} zone - Display zone ("UTC", "local" or IANA name)
+ * @returns {Function} Formatter rendering wall-clock time in `zone`
+ */
+function getTimeFormat(scale, zone) {
+    const specifier = getTimeFormatSpecifier(scale);
+    if (zone === LOCAL_ZONE) return d3.timeFormat(specifier);
+    const format = d3.utcFormat(specifier);
+    return date => format(toZoneWallClock(date, zone));
+}
+
+/**
+ * Pick a time format appropriate for the visible time range — from multi-year
  * down to sub-minute — so axis ticks stay readable at any zoom level.
  *
  * @param {Function} scale - D3 time scale whose domain determines the format
- * @returns {Function} A `d3.timeFormat` formatter
+ * @returns {string} A `d3-time-format` specifier
  */
-function getTimeFormat(scale) {
+function getTimeFormatSpecifier(scale) {
     const domain = scale.domain();
     const rangeMs = domain[1] - domain[0];
     const rangeSeconds = rangeMs / 1000;
@@ -580,22 +1292,22 @@ function getTimeFormat(scale) {
 
     if (rangeYears > 2) {
         // Multi-year view: show year and month
-        return d3.timeFormat('%Y-%m');
+        return '%Y-%m';
     } else if (rangeMonths > 3) {
         // Months view: show month and year
-        return d3.timeFormat('%b %Y');
+        return '%b %Y';
     } else if (rangeDays > 7) {
         // Weeks view: show month and day
-        return d3.timeFormat('%b %d');
+        return '%b %d';
     } else if (rangeDays > 1) {
         // Days view: show day and time
-        return d3.timeFormat('%b %d %H:%M');
+        return '%b %d %H:%M';
     } else if (rangeHours > 1) {
         // Hours view: show hour and minute
-        return d3.timeFormat('%H:%M');
+        return '%H:%M';
     } else {
         // Minutes/seconds view: show full time
-        return d3.timeFormat('%H:%M:%S');
+        return '%H:%M:%S';
     }
 }
 
@@ -53,6 +53,29 @@ export function formatKey(key) {
 export function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone, but values also end up in attributes
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
+
+/**
+ * Saves data as a pretty-printed JSON file named after the current time,
+ * e.g. "ecs-timeline-2024-01-15T10-30-00.json".
+ *
+ * @param {Object} data - Serializable data to save
+ * @param {string} prefix - File name prefix (e.g., "ecs-timeline")
+ */
+export function downloadJson(data, prefix) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
+    const url = URL.createObjectURL(blob);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `${prefix}-${timestamp}.json`;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,184 @@
+/**
+ * ECS Timeline Builder - Import Worker
+ * Streams a dropped file off the main thread, splitting it into JSON records
+ * (or Zeek TSV records, or Windows event XML records) and parsing them into
+ * events in batches so multi-hundred-MB exports never block the UI. The parsed
+ * events stay staged here while the analyst previews the import; the main
+ * thread only gets their summary and a sample until it commits a selection.
+ *
+ * Inbound messages:
+ * - {type: 'start', file: File|Blob, decompress?: string[], batchSize?: number,
+ *   profile?: Object|null, assumeZone?: string|null, existingIds?: string[]}
+ *   (`decompress` lists DecompressionStream formats to apply, outermost first;
+ *   `profile` and `assumeZone` are the parse options, `existingIds` the event
+ *   IDs already in the timeline, counted as duplicates in the summary)
+ * - {type: 'count', requestId: number, selection: Object} - count the staged events a preview
+ *   selection keeps (see selectImportEvents())
+ * - {type: 'commit', selection: Object} - send the staged events the selection keeps
+ *
+ * Outbound messages:
+ * - {type: 'progress', bytesRead, totalBytes, records, errorCount}
+ * - {type: 'done', records, skipped, errorCount, errors, exportMetadata, summary, sample}
+ *   (`exportMetadata` holds the annotations and host offsets of an Export file, or is null;
+ *   `summary` and `sample` come from the import stage, see createImportStage())
+ * - {type: 'count', requestId, count}
+ * - {type: 'batch', events: Array} - parsed events of a commit, in batches
+ * - {type: 'committed'}
+ * - {type: 'error', message}
+ *
+ * Cancellation is done by the owner terminating the worker.
+ */
+
+import {createJsonRecordSplitter} from '../formats/json-stream.js';
+import {createZeekTsvParser, isZeekTsv} from '../formats/zeek.js';
+import {createWindowsEventXmlParser, isWindowsEventXml} from '../formats/winevt-xml.js';
+import {decompressStream} from '../formats/archive.js';
+import {expandRecordContainers, parseEventsReport, readExportMetadata} from '../parser.js';
+import {createImportStage} from '../import-preview.js';
+
+const DEFAULT_BATCH_SIZE = 5000;
+const MAX_REPORTED_ERRORS = 200;
+
+let stage = null;
+let batchSize = DEFAULT_BATCH_SIZE;
+
+self.onmessage = async ({data}) => {
+    switch (data.type) {
+        case 'start':
+            batchSize = data.batchSize || DEFAULT_BATCH_SIZE;
+            stage = createImportStage(new Set(data.existingIds || []));
+            try {
+                await streamFile(data.file, data.decompress || [], {profile: data.profile, assumeZone: data.assumeZone});
+            } catch (error) {
+                self.postMessage({type: 'error', message: error.message});
+            }
+            break;
+        case 'count':
+            self.postMessage({type: 'count', requestId: data.requestId, count: stage.select(data.selection).length});
+            break;
+        case 'commit':
+            commit(data.selection);
+            break;
+    }
+};
+
+/**
+ * Detect UTF-16 byte order marks; `wevtutil` output redirected from PowerShell
+ * is UTF-16LE. Everything else is read as UTF-8.
+ *
+ * @param {Uint8Array} bytes - First chunk of the file
+ * @returns {string} TextDecoder encoding label
+ */
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return 'utf-8';
+}
+
+/**
+ * Choose the record splitter for a file from its first chunk of content.
+ *
+ * @param {string} text - First non-empty chunk
+ * @returns {{push: Function, flush: Function}} Streaming record splitter
+ */
+function createRecordSplitter(text) {
+    if (isZeekTsv(text)) return createZeekTsvParser();
+    if (isWindowsEventXml(text)) return createWindowsEventXmlParser();
+    return createJsonRecordSplitter();
+}
+
+/**
+ * Read the file chunk by chunk, split it into records and stage their parsed
+ * events. Progress is measured in bytes of the (possibly compressed) source file.
+ *
+ * @param {File|Blob} file - Source file
+ * @param {string[]} decompress - DecompressionStream formats to apply, outermost first
+ * @param {{profile: Object|null, assumeZone: string|null}} parseOptions - Options for parseEventsReport()
+ */
+async function streamFile(file, decompress, parseOptions) {
+    let splitter = null;
+    let decoder = null;
+    let bytesRead = 0;
+
+    const counted = file.stream().pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            bytesRead += chunk.byteLength;
+            controller.enqueue(chunk);
+        }
+    }));
+    const reader = decompressStream(counted, decompress).getReader();
+
+    let records = 0;
+    let skipped = 0;
+    let errorCount = 0;
+    let pending = [];
+    let exportMetadata = null;
+    const errors = [];
+
+    const parsePending = () => {
+        const {events} = parseEventsReport(pending, parseOptions);
+        stage.add(events);
+        skipped += pending.length - events.length;
+        pending = [];
+    };
+
+    const collect = ({records: documents, errors: failed}) => {
+        exportMetadata = readExportMetadata(documents, exportMetadata);
+        // Container files (e.g. CloudTrail {Records: [...]}) count as their records
+        const parsed = expandRecordContainers(documents);
+        for (const record of parsed) {
+            pending.push(record);
+            if (pending.length >= batchSize) parsePending();
+        }
+        records += parsed.length;
+        errorCount += failed.length;
+        for (const error of failed) {
+            if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+        }
+    };
+
+    for (;;) {
+        const {done, value} = await reader.read();
+        if (done) break;
+
+        decoder ??= new TextDecoder(detectEncoding(value));
+        const text = decoder.decode(value, {stream: true});
+        // The record layout is sniffed from the first chunk that has content
+        if (!splitter && text.trim()) {
+            splitter = createRecordSplitter(text);
+        }
+        if (splitter) collect(splitter.push(text));
+        self.postMessage({type: 'progress', bytesRead, totalBytes: file.size, records, errorCount});
+    }
+
+    if (splitter) {
+        collect(splitter.push(decoder.decode()));
+        collect(splitter.flush());
+    }
+
+    if (pending.length > 0) parsePending();
+
+    self.postMessage({
+        type: 'done',
+        records,
+        skipped,
+        errorCount,
+        errors,
+        exportMetadata,
+        summary: stage.summary(),
+        sample: stage.sample()
+    });
+}
+
+/**
+ * Post the staged events a preview selection keeps, in batches.
+ *
+ * @param {Object} selection - Preview selection (see selectImportEvents())
+ */
+function commit(selection) {
+    const selected = stage.select(selection);
+    for (let i = 0; i < selected.length; i += batchSize) {
+        self.postMessage({type: 'batch', events: selected.slice(i, i + batchSize)});
+    }
+    self.postMessage({type: 'committed'});
+}
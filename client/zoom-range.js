@@ -0,0 +1,53 @@
+/**
+ * ECS Timeline Builder - Zoom Ranges
+ * Maps time ranges to and from the two controls that pick what the main
+ * timeline shows: its zoom transform, and the brush on the overview strip.
+ * Moving the brush zooms the main timeline to the brushed range; zooming the
+ * main timeline moves the brush to the visible range.
+ */
+
+/**
+ * Zoom transform that centers a time range and stretches it over a fraction
+ * of the view, capped at the zoom behavior's scale extent.
+ *
+ * @param {Function} xScale - Unzoomed D3 time scale of the main timeline
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} options
+ * @param {number} options.fill - Fraction of the view width the range should cover
+ * @param {number[]} options.scaleExtent - Smallest and largest zoom scale [minK, maxK]
+ * @returns {{k: number, x: number}} Scale and horizontal translation of the transform
+ */
+export function rangeToZoom(xScale, start, end, {fill, scaleExtent: [minK, maxK]}) {
+    const [left, right] = xScale.range();
+    const x0 = xScale(start);
+    const x1 = xScale(end);
+    const k = Math.max(minK, Math.min(maxK, (right - left) * fill / Math.max(x1 - x0, 1)));
+    return {k, x: (left + right) / 2 - k * (x0 + x1) / 2};
+}
+
+/**
+ * Time range a brush selection on the overview covers.
+ *
+ * @param {Function} overviewScale - D3 time scale of the overview strip
+ * @param {number[]} selection - Brushed pixels [x0, x1]
+ * @returns {Date[]} Brushed range [start, end]
+ */
+export function brushToRange(overviewScale, [x0, x1]) {
+    return [overviewScale.invert(x0), overviewScale.invert(x1)];
+}
+
+/**
+ * Brush selection on the overview for a time range, clipped to the strip.
+ *
+ * @param {Function} overviewScale - D3 time scale of the overview strip
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {number[]|null} Brush pixels [x0, x1], or null when the range is off the strip
+ */
+export function rangeToBrush(overviewScale, start, end) {
+    const [left, right] = overviewScale.range();
+    const x0 = Math.max(left, overviewScale(start));
+    const x1 = Math.min(right, overviewScale(end));
+    return x1 > x0 ? [x0, x1] : null;
+}
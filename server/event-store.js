@@ -4,24 +4,86 @@
  * No knowledge of WebSocket, HTTP, or file I/O.
  */
 
+import { randomUUID } from 'crypto';
 import { deduplicateEvents, getId } from '../shared/dedup.js';
+import { createEmptyLaneLayout } from '../shared/lane-layout.js';
 
 export class EventStore {
     #events = [];
     #annotations = {};
+    // Profiles and batches are keyed by client-chosen IDs, so without a prototype to collide with
+    #profiles = Object.create(null);
+    #activeProfileId = null;
+    #batches = Object.create(null);
+    #hostOffsets = {};
+    #laneLayout = createEmptyLaneLayout();
 
     /**
      * Adds new events to the store, deduplicating against existing events.
+     * When an import batch is given, each added event is stamped with its ID in
+     * `_batch` and the batch record is created or its count increased, so an
+     * import sent in several messages forms one batch. A `_batch` sent by the
+     * client is always dropped, so only the server decides batch membership.
      *
      * @param {Array} newEvents - Raw event objects to add
-     * @returns {{ added: Array, duplicates: number }} Result of the operation
+     * @param {Object|null} [batch=null] - { id, fileName, sourceType, importer }
+     * @returns {{ added: Array, duplicates: number, batch: Object|null }} Result of the operation
      */
-    addEvents(newEvents) {
-        const unique = deduplicateEvents(newEvents, this.#events);
+    addEvents(newEvents, batch = null) {
+        let unique = deduplicateEvents(newEvents, this.#events).map(event => {
+            if (!('_batch' in event)) return event;
+            const copy = { ...event };
+            delete copy._batch;
+            return copy;
+        });
+        let record = null;
+        if (batch && unique.length > 0) {
+            unique = unique.map(event => ({ ...event, _batch: batch.id }));
+            record = this.#batches[batch.id] ??= {
+                id: batch.id,
+                fileName: batch.fileName,
+                sourceType: batch.sourceType,
+                importer: batch.importer,
+                importedAt: Date.now(),
+                count: 0
+            };
+            record.count += unique.length;
+        }
         if (unique.length > 0) {
             this.#events.push(...unique);
         }
-        return { added: unique, duplicates: newEvents.length - unique.length };
+        return {
+            added: unique,
+            duplicates: newEvents.length - unique.length,
+            batch: record ? structuredClone(record) : null
+        };
+    }
+
+    /**
+     * Removes every event imported in a batch, their annotations, and the batch record.
+     *
+     * @param {string} batchId - The import batch to roll back
+     * @returns {number|null} Number of events removed, or null if the batch is unknown
+     */
+    deleteBatch(batchId) {
+        if (!Object.hasOwn(this.#batches, batchId)) return null;
+        const before = this.#events.length;
+        this.#events = this.#events.filter(event => {
+            if (event._batch !== batchId) return true;
+            delete this.#annotations[getId(event)];
+            return false;
+        });
+        delete this.#batches[batchId];
+        return before - this.#events.length;
+    }
+
+    /**
+     * Returns all import batches as a plain object keyed by batch ID.
+     *
+     * @returns {Object}
+     */
+    getBatches() {
+        return structuredClone(this.#batches);
     }
 
     /**
@@ -35,9 +97,42 @@ export class EventStore {
         if (index === -1) return null;
         const [removed] = this.#events.splice(index, 1);
         delete this.#annotations[eventId];
+        this.#uncountBatchEvent(removed);
         return removed;
     }
 
+    /**
+     * Removes several events by ID, with their annotations.
+     *
+     * @param {Array<string>} eventIds - IDs of the events to remove
+     * @returns {Array<string>} IDs of the events that were found and removed
+     */
+    deleteEvents(eventIds) {
+        const ids = new Set(eventIds);
+        const removed = [];
+        this.#events = this.#events.filter(event => {
+            const id = getId(event);
+            if (!ids.has(id)) return true;
+            delete this.#annotations[id];
+            this.#uncountBatchEvent(event);
+            removed.push(id);
+            return false;
+        });
+        return removed;
+    }
+
+    /**
+     * Takes a deleted event off the count of the batch it was imported in.
+     * The batch record stays, so the batch can still be listed and rolled back.
+     *
+     * @param {Object} event - Removed event
+     */
+    #uncountBatchEvent(event) {
+        if (typeof event._batch !== 'string' || !Object.hasOwn(this.#batches, event._batch)) return;
+        const record = this.#batches[event._batch];
+        record.count = Math.max(0, record.count - 1);
+    }
+
     /**
      * Sets or updates an annotation for an event.
      *
@@ -56,6 +151,30 @@ export class EventStore {
         return this.#annotations[eventId];
     }
 
+    /**
+     * Annotates several events at once. Fields left undefined keep the value
+     * each event's existing annotation has, so tagging a selection with a
+     * technique does not wipe analysts' comments. Unknown event IDs are skipped.
+     *
+     * @param {Array<string>} eventIds - IDs of the events to annotate
+     * @param {Object} annotation - { comment?, mitreTactic?, mitreTechnique? }
+     * @returns {Object} The stored annotations keyed by eventId
+     */
+    annotateEvents(eventIds, annotation) {
+        const known = new Set(this.#events.map(getId));
+        const updated = {};
+        for (const eventId of eventIds) {
+            if (!known.has(eventId)) continue;
+            const current = this.#annotations[eventId] || {};
+            updated[eventId] = this.setAnnotation(eventId, {
+                comment: annotation.comment ?? current.comment,
+                mitreTactic: annotation.mitreTactic ?? current.mitreTactic,
+                mitreTechnique: annotation.mitreTechnique ?? current.mitreTechnique
+            });
+        }
+        return structuredClone(updated);
+    }
+
     /**
      * Removes an annotation for an event.
      *
@@ -78,11 +197,133 @@ export class EventStore {
     }
 
     /**
-     * Clears all events and annotations from the store.
+     * Creates or replaces a field-mapping profile.
+     *
+     * @param {Object} profile - { id?, name, fields }; a new id is assigned when absent
+     * @returns {Object} The stored profile
+     */
+    saveProfile(profile) {
+        const id = profile.id || randomUUID();
+        this.#profiles[id] = {
+            id,
+            name: profile.name,
+            fields: structuredClone(profile.fields || {}),
+            updatedAt: Date.now()
+        };
+        return structuredClone(this.#profiles[id]);
+    }
+
+    /**
+     * Removes a field-mapping profile. Deactivates it first if it was active.
+     *
+     * @param {string} profileId - The profile ID to remove
+     * @returns {boolean} True if the profile existed and was removed
+     */
+    deleteProfile(profileId) {
+        if (!Object.hasOwn(this.#profiles, profileId)) return false;
+        delete this.#profiles[profileId];
+        if (this.#activeProfileId === profileId) {
+            this.#activeProfileId = null;
+        }
+        return true;
+    }
+
+    /**
+     * Selects the profile applied to every event in the timeline.
+     *
+     * @param {string|null} profileId - Profile ID, or null for plain ECS
+     * @returns {boolean} True if the profile exists (or null was given)
+     */
+    setActiveProfile(profileId) {
+        if (profileId !== null && !Object.hasOwn(this.#profiles, profileId)) return false;
+        this.#activeProfileId = profileId;
+        return true;
+    }
+
+    /**
+     * Returns all field-mapping profiles as a plain object keyed by profile ID.
+     *
+     * @returns {Object}
+     */
+    getProfiles() {
+        return structuredClone(this.#profiles);
+    }
+
+    /**
+     * Returns the ID of the active field-mapping profile.
+     *
+     * @returns {string|null}
+     */
+    get activeProfileId() {
+        return this.#activeProfileId;
+    }
+
+    /**
+     * Sets the clock offset applied to a host's events on the timeline.
+     * The stored events keep their recorded timestamps.
+     *
+     * @param {string} host - Lowercased host name
+     * @param {number} offsetMs - Milliseconds added to the host's recorded times; 0 removes the offset
+     */
+    setHostOffset(host, offsetMs) {
+        if (offsetMs === 0) {
+            delete this.#hostOffsets[host];
+        } else {
+            this.#hostOffsets[host] = offsetMs;
+        }
+    }
+
+    /**
+     * Returns host clock offsets in milliseconds keyed by lowercased host name.
+     *
+     * @returns {Object}
+     */
+    getHostOffsets() {
+        return { ...this.#hostOffsets };
+    }
+
+    /**
+     * Replaces the shared arrangement of host lanes (see shared/lane-layout.js).
+     *
+     * @param {Object} layout - Normalized lane layout
+     */
+    setLaneLayout(layout) {
+        this.#laneLayout = structuredClone(layout);
+    }
+
+    /**
+     * Returns the shared arrangement of host lanes.
+     *
+     * @returns {Object}
+     */
+    getLaneLayout() {
+        return structuredClone(this.#laneLayout);
+    }
+
+    /**
+     * Returns timeline settings persisted alongside events and annotations.
+     *
+     * @returns {{ profiles: Object, activeProfileId: string|null, batches: Object, hostOffsets: Object,
+     *   laneLayout: Object }}
+     */
+    getExtras() {
+        return {
+            profiles: this.getProfiles(),
+            activeProfileId: this.#activeProfileId,
+            batches: this.getBatches(),
+            hostOffsets: this.getHostOffsets(),
+            laneLayout: this.getLaneLayout()
+        };
+    }
+
+    /**
+     * Clears all events, annotations and import batches from the store.
+     * Field-mapping profiles, host clock offsets and the lane layout are timeline settings and are kept.
      */
     clear() {
         this.#events = [];
         this.#annotations = {};
+        this.#batches = Object.create(null);
     }
 
     /**
@@ -108,9 +349,18 @@ export class EventStore {
      *
      * @param {Array} events - Events to load
      * @param {Object} [annotations={}] - Annotations to load
+     * @param {Object} [extras={}] - Persisted timeline settings (see getExtras())
      */
-    load(events, annotations = {}) {
+    load(events, annotations = {}, extras = {}) {
         this.#events = structuredClone(events);
         this.#annotations = structuredClone(annotations);
+        this.#profiles = Object.assign(Object.create(null), structuredClone(extras.profiles || {}));
+        const activeProfileId = extras.activeProfileId;
+        this.#activeProfileId = typeof activeProfileId === 'string' && Object.hasOwn(this.#profiles, activeProfileId)
+            ? activeProfileId
+            : null;
+        this.#batches = Object.assign(Object.create(null), structuredClone(extras.batches || {}));
+        this.#hostOffsets = { ...extras.hostOffsets };
+        this.#laneLayout = { ...createEmptyLaneLayout(), ...structuredClone(extras.laneLayout || {}) };
     }
 }
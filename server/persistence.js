@@ -75,6 +75,8 @@ export async function saveTimelineIndex(index) {
 /**
  * Loads a single timeline's data (events + annotations).
  *
+ * Any additional top-level keys (timeline settings) are passed through.
+ *
  * @param {string} id - Timeline ID
  * @returns {Promise<{ events: Array, annotations: Object }>} Timeline data
  */
@@ -85,7 +87,7 @@ export async function loadTimelineData(id) {
         const events = data.events || [];
         const annotations = data.annotations || {};
         console.log(`Loaded timeline "${id}": ${events.length} events, ${Object.keys(annotations).length} annotations`);
-        return { events, annotations };
+        return { ...data, events, annotations };
     } catch (error) {
         if (error.code === 'ENOENT') {
             console.log(`Timeline "${id}" has no data file, starting fresh`);
@@ -102,12 +104,13 @@ export async function loadTimelineData(id) {
  * @param {string} id - Timeline ID
  * @param {Array} events - Events array
  * @param {Object} annotations - Annotations object
+ * @param {Object} [extras={}] - Additional timeline settings stored as top-level keys
  * @returns {Promise<boolean>} True if save succeeded
  */
-export async function saveTimelineData(id, events, annotations) {
+export async function saveTimelineData(id, events, annotations, extras = {}) {
     try {
         await ensureDataDir();
-        const data = { events, annotations };
+        const data = { ...extras, events, annotations };
         await fs.writeFile(getTimelinePath(id), JSON.stringify(data));
         console.log(`Saved timeline "${id}": ${events.length} events, ${Object.keys(annotations).length} annotations`);
         return true;
@@ -70,7 +70,7 @@ export class TimelineManager {
     }
 
     /**
-     * Updates a timeline's metadata (name and/or description).
+     * Updates a timeline's metadata (name, description and/or display zone).
      * Returns the updated timeline, or null if not found.
      */
     async updateTimeline(id, updates) {
@@ -83,6 +83,9 @@ export class TimelineManager {
         if (updates.description !== undefined) {
             timeline.description = updates.description;
         }
+        if (updates.displayZone !== undefined) {
+            timeline.displayZone = updates.displayZone;
+        }
         timeline.updatedAt = new Date().toISOString();
 
         await this.#saveIndex();
@@ -121,8 +124,8 @@ export class TimelineManager {
 
         if (!this.#stores.has(id)) {
             const store = new EventStore();
-            const data = await loadTimelineData(id);
-            store.load(data.events, data.annotations);
+            const { events, annotations, ...extras } = await loadTimelineData(id);
+            store.load(events, annotations, extras);
             this.#stores.set(id, store);
             console.log(`Loaded EventStore for timeline "${id}"`);
         }
@@ -152,7 +155,7 @@ export class TimelineManager {
         for (const id of this.#dirty) {
             const store = this.#stores.get(id);
             if (store) {
-                savePromises.push(saveTimelineData(id, store.getAll(), store.getAnnotations()));
+                savePromises.push(saveTimelineData(id, store.getAll(), store.getAnnotations(), store.getExtras()));
             }
         }
 
@@ -175,7 +178,7 @@ export class TimelineManager {
         const store = this.#stores.get(id);
         if (!store) return false;
 
-        await saveTimelineData(id, store.getAll(), store.getAnnotations());
+        await saveTimelineData(id, store.getAll(), store.getAnnotations(), store.getExtras());
         await this.#saveIndex();
         this.#dirty.delete(id);
 
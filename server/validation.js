@@ -1,3 +1,23 @@
+import {
+    MAX_PATHS_PER_FIELD,
+    MAX_PATH_LENGTH,
+    MAX_PROFILE_NAME_LENGTH,
+    PROFILE_FIELD_KEYS
+} from '../shared/field-profiles.js';
+import {isValidTimeZone} from '../shared/time-zones.js';
+import {
+    MAX_LANE_GROUPS,
+    MAX_LANE_GROUP_ID_LENGTH,
+    MAX_LANE_GROUP_NAME_LENGTH,
+    MAX_LANE_LAYOUT_HOSTS
+} from '../shared/lane-layout.js';
+import {BATCH_ID_PATTERN, MAX_BULK_EVENT_IDS} from '../shared/ws-protocol.js';
+
+const MAX_BATCH_FILE_NAME_LENGTH = 500;
+const MAX_BATCH_LABEL_LENGTH = 80;
+const MAX_HOST_NAME_LENGTH = 255;
+const MAX_HOST_OFFSET_MS = 7 * 24 * 60 * 60 * 1000;
+
 export function requireTimelineId(ws, message, action, sendError) {
     if (!message.timelineId) {
         sendError(ws, `${action}: missing timelineId`);
@@ -25,6 +45,96 @@ export function requireEventId(ws, message, action, sendError) {
     return true;
 }
 
+// Distinct event IDs of a bulk message, or null when the list is unusable
+export function validateEventIds(ws, message, action, sendError) {
+    const eventIds = message.eventIds;
+    if (!Array.isArray(eventIds) || eventIds.length === 0 || eventIds.length > MAX_BULK_EVENT_IDS) {
+        sendError(ws, `${action}: eventIds must be an array of 1 to ${MAX_BULK_EVENT_IDS} IDs`);
+        return null;
+    }
+
+    if (!eventIds.every(eventId => eventId && typeof eventId === 'string')) {
+        sendError(ws, `${action}: invalid eventId`);
+        return null;
+    }
+
+    return [...new Set(eventIds)];
+}
+
+// Fields of a bulk annotation; a field that is not sent is left unchanged on each event
+export function validateBulkAnnotation(ws, message, sendError) {
+    const annotation = {};
+    for (const key of ['comment', 'mitreTactic', 'mitreTechnique']) {
+        if (message[key] === undefined) continue;
+        if (typeof message[key] !== 'string') {
+            sendError(ws, `ANNOTATE_EVENTS: invalid ${key}`);
+            return null;
+        }
+        annotation[key] = message[key];
+    }
+
+    if (Object.keys(annotation).length === 0) {
+        sendError(ws, 'ANNOTATE_EVENTS: nothing to annotate');
+        return null;
+    }
+
+    return annotation;
+}
+
+export function requireProfileId(ws, message, action, sendError) {
+    if (!message.profileId || typeof message.profileId !== 'string') {
+        sendError(ws, `${action}: invalid profileId`);
+        return false;
+    }
+
+    return true;
+}
+
+export function requireBatchId(ws, message, action, sendError) {
+    if (!message.batchId || typeof message.batchId !== 'string') {
+        sendError(ws, `${action}: invalid batchId`);
+        return false;
+    }
+
+    return true;
+}
+
+function normalizeBatchText(value, maxLength) {
+    if (value == null) {
+        return '';
+    }
+
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const text = value.trim();
+    return text.length <= maxLength ? text : null;
+}
+
+// The batch is optional: null means none was sent, false means it was rejected
+export function validateImportBatch(ws, message, sendError) {
+    const batch = message.batch;
+    if (batch == null) {
+        return null;
+    }
+
+    if (typeof batch !== 'object' || typeof batch.id !== 'string' || !BATCH_ID_PATTERN.test(batch.id)) {
+        sendError(ws, 'ADD_EVENTS: invalid batch id');
+        return false;
+    }
+
+    const fileName = normalizeBatchText(batch.fileName, MAX_BATCH_FILE_NAME_LENGTH);
+    const sourceType = normalizeBatchText(batch.sourceType, MAX_BATCH_LABEL_LENGTH);
+    const importer = normalizeBatchText(batch.importer, MAX_BATCH_LABEL_LENGTH);
+    if (fileName == null || sourceType == null || importer == null) {
+        sendError(ws, 'ADD_EVENTS: invalid batch metadata');
+        return false;
+    }
+
+    return {id: batch.id, fileName, sourceType, importer};
+}
+
 export function validateAddEvents(ws, message, sendError) {
     if (!Array.isArray(message.events)) {
         sendError(ws, 'ADD_EVENTS: events must be an array');
@@ -37,7 +147,13 @@ export function validateAddEvents(ws, message, sendError) {
         return null;
     }
 
-    return validEvents;
+    // Every client reads naive timestamps in `_tz`, so a zone they cannot resolve is dropped
+    return validEvents.map(event => {
+        if (!('_tz' in event) || isValidTimeZone(event._tz)) return event;
+        const copy = {...event};
+        delete copy._tz;
+        return copy;
+    });
 }
 
 function normalizeTimelineName(value, {allowDefault = false} = {}) {
@@ -108,6 +224,14 @@ export function validateUpdateTimelineMetadata(ws, message, sendError) {
         updates.description = description;
     }
 
+    if (message.displayZone !== undefined) {
+        if (!isValidTimeZone(message.displayZone)) {
+            sendError(ws, 'UPDATE_TIMELINE: invalid displayZone');
+            return null;
+        }
+        updates.displayZone = message.displayZone;
+    }
+
     if (Object.keys(updates).length === 0) {
         sendError(ws, 'UPDATE_TIMELINE: no valid updates provided');
         return null;
@@ -115,3 +239,142 @@ export function validateUpdateTimelineMetadata(ws, message, sendError) {
 
     return updates;
 }
+
+function normalizeProfileFields(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    const fields = {};
+    for (const key of PROFILE_FIELD_KEYS) {
+        if (value[key] == null) continue;
+        if (!Array.isArray(value[key]) || value[key].length > MAX_PATHS_PER_FIELD) {
+            return null;
+        }
+
+        const paths = [];
+        for (const entry of value[key]) {
+            if (typeof entry !== 'string') return null;
+            const path = entry.trim();
+            if (!path || path.length > MAX_PATH_LENGTH) return null;
+            paths.push(path);
+        }
+        if (paths.length > 0) {
+            fields[key] = paths;
+        }
+    }
+
+    return fields;
+}
+
+export function validateProfile(ws, message, sendError) {
+    const profile = message.profile;
+    if (!profile || typeof profile !== 'object') {
+        sendError(ws, 'SAVE_PROFILE: profile must be an object');
+        return null;
+    }
+
+    if (profile.id != null && typeof profile.id !== 'string') {
+        sendError(ws, 'SAVE_PROFILE: invalid profile id');
+        return null;
+    }
+
+    const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (!name || name.length > MAX_PROFILE_NAME_LENGTH) {
+        sendError(ws, 'SAVE_PROFILE: invalid name');
+        return null;
+    }
+
+    const fields = normalizeProfileFields(profile.fields);
+    if (fields == null) {
+        sendError(ws, 'SAVE_PROFILE: invalid fields');
+        return null;
+    }
+
+    return {id: profile.id || null, name, fields};
+}
+
+export function validateHostOffset(ws, message, sendError) {
+    const host = typeof message.host === 'string' ? message.host.trim().toLowerCase() : '';
+    if (!host || host.length > MAX_HOST_NAME_LENGTH) {
+        sendError(ws, 'SET_HOST_OFFSET: invalid host');
+        return null;
+    }
+
+    const offsetMs = message.offsetMs;
+    if (!Number.isInteger(offsetMs) || Math.abs(offsetMs) > MAX_HOST_OFFSET_MS) {
+        sendError(ws, 'SET_HOST_OFFSET: invalid offsetMs');
+        return null;
+    }
+
+    return {host, offsetMs};
+}
+
+function normalizeLaneHosts(value, seen = new Set()) {
+    if (!Array.isArray(value) || value.length > MAX_LANE_LAYOUT_HOSTS) {
+        return null;
+    }
+
+    const hosts = [];
+    for (const entry of value) {
+        if (typeof entry !== 'string') return null;
+        const host = entry.trim().toLowerCase();
+        if (!host || host.length > MAX_HOST_NAME_LENGTH) return null;
+        if (seen.has(host)) continue;
+        seen.add(host);
+        hosts.push(host);
+    }
+    return hosts;
+}
+
+function normalizeLaneGroups(value) {
+    if (!Array.isArray(value) || value.length > MAX_LANE_GROUPS) {
+        return null;
+    }
+
+    const groups = [];
+    const ids = new Set();
+    // A host belongs to the first group that lists it
+    const grouped = new Set();
+    for (const group of value) {
+        if (!group || typeof group !== 'object') return null;
+
+        const id = group.id;
+        if (typeof id !== 'string' || !id || id.length > MAX_LANE_GROUP_ID_LENGTH || ids.has(id)) return null;
+        ids.add(id);
+
+        const name = typeof group.name === 'string' ? group.name.trim() : '';
+        if (!name || name.length > MAX_LANE_GROUP_NAME_LENGTH) return null;
+
+        const hosts = normalizeLaneHosts(group.hosts, grouped);
+        if (!hosts) return null;
+
+        groups.push({id, name, hosts, collapsed: group.collapsed === true});
+    }
+    return groups;
+}
+
+export function validateLaneLayout(ws, message, sendError) {
+    const layout = message.layout;
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        sendError(ws, 'SET_LANE_LAYOUT: layout must be an object');
+        return null;
+    }
+
+    const normalized = {};
+    for (const key of ['order', 'pinned', 'hidden', 'collapsed']) {
+        normalized[key] = normalizeLaneHosts(layout[key] ?? []);
+        if (!normalized[key]) {
+            sendError(ws, `SET_LANE_LAYOUT: invalid ${key}`);
+            return null;
+        }
+    }
+
+    normalized.groups = normalizeLaneGroups(layout.groups ?? []);
+    if (!normalized.groups) {
+        sendError(ws, 'SET_LANE_LAYOUT: invalid groups');
+        return null;
+    }
+
+    return normalized;
+}
@@ -1,6 +1,11 @@
 import {sendError} from '../respond.js';
 import {WS_MESSAGE_TYPES} from '../../../shared/ws-protocol.js';
-import {requireActiveTimeline, requireEventId} from '../../validation.js';
+import {
+    requireActiveTimeline,
+    requireEventId,
+    validateBulkAnnotation,
+    validateEventIds
+} from '../../validation.js';
 
 export function createAnnotationHandlers({manager, roomManager}) {
     const {broadcastToRoom} = roomManager;
@@ -32,6 +37,34 @@ export function createAnnotationHandlers({manager, roomManager}) {
             });
         },
 
+        async [WS_MESSAGE_TYPES.ANNOTATE_EVENTS]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.ANNOTATE_EVENTS, sendError)) {
+                return;
+            }
+
+            const eventIds = validateEventIds(ws, message, WS_MESSAGE_TYPES.ANNOTATE_EVENTS, sendError);
+            if (!eventIds) {
+                return;
+            }
+
+            const annotation = validateBulkAnnotation(ws, message, sendError);
+            if (!annotation) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            const annotations = store.annotateEvents(eventIds, annotation);
+            if (Object.keys(annotations).length > 0) {
+                manager.markDirty(ws.currentTimeline);
+                broadcastToRoom(ws.currentTimeline, {
+                    type: WS_MESSAGE_TYPES.ANNOTATIONS_UPDATED,
+                    annotations
+                });
+            }
+        },
+
         async [WS_MESSAGE_TYPES.DELETE_ANNOTATION]({ws, message}) {
             if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.DELETE_ANNOTATION, sendError)) {
                 return;
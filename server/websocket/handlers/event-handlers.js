@@ -1,6 +1,13 @@
 import {sendError, sendJson} from '../respond.js';
 import {WS_MESSAGE_TYPES} from '../../../shared/ws-protocol.js';
-import {requireActiveTimeline, requireEventId, validateAddEvents} from '../../validation.js';
+import {
+    requireActiveTimeline,
+    requireBatchId,
+    requireEventId,
+    validateAddEvents,
+    validateEventIds,
+    validateImportBatch
+} from '../../validation.js';
 
 export function createEventHandlers({manager, roomManager}) {
     const {broadcastToRoom} = roomManager;
@@ -16,22 +23,55 @@ export function createEventHandlers({manager, roomManager}) {
                 return;
             }
 
+            const batch = validateImportBatch(ws, message, sendError);
+            if (batch === false) {
+                return;
+            }
+
             const store = await manager.getStore(ws.currentTimeline);
             if (!store) return;
 
-            const result = store.addEvents(validEvents);
+            const result = store.addEvents(validEvents, batch);
             if (result.added.length > 0) {
                 manager.markDirty(ws.currentTimeline);
                 broadcastToRoom(ws.currentTimeline, {
                     type: WS_MESSAGE_TYPES.EVENTS_ADDED,
-                    events: result.added
+                    events: result.added,
+                    batch: result.batch
                 }, ws);
             }
 
             sendJson(ws, {
                 type: WS_MESSAGE_TYPES.ADD_CONFIRMED,
                 count: result.added.length,
-                duplicates: result.duplicates
+                duplicates: result.duplicates,
+                batch: result.batch
+            });
+        },
+
+        async [WS_MESSAGE_TYPES.DELETE_BATCH]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.DELETE_BATCH, sendError)) {
+                return;
+            }
+
+            if (!requireBatchId(ws, message, WS_MESSAGE_TYPES.DELETE_BATCH, sendError)) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            const removed = store.deleteBatch(message.batchId);
+            if (removed === null) {
+                sendError(ws, `${WS_MESSAGE_TYPES.DELETE_BATCH}: unknown batch`);
+                return;
+            }
+
+            manager.markDirty(ws.currentTimeline);
+            broadcastToRoom(ws.currentTimeline, {
+                type: WS_MESSAGE_TYPES.BATCH_DELETED,
+                batchId: message.batchId,
+                count: removed
             });
         },
 
@@ -57,6 +97,29 @@ export function createEventHandlers({manager, roomManager}) {
             }
         },
 
+        async [WS_MESSAGE_TYPES.DELETE_EVENTS]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.DELETE_EVENTS, sendError)) {
+                return;
+            }
+
+            const eventIds = validateEventIds(ws, message, WS_MESSAGE_TYPES.DELETE_EVENTS, sendError);
+            if (!eventIds) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            const removed = store.deleteEvents(eventIds);
+            if (removed.length > 0) {
+                manager.markDirty(ws.currentTimeline);
+                broadcastToRoom(ws.currentTimeline, {
+                    type: WS_MESSAGE_TYPES.EVENTS_DELETED,
+                    eventIds: removed
+                });
+            }
+        },
+
         async [WS_MESSAGE_TYPES.CLEAR]({ws}) {
             if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.CLEAR, sendError)) {
                 return;
@@ -75,7 +138,11 @@ export function createEventHandlers({manager, roomManager}) {
                 sendJson(ws, {
                     type: WS_MESSAGE_TYPES.SYNC,
                     events: [],
-                    annotations: {}
+                    annotations: {},
+                    profiles: {},
+                    activeProfileId: null,
+                    batches: {},
+                    hostOffsets: {}
                 });
                 return;
             }
@@ -84,7 +151,12 @@ export function createEventHandlers({manager, roomManager}) {
             sendJson(ws, {
                 type: WS_MESSAGE_TYPES.SYNC,
                 events: store ? store.getAll() : [],
-                annotations: store ? store.getAnnotations() : {}
+                annotations: store ? store.getAnnotations() : {},
+                profiles: store ? store.getProfiles() : {},
+                activeProfileId: store ? store.activeProfileId : null,
+                batches: store ? store.getBatches() : {},
+                hostOffsets: store ? store.getHostOffsets() : {},
+                laneLayout: store ? store.getLaneLayout() : null
             });
         }
     };
@@ -0,0 +1,31 @@
+import {sendError} from '../respond.js';
+import {WS_MESSAGE_TYPES} from '../../../shared/ws-protocol.js';
+import {requireActiveTimeline, validateHostOffset} from '../../validation.js';
+
+export function createHostOffsetHandlers({manager, roomManager}) {
+    const {broadcastToRoom} = roomManager;
+
+    return {
+        async [WS_MESSAGE_TYPES.SET_HOST_OFFSET]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.SET_HOST_OFFSET, sendError)) {
+                return;
+            }
+
+            const update = validateHostOffset(ws, message, sendError);
+            if (!update) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            store.setHostOffset(update.host, update.offsetMs);
+            manager.markDirty(ws.currentTimeline);
+            broadcastToRoom(ws.currentTimeline, {
+                type: WS_MESSAGE_TYPES.HOST_OFFSET_CHANGED,
+                host: update.host,
+                offsetMs: update.offsetMs
+            });
+        }
+    };
+}
@@ -0,0 +1,30 @@
+import {sendError} from '../respond.js';
+import {WS_MESSAGE_TYPES} from '../../../shared/ws-protocol.js';
+import {requireActiveTimeline, validateLaneLayout} from '../../validation.js';
+
+export function createLaneLayoutHandlers({manager, roomManager}) {
+    const {broadcastToRoom} = roomManager;
+
+    return {
+        async [WS_MESSAGE_TYPES.SET_LANE_LAYOUT]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.SET_LANE_LAYOUT, sendError)) {
+                return;
+            }
+
+            const layout = validateLaneLayout(ws, message, sendError);
+            if (!layout) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            store.setLaneLayout(layout);
+            manager.markDirty(ws.currentTimeline);
+            broadcastToRoom(ws.currentTimeline, {
+                type: WS_MESSAGE_TYPES.LANE_LAYOUT_CHANGED,
+                layout
+            });
+        }
+    };
+}
@@ -0,0 +1,78 @@
+import {sendError} from '../respond.js';
+import {WS_MESSAGE_TYPES} from '../../../shared/ws-protocol.js';
+import {requireActiveTimeline, requireProfileId, validateProfile} from '../../validation.js';
+
+export function createProfileHandlers({manager, roomManager}) {
+    const {broadcastToRoom} = roomManager;
+
+    return {
+        async [WS_MESSAGE_TYPES.SAVE_PROFILE]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.SAVE_PROFILE, sendError)) {
+                return;
+            }
+
+            const profile = validateProfile(ws, message, sendError);
+            if (!profile) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            const saved = store.saveProfile(profile);
+            manager.markDirty(ws.currentTimeline);
+            broadcastToRoom(ws.currentTimeline, {
+                type: WS_MESSAGE_TYPES.PROFILE_SAVED,
+                profile: saved
+            });
+        },
+
+        async [WS_MESSAGE_TYPES.DELETE_PROFILE]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.DELETE_PROFILE, sendError)) {
+                return;
+            }
+
+            if (!requireProfileId(ws, message, WS_MESSAGE_TYPES.DELETE_PROFILE, sendError)) {
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            if (store.deleteProfile(message.profileId)) {
+                manager.markDirty(ws.currentTimeline);
+                broadcastToRoom(ws.currentTimeline, {
+                    type: WS_MESSAGE_TYPES.PROFILE_DELETED,
+                    profileId: message.profileId,
+                    activeProfileId: store.activeProfileId
+                });
+            }
+        },
+
+        async [WS_MESSAGE_TYPES.SET_ACTIVE_PROFILE]({ws, message}) {
+            if (!requireActiveTimeline(ws, WS_MESSAGE_TYPES.SET_ACTIVE_PROFILE, sendError)) {
+                return;
+            }
+
+            const profileId = message.profileId ?? null;
+            if (profileId !== null && typeof profileId !== 'string') {
+                sendError(ws, `${WS_MESSAGE_TYPES.SET_ACTIVE_PROFILE}: invalid profileId`);
+                return;
+            }
+
+            const store = await manager.getStore(ws.currentTimeline);
+            if (!store) return;
+
+            if (!store.setActiveProfile(profileId)) {
+                sendError(ws, `${WS_MESSAGE_TYPES.SET_ACTIVE_PROFILE}: unknown profile`);
+                return;
+            }
+
+            manager.markDirty(ws.currentTimeline);
+            broadcastToRoom(ws.currentTimeline, {
+                type: WS_MESSAGE_TYPES.ACTIVE_PROFILE_CHANGED,
+                profileId
+            });
+        }
+    };
+}
@@ -90,6 +90,11 @@ export function createTimelineHandlers({manager, roomManager}) {
                 timelineId: message.timelineId,
                 events: store.getAll(),
                 annotations: store.getAnnotations(),
+                profiles: store.getProfiles(),
+                activeProfileId: store.activeProfileId,
+                batches: store.getBatches(),
+                hostOffsets: store.getHostOffsets(),
+                laneLayout: store.getLaneLayout(),
                 userCount
             });
         },
@@ -1,5 +1,8 @@
 import {createAnnotationHandlers} from './handlers/annotation-handlers.js';
 import {createEventHandlers} from './handlers/event-handlers.js';
+import {createHostOffsetHandlers} from './handlers/host-offset-handlers.js';
+import {createLaneLayoutHandlers} from './handlers/lane-layout-handlers.js';
+import {createProfileHandlers} from './handlers/profile-handlers.js';
 import {createTimelineHandlers} from './handlers/timeline-handlers.js';
 import {sendError} from './respond.js';
 import {WS_MESSAGE_TYPES} from '../../shared/ws-protocol.js';
@@ -9,6 +12,9 @@ export function createMessageRouter({manager, roomManager}) {
         ...createTimelineHandlers({manager, roomManager}),
         ...createEventHandlers({manager, roomManager}),
         ...createAnnotationHandlers({manager, roomManager}),
+        ...createProfileHandlers({manager, roomManager}),
+        ...createHostOffsetHandlers({manager, roomManager}),
+        ...createLaneLayoutHandlers({manager, roomManager}),
         async [WS_MESSAGE_TYPES.PONG]({ws}) {
             ws.lastPong = Date.now();
         }
@@ -0,0 +1,14 @@
+/**
+ * ECS Timeline Builder - Shared Field-Mapping Profile Schema
+ * Used by both server (validation.js) and client (parser.js)
+ */
+
+/**
+ * Derived event properties a field-mapping profile may remap. Each key holds an
+ * ordered list of dot-notation paths tried before the built-in ECS defaults.
+ */
+export const PROFILE_FIELD_KEYS = ['timestamp', 'host', 'ip', 'category', 'summary', 'sourceIp', 'destIp'];
+
+export const MAX_PROFILE_NAME_LENGTH = 80;
+export const MAX_PATHS_PER_FIELD = 10;
+export const MAX_PATH_LENGTH = 200;
@@ -0,0 +1,36 @@
+/**
+ * ECS Timeline Builder - Shared Lane Layout Schema
+ * Used by both server (validation.js) and client (lane-layout.js).
+ * A timeline's lane layout arranges its host lanes for everyone viewing it.
+ * Hosts are identified by lowercased host name (when a viewer lanes events
+ * by another field, its lanes are identified by lowercased value the same way):
+ *   order     - hosts in display order; hosts not listed follow in first-seen order
+ *   pinned    - hosts shown at the top, above groups
+ *   hidden    - hosts without a lane
+ *   collapsed - hosts drawn as a thin lane
+ *   groups    - named groups of hosts, each collapsible into a single lane
+ */
+
+export const MAX_LANE_LAYOUT_HOSTS = 5000;
+export const MAX_LANE_GROUPS = 100;
+export const MAX_LANE_GROUP_NAME_LENGTH = 80;
+export const MAX_LANE_GROUP_ID_LENGTH = 64;
+
+/**
+ * Layout with no arrangement: every host in first-seen order, full height.
+ *
+ * @returns {{order: string[], pinned: string[], hidden: string[], collapsed: string[], groups: Array}}
+ */
+export function createEmptyLaneLayout() {
+    return {order: [], pinned: [], hidden: [], collapsed: [], groups: []};
+}
+
+/**
+ * Key a host is stored under in the lane layout.
+ *
+ * @param {string} hostname - Host name as shown on its lane
+ * @returns {string} Lowercased host name
+ */
+export function laneHostKey(hostname) {
+    return String(hostname).toLowerCase();
+}
@@ -0,0 +1,228 @@
+/**
+ * ECS Timeline Builder - Shared Time Zone Module
+ * Used by both server (validation.js) and client (parser.js, timeline.js).
+ * Zone arithmetic for reading naive timestamps (no offset) in a chosen zone
+ * and for displaying instants in a timeline's display zone. Zones are "UTC",
+ * "local" (the viewer's browser zone) or an IANA name such as "Europe/Berlin".
+ */
+
+export const UTC_ZONE = 'UTC';
+export const LOCAL_ZONE = 'local';
+export const MAX_TIME_ZONE_LENGTH = 64;
+// Orders for dates with a two-digit day and month before the year, which only the source can tell apart
+export const MONTH_FIRST = 'month-first';
+export const DAY_FIRST = 'day-first';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO-8601 date-time without a Z or numeric offset, with T or space separator
+const NAIVE_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?$/;
+// Month-first (plaso's l2tcsv, US spreadsheets) or day-first date with an optional time
+const YEAR_LAST_DATE_TIME = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?$/;
+// Year-first date with slashes and an optional time
+const SLASHED_DATE_TIME = /^(\d{4})\/(\d{1,2})\/(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?$/;
+// Zone designators Date honours: Z or a numeric offset at the end, or a GMT/UTC name
+const ZONE_DESIGNATOR = /(?:\dZ|[+-]\d{2}:?\d{2})$|\b(?:GMT|UTC)\b/i;
+// ISO date without a time, which Date reads as UTC midnight
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(zone) {
+    let formatter = formatters.get(zone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        formatters.set(zone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Check whether a value names a zone this module understands.
+ *
+ * @param {*} zone - Candidate zone
+ * @returns {boolean} True for "UTC", "local" and IANA zones known to Intl
+ */
+export function isValidTimeZone(zone) {
+    if (typeof zone !== 'string' || !zone || zone.length > MAX_TIME_ZONE_LENGTH) return false;
+    if (zone === UTC_ZONE || zone === LOCAL_ZONE) return true;
+    try {
+        getFormatter(zone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Replace "local" with the IANA name of the browser's zone, so a zone choice
+ * recorded on shared data means the same thing to every collaborator.
+ *
+ * @param {string} zone - Zone setting
+ * @returns {string} IANA zone name or "UTC"
+ */
+export function resolveTimeZone(zone) {
+    return zone === LOCAL_ZONE ? Intl.DateTimeFormat().resolvedOptions().timeZone : zone;
+}
+
+/**
+ * Offset of a zone from UTC at a given instant (DST-aware).
+ *
+ * @param {Date} date - Instant
+ * @param {string} zone - Zone name
+ * @returns {number} Offset in minutes, positive east of Greenwich
+ */
+export function getZoneOffset(date, zone) {
+    if (zone === UTC_ZONE) return 0;
+    if (zone === LOCAL_ZONE) return -date.getTimezoneOffset();
+
+    const parts = {};
+    for (const {type, value} of getFormatter(zone).formatToParts(date)) {
+        parts[type] = Number(value);
+    }
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((wallClock - wholeSeconds) / 60000);
+}
+
+/**
+ * Check whether a timestamp is a date-time with no zone designator, in ISO
+ * form or with a year-first slashed date (see toIsoDateTime()).
+ *
+ * @param {*} value - Timestamp field value
+ * @returns {boolean} True for strings such as "2024-01-15 10:00:00" or "2024/01/15 10:00"
+ */
+export function isNaiveTimestamp(value) {
+    return typeof value === 'string' && (NAIVE_TIMESTAMP.test(value.trim()) || toIsoDateTime(value) !== null);
+}
+
+/**
+ * Check whether Date reads a timestamp string the same in every browser zone:
+ * it carries a zone designator, or is a bare ISO date.
+ *
+ * @param {string} value - Timestamp string that is not naive (see isNaiveTimestamp())
+ * @returns {boolean} False for zone-less formats Date would read in the browser's zone
+ */
+export function hasZoneDesignator(value) {
+    const trimmed = value.trim();
+    return ZONE_DESIGNATOR.test(trimmed) || ISO_DATE.test(trimmed);
+}
+
+/**
+ * Rewrite a slashed date-time such as "2024/01/15 10:00" in ISO form, so it is
+ * read as a naive timestamp instead of by Date in the browser's zone. A date
+ * with the year last, such as "01/02/2024", is only rewritten when the caller
+ * knows its order, since month-first and day-first exports look alike.
+ *
+ * @param {*} value - Timestamp field value
+ * @param {string|null} [dateOrder=null] - MONTH_FIRST or DAY_FIRST for year-last dates
+ * @returns {string|null} e.g. "2024-01-15T10:00:00", or null for other values and impossible dates
+ */
+export function toIsoDateTime(value, dateOrder = null) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    let match = SLASHED_DATE_TIME.exec(trimmed);
+    const yearLast = !match && dateOrder && YEAR_LAST_DATE_TIME.exec(trimmed);
+    if (yearLast) {
+        const [, first, second, year, ...time] = yearLast;
+        match = dateOrder === DAY_FIRST ? [null, year, second, first, ...time] : [null, year, first, second, ...time];
+    }
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '00', second = '00', fraction] = match;
+    if (!isValidDateTime(Number(year), Number(month), Number(day), Number(hour), Number(minute), Number(second))) {
+        return null;
+    }
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return `${date}T${hour.padStart(2, '0')}:${minute}:${second}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Check date and time fields against their ranges, so impossible values such
+ * as February 31 are rejected instead of rolling over like Date.UTC() does.
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @param {number} [hour=0] - Hour, 0-23
+ * @param {number} [minute=0] - Minute, 0-59
+ * @param {number} [second=0] - Second, 0-59
+ * @returns {boolean} True when every field is in range
+ */
+function isValidDateTime(year, month, day, hour = 0, minute = 0, second = 0) {
+    if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) return false;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return day <= daysInMonth;
+}
+
+/**
+ * Read a naive timestamp as wall-clock time in a zone. Like Date, repeated
+ * wall-clock times resolve to the earlier instant and times in a DST gap are
+ * moved forward by the length of the gap.
+ *
+ * @param {string} value - Naive timestamp (see isNaiveTimestamp())
+ * @param {string} zone - Zone the wall-clock time was recorded in
+ * @returns {Date|null} Instant, or null if the value is not a naive timestamp or names an impossible date or time
+ */
+export function parseNaiveTimestamp(value, zone) {
+    if (typeof value !== 'string') return null;
+    const match = NAIVE_TIMESTAMP.exec(value.trim()) || NAIVE_TIMESTAMP.exec(toIsoDateTime(value) || '');
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(field => Number(field || 0));
+    if (!isValidDateTime(year, month, day, hour, minute, second)) return null;
+    const millis = Number((match[7] || '').padEnd(3, '0').slice(0, 3));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+
+    // Try the offsets in effect a day either side; one matches unless the time is in a gap
+    const before = getZoneOffset(new Date(wallClock - DAY_MS), zone);
+    const after = getZoneOffset(new Date(wallClock + DAY_MS), zone);
+    for (const offset of [before, after]) {
+        const instant = wallClock - offset * 60000;
+        if (getZoneOffset(new Date(instant), zone) === offset) return new Date(instant);
+    }
+    return new Date(wallClock - before * 60000);
+}
+
+/**
+ * Shift an instant so its UTC fields read as the wall clock in a zone, for
+ * use with UTC-based formatters such as `d3.utcFormat`.
+ *
+ * @param {Date} date - Instant
+ * @param {string} zone - Display zone
+ * @returns {Date} Shifted date (not a real instant)
+ */
+export function toZoneWallClock(date, zone) {
+    return new Date(date.getTime() + getZoneOffset(date, zone) * 60000);
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    return `UTC${sign}${hours}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format an instant for display in a zone, with the offset spelled out so
+ * screenshots and notes stay unambiguous.
+ *
+ * @param {Date} date - Instant
+ * @param {string} zone - Display zone
+ * @returns {string} e.g. "2024-01-15 11:00:00.000 UTC+01:00"
+ */
+export function formatTimestamp(date, zone) {
+    const offset = getZoneOffset(date, zone);
+    const wallClock = new Date(date.getTime() + offset * 60000);
+    const text = wallClock.toISOString().slice(0, 23).replace('T', ' ');
+    return `${text} ${zone === UTC_ZONE ? 'UTC' : formatOffset(offset)}`;
+}
@@ -17,15 +17,37 @@ export const WS_MESSAGE_TYPES = {
     ADD_CONFIRMED: 'ADD_CONFIRMED',
     DELETE_EVENT: 'DELETE_EVENT',
     EVENT_DELETED: 'EVENT_DELETED',
+    DELETE_EVENTS: 'DELETE_EVENTS',
+    EVENTS_DELETED: 'EVENTS_DELETED',
+    DELETE_BATCH: 'DELETE_BATCH',
+    BATCH_DELETED: 'BATCH_DELETED',
     CLEAR: 'CLEAR',
     CLEARED: 'CLEARED',
     ANNOTATE_EVENT: 'ANNOTATE_EVENT',
     ANNOTATION_UPDATED: 'ANNOTATION_UPDATED',
+    ANNOTATE_EVENTS: 'ANNOTATE_EVENTS',
+    ANNOTATIONS_UPDATED: 'ANNOTATIONS_UPDATED',
     DELETE_ANNOTATION: 'DELETE_ANNOTATION',
     ANNOTATION_DELETED: 'ANNOTATION_DELETED',
+    SAVE_PROFILE: 'SAVE_PROFILE',
+    PROFILE_SAVED: 'PROFILE_SAVED',
+    DELETE_PROFILE: 'DELETE_PROFILE',
+    PROFILE_DELETED: 'PROFILE_DELETED',
+    SET_ACTIVE_PROFILE: 'SET_ACTIVE_PROFILE',
+    ACTIVE_PROFILE_CHANGED: 'ACTIVE_PROFILE_CHANGED',
+    SET_HOST_OFFSET: 'SET_HOST_OFFSET',
+    HOST_OFFSET_CHANGED: 'HOST_OFFSET_CHANGED',
+    SET_LANE_LAYOUT: 'SET_LANE_LAYOUT',
+    LANE_LAYOUT_CHANGED: 'LANE_LAYOUT_CHANGED',
     REQUEST_SYNC: 'REQUEST_SYNC',
     SYNC: 'SYNC',
     USER_COUNT: 'USER_COUNT',
     PING: 'PING',
     PONG: 'PONG'
 };
+
+// Most event IDs one bulk message (DELETE_EVENTS, ANNOTATE_EVENTS) may carry
+export const MAX_BULK_EVENT_IDS = 10000;
+
+// Import batch IDs: 12 random bytes in hex, generated by the importing client
+export const BATCH_ID_PATTERN = /^[0-9a-f]{24}$/;
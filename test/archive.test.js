@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { deflateRawSync, gzipSync } from 'node:zlib';
+import {
+    decompressStream,
+    expandArchive,
+    isZipName,
+    readSourceText,
+    readZipEntries,
+    stripGzipExtension
+} from '../client/formats/archive.js';
+
+/**
+ * Build a minimal zip archive in memory.
+ *
+ * @param {Array<{name: string, data: string|Buffer, method?: number, flags?: number}>} members
+ * @returns {Buffer} Zip file bytes
+ */
+function buildZip(members) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const member of members) {
+        const name = Buffer.from(member.name);
+        const raw = Buffer.from(member.data);
+        const method = member.method ?? 8;
+        const data = method === 8 ? deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(member.flags ?? 0, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(member.flags ?? 0, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(members.length, 8);
+    end.writeUInt16LE(members.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function file(bytes, name) {
+    return new File([bytes], name);
+}
+
+const NDJSON = '{"@timestamp":"2024-01-15T10:00:00Z","host":{"name":"ws-01"}}\n' +
+    '{"@timestamp":"2024-01-15T10:01:00Z","host":{"name":"ws-02"}}\n';
+
+describe('archive', () => {
+
+    describe('names', () => {
+
+        it('should strip .gz to expose the inner file type', () => {
+            assert.strictEqual(stripGzipExtension('events.NDJSON.GZ'), 'events.NDJSON');
+            assert.strictEqual(stripGzipExtension('events.json'), 'events.json');
+            assert.strictEqual(isZipName('Collection.ZIP'), true);
+        });
+
+    });
+
+    describe('readZipEntries()', () => {
+
+        it('should list file entries and skip directories', async () => {
+            const zip = buildZip([
+                { name: 'logs/', data: '', method: 0 },
+                { name: 'logs/a.ndjson', data: NDJSON },
+                { name: 'logs/b.csv', data: 'a,b\n1,2\n', method: 0 }
+            ]);
+            const entries = await readZipEntries(file(zip, 'bundle.zip'));
+
+            assert.deepStrictEqual(entries.map(entry => entry.name), ['logs/a.ndjson', 'logs/b.csv']);
+            assert.strictEqual(entries[0].method, 8);
+            assert.strictEqual(entries[0].uncompressedSize, Buffer.byteLength(NDJSON));
+        });
+
+        it('should reject files without a central directory', async () => {
+            await assert.rejects(readZipEntries(file(Buffer.from('not a zip'), 'x.zip')), /Not a zip archive/);
+        });
+
+    });
+
+    describe('expandArchive()', () => {
+
+        it('should expand zip members, including gzipped ones, into readable sources', async () => {
+            const zip = buildZip([
+                { name: 'host1/events.ndjson', data: NDJSON },
+                { name: 'host2/events.json.gz', data: gzipSync(NDJSON), method: 0 },
+                { name: '__MACOSX/host1/._events.ndjson', data: 'x' }
+            ]);
+            const sources = await expandArchive(file(zip, 'collection.zip'));
+
+            assert.deepStrictEqual(sources.map(source => source.name), [
+                'collection.zip/host1/events.ndjson',
+                'collection.zip/host2/events.json.gz'
+            ]);
+            assert.deepStrictEqual(sources[0].decompress, ['deflate-raw']);
+            assert.deepStrictEqual(sources[1].decompress, ['gzip']);
+            assert.strictEqual(await readSourceText(sources[0]), NDJSON);
+            assert.strictEqual(await readSourceText(sources[1]), NDJSON);
+        });
+
+        it('should report members that cannot be opened', async () => {
+            const zip = buildZip([
+                { name: 'secret.json', data: '{}', method: 0, flags: 1 },
+                { name: 'packed.json', data: '{}', method: 14 }
+            ]);
+            const sources = await expandArchive(file(zip, 'bundle.zip'));
+
+            assert.strictEqual(sources[0].failure, 'Encrypted zip entries are not supported');
+            assert.strictEqual(sources[1].failure, 'Unsupported zip compression method 14');
+        });
+
+        it('should pass plain and gzip files through as single sources', async () => {
+            const [plain] = await expandArchive(file(Buffer.from(NDJSON), 'events.ndjson'));
+            const [gzipped] = await expandArchive(file(gzipSync(NDJSON), 'events.ndjson.gz'));
+
+            assert.deepStrictEqual(plain.decompress, []);
+            assert.deepStrictEqual(gzipped.decompress, ['gzip']);
+            assert.strictEqual(await readSourceText(gzipped), NDJSON);
+        });
+
+    });
+
+    describe('decompressStream()', () => {
+
+        it('should fail the stream on corrupt input', async () => {
+            const stream = decompressStream(new Blob([Buffer.from('definitely not gzip')]).stream(), ['gzip']);
+            await assert.rejects(new Response(stream).text());
+        });
+
+    });
+
+});
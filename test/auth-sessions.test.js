@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { applySessionSpans, buildAuthSessions } from '../client/auth-sessions.js';
+import { buildHostRegistry, parseEvents } from '../client/parser.js';
+
+function winlogEvent(id, time, host, eventId, eventData, extra = {}) {
+    return {
+        _id: id,
+        '@timestamp': time,
+        host: { name: host },
+        event: { code: eventId, category: ['authentication'], outcome: 'success' },
+        winlog: { event_id: eventId, event_data: eventData },
+        ...extra
+    };
+}
+
+function auditEvent(id, time, action, pid, category, type, extra = {}) {
+    return {
+        _id: id,
+        '@timestamp': time,
+        host: { name: 'db-01' },
+        event: { action, category: [category], type: [type], outcome: 'success' },
+        auditd: { session: '15', data: { terminal: '/dev/pts/1' } },
+        process: { pid },
+        user: { name: 'bob' },
+        source: { ip: '10.0.0.9' },
+        ...extra
+    };
+}
+
+const logon = (id, time, logonId, extra = {}) => winlogEvent(id, time, 'dc01', 4624, {
+    TargetUserName: 'alice',
+    TargetDomainName: 'CORP',
+    TargetLogonId: logonId,
+    LogonType: '10',
+    IpAddress: '10.0.0.5'
+}, extra);
+const logoff = (id, time, logonId) => winlogEvent(id, time, 'dc01', 4634, { TargetUserName: 'alice', TargetLogonId: logonId });
+
+describe('Authentication sessions', () => {
+
+    describe('buildAuthSessions()', () => {
+
+        it('should pair Windows logons and logoffs by logon ID', () => {
+            const sessions = buildAuthSessions(parseEvents([
+                logoff('off-1', '2024-01-15T11:00:00Z', '0x3e7a'),
+                logon('on-2', '2024-01-15T10:30:00Z', '0x4b21'),
+                logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a'),
+                logoff('off-2', '2024-01-15T10:45:00Z', '0x4b21')
+            ]));
+
+            assert.deepStrictEqual(sessions.map(session => [session.sessionId, session.logonEvent.id, session.logoffEvent.id]),
+                [['0x3e7a', 'on-1', 'off-1'], ['0x4b21', 'on-2', 'off-2']]);
+            const [first] = sessions;
+            assert.strictEqual(first.host, 'dc01');
+            assert.strictEqual(first.user, 'CORP\\alice');
+            assert.strictEqual(first.sourceIp, '10.0.0.5');
+            assert.strictEqual(first.logonType, '10');
+            assert.deepStrictEqual(first.start, new Date('2024-01-15T10:00:00Z'));
+            assert.deepStrictEqual(first.end, new Date('2024-01-15T11:00:00Z'));
+        });
+
+        it('should keep the same logon ID on different hosts apart', () => {
+            const sessions = buildAuthSessions(parseEvents([
+                logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a'),
+                logon('on-2', '2024-01-15T10:01:00Z', '0x3e7a', { host: { name: 'ws-01' } }),
+                logoff('off-1', '2024-01-15T10:05:00Z', '0x3e7a')
+            ]));
+
+            assert.deepStrictEqual(sessions.map(session => [session.host, session.end !== null]), [['dc01', true], ['ws-01', false]]);
+        });
+
+        it('should leave a session open without a logoff, lasting until its last event', () => {
+            const sessions = buildAuthSessions(parseEvents([
+                logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a'),
+                winlogEvent('task', '2024-01-15T10:20:00Z', 'dc01', 4698, { SubjectLogonId: '0x1' },
+                    { winlog: { event_id: 4698, logon: { id: '0x3e7a' } } })
+            ]));
+
+            assert.strictEqual(sessions.length, 1);
+            assert.strictEqual(sessions[0].end, null);
+            assert.deepStrictEqual(sessions[0].lastSeen, new Date('2024-01-15T10:20:00Z'));
+            assert.deepStrictEqual(sessions[0].events.map(event => event.id), ['on-1', 'task']);
+        });
+
+        it('should start a session at a logoff whose logon predates the events', () => {
+            const [session] = buildAuthSessions(parseEvents([logoff('off-1', '2024-01-15T11:00:00Z', '0x3e7a')]));
+
+            assert.strictEqual(session.logonEvent, null);
+            assert.strictEqual(session.logoffEvent.id, 'off-1');
+            assert.deepStrictEqual(session.start, session.end);
+        });
+
+        it('should ignore failed logons', () => {
+            const failed = logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a');
+            failed.event.outcome = 'failure';
+
+            assert.deepStrictEqual(buildAuthSessions(parseEvents([failed])), []);
+        });
+
+        it('should tell nested sessions sharing an audit session apart by process', () => {
+            const sessions = buildAuthSessions(parseEvents([
+                auditEvent('login', '2024-01-15T10:00:00Z', 'logged-in', 100, 'authentication', 'start'),
+                auditEvent('pam', '2024-01-15T10:00:01Z', 'started-session', 100, 'session', 'start'),
+                auditEvent('sudo', '2024-01-15T10:05:00Z', 'started-session', 200, 'session', 'start'),
+                auditEvent('cmd', '2024-01-15T10:05:01Z', 'ran-command', 200, 'process', 'info'),
+                auditEvent('sudo-end', '2024-01-15T10:06:00Z', 'ended-session', 200, 'session', 'end'),
+                auditEvent('unset', '2024-01-15T10:07:00Z', 'logged-in', 300, 'authentication', 'start',
+                    { auditd: { session: '4294967295' } }),
+                auditEvent('logout', '2024-01-15T10:30:00Z', 'ended-session', 100, 'session', 'end')
+            ]));
+
+            assert.deepStrictEqual(sessions.map(session => session.events.map(event => event.id)),
+                [['login', 'pam', 'logout'], ['sudo', 'cmd', 'sudo-end']]);
+            assert.strictEqual(sessions[0].user, 'bob');
+            assert.strictEqual(sessions[0].logonType, '/dev/pts/1');
+            assert.deepStrictEqual(sessions[0].end, new Date('2024-01-15T10:30:00Z'));
+        });
+
+        it('should key sessions by the lane their events are drawn on', () => {
+            const events = parseEvents([
+                logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a', { host: { name: 'dc01', ip: '10.0.0.1' } }),
+                { ...logoff('off-1', '2024-01-15T11:00:00Z', '0x3e7a'), host: { name: 'Unknown' }, source: { ip: '10.0.0.1' } }
+            ]);
+
+            const [session, ...rest] = buildAuthSessions(events, buildHostRegistry(events));
+
+            assert.strictEqual(rest.length, 0);
+            assert.strictEqual(session.host, 'dc01');
+            assert.deepStrictEqual(session.events.map(event => event.id), ['on-1', 'off-1']);
+            assert.strictEqual(buildAuthSessions(events).length, 2);
+        });
+    });
+
+    describe('applySessionSpans()', () => {
+
+        it('should stretch logons over their sessions', () => {
+            const events = parseEvents([
+                logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a'),
+                logoff('off-1', '2024-01-15T11:00:00Z', '0x3e7a')
+            ]);
+            const display = applySessionSpans(events, buildAuthSessions(events));
+
+            const bar = display.find(event => event.id === 'on-1');
+            assert.notStrictEqual(bar, events.find(event => event.id === 'on-1'));
+            assert.deepStrictEqual(bar.span, { start: new Date('2024-01-15T10:00:00Z'), end: new Date('2024-01-15T11:00:00Z') });
+            assert.strictEqual(display.find(event => event.id === 'off-1').span, null);
+        });
+
+        it('should return the same events when no session lasts', () => {
+            const events = parseEvents([logon('on-1', '2024-01-15T10:00:00Z', '0x3e7a')]);
+
+            assert.strictEqual(applySessionSpans(events, buildAuthSessions(events)), events);
+        });
+    });
+});
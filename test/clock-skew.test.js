@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildHostRegistry, parseEvents } from '../client/parser.js';
+import {
+    applyHostOffsets,
+    formatClockOffset,
+    hostOffsetKey,
+    suggestHostOffsets
+} from '../client/clock-skew.js';
+
+function flowEvent(id, host, timestamp, communityId) {
+    return {
+        _id: id,
+        '@timestamp': timestamp,
+        host: { hostname: host },
+        source: { ip: '10.0.0.5' },
+        destination: { ip: '10.0.0.9' },
+        network: { community_id: communityId }
+    };
+}
+
+describe('clock skew', () => {
+
+    describe('applyHostOffsets()', () => {
+
+        it('should shift only hosts with an offset and keep the recorded time', () => {
+            const events = parseEvents([
+                { _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'WS02' } },
+                { _id: 'b', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'dc01' } }
+            ]);
+
+            const shifted = applyHostOffsets(events, new Map([[hostOffsetKey('ws02'), -30000]]));
+
+            assert.strictEqual(shifted[0].timestamp.toISOString(), '2024-01-15T09:59:30.000Z');
+            assert.strictEqual(shifted[0].recordedTimestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(shifted[0].clockOffset, -30000);
+            assert.strictEqual(shifted[1], events[1]);
+        });
+
+        it('should move an event\'s span with it', () => {
+            const events = parseEvents([{
+                '@timestamp': '2024-01-15T10:00:00Z',
+                host: { hostname: 'ws02' },
+                event: { duration: 60000000000 }
+            }]);
+
+            const [once] = applyHostOffsets(events, new Map([['ws02', 30000]]));
+            const [twice] = applyHostOffsets([once], new Map([['ws02', -30000]]));
+
+            assert.strictEqual(once.span.start.toISOString(), '2024-01-15T10:00:30.000Z');
+            assert.strictEqual(twice.span.end.toISOString(), '2024-01-15T10:00:30.000Z');
+        });
+
+        it('should replace an earlier offset rather than add to it', () => {
+            const events = parseEvents([{ _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws02' } }]);
+
+            const once = applyHostOffsets(events, new Map([['ws02', 60000]]));
+            const twice = applyHostOffsets(once, new Map([['ws02', 120000]]));
+            const removed = applyHostOffsets(twice, new Map());
+
+            assert.strictEqual(twice[0].timestamp.toISOString(), '2024-01-15T10:02:00.000Z');
+            assert.strictEqual(removed[0].timestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual('clockOffset' in removed[0], false);
+        });
+
+        it('should shift host-less events by the offset of the lane they are drawn on', () => {
+            const events = parseEvents([
+                { _id: 'ws', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws01', ip: '10.0.0.5' } },
+                { _id: 'flow', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'Unknown' }, source: { ip: '10.0.0.5' } }
+            ]);
+            const offsets = new Map([['ws01', 30000]]);
+
+            const shifted = applyHostOffsets(events, offsets, buildHostRegistry(events));
+
+            assert.deepStrictEqual(shifted.map(event => event.clockOffset), [30000, 30000]);
+            assert.strictEqual(applyHostOffsets(events, offsets)[1], events[1]);
+        });
+
+    });
+
+    describe('suggestHostOffsets()', () => {
+
+        it('should suggest the median skew of flows two hosts both logged', () => {
+            const events = parseEvents([
+                flowEvent('s1', 'sensor', '2024-01-15T10:00:00Z', '1:aaa'),
+                flowEvent('s2', 'sensor', '2024-01-15T10:05:00Z', '1:bbb'),
+                flowEvent('s3', 'sensor', '2024-01-15T10:09:00Z', '1:ccc'),
+                flowEvent('s4', 'sensor', '2024-01-15T10:10:00Z', null),
+                flowEvent('w1', 'ws02', '2024-01-15T10:02:00Z', '1:aaa'),
+                flowEvent('w2', 'ws02', '2024-01-15T10:07:01Z', '1:bbb'),
+                flowEvent('w3', 'ws02', '2024-01-15T10:11:00Z', '1:ccc')
+            ]);
+
+            const [suggestion, ...rest] = suggestHostOffsets(events);
+
+            assert.strictEqual(rest.length, 0);
+            assert.strictEqual(suggestion.host, 'ws02');
+            assert.strictEqual(suggestion.reference, 'sensor');
+            assert.strictEqual(suggestion.skewMs, 120000);
+            assert.strictEqual(suggestion.offsetMs, -120000);
+            assert.strictEqual(suggestion.samples, 3);
+        });
+
+        it('should build on the reference host\'s own offset', () => {
+            const events = parseEvents([
+                flowEvent('s1', 'sensor', '2024-01-15T10:00:00Z', '1:aaa'),
+                flowEvent('s2', 'sensor', '2024-01-15T10:01:00Z', '1:zzz'),
+                flowEvent('w1', 'ws02', '2024-01-15T10:00:30Z', '1:aaa')
+            ]);
+
+            const [suggestion] = suggestHostOffsets(events, new Map([['sensor', 10000]]));
+
+            assert.strictEqual(suggestion.offsetMs, -20000);
+        });
+
+        it('should count host-less flows for the lane they are drawn on, as offsets are applied', () => {
+            const events = parseEvents([
+                { _id: 'ws', '@timestamp': '2024-01-15T09:00:00Z', host: { hostname: 'ws01', ip: '10.0.0.5' } },
+                flowEvent('s1', 'sensor', '2024-01-15T10:00:00Z', '1:aaa'),
+                flowEvent('s2', 'sensor', '2024-01-15T10:01:00Z', '1:zzz'),
+                flowEvent('s3', 'sensor', '2024-01-15T10:02:00Z', '1:yyy'),
+                flowEvent('f1', 'Unknown', '2024-01-15T10:00:30Z', '1:aaa')
+            ]);
+            const hostRegistry = buildHostRegistry(events);
+
+            const [suggestion] = suggestHostOffsets(events, new Map(), hostRegistry);
+
+            assert.strictEqual(suggestion.host, 'ws01');
+            assert.strictEqual(suggestion.offsetMs, -30000);
+            const flow = events.find(event => event.id === 'f1');
+            const [shifted] = applyHostOffsets([flow], new Map([[hostOffsetKey(suggestion.host), suggestion.offsetMs]]), hostRegistry);
+            assert.strictEqual(shifted.timestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.deepStrictEqual(suggestHostOffsets(events), []);
+        });
+
+        it('should ignore differences below a second', () => {
+            const events = parseEvents([
+                flowEvent('s1', 'sensor', '2024-01-15T10:00:00.000Z', '1:aaa'),
+                flowEvent('w1', 'ws02', '2024-01-15T10:00:00.400Z', '1:aaa')
+            ]);
+
+            assert.deepStrictEqual(suggestHostOffsets(events), []);
+        });
+
+    });
+
+    describe('formatClockOffset()', () => {
+
+        it('should format offsets with a sign and units', () => {
+            assert.strictEqual(formatClockOffset(0), '0s');
+            assert.strictEqual(formatClockOffset(125000), '+2m 5s');
+            assert.strictEqual(formatClockOffset(-3630500), '-1h 0m 30.5s');
+        });
+
+    });
+
+});
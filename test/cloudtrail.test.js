@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    cloudTrailPrincipal,
+    cloudTrailToEcs,
+    isCloudTrailRecord,
+    unwrapCloudTrailContainer
+} from '../client/formats/cloudtrail.js';
+import { parseEvents } from '../client/parser.js';
+
+const ASSUME_ROLE = {
+    eventVersion: '1.08',
+    userIdentity: {
+        type: 'AssumedRole',
+        principalId: 'AROAEXAMPLE:alice',
+        arn: 'arn:aws:sts::111122223333:assumed-role/Admin/alice',
+        accountId: '111122223333',
+        accessKeyId: 'ASIAEXAMPLE',
+        sessionContext: {
+            attributes: { mfaAuthenticated: 'true', creationDate: '2024-01-15T10:00:00Z' },
+            sessionIssuer: {
+                type: 'Role',
+                principalId: 'AROAEXAMPLE',
+                arn: 'arn:aws:iam::111122223333:role/Admin',
+                accountId: '111122223333',
+                userName: 'Admin'
+            }
+        }
+    },
+    eventTime: '2024-01-15T10:30:00Z',
+    eventSource: 'ec2.amazonaws.com',
+    eventName: 'RunInstances',
+    awsRegion: 'eu-west-1',
+    sourceIPAddress: '198.51.100.23',
+    userAgent: 'aws-cli/2.15.0',
+    requestParameters: { instanceType: 't3.micro' },
+    requestID: 'req-1',
+    eventID: 'evt-run-1',
+    readOnly: false,
+    eventType: 'AwsApiCall',
+    recipientAccountId: '111122223333'
+};
+
+const CONSOLE_LOGIN = {
+    eventVersion: '1.08',
+    userIdentity: { type: 'IAMUser', arn: 'arn:aws:iam::111122223333:user/bob', accountId: '111122223333', userName: 'bob' },
+    eventTime: '2024-01-15T09:00:00Z',
+    eventSource: 'signin.amazonaws.com',
+    eventName: 'ConsoleLogin',
+    awsRegion: 'us-east-1',
+    sourceIPAddress: '203.0.113.50',
+    eventID: 'evt-login-1',
+    errorCode: 'Failed authentication',
+    eventType: 'AwsConsoleSignIn'
+};
+
+describe('CloudTrail ingestion', () => {
+
+    describe('container detection', () => {
+
+        it('should recognise raw records but not ECS documents', () => {
+            assert.strictEqual(isCloudTrailRecord(ASSUME_ROLE), true);
+            assert.strictEqual(isCloudTrailRecord({ '@timestamp': '2024-01-15T10:30:00Z', event: { action: 'x' } }), false);
+        });
+
+        it('should unwrap trail log files', () => {
+            assert.deepStrictEqual(unwrapCloudTrailContainer({ Records: [ASSUME_ROLE] }), [ASSUME_ROLE]);
+            assert.strictEqual(unwrapCloudTrailContainer({ Records: [{ foo: 1 }] }), null);
+        });
+
+        it('should merge Lake query result columns into records', () => {
+            const [record] = unwrapCloudTrailContainer({
+                QueryStatus: 'FINISHED',
+                QueryResultRows: [[
+                    { eventTime: '2024-01-15 10:30:00.000' },
+                    { eventName: 'DeleteBucket' },
+                    { eventSource: 's3.amazonaws.com' },
+                    { 'userIdentity.arn': 'arn:aws:iam::111122223333:user/carol' },
+                    { requestParameters: '{"bucketName":"evidence"}' }
+                ]]
+            });
+
+            assert.strictEqual(record.userIdentity.arn, 'arn:aws:iam::111122223333:user/carol');
+            assert.deepStrictEqual(record.requestParameters, { bucketName: 'evidence' });
+            assert.strictEqual(cloudTrailToEcs(record)['@timestamp'], '2024-01-15T10:30:00.000Z');
+        });
+
+    });
+
+    describe('cloudTrailToEcs()', () => {
+
+        it('should map core CloudTrail fields to ECS', () => {
+            const ecs = cloudTrailToEcs(ASSUME_ROLE);
+
+            assert.strictEqual(ecs['@timestamp'], '2024-01-15T10:30:00Z');
+            assert.strictEqual(ecs.event.action, 'RunInstances');
+            assert.strictEqual(ecs.event.provider, 'ec2.amazonaws.com');
+            assert.deepStrictEqual(ecs.event.type, ['change']);
+            assert.strictEqual(ecs.cloud.region, 'eu-west-1');
+            assert.strictEqual(ecs.cloud.account.id, '111122223333');
+            assert.strictEqual(ecs.source.ip, '198.51.100.23');
+            assert.strictEqual(ecs.aws.cloudtrail.user_identity.arn, 'arn:aws:sts::111122223333:assumed-role/Admin/alice');
+            assert.strictEqual(ecs.aws.cloudtrail.user_identity.session_context.mfa_authenticated, 'true');
+        });
+
+        it('should categorise sign-ins as authentication and record failures', () => {
+            const ecs = cloudTrailToEcs(CONSOLE_LOGIN);
+
+            assert.deepStrictEqual(ecs.event.category, ['authentication']);
+            assert.strictEqual(ecs.event.outcome, 'failure');
+            assert.strictEqual(ecs.error.code, 'Failed authentication');
+        });
+
+        it('should keep AWS service callers as a source domain', () => {
+            const ecs = cloudTrailToEcs({ ...ASSUME_ROLE, sourceIPAddress: 'autoscaling.amazonaws.com' });
+
+            assert.strictEqual(ecs.source.ip, undefined);
+            assert.strictEqual(ecs.source.domain, 'autoscaling.amazonaws.com');
+        });
+
+    });
+
+    describe('principal lanes', () => {
+
+        it('should collapse assumed-role sessions onto their role', () => {
+            assert.strictEqual(cloudTrailPrincipal(cloudTrailToEcs(ASSUME_ROLE)), '111122223333:role/Admin');
+        });
+
+        it('should use the user ARN for IAM users', () => {
+            assert.strictEqual(cloudTrailPrincipal(cloudTrailToEcs(CONSOLE_LOGIN)), '111122223333:user/bob');
+        });
+
+        it('should return null for non-cloud events', () => {
+            assert.strictEqual(cloudTrailPrincipal({ host: { name: 'ws-01' } }), null);
+        });
+
+    });
+
+    describe('parseEvents() integration', () => {
+
+        it('should parse a trail log file with principal lanes', () => {
+            const events = parseEvents(JSON.stringify({ Records: [ASSUME_ROLE, CONSOLE_LOGIN] }));
+
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[0].id, 'evt-run-1');
+            assert.strictEqual(events[0].host.hostname, '111122223333:role/Admin');
+            assert.strictEqual(events[1].host.hostname, '111122223333:user/bob');
+            assert.strictEqual(events[1].category, 'authentication');
+        });
+
+    });
+
+});
@@ -0,0 +1,179 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    buildEcsEvents,
+    detectDelimiter,
+    isDelimitedText,
+    isL2tCsv,
+    parseDelimited,
+    suggestFieldMapping
+} from '../client/formats/csv.js';
+import { parseEvents } from '../client/parser.js';
+import { DAY_FIRST, MONTH_FIRST } from '../shared/time-zones.js';
+
+describe('CSV ingestion', () => {
+
+    describe('detectDelimiter()', () => {
+
+        it('should pick tab for TSV headers', () => {
+            assert.strictEqual(detectDelimiter('time\thost\tsrc_ip\n1\t2\t3'), '\t');
+        });
+
+        it('should ignore delimiters inside quoted headers', () => {
+            assert.strictEqual(detectDelimiter('"a;b;c",d,e\n'), ',');
+        });
+
+    });
+
+    describe('isDelimitedText()', () => {
+
+        it('should reject JSON and XML input', () => {
+            assert.strictEqual(isDelimitedText('[{"a":1}]'), false);
+            assert.strictEqual(isDelimitedText('{"a":1}'), false);
+            assert.strictEqual(isDelimitedText('<Events></Events>'), false);
+        });
+
+        it('should accept a comma separated header', () => {
+            assert.strictEqual(isDelimitedText('timestamp,host\n2024-01-01,a'), true);
+        });
+
+    });
+
+    describe('parseDelimited()', () => {
+
+        it('should handle quotes, embedded delimiters, newlines and CRLF', () => {
+            const text = 'a,b\r\n"x, y","line1\nline2"\r\n"he said ""hi""",2\r\n';
+
+            const rows = parseDelimited(text, ',');
+
+            assert.deepStrictEqual(rows, [
+                ['a', 'b'],
+                ['x, y', 'line1\nline2'],
+                ['he said "hi"', '2']
+            ]);
+        });
+
+        it('should drop blank lines', () => {
+            assert.deepStrictEqual(parseDelimited('a,b\n\n1,2\n', ','), [['a', 'b'], ['1', '2']]);
+        });
+
+    });
+
+    describe('suggestFieldMapping()', () => {
+
+        it('should map common header aliases to ECS paths', () => {
+            const mapping = suggestFieldMapping(['Timestamp', 'Src IP', 'dst_port', 'Computer', 'notes']);
+
+            assert.deepStrictEqual(mapping, ['@timestamp', 'source.ip', 'destination.port', 'host.name', '']);
+        });
+
+        it('should keep headers that are already ECS paths', () => {
+            assert.deepStrictEqual(suggestFieldMapping(['@timestamp', 'process.command_line']),
+                ['@timestamp', 'process.command_line']);
+        });
+
+        it('should recognise plaso l2tcsv output', () => {
+            const headers = ['date', 'time', 'timezone', 'MACB', 'source', 'sourcetype', 'type', 'user', 'host',
+                'short', 'desc', 'version', 'filename', 'inode', 'notes', 'format', 'extra'];
+
+            const mapping = suggestFieldMapping(headers);
+
+            assert.strictEqual(isL2tCsv(headers), true);
+            assert.strictEqual(mapping[0], '@timestamp');
+            assert.strictEqual(mapping[1], '@timestamp');
+            assert.strictEqual(mapping[8], 'host.name');
+        });
+
+    });
+
+    describe('buildEcsEvents()', () => {
+
+        it('should build nested ECS objects that parse into timeline events', () => {
+            const rows = [['2024-01-15T10:30:00Z', 'ws-01', '10.0.0.5', '443', 'connect']];
+            const mapping = ['@timestamp', 'host.name', 'destination.ip', 'destination.port', 'event.action'];
+
+            const events = buildEcsEvents(rows, mapping);
+            const parsed = parseEvents(events);
+
+            assert.deepStrictEqual(events[0], {
+                '@timestamp': '2024-01-15T10:30:00Z',
+                host: { name: 'ws-01' },
+                destination: { ip: '10.0.0.5', port: 443 },
+                event: { action: 'connect' }
+            });
+            assert.strictEqual(parsed.length, 1);
+            assert.strictEqual(parsed[0].host.hostname, 'ws-01');
+        });
+
+        it('should join columns mapped to the same path and skip ignored or empty cells', () => {
+            const events = buildEcsEvents([['2024-01-15', '10:30:00', '', 'x']], ['@timestamp', '@timestamp', 'user.name', '']);
+
+            assert.deepStrictEqual(events[0], { '@timestamp': '2024-01-15 10:30:00' });
+        });
+
+        describe('year-last dates', () => {
+            const mapping = ['@timestamp', 'host.name'];
+
+            it('should leave them as they are without a date order', () => {
+                const events = buildEcsEvents([['31/12/2024 10:00:00', 'ws-01']], mapping);
+
+                assert.strictEqual(events[0]['@timestamp'], '31/12/2024 10:00:00');
+                assert.strictEqual(parseEvents(events).length, 0);
+            });
+
+            it('should read them day first when asked', () => {
+                const events = buildEcsEvents([['31/12/2024 10:00:00', 'ws-01'], ['15/01/2024 10:00', 'ws-01']],
+                    mapping, { dateOrder: DAY_FIRST });
+
+                assert.deepStrictEqual(events.map(event => event['@timestamp']), ['2024-12-31T10:00:00', '2024-01-15T10:00:00']);
+            });
+
+            it('should leave impossible dates for the chosen order unconverted', () => {
+                const events = buildEcsEvents([['31/12/2024 10:00:00', 'ws-01']], mapping, { dateOrder: MONTH_FIRST });
+
+                assert.strictEqual(events[0]['@timestamp'], '31/12/2024 10:00:00');
+                assert.strictEqual(parseEvents(events).length, 0);
+            });
+        });
+
+        describe('l2tcsv timestamps', () => {
+            const headers = ['date', 'time', 'timezone', 'MACB', 'source', 'sourcetype', 'type', 'user', 'host',
+                'short', 'desc', 'version', 'filename', 'inode', 'notes', 'format', 'extra'];
+            const row = (date, time, zone) => [date, time, zone, 'M...', 'LOG', 'Log File', 'Content Modification Time',
+                '-', 'ws-01', 'short', 'desc', '2', 'C:/x.log', '0', '-', 'text', ''];
+            const originalTz = process.env.TZ;
+
+            before(() => {
+                process.env.TZ = 'America/New_York';
+            });
+
+            after(() => {
+                if (originalTz === undefined) delete process.env.TZ;
+                else process.env.TZ = originalTz;
+            });
+
+            it('should read the date and time in the row\'s timezone, not the browser\'s', () => {
+                const events = buildEcsEvents([
+                    row('01/15/2024', '10:00:00', 'UTC'),
+                    row('07/15/2024', '10:00:00', 'Europe/Berlin')
+                ], suggestFieldMapping(headers), { dateOrder: MONTH_FIRST });
+                const parsed = parseEvents(events);
+
+                assert.strictEqual(events[0]['@timestamp'], '2024-01-15T10:00:00.000Z');
+                assert.strictEqual(parsed[0].timestamp.getTime(), Date.UTC(2024, 0, 15, 10));
+                assert.strictEqual(parsed[1].timestamp.getTime(), Date.UTC(2024, 6, 15, 8));
+            });
+
+            it('should leave the time naive for the import\'s zone without a timezone', () => {
+                const events = buildEcsEvents([row('1/5/2024', '09:30:00', '')], suggestFieldMapping(headers), { dateOrder: MONTH_FIRST });
+
+                assert.strictEqual(events[0]['@timestamp'], '2024-01-05T09:30:00');
+                assert.strictEqual(parseEvents(events)[0].timestamp.getTime(), Date.UTC(2024, 0, 5, 9, 30));
+                assert.strictEqual(parseEvents(events, { assumeZone: 'Europe/Berlin' })[0].timestamp.getTime(),
+                    Date.UTC(2024, 0, 5, 8, 30));
+            });
+        });
+
+    });
+
+});
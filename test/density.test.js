@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { clusterLaneItems, dominantCategory } from '../client/density.js';
+
+// Minimal stand-in for a d3 time scale: 1px per second from t0
+function linearScale(t0, width) {
+    const scale = date => (date.getTime() - t0) / 1000;
+    scale.range = () => [0, width];
+    return scale;
+}
+
+function item(lane, seconds, category = 'process') {
+    return {
+        lane,
+        event: { id: `${lane}-${seconds}`, category, timestamp: new Date(Date.UTC(2024, 0, 15) + seconds * 1000) }
+    };
+}
+
+describe('density clustering', () => {
+
+    const xScale = linearScale(Date.UTC(2024, 0, 15), 1000);
+    const options = { binWidth: 10, minCount: 3 };
+
+    describe('clusterLaneItems()', () => {
+
+        it('should merge crowded events of a lane into one cluster', () => {
+            const items = [item('ws01', 1), item('ws01', 2, 'file'), item('ws01', 3), item('ws01', 500)];
+
+            const clusters = clusterLaneItems(items, xScale, options);
+
+            assert.strictEqual(clusters.length, 1);
+            assert.strictEqual(clusters[0].lane, 'ws01');
+            assert.strictEqual(clusters[0].count, 3);
+            assert.strictEqual(clusters[0].x, 2);
+            assert.strictEqual(clusters[0].category, 'process');
+            assert.deepStrictEqual(clusters[0].categories, { process: 2, file: 1 });
+            assert.strictEqual(clusters[0].start, items[0].event.timestamp);
+            assert.strictEqual(clusters[0].end, items[2].event.timestamp);
+            assert.deepStrictEqual(items.map(i => i.clustered), [true, true, true, false]);
+        });
+
+        it('should keep lanes apart and leave sparse bins as dots', () => {
+            const items = [item('ws01', 1), item('ws01', 2), item('dc01', 3), item('dc01', 4)];
+
+            assert.deepStrictEqual(clusterLaneItems(items, xScale, options), []);
+            assert.ok(items.every(i => i.clustered === false));
+        });
+
+        it('should separate events again when zoomed in', () => {
+            const items = [item('ws01', 1), item('ws01', 2), item('ws01', 3)];
+            const zoomed = date => xScale(date) * 20;
+            zoomed.range = xScale.range;
+
+            assert.strictEqual(clusterLaneItems(items, zoomed, options).length, 0);
+        });
+
+        it('should not cluster off-screen or kept-visible events', () => {
+            const items = [item('ws01', 1), item('ws01', 2), item('ws01', 3), item('ws01', 2000), item('ws01', 2001), item('ws01', 2002)];
+
+            const clusters = clusterLaneItems(items, xScale, {
+                ...options,
+                keepVisible: i => i.event.id === 'ws01-2'
+            });
+
+            assert.strictEqual(clusters.length, 0);
+            assert.ok(items.every(i => i.clustered === false));
+        });
+
+    });
+
+    describe('dominantCategory()', () => {
+
+        it('should pick the most frequent category, first seen on ties', () => {
+            assert.strictEqual(dominantCategory({ file: 2, network: 5 }), 'network');
+            assert.strictEqual(dominantCategory({ file: 2, network: 2 }), 'file');
+        });
+
+    });
+
+});
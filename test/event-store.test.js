@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { EventStore } from '../server/event-store.js';
+import { createEmptyLaneLayout } from '../shared/lane-layout.js';
 
 describe('EventStore', () => {
 
@@ -64,6 +65,55 @@ describe('EventStore', () => {
 
     });
 
+    describe('deleteEvents()', () => {
+
+        it('should remove the listed events with their annotations', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }]);
+            store.setAnnotation('a', { comment: 'gone' });
+            store.setAnnotation('c', { comment: 'stays' });
+
+            const removed = store.deleteEvents(['a', 'b', 'nonexistent']);
+
+            assert.deepStrictEqual(removed, ['a', 'b']);
+            assert.deepStrictEqual(store.getAll().map(event => event._id), ['c']);
+            assert.deepStrictEqual(Object.keys(store.getAnnotations()), ['c']);
+        });
+
+    });
+
+    describe('annotateEvents()', () => {
+
+        it('should annotate the listed events and skip unknown IDs', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }, { _id: 'b' }]);
+
+            const updated = store.annotateEvents(['a', 'b', 'nonexistent'], {
+                mitreTactic: 'TA0008',
+                mitreTechnique: 'T1021'
+            });
+
+            assert.deepStrictEqual(Object.keys(updated), ['a', 'b']);
+            assert.strictEqual(updated.a.mitreTechnique, 'T1021');
+            assert.strictEqual(updated.b.comment, '');
+            assert.deepStrictEqual(Object.keys(store.getAnnotations()), ['a', 'b']);
+        });
+
+        it('should keep existing values of fields left out', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }]);
+            store.setAnnotation('a', { comment: 'analyst note', mitreTactic: 'TA0001', mitreTechnique: 'T1078' });
+
+            store.annotateEvents(['a'], { mitreTactic: 'TA0008', mitreTechnique: '' });
+
+            const annotation = store.getAnnotations().a;
+            assert.strictEqual(annotation.comment, 'analyst note');
+            assert.strictEqual(annotation.mitreTactic, 'TA0008');
+            assert.strictEqual(annotation.mitreTechnique, '');
+        });
+
+    });
+
     describe('clear()', () => {
 
         it('should remove all events', () => {
@@ -285,6 +335,261 @@ describe('EventStore', () => {
             assert.deepStrictEqual(store.getAnnotations(), {});
         });
 
+        it('should restore profiles and the active profile from extras', () => {
+            const store = new EventStore();
+            const profiles = { p1: { id: 'p1', name: 'Winlog', fields: { host: ['winlog.computer_name'] }, updatedAt: 1 } };
+
+            store.load([], {}, { profiles, activeProfileId: 'p1' });
+
+            assert.deepStrictEqual(store.getProfiles(), profiles);
+            assert.strictEqual(store.activeProfileId, 'p1');
+        });
+
+        it('should drop an active profile ID that has no profile', () => {
+            const store = new EventStore();
+
+            store.load([], {}, { profiles: {}, activeProfileId: 'missing' });
+
+            assert.strictEqual(store.activeProfileId, null);
+        });
+
+    });
+
+    describe('import batches', () => {
+
+        const batch = { id: 'b1', fileName: 'conn.log', sourceType: 'Zeek log', importer: 'alice' };
+
+        it('should stamp added events and record the batch', () => {
+            const store = new EventStore();
+
+            const result = store.addEvents([{ _id: 'a' }, { _id: 'b' }], batch);
+
+            assert.ok(result.added.every(event => event._batch === 'b1'));
+            assert.strictEqual(result.batch.count, 2);
+            assert.strictEqual(result.batch.fileName, 'conn.log');
+            assert.strictEqual(typeof result.batch.importedAt, 'number');
+        });
+
+        it('should accumulate counts across chunks of one batch', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }], batch);
+
+            const result = store.addEvents([{ _id: 'a' }, { _id: 'b' }], batch);
+
+            assert.strictEqual(result.batch.count, 2);
+            assert.strictEqual(Object.keys(store.getBatches()).length, 1);
+        });
+
+        it('should not record a batch when every event is a duplicate', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }]);
+
+            const result = store.addEvents([{ _id: 'a' }], batch);
+
+            assert.strictEqual(result.batch, null);
+            assert.deepStrictEqual(store.getBatches(), {});
+        });
+
+        it('should drop a client-sent _batch so rollback only removes events of that batch', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }], batch);
+
+            const result = store.addEvents([{ _id: 'forged', _batch: 'b1' }, { _id: 'c', _batch: 'other' }]);
+
+            assert.ok(result.added.every(event => !('_batch' in event)));
+            assert.strictEqual(store.getBatches().b1.count, 1);
+            assert.strictEqual(store.deleteBatch('b1'), 1);
+            assert.deepStrictEqual(store.getAll().map(event => event._id), ['forged', 'c']);
+        });
+
+        it('should restamp a client-sent _batch with the batch it arrived in', () => {
+            const store = new EventStore();
+
+            const result = store.addEvents([{ _id: 'a', _batch: 'other' }], batch);
+
+            assert.strictEqual(result.added[0]._batch, 'b1');
+        });
+
+        it('should roll back a batch with its annotations', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'keep' }]);
+            store.addEvents([{ _id: 'a' }, { _id: 'b' }], batch);
+            store.setAnnotation('a', { comment: 'gone' });
+            store.setAnnotation('keep', { comment: 'stays' });
+
+            assert.strictEqual(store.deleteBatch('b1'), 2);
+            assert.deepStrictEqual(store.getAll().map(event => event._id), ['keep']);
+            assert.deepStrictEqual(Object.keys(store.getAnnotations()), ['keep']);
+            assert.deepStrictEqual(store.getBatches(), {});
+            assert.strictEqual(store.deleteBatch('b1'), null);
+        });
+
+        it('should take deleted events off their batch count', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }], batch);
+
+            store.deleteEvent('a');
+            store.deleteEvents(['b']);
+
+            assert.strictEqual(store.getBatches().b1.count, 1);
+            assert.strictEqual(store.deleteBatch('b1'), 1);
+        });
+
+        it('should keep batch IDs that name Object.prototype members apart from it', () => {
+            const store = new EventStore();
+
+            const result = store.addEvents([{ _id: 'a' }], { ...batch, id: '__proto__' });
+
+            assert.strictEqual(result.batch.count, 1);
+            assert.strictEqual(({}).count, undefined);
+            assert.strictEqual(store.deleteBatch('toString'), null);
+            assert.strictEqual(store.deleteBatch('constructor'), null);
+            assert.strictEqual(store.deleteBatch('__proto__'), 1);
+        });
+
+        it('should persist batches in extras and drop them on clear', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a' }], batch);
+
+            const restored = new EventStore();
+            restored.load(store.getAll(), {}, store.getExtras());
+            assert.strictEqual(restored.getBatches().b1.count, 1);
+
+            restored.clear();
+            assert.deepStrictEqual(restored.getBatches(), {});
+        });
+
+    });
+
+    describe('host clock offsets', () => {
+
+        it('should set, replace and remove a host offset', () => {
+            const store = new EventStore();
+
+            store.setHostOffset('dc01', 120000);
+            store.setHostOffset('ws02', -5000);
+            store.setHostOffset('dc01', 90000);
+            store.setHostOffset('ws02', 0);
+
+            assert.deepStrictEqual(store.getHostOffsets(), { dc01: 90000 });
+        });
+
+        it('should persist offsets in extras and keep them on clear', () => {
+            const store = new EventStore();
+            store.addEvents([{ _id: 'a', '@timestamp': '2024-01-15T10:00:00Z' }]);
+            store.setHostOffset('dc01', 120000);
+
+            const restored = new EventStore();
+            restored.load(store.getAll(), {}, store.getExtras());
+            restored.clear();
+
+            assert.deepStrictEqual(restored.getHostOffsets(), { dc01: 120000 });
+            assert.strictEqual(store.getAll()[0]['@timestamp'], '2024-01-15T10:00:00Z');
+        });
+
+    });
+
+    describe('lane layout', () => {
+
+        it('should start empty and fill in fields missing from older saves', () => {
+            const store = new EventStore();
+            assert.deepStrictEqual(store.getLaneLayout(), createEmptyLaneLayout());
+
+            store.load([], {}, { laneLayout: { pinned: ['dc01'] } });
+
+            assert.deepStrictEqual(store.getLaneLayout(), { ...createEmptyLaneLayout(), pinned: ['dc01'] });
+        });
+
+        it('should persist the layout in extras and keep it on clear', () => {
+            const store = new EventStore();
+            const layout = {
+                ...createEmptyLaneLayout(),
+                order: ['ws02', 'dc01'],
+                groups: [{ id: 'g1', name: 'Domain Controllers', hosts: ['dc01'], collapsed: true }]
+            };
+            store.setLaneLayout(layout);
+            layout.order.push('mutated');
+
+            const restored = new EventStore();
+            restored.load([], {}, store.getExtras());
+            restored.clear();
+
+            assert.deepStrictEqual(restored.getLaneLayout().order, ['ws02', 'dc01']);
+            assert.deepStrictEqual(restored.getLaneLayout().groups[0].hosts, ['dc01']);
+        });
+
+    });
+
+    describe('profiles', () => {
+
+        it('should assign an ID to new profiles', () => {
+            const store = new EventStore();
+
+            const saved = store.saveProfile({ name: 'Winlog', fields: { host: ['winlog.computer_name'] } });
+
+            assert.ok(saved.id);
+            assert.strictEqual(store.getProfiles()[saved.id].name, 'Winlog');
+        });
+
+        it('should replace a profile saved with an existing ID', () => {
+            const store = new EventStore();
+            const { id } = store.saveProfile({ name: 'Winlog', fields: {} });
+
+            store.saveProfile({ id, name: 'Renamed', fields: { timestamp: ['winlog.time_created'] } });
+
+            const profiles = store.getProfiles();
+            assert.strictEqual(Object.keys(profiles).length, 1);
+            assert.strictEqual(profiles[id].name, 'Renamed');
+            assert.deepStrictEqual(profiles[id].fields, { timestamp: ['winlog.time_created'] });
+        });
+
+        it('should reject activating an unknown profile', () => {
+            const store = new EventStore();
+
+            assert.strictEqual(store.setActiveProfile('missing'), false);
+            assert.strictEqual(store.activeProfileId, null);
+        });
+
+        it('should not take inherited object keys for profiles', () => {
+            const store = new EventStore();
+
+            for (const id of ['toString', 'constructor', '__proto__']) {
+                assert.strictEqual(store.setActiveProfile(id), false);
+                assert.strictEqual(store.deleteProfile(id), false);
+            }
+            assert.strictEqual(store.activeProfileId, null);
+
+            store.load([], {}, { profiles: {}, activeProfileId: 'hasOwnProperty' });
+            assert.strictEqual(store.activeProfileId, null);
+        });
+
+        it('should deactivate a profile when it is deleted', () => {
+            const store = new EventStore();
+            const { id } = store.saveProfile({ name: 'Winlog', fields: {} });
+            store.setActiveProfile(id);
+
+            assert.strictEqual(store.deleteProfile(id), true);
+            assert.strictEqual(store.activeProfileId, null);
+            assert.strictEqual(store.deleteProfile(id), false);
+        });
+
+        it('should keep profiles when the store is cleared', () => {
+            const store = new EventStore();
+            const { id } = store.saveProfile({ name: 'Winlog', fields: {} });
+            store.setActiveProfile(id);
+
+            store.clear();
+
+            assert.deepStrictEqual(store.getExtras(), {
+                profiles: store.getProfiles(),
+                activeProfileId: id,
+                batches: {},
+                hostOffsets: {},
+                laneLayout: createEmptyLaneLayout()
+            });
+            assert.strictEqual(Object.keys(store.getProfiles()).length, 1);
+        });
+
     });
 
 });
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createHitIndex } from '../client/hit-test.js';
+
+const T0 = Date.UTC(2024, 0, 15);
+
+// Minimal stand-in for a d3 time scale: 1px per second from T0
+const xScale = date => (date.getTime() - T0) / 1000;
+
+function item(id, seconds, y, extra = {}) {
+    return { event: { id, timestamp: new Date(T0 + seconds * 1000) }, y, clustered: false, ...extra };
+}
+
+function bar(id, startSeconds, endSeconds, y) {
+    const event = {
+        id,
+        timestamp: new Date(T0 + startSeconds * 1000),
+        span: { start: new Date(T0 + startSeconds * 1000), end: new Date(T0 + endSeconds * 1000) }
+    };
+    return { event, y, clustered: false };
+}
+
+const options = { xScale, width: 500, spanHeight: 8, radius: 8 };
+
+function hitId(index, x, y) {
+    return index.find(x, y)?.event.id ?? null;
+}
+
+describe('canvas hit testing', () => {
+
+    describe('createHitIndex()', () => {
+
+        it('should pick the nearest dot within the radius', () => {
+            const index = createHitIndex([item('a', 100, 50), item('b', 110, 50), item('c', 100, 80)], options);
+
+            assert.strictEqual(hitId(index, 103, 51), 'a');
+            assert.strictEqual(hitId(index, 108, 49), 'b');
+            assert.strictEqual(hitId(index, 100, 75), 'c');
+            assert.strictEqual(hitId(index, 100, 65), null);
+        });
+
+        it('should find dots across cell borders', () => {
+            const index = createHitIndex([item('a', 15, 15)], options);
+
+            assert.strictEqual(hitId(index, 17, 17), 'a');
+            assert.strictEqual(hitId(index, 7.5, 15), 'a');
+        });
+
+        it('should give overlapping dots to the one drawn last, like the SVG', () => {
+            const index = createHitIndex([item('under', 100, 50), item('over', 100, 50)], options);
+
+            assert.strictEqual(hitId(index, 101, 50), 'over');
+        });
+
+        it('should skip clustered dots and dots outside the drawn width', () => {
+            const index = createHitIndex([
+                item('clustered', 100, 50, { clustered: true }),
+                item('offscreen', -3, 50),
+                item('visible', 103, 50)
+            ], options);
+
+            assert.strictEqual(hitId(index, 100, 50), 'visible');
+            assert.strictEqual(hitId(index, 0, 50), null);
+        });
+
+        it('should prefer a dot over a bar it sits on', () => {
+            const index = createHitIndex([bar('session', 50, 300, 50), item('dot', 200, 50)], options);
+
+            assert.strictEqual(hitId(index, 202, 51), 'dot');
+            assert.strictEqual(hitId(index, 250, 52), 'session');
+            assert.strictEqual(hitId(index, 250, 60), null);
+        });
+
+        it('should find the dot of a bar at the bar\'s start, not its timestamp', () => {
+            const session = bar('session', 100, 300, 50);
+            session.event.timestamp = new Date(T0 + 300 * 1000);
+            const index = createHitIndex([session], options);
+
+            assert.strictEqual(hitId(index, 101, 56), 'session');
+            assert.strictEqual(hitId(index, 300, 57), null);
+        });
+
+        it('should give overlapping bars to the one drawn last', () => {
+            const index = createHitIndex([bar('long', 0, 400, 50), bar('short', 300, 350, 50)], options);
+
+            assert.strictEqual(hitId(index, 320, 50), 'short');
+            assert.strictEqual(hitId(index, 380, 50), 'long');
+        });
+
+        it('should find long bars in every cell they cross, and no bar off their row', () => {
+            const index = createHitIndex([bar('long', 30, 470, 50), bar('below', 0, 500, 90)], options);
+
+            for (const x of [40, 100.5, 255, 469, 470]) assert.strictEqual(hitId(index, x, 46), 'long');
+            assert.strictEqual(hitId(index, 20, 50), null);
+            assert.strictEqual(hitId(index, 471, 50), null);
+            assert.strictEqual(hitId(index, 250, 70), null);
+            assert.strictEqual(hitId(index, 250, 94), 'below');
+        });
+
+        it('should catch a bar whose start is scrolled out of view', () => {
+            const index = createHitIndex([bar('session', -100, 100, 50)], options);
+
+            assert.strictEqual(hitId(index, 60, 50), 'session');
+        });
+    });
+});
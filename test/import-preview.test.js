@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { collectFieldPaths, createImportStage, selectImportEvents, summarizeImport } from '../client/import-preview.js';
+import { parseEvents } from '../client/parser.js';
+
+function makeEvents() {
+    return parseEvents([
+        { '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'web01' }, event: { id: 'a', category: 'process' }, process: { pid: 1 } },
+        { '@timestamp': '2024-01-15T10:05:00Z', host: { name: 'web01' }, event: { id: 'b', category: 'network' } },
+        { '@timestamp': '2024-01-15T11:00:00Z', host: { name: 'db01' }, event: { id: 'c', category: 'process' } },
+        { '@timestamp': '2024-01-15T11:30:00Z', host: { name: 'db01' }, event: { id: 'c', category: 'process' } }
+    ]);
+}
+
+describe('Import preview', () => {
+
+    describe('collectFieldPaths()', () => {
+
+        it('should list populated leaf paths and skip empty values', () => {
+            const paths = collectFieldPaths({
+                host: { name: 'h1', ip: '' },
+                tags: ['a'],
+                labels: [],
+                user: null,
+                event: { id: 'x' }
+            });
+
+            assert.deepStrictEqual(paths.sort(), ['event.id', 'host.name', 'tags']);
+        });
+
+    });
+
+    describe('summarizeImport()', () => {
+
+        it('should report count, range, hosts and categories', () => {
+            const summary = summarizeImport(makeEvents());
+
+            assert.strictEqual(summary.total, 4);
+            assert.strictEqual(summary.earliest.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(summary.latest.toISOString(), '2024-01-15T11:30:00.000Z');
+            assert.deepStrictEqual(summary.hosts.map(h => h.name).sort(), ['db01', 'web01']);
+            assert.deepStrictEqual(summary.categories[0], { name: 'process', count: 3 });
+        });
+
+        it('should count events whose IDs are already in the timeline', () => {
+            const events = makeEvents();
+            const existing = new Set([events[0].id, events[2].id]);
+
+            assert.strictEqual(summarizeImport(events).duplicates, 0);
+            assert.strictEqual(summarizeImport(events, existing).duplicates, 3);
+        });
+
+        it('should build a field-presence histogram sorted by count', () => {
+            const summary = summarizeImport(makeEvents());
+            const byName = Object.fromEntries(summary.fields.map(f => [f.name, f.count]));
+
+            assert.strictEqual(byName['host.name'], 4);
+            assert.strictEqual(byName['process.pid'], 1);
+            assert.ok(summary.fields[0].count >= summary.fields[summary.fields.length - 1].count);
+        });
+
+        it('should return null bounds for an empty batch', () => {
+            const summary = summarizeImport([]);
+
+            assert.strictEqual(summary.total, 0);
+            assert.strictEqual(summary.earliest, null);
+            assert.strictEqual(summary.latest, null);
+        });
+
+    });
+
+    describe('selectImportEvents()', () => {
+
+        it('should drop excluded hosts', () => {
+            const events = makeEvents();
+            const hostname = events.find(e => e.raw.host.name === 'db01').host.hostname;
+
+            const selected = selectImportEvents(events, { excludedHosts: new Set([hostname]) });
+
+            assert.strictEqual(selected.length, 2);
+        });
+
+        it('should keep only events inside an inclusive time window', () => {
+            const selected = selectImportEvents(makeEvents(), {
+                start: new Date('2024-01-15T10:05:00Z'),
+                end: new Date('2024-01-15T11:00:00Z')
+            });
+
+            assert.strictEqual(selected.length, 2);
+        });
+
+        it('should keep everything without a selection', () => {
+            assert.strictEqual(selectImportEvents(makeEvents()).length, 4);
+        });
+
+    });
+
+    describe('createImportStage()', () => {
+
+        it('should summarize batches as a whole', () => {
+            const events = makeEvents();
+            const stage = createImportStage(new Set([events[0].id]));
+
+            stage.add(events.slice(0, 1));
+            stage.add(events.slice(1));
+
+            assert.deepStrictEqual(stage.summary(), summarizeImport(events, new Set([events[0].id])));
+        });
+
+        it('should keep the first events as the sample', () => {
+            const events = makeEvents();
+            const stage = createImportStage(new Set(), 3);
+
+            stage.add(events.slice(0, 2));
+            stage.add(events.slice(2));
+
+            assert.deepStrictEqual(stage.sample(), events.slice(0, 3));
+        });
+
+        it('should select from every staged batch', () => {
+            const events = makeEvents();
+            const stage = createImportStage();
+            stage.add(events.slice(0, 2));
+            stage.add(events.slice(2));
+            const selection = { excludedHosts: new Set([events[0].host.hostname]), start: new Date('2024-01-15T11:10:00Z') };
+
+            assert.deepStrictEqual(stage.select(selection), selectImportEvents(events, selection));
+            assert.deepStrictEqual(stage.select(selection).map(event => event.raw['@timestamp']), ['2024-01-15T11:30:00Z']);
+        });
+
+    });
+
+});
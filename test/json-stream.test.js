@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createJsonRecordSplitter } from '../client/formats/json-stream.js';
+
+/**
+ * Feed text to a fresh splitter in fixed-size chunks and collect everything it emits.
+ */
+function splitInChunks(text, chunkSize) {
+    const splitter = createJsonRecordSplitter();
+    const records = [];
+    const errors = [];
+
+    for (let i = 0; i < text.length; i += chunkSize) {
+        const out = splitter.push(text.slice(i, i + chunkSize));
+        records.push(...out.records);
+        errors.push(...out.errors);
+    }
+    const out = splitter.flush();
+    records.push(...out.records);
+    errors.push(...out.errors);
+
+    return { records, errors };
+}
+
+describe('createJsonRecordSplitter()', () => {
+
+    it('should split NDJSON across arbitrary chunk boundaries', () => {
+        const text = '{"a":1}\n{"a":2}\n{"a":3}\n';
+
+        const { records, errors } = splitInChunks(text, 4);
+
+        assert.deepStrictEqual(records, [{ a: 1 }, { a: 2 }, { a: 3 }]);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it('should report bad NDJSON lines without losing later lines', () => {
+        const text = '{"a":1}\n{"a":\n{"a":3}';
+
+        const { records, errors } = splitInChunks(text, 5);
+
+        assert.deepStrictEqual(records, [{ a: 1 }, { a: 3 }]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].line, 2);
+    });
+
+    it('should split a top-level JSON array into its elements', () => {
+        const text = JSON.stringify([{ a: 1 }, { b: { c: '}' } }], null, 2);
+
+        const { records, errors } = splitInChunks(text, 3);
+
+        assert.deepStrictEqual(records, [{ a: 1 }, { b: { c: '}' } }]);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it('should split pretty-printed back-to-back objects', () => {
+        const text = '{\n  "a": "x\\"{"\n}\n{\n  "a": 2\n}';
+
+        const { records } = splitInChunks(text, 2);
+
+        assert.deepStrictEqual(records, [{ a: 'x"{' }, { a: 2 }]);
+    });
+
+    it('should report a truncated trailing record', () => {
+        const { records, errors } = splitInChunks('[{"a":1},{"a":', 64);
+
+        assert.deepStrictEqual(records, [{ a: 1 }]);
+        assert.strictEqual(errors.length, 1);
+    });
+
+    it('should reject input that is not JSON', () => {
+        const { records, errors } = splitInChunks('time,host\n1,a', 64);
+
+        assert.deepStrictEqual(records, []);
+        assert.strictEqual(errors[0].message, 'Input does not appear to be valid JSON');
+    });
+
+});
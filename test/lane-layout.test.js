@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    addLaneGroup,
+    arrangeLanes,
+    createLaneScale,
+    groupRowKey,
+    moveLane,
+    removeLaneGroup,
+    setLaneGroup,
+    toggleLaneFlag,
+    updateLaneGroup
+} from '../client/lane-layout.js';
+import { createEmptyLaneLayout } from '../shared/lane-layout.js';
+
+const hosts = ['WS01', 'dc01', 'web01', 'ws02'].map(hostname => ({ hostname, ips: [] }));
+
+function layoutWith(changes) {
+    return { ...createEmptyLaneLayout(), ...changes };
+}
+
+function rowKeys(arrangement) {
+    return arrangement.rows.map(row => row.key);
+}
+
+describe('lane layout', () => {
+
+    describe('arrangeLanes()', () => {
+
+        it('should keep first-seen order without a layout', () => {
+            const arrangement = arrangeLanes(hosts);
+
+            assert.deepStrictEqual(rowKeys(arrangement), ['ws01', 'dc01', 'web01', 'ws02']);
+            assert.strictEqual(arrangement.laneOf.get('ws01'), 'ws01');
+            assert.deepStrictEqual(arrangement.hidden, []);
+        });
+
+        it('should order, pin, hide and collapse hosts', () => {
+            const arrangement = arrangeLanes(hosts, layoutWith({
+                order: ['ws02', 'web01'],
+                pinned: ['dc01'],
+                hidden: ['ws01'],
+                collapsed: ['web01']
+            }));
+
+            assert.deepStrictEqual(rowKeys(arrangement), ['dc01', 'ws02', 'web01']);
+            assert.strictEqual(arrangement.rows[0].pinned, true);
+            assert.strictEqual(arrangement.rows[2].collapsed, true);
+            assert.strictEqual(arrangement.laneOf.has('ws01'), false);
+            assert.deepStrictEqual(arrangement.hidden.map(host => host.hostname), ['WS01']);
+            assert.deepStrictEqual(arrangement.order, ['ws02', 'web01', 'ws01', 'dc01']);
+        });
+
+        it('should put grouped hosts under their group and merge a collapsed group into one lane', () => {
+            const groups = [
+                { id: 'dc', name: 'Domain Controllers', hosts: ['dc01'], collapsed: false },
+                { id: 'ws', name: 'Workstations', hosts: ['ws01', 'ws02'], collapsed: true },
+                { id: 'empty', name: 'DMZ', hosts: ['missing'], collapsed: false }
+            ];
+
+            const arrangement = arrangeLanes(hosts, layoutWith({ groups }));
+
+            assert.deepStrictEqual(rowKeys(arrangement), [groupRowKey('dc'), 'dc01', groupRowKey('ws'), 'web01']);
+            assert.strictEqual(arrangement.rows[1].groupId, 'dc');
+            assert.deepStrictEqual(arrangement.rows[2].hosts.map(host => host.hostname), ['WS01', 'ws02']);
+            assert.strictEqual(arrangement.laneOf.get('ws02'), groupRowKey('ws'));
+        });
+
+    });
+
+    describe('createLaneScale()', () => {
+
+        it('should stack rows by height and look up hosts in any case', () => {
+            const arrangement = arrangeLanes(hosts.slice(0, 2), layoutWith({ collapsed: ['dc01'] }));
+            const scale = createLaneScale(arrangement.rows, arrangement.laneOf, row => row.collapsed ? 20 : 100, [0, 120]);
+
+            assert.strictEqual(scale('WS01'), 5);
+            assert.strictEqual(scale.bandwidth('ws01'), 90);
+            assert.strictEqual(scale('dc01'), 101);
+            assert.strictEqual(scale.bandwidth('DC01'), 18);
+            assert.strictEqual(scale('unknown'), undefined);
+            assert.strictEqual(scale.bandwidth('unknown'), 0);
+        });
+
+        it('should stretch rows to fill a taller range', () => {
+            const arrangement = arrangeLanes(hosts.slice(0, 2));
+            const scale = createLaneScale(arrangement.rows, arrangement.laneOf, () => 50, [0, 200]);
+
+            assert.strictEqual(scale('dc01'), 105);
+            assert.strictEqual(scale.rows[1].height, 90);
+        });
+
+    });
+
+    describe('editing', () => {
+
+        it('should toggle flags without mutating the layout', () => {
+            const layout = createEmptyLaneLayout();
+
+            const pinned = toggleLaneFlag(layout, 'dc01', 'pinned');
+
+            assert.deepStrictEqual(pinned.pinned, ['dc01']);
+            assert.deepStrictEqual(layout.pinned, []);
+            assert.deepStrictEqual(toggleLaneFlag(pinned, 'dc01', 'pinned').pinned, []);
+        });
+
+        it('should manage groups', () => {
+            let layout = addLaneGroup(createEmptyLaneLayout(), 'DMZ');
+            layout = addLaneGroup(layout, 'Workstations');
+            const [dmz, workstations] = layout.groups.map(group => group.id);
+
+            layout = setLaneGroup(layout, 'web01', dmz);
+            layout = setLaneGroup(layout, 'web01', workstations);
+            layout = updateLaneGroup(layout, workstations, { collapsed: true });
+
+            assert.deepStrictEqual(layout.groups.map(group => group.hosts), [[], ['web01']]);
+            assert.strictEqual(layout.groups[1].collapsed, true);
+
+            layout = removeLaneGroup(layout, dmz);
+            assert.deepStrictEqual(addLaneGroup(layout, 'DMZ').groups.map(group => group.id), [workstations, 'g3']);
+        });
+
+        it('should move a lane and adopt the group and pin state where it is dropped', () => {
+            const layout = layoutWith({
+                pinned: ['ws02'],
+                groups: [{ id: 'dc', name: 'Domain Controllers', hosts: ['dc01'], collapsed: false }]
+            });
+            const arrangement = arrangeLanes(hosts, layout);
+
+            const intoGroup = moveLane(layout, arrangement, 'web01', 'dc01', false);
+            assert.deepStrictEqual(intoGroup.groups[0].hosts, ['dc01', 'web01']);
+            assert.deepStrictEqual(rowKeys(arrangeLanes(hosts, intoGroup)),
+                ['ws02', groupRowKey('dc'), 'web01', 'dc01', 'ws01']);
+
+            const pinned = moveLane(layout, arrangement, 'ws01', 'ws02', true);
+            assert.deepStrictEqual(pinned.pinned, ['ws02', 'ws01']);
+            assert.deepStrictEqual(rowKeys(arrangeLanes(hosts, pinned)).slice(0, 2), ['ws02', 'ws01']);
+
+            const unpinned = moveLane(layout, arrangement, 'ws02', 'web01', true);
+            assert.deepStrictEqual(unpinned.pinned, []);
+            assert.deepStrictEqual(rowKeys(arrangeLanes(hosts, unpinned)).slice(-2), ['web01', 'ws02']);
+
+            assert.strictEqual(moveLane(layout, arrangement, 'dc01', 'dc01', false), layout);
+        });
+
+    });
+
+});
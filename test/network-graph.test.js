@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildNetworkGraph, edgeLabel } from '../client/network-graph.js';
+
+function connection(eventId, time, sourceHost, destHost, extra = {}) {
+    return {
+        eventId,
+        timestamp: new Date(time),
+        sourceHost,
+        destHost,
+        destPort: null,
+        protocol: null,
+        bytes: null,
+        ...extra
+    };
+}
+
+const connections = [
+    connection('c1', '2024-01-15T10:00:00Z', 'ws-01', 'dc01', { destPort: 445, protocol: 'TCP', bytes: 1000 }),
+    connection('c2', '2024-01-15T10:05:00Z', 'ws-01', 'dc01', { destPort: 135, protocol: 'tcp', bytes: 500 }),
+    connection('c3', '2024-01-15T10:06:00Z', 'ws-01', 'dc01', { destPort: 445, protocol: 'tcp' }),
+    connection('c4', '2024-01-15T11:00:00Z', 'dc01', 'fs01', { destPort: 3389 }),
+    connection('c5', '2024-01-15T09:00:00Z', 'dc01', 'ws-01', { protocol: 'icmp' })
+];
+
+describe('Network graph', () => {
+
+    describe('buildNetworkGraph()', () => {
+
+        it('should aggregate connections into one directed edge per host pair', () => {
+            const { nodes, edges } = buildNetworkGraph(connections);
+
+            assert.deepStrictEqual(nodes.map(node => [node.id, node.count]), [['dc01', 5], ['fs01', 1], ['ws-01', 4]]);
+            assert.deepStrictEqual(edges.map(edge => [edge.source, edge.target, edge.count]),
+                [['dc01', 'ws-01', 1], ['ws-01', 'dc01', 3], ['dc01', 'fs01', 1]]);
+
+            const lateral = edges[1];
+            assert.strictEqual(lateral.bytes, 1500);
+            assert.deepStrictEqual(lateral.ports, [{ port: '445', count: 2 }, { port: '135', count: 1 }]);
+            assert.deepStrictEqual(lateral.protocols, ['tcp']);
+            assert.deepStrictEqual(lateral.first, new Date('2024-01-15T10:00:00Z'));
+            assert.deepStrictEqual(lateral.last, new Date('2024-01-15T10:06:00Z'));
+            assert.deepStrictEqual(lateral.eventIds, ['c1', 'c2', 'c3']);
+        });
+
+        it('should leave bytes null when no connection recorded any', () => {
+            const { edges } = buildNetworkGraph(connections);
+
+            assert.strictEqual(edges.find(edge => edge.target === 'fs01').bytes, null);
+        });
+
+        it('should only count connections inside the time range but keep every host', () => {
+            const { nodes, edges } = buildNetworkGraph(connections, {
+                start: new Date('2024-01-15T10:00:00Z'),
+                end: new Date('2024-01-15T10:05:00Z')
+            });
+
+            assert.deepStrictEqual(edges.map(edge => [edge.id, edge.count]), [['ws-01\u0000dc01', 2]]);
+            assert.deepStrictEqual(nodes.map(node => [node.id, node.active, node.count]),
+                [['dc01', true, 2], ['fs01', false, 0], ['ws-01', true, 2]]);
+        });
+
+        it('should return an empty graph without connections', () => {
+            assert.deepStrictEqual(buildNetworkGraph([]), { nodes: [], edges: [] });
+        });
+    });
+
+    describe('edgeLabel()', () => {
+
+        it('should list the most used ports and count the rest', () => {
+            const { edges } = buildNetworkGraph(['22', '80', '443', '8080', '8443'].map((port, i) =>
+                connection(`p${i}`, '2024-01-15T10:00:00Z', 'a', 'b', { destPort: port })));
+
+            assert.strictEqual(edgeLabel(edges[0]), '22, 80, 443 +2');
+        });
+
+        it('should fall back to the protocols', () => {
+            const { edges } = buildNetworkGraph(connections);
+
+            assert.strictEqual(edgeLabel(edges[0]), 'icmp');
+            assert.strictEqual(edgeLabel(edges[1]), '445, 135');
+        });
+    });
+});
@@ -3,7 +3,19 @@ import assert from 'node:assert';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { parseEvents, buildHostRegistry, identifyConnections, getNestedValue } from '../client/parser.js';
+import {
+    parseEvents,
+    parseEventsReport,
+    buildHostRegistry,
+    buildFieldLaneRegistry,
+    identifyConnections,
+    missingLaneName,
+    getNestedValue,
+    reparseEvents,
+    resolveFieldPaths,
+    toStoredDocument,
+    DEFAULT_FIELD_PATHS
+} from '../client/parser.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -302,6 +314,33 @@ describe('ECSParser', () => {
             assert.strictEqual(connections[0].protocol, 'tcp');
         });
 
+        it('should record the bytes a flow carried', () => {
+            const events = parseEvents([
+                {
+                    '@timestamp': '2024-01-15T10:30:00.000Z',
+                    'host': { 'hostname': 'ws-01' },
+                    'source': { 'ip': '10.0.0.5', 'bytes': 1200 },
+                    'destination': { 'ip': '10.0.0.9', 'bytes': 300 }
+                },
+                {
+                    '@timestamp': '2024-01-15T10:31:00.000Z',
+                    'host': { 'hostname': 'ws-01' },
+                    'source': { 'ip': '10.0.0.5', 'bytes': 1200 },
+                    'destination': { 'ip': '10.0.0.9' },
+                    'network': { 'bytes': 5000 }
+                },
+                {
+                    '@timestamp': '2024-01-15T10:32:00.000Z',
+                    'host': { 'hostname': 'ws-01' },
+                    'source': { 'ip': '10.0.0.5' },
+                    'destination': { 'ip': '10.0.0.9' }
+                }
+            ]);
+            const connections = identifyConnections(events, buildHostRegistry(events));
+
+            assert.deepStrictEqual(connections.map(conn => conn.bytes), [1500, 5000, null]);
+        });
+
         it('should skip localhost connections', () => {
             const events = parseEvents([
                 {
@@ -334,6 +373,77 @@ describe('ECSParser', () => {
 
     });
 
+    describe('buildFieldLaneRegistry()', () => {
+
+        const raw = [
+            { '@timestamp': '2024-01-15T10:30:00.000Z', host: { hostname: 'ws01', ip: '10.0.0.5' }, user: { name: 'alice' } },
+            { '@timestamp': '2024-01-15T10:31:00.000Z', host: { hostname: 'ws02', ip: '10.0.0.6' }, user: { name: ['Bob'] } },
+            { '@timestamp': '2024-01-15T10:32:00.000Z', host: { hostname: 'ws02', ip: '10.0.0.6' }, user: { name: 'bob' } },
+            { '@timestamp': '2024-01-15T10:33:00.000Z', host: { hostname: 'ws03' } }
+        ];
+
+        it('should lane events by field value, first seen spelling first', () => {
+            const events = parseEvents(raw);
+            const registry = buildFieldLaneRegistry(events, 'user.name');
+
+            assert.deepStrictEqual(registry.getHostList().map(lane => lane.hostname),
+                ['alice', 'Bob', missingLaneName('user.name')]);
+            assert.deepStrictEqual(events.map(event => registry.laneOf(event)),
+                ['alice', 'Bob', 'bob', '(no user.name)']);
+        });
+
+        it('should connect lanes through source and destination fields', () => {
+            const events = parseEvents([
+                ...raw,
+                {
+                    '@timestamp': '2024-01-15T10:34:00.000Z',
+                    host: { hostname: 'dc01' },
+                    source: { ip: '10.0.0.99', user: { name: 'alice' } },
+                    destination: { ip: '10.0.0.98', user: { name: 'bob' } }
+                }
+            ]);
+            const registry = buildFieldLaneRegistry(events, 'user.name');
+            const connections = identifyConnections(events, registry);
+
+            assert.strictEqual(connections.length, 1);
+            assert.strictEqual(connections[0].sourceHost, 'alice');
+            assert.strictEqual(connections[0].destHost, 'Bob');
+        });
+
+        it('should resolve IPs only when a single lane uses them', () => {
+            const events = parseEvents([
+                ...raw,
+                { '@timestamp': '2024-01-15T10:34:00.000Z', host: { hostname: 'ws02', ip: '10.0.0.6' }, user: { name: 'carol' } },
+                {
+                    '@timestamp': '2024-01-15T10:35:00.000Z',
+                    host: { hostname: 'fw' },
+                    source: { ip: '10.0.0.5' },
+                    destination: { ip: '10.0.0.6' }
+                }
+            ]);
+            const registry = buildFieldLaneRegistry(events, 'user.name');
+
+            assert.strictEqual(registry.resolveIp('10.0.0.5'), 'alice');
+            assert.strictEqual(registry.resolveIp('10.0.0.6'), '10.0.0.6');
+            const connections = identifyConnections(events, registry);
+            assert.strictEqual(connections[0].sourceHost, 'alice');
+            assert.strictEqual(connections[0].destHost, '10.0.0.6');
+        });
+
+        it('should pair source and destination fields of endpoint lane keys', () => {
+            const events = parseEvents([
+                { '@timestamp': '2024-01-15T10:30:00.000Z', source: { ip: '10.0.0.5' }, destination: { ip: '10.0.0.6' } },
+                { '@timestamp': '2024-01-15T10:31:00.000Z', source: { ip: '10.0.0.6' }, destination: { ip: '10.0.0.7' } }
+            ]);
+            const registry = buildFieldLaneRegistry(events, 'source.ip');
+            const connections = identifyConnections(events, registry);
+
+            assert.deepStrictEqual(connections.map(conn => [conn.sourceHost, conn.destHost]),
+                [['10.0.0.5', '10.0.0.6'], ['10.0.0.6', '10.0.0.7']]);
+        });
+
+    });
+
     describe('buildHostRegistry()', () => {
 
         it('should build registry from parsed events', () => {
@@ -390,6 +500,346 @@ describe('ECSParser', () => {
 
     });
 
+    describe('field mapping profiles', () => {
+
+        const profile = {
+            id: 'winlog',
+            name: 'Winlogbeat',
+            fields: {
+                timestamp: ['winlog.time_created'],
+                host: ['winlog.computer_name'],
+                summary: ['winlog.task'],
+                sourceIp: ['winlog.event_data.IpAddress'],
+                destIp: ['labels.target_ip']
+            }
+        };
+
+        const rawEvent = {
+            'winlog': {
+                'time_created': '2024-01-15T10:30:00.000Z',
+                'computer_name': 'DC01.corp.local',
+                'task': 'Logon',
+                'event_data': { 'IpAddress': '10.0.0.5' }
+            },
+            'labels': { 'target_ip': '10.0.0.10' },
+            'host': { 'name': 'collector' }
+        };
+
+        it('should put profile paths ahead of the ECS defaults', () => {
+            const fields = resolveFieldPaths(profile);
+
+            assert.deepStrictEqual(fields.host, ['winlog.computer_name', ...DEFAULT_FIELD_PATHS.host]);
+            assert.deepStrictEqual(fields.category, DEFAULT_FIELD_PATHS.category);
+            assert.strictEqual(resolveFieldPaths(null), DEFAULT_FIELD_PATHS);
+        });
+
+        it('should derive timestamp, host lane and summary from profile paths', () => {
+            const [event] = parseEvents([rawEvent], { profile });
+
+            assert.strictEqual(event.timestamp.toISOString(), '2024-01-15T10:30:00.000Z');
+            assert.strictEqual(event.host.hostname, 'DC01.corp.local');
+            assert.strictEqual(event.summary, 'Logon');
+        });
+
+        it('should skip events whose only timestamp is outside ECS without a profile', () => {
+            assert.strictEqual(parseEvents([rawEvent]).length, 0);
+        });
+
+        it('should detect connections from profile IP paths', () => {
+            const events = parseEvents([rawEvent], { profile });
+            const registry = buildHostRegistry(events, profile);
+
+            assert.strictEqual(identifyConnections(events, registry).length, 0);
+            const connections = identifyConnections(events, registry, profile);
+            assert.strictEqual(connections.length, 1);
+            assert.strictEqual(connections[0].sourceIp, '10.0.0.5');
+            assert.strictEqual(connections[0].destIp, '10.0.0.10');
+        });
+
+        it('should lane host-less events on the source host found through the profile IP path', () => {
+            const events = parseEvents([
+                { '@timestamp': '2024-01-15T10:00:00.000Z', host: { hostname: 'ws01', ip: '10.0.0.5' } },
+                {
+                    '@timestamp': '2024-01-15T10:01:00.000Z',
+                    host: { name: 'Unknown' },
+                    winlog: { event_data: { IpAddress: '10.0.0.5' } }
+                }
+            ], { profile });
+            const registry = buildHostRegistry(events, profile);
+
+            assert.strictEqual(events[1].host.hostname, 'Unknown');
+            assert.strictEqual(registry.laneOf(events[1]), 'ws01');
+            assert.strictEqual(buildHostRegistry(events).laneOf(events[1]), 'Unknown');
+        });
+
+        it('should re-derive loaded events while keeping their IDs', () => {
+            const events = parseEvents([{ ...rawEvent, '@timestamp': '2024-01-15T09:00:00.000Z' }]);
+            assert.strictEqual(events[0].host.hostname, 'collector');
+
+            const reparsed = reparseEvents(events, { profile });
+
+            assert.strictEqual(reparsed[0].id, events[0].id);
+            assert.strictEqual(reparsed[0].host.hostname, 'DC01.corp.local');
+            assert.strictEqual(reparsed[0].timestamp.toISOString(), '2024-01-15T10:30:00.000Z');
+        });
+
+    });
+
+    describe('naive timestamps', () => {
+
+        it('should read naive timestamps as UTC by default', () => {
+            const [event] = parseEvents([{ '@timestamp': '2024-01-15 10:00:00', host: { name: 'h1' } }]);
+
+            assert.strictEqual(event.timestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(event.timeZone, null);
+        });
+
+        it('should apply and record an assumed zone', () => {
+            const [event] = parseEvents(
+                [{ '@timestamp': '2024-01-15 10:00:00', host: { name: 'h1' } }],
+                { assumeZone: 'Europe/Berlin' }
+            );
+
+            assert.strictEqual(event.timestamp.toISOString(), '2024-01-15T09:00:00.000Z');
+            assert.strictEqual(event.timeZone, 'Europe/Berlin');
+
+            const [reloaded] = parseEvents([toStoredDocument(event)]);
+            assert.strictEqual(reloaded.timestamp.toISOString(), '2024-01-15T09:00:00.000Z');
+            assert.strictEqual(reloaded.timeZone, 'Europe/Berlin');
+        });
+
+        it('should fall back to the assumed zone when the stored zone is not one', () => {
+            const events = parseEvents([
+                { _id: 'bogus', _tz: 'Bogus/Zone', '@timestamp': '2024-01-15 10:00:00', host: { name: 'h1' } },
+                { _id: 'stored', _tz: 'America/New_York', '@timestamp': '2024-01-15 10:00:00', host: { name: 'h1' } }
+            ], { assumeZone: 'Europe/Berlin' });
+
+            assert.deepStrictEqual(events.map(event => [event.timestamp.toISOString(), event.timeZone]), [
+                ['2024-01-15T09:00:00.000Z', 'Europe/Berlin'],
+                ['2024-01-15T15:00:00.000Z', 'America/New_York']
+            ]);
+        });
+
+        it('should ignore the assumed zone for timestamps with an offset', () => {
+            const [event] = parseEvents(
+                [{ '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'h1' } }],
+                { assumeZone: 'Europe/Berlin' }
+            );
+
+            assert.strictEqual(event.timestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(event.timeZone, null);
+        });
+
+        it('should apply the assumed zone to year-first slashed dates', () => {
+            const events = parseEvents([
+                { _id: 'ymd', '@timestamp': '2024/01/15 11:00', host: { name: 'h1' } }
+            ], { assumeZone: 'Europe/Berlin' });
+
+            assert.deepStrictEqual(events.map(event => [event.timestamp.toISOString(), event.timeZone]), [
+                ['2024-01-15T10:00:00.000Z', 'Europe/Berlin']
+            ]);
+        });
+
+        it('should skip year-last slashed dates, whose day and month order it cannot know', () => {
+            const { events, records } = parseEventsReport([
+                { '@timestamp': '01/02/2024 10:00:00', host: { name: 'h1' } },
+                { '@timestamp': '31/12/2024 10:00:00', host: { name: 'h1' } }
+            ]);
+
+            assert.strictEqual(records, 2);
+            assert.strictEqual(events.length, 0);
+        });
+
+        it('should skip zone-less timestamps it cannot read as naive, instead of using the browser zone', () => {
+            const { events, records } = parseEventsReport([
+                { '@timestamp': 'Jan 15 2024 10:00:00', host: { name: 'h1' } },
+                { '@timestamp': 'Mon, 15 Jan 2024 10:00:00 GMT', host: { name: 'h1' } },
+                { '@timestamp': '2024-01-15', host: { name: 'h1' } }
+            ]);
+
+            assert.strictEqual(records - events.length, 1);
+            assert.deepStrictEqual(events.map(event => event.timestamp.toISOString()),
+                ['2024-01-15T10:00:00.000Z', '2024-01-15T00:00:00.000Z']);
+        });
+
+    });
+
+    describe('event spans', () => {
+
+        const span = event => event.span && [event.span.start.toISOString(), event.span.end.toISOString()];
+
+        it('should span event.start to event.end', () => {
+            const [event] = parseEvents([{
+                '@timestamp': '2024-01-15T10:00:00Z',
+                event: { start: '2024-01-15T10:00:00Z', end: '2024-01-15T10:30:00Z' }
+            }]);
+
+            assert.deepStrictEqual(span(event), ['2024-01-15T10:00:00.000Z', '2024-01-15T10:30:00.000Z']);
+        });
+
+        it('should derive the missing bound from event.duration in nanoseconds', () => {
+            const [fromTimestamp, fromEnd] = parseEvents([
+                { '@timestamp': '2024-01-15T10:00:00Z', event: { duration: 2500000000 } },
+                { '@timestamp': '2024-01-15T10:00:00Z', event: { end: '2024-01-15T10:00:10Z', duration: 4000000000 } }
+            ]);
+
+            assert.deepStrictEqual(span(fromTimestamp), ['2024-01-15T10:00:00.000Z', '2024-01-15T10:00:02.500Z']);
+            assert.deepStrictEqual(span(fromEnd), ['2024-01-15T10:00:06.000Z', '2024-01-15T10:00:10.000Z']);
+        });
+
+        it('should read naive bounds in the assumed zone', () => {
+            const [event] = parseEvents(
+                [{ '@timestamp': '2024-01-15 10:00:00', event: { end: '2024-01-15 11:00:00' } }],
+                { assumeZone: 'Europe/Berlin' }
+            );
+
+            assert.deepStrictEqual(span(event), ['2024-01-15T09:00:00.000Z', '2024-01-15T10:00:00.000Z']);
+        });
+
+        it('should leave point-in-time and inverted events without a span', () => {
+            const events = parseEvents([
+                { '@timestamp': '2024-01-15T10:00:00Z' },
+                { '@timestamp': '2024-01-15T10:00:00Z', event: { end: '2024-01-15T09:00:00Z' } },
+                { '@timestamp': '2024-01-15T10:00:00Z', event: { duration: 0 } }
+            ]);
+
+            assert.deepStrictEqual(events.map(event => event.span), [null, null, null]);
+        });
+
+    });
+
+    describe('import batches', () => {
+
+        it('should read _batch into batchId and write it back', () => {
+            const [event] = parseEvents([{ _id: 'e1', _batch: 'b1', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'h1' } }]);
+
+            assert.strictEqual(event.batchId, 'b1');
+            assert.strictEqual(event.raw._batch, undefined);
+            assert.strictEqual(toStoredDocument(event)._batch, 'b1');
+        });
+
+        it('should leave batchId null for events without a batch', () => {
+            const [event] = parseEvents([{ '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'h1' } }]);
+
+            assert.strictEqual(event.batchId, null);
+            assert.ok(!('_batch' in toStoredDocument(event)));
+        });
+
+    });
+
+    describe('parseEventsReport()', () => {
+
+        it('should report record count and unparseable lines for NDJSON', () => {
+            const text = [
+                '{"@timestamp":"2024-01-15T10:00:00Z","host":{"name":"h1"}}',
+                '{broken',
+                '{"host":{"name":"h2"}}'
+            ].join('\n');
+
+            const report = parseEventsReport(text);
+
+            assert.strictEqual(report.events.length, 1);
+            assert.strictEqual(report.records, 2);
+            assert.strictEqual(report.errors.length, 1);
+            assert.strictEqual(report.errors[0].line, 2);
+        });
+
+        it('should match parseEvents() for array input', () => {
+            const raw = [{ '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'h1' } }];
+
+            const report = parseEventsReport(raw);
+
+            assert.deepStrictEqual(report.errors, []);
+            assert.strictEqual(report.records, 1);
+            assert.strictEqual(report.events[0].id, parseEvents(raw)[0].id);
+        });
+
+    });
+
+    describe('Elasticsearch search responses', () => {
+
+        function hit(id, index, hostname, minute) {
+            return {
+                '_index': index,
+                '_id': id,
+                '_score': 1.0,
+                '_source': {
+                    '@timestamp': `2024-01-15T10:${minute}:00.000Z`,
+                    'host': { 'hostname': hostname },
+                    'event': { 'action': 'logon' }
+                }
+            };
+        }
+
+        function searchResponse(hits) {
+            return {
+                'took': 3,
+                'timed_out': false,
+                '_scroll_id': 'FGluY2x1ZGVfY29udGV4dF91dWlk',
+                'hits': { 'total': { 'value': hits.length, 'relation': 'eq' }, 'hits': hits }
+            };
+        }
+
+        it('should expand a _search response into its hits', () => {
+            const response = searchResponse([hit('a1', 'logs-endpoint-1', 'ws-01', '01'), hit('a2', 'logs-endpoint-1', 'ws-02', '02')]);
+            const events = parseEvents(JSON.stringify(response, null, 2));
+
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[0].id, 'a1');
+            assert.strictEqual(events[1].host.hostname, 'ws-02');
+        });
+
+        it('should expand _msearch responses', () => {
+            const events = parseEvents([{
+                'took': 5,
+                'responses': [
+                    searchResponse([hit('m1', 'logs-a', 'h1', '01')]),
+                    { 'error': { 'type': 'index_not_found_exception' }, 'status': 404 },
+                    searchResponse([hit('m2', 'logs-b', 'h2', '02')])
+                ]
+            }]);
+
+            assert.deepStrictEqual(events.map(event => event.id), ['m1', 'm2']);
+        });
+
+        it('should read concatenated pretty-printed scroll pages', () => {
+            const pages = [
+                searchResponse([hit('s1', 'logs-a', 'h1', '01')]),
+                searchResponse([hit('s2', 'logs-a', 'h1', '02'), hit('s3', 'logs-b', 'h2', '03')])
+            ].map(page => JSON.stringify(page, null, 2)).join('\n');
+
+            assert.deepStrictEqual(parseEvents(pages).map(event => event.id), ['s1', 's2', 's3']);
+        });
+
+        it('should read elasticdump NDJSON output', () => {
+            const dump = [hit('d1', 'logs-a', 'h1', '01'), hit('d2', 'logs-a', 'h1', '02')]
+                .map(line => JSON.stringify(line)).join('\n');
+
+            assert.deepStrictEqual(parseEvents(dump).map(event => event.id), ['d1', 'd2']);
+        });
+
+        it('should keep _index and _id as provenance', () => {
+            const [event] = parseEvents([hit('p1', 'logs-endpoint-2024.01.15', 'h1', '01')]);
+
+            assert.deepStrictEqual(event.provenance, { index: 'logs-endpoint-2024.01.15', id: 'p1' });
+            assert.strictEqual(event.raw._index, undefined);
+            assert.strictEqual(parseEvents([{ '@timestamp': '2024-01-15T10:00:00.000Z' }])[0].provenance, null);
+        });
+
+        it('should round-trip provenance through the stored document', () => {
+            const [event] = parseEvents([hit('r1', 'logs-a', 'h1', '01')]);
+            const stored = toStoredDocument(event);
+
+            assert.strictEqual(stored._index, 'logs-a');
+            assert.strictEqual(stored._id, 'r1');
+
+            const [reloaded] = parseEvents([stored]);
+            assert.deepStrictEqual(reloaded.provenance, event.provenance);
+            assert.deepStrictEqual(reloaded.raw, event.raw);
+        });
+
+    });
+
     describe('getNestedValue()', () => {
 
         it('should extract nested values', () => {
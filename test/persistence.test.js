@@ -63,6 +63,15 @@ describe('persistence', () => {
         assert.deepStrictEqual(loaded, { events, annotations });
     });
 
+    it('round-trips extra timeline settings alongside events', async () => {
+        const extras = { profiles: { p1: { id: 'p1', name: 'Winlog', fields: {} } }, activeProfileId: 'p1' };
+
+        await persistence.saveTimelineData('alpha', [], {}, extras);
+        const loaded = await persistence.loadTimelineData('alpha');
+
+        assert.deepStrictEqual(loaded, { ...extras, events: [], annotations: {} });
+    });
+
     it('deletes a timeline data file', async () => {
         await persistence.saveTimelineData('alpha', [{ _id: 'evt-1' }], {});
 
@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildProcessTrees, subtreeEvents } from '../client/process-tree.js';
+import { parseEvents } from '../client/parser.js';
+
+function processEvent(id, time, host, process, extra = {}) {
+    return {
+        _id: id,
+        '@timestamp': time,
+        host: { name: host },
+        event: { category: ['process'], type: ['start'] },
+        process,
+        ...extra
+    };
+}
+
+const names = nodes => nodes.map(node => node.name);
+
+describe('Process tree', () => {
+
+    describe('buildProcessTrees()', () => {
+
+        it('should link processes by entity ID, per host', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('cmd', '2024-01-15T10:01:00Z', 'ws-01',
+                    { entity_id: 'p2', pid: 200, name: 'cmd.exe', parent: { entity_id: 'p1' } }),
+                processEvent('explorer', '2024-01-15T10:00:00Z', 'ws-01', { entity_id: 'p1', pid: 100, name: 'explorer.exe' }),
+                processEvent('notepad', '2024-01-15T10:02:00Z', 'ws-01',
+                    { entity_id: 'p3', pid: 300, name: 'notepad.exe', parent: { entity_id: 'p1' } }),
+                processEvent('bash', '2024-01-15T10:00:00Z', 'db-01', { entity_id: 'p9', pid: 900, name: 'bash' })
+            ]));
+
+            assert.deepStrictEqual(hosts.map(entry => entry.host), ['db-01', 'ws-01']);
+            const [explorer] = hosts[1].roots;
+            assert.strictEqual(hosts[1].roots.length, 1);
+            assert.strictEqual(hosts[1].processCount, 3);
+            assert.strictEqual(explorer.name, 'explorer.exe');
+            assert.deepStrictEqual(names(explorer.children), ['cmd.exe', 'notepad.exe']);
+            assert.strictEqual(explorer.children[0].parentKey, explorer.key);
+            assert.deepStrictEqual(explorer.start, new Date('2024-01-15T10:00:00Z'));
+        });
+
+        it('should gather every event of a process and mark its end', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('start', '2024-01-15T10:00:00Z', 'ws-01', { entity_id: 'p1', pid: 100, name: 'powershell.exe' }),
+                {
+                    _id: 'end', '@timestamp': '2024-01-15T10:05:00Z', host: { name: 'ws-01' },
+                    event: { category: ['process'], type: ['end'] }, process: { entity_id: 'p1' }
+                }
+            ]));
+            const [node] = hosts[0].roots;
+
+            assert.deepStrictEqual(node.events.map(event => event.id), ['start', 'end']);
+            assert.deepStrictEqual(node.end, new Date('2024-01-15T10:05:00Z'));
+        });
+
+        it('should add a placeholder for a parent no event describes', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('cmd', '2024-01-15T10:01:00Z', 'ws-01', {
+                    entity_id: 'p2', pid: 200, name: 'cmd.exe',
+                    parent: { entity_id: 'p1', pid: 100, executable: 'C:\\Windows\\explorer.exe' }
+                })
+            ]));
+            const [parent] = hosts[0].roots;
+
+            assert.strictEqual(parent.placeholder, true);
+            assert.strictEqual(parent.name, 'explorer.exe');
+            assert.strictEqual(parent.pid, '100');
+            assert.deepStrictEqual(parent.events, []);
+            assert.deepStrictEqual(names(parent.children), ['cmd.exe']);
+        });
+
+        it('should link by PID to the process running under it at the time', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('first', '2024-01-15T10:00:00Z', 'ws-01', { pid: 100, name: 'first.exe' }),
+                processEvent('child', '2024-01-15T10:01:00Z', 'ws-01', { pid: 200, name: 'child.exe', parent: { pid: 100 } }),
+                processEvent('reused', '2024-01-15T10:02:00Z', 'ws-01', { pid: 100, name: 'second.exe' }),
+                {
+                    _id: 'later', '@timestamp': '2024-01-15T10:03:00Z', host: { name: 'ws-01' },
+                    event: { category: ['file'] }, process: { pid: 100 }, file: { path: '/tmp/a' }
+                }
+            ]));
+            const [first, second] = hosts[0].roots;
+
+            assert.deepStrictEqual(names(hosts[0].roots), ['first.exe', 'second.exe']);
+            assert.deepStrictEqual(names(first.children), ['child.exe']);
+            assert.deepStrictEqual(second.events.map(event => event.id), ['reused', 'later']);
+            assert.deepStrictEqual(first.events.map(event => event.id), ['first']);
+        });
+
+        it('should take the process start time from process.start', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                {
+                    _id: 'dns', '@timestamp': '2024-01-15T10:05:00Z', host: { name: 'ws-01' },
+                    event: { category: ['network'] }, dns: { question: { name: 'example.com' } },
+                    process: { pid: 100, name: 'curl', start: '2024-01-15T10:00:00Z' }
+                }
+            ]));
+            const [node] = hosts[0].roots;
+
+            assert.deepStrictEqual(node.start, new Date('2024-01-15T10:00:00Z'));
+            assert.deepStrictEqual(node.network.map(event => event.id), ['dns']);
+        });
+
+        it('should separate network and file activity', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('start', '2024-01-15T10:00:00Z', 'ws-01', { entity_id: 'p1', pid: 100, name: 'malware.exe' }),
+                {
+                    _id: 'conn', '@timestamp': '2024-01-15T10:01:00Z', host: { name: 'ws-01' },
+                    event: { category: ['network'] }, destination: { ip: '203.0.113.9' }, process: { entity_id: 'p1' }
+                },
+                {
+                    _id: 'write', '@timestamp': '2024-01-15T10:02:00Z', host: { name: 'ws-01' },
+                    event: { category: ['file'] }, file: { path: 'C:\\temp\\x.dll' }, process: { entity_id: 'p1' }
+                }
+            ]));
+            const [node] = hosts[0].roots;
+
+            assert.deepStrictEqual(node.network.map(event => event.id), ['conn']);
+            assert.deepStrictEqual(node.files.map(event => event.id), ['write']);
+        });
+
+        it('should read Sysmon records kept in winlog.event_data', () => {
+            const sysmon = (id, eventId, data) => ({
+                _id: id,
+                '@timestamp': '2024-01-15T10:00:00Z',
+                host: { name: 'ws-01' },
+                winlog: { provider_name: 'Microsoft-Windows-Sysmon', event_id: eventId, event_data: data }
+            });
+            const { hosts } = buildProcessTrees(parseEvents([
+                sysmon('create', '1', {
+                    ProcessGuid: '{b}', ProcessId: '200', Image: 'C:\\Windows\\System32\\cmd.exe',
+                    ParentProcessGuid: '{a}', ParentProcessId: '100', ParentImage: 'C:\\Windows\\explorer.exe'
+                }),
+                sysmon('connect', '3', { ProcessGuid: '{b}', ProcessId: '200', DestinationIp: '203.0.113.9' }),
+                sysmon('file', '11', { ProcessGuid: '{b}', ProcessId: '200', TargetFilename: 'C:\\temp\\x.txt' })
+            ]));
+            const [parent] = hosts[0].roots;
+            const [child] = parent.children;
+
+            assert.strictEqual(parent.name, 'explorer.exe');
+            assert.strictEqual(child.name, 'cmd.exe');
+            assert.strictEqual(child.entityId, '{b}');
+            assert.deepStrictEqual(child.network.map(event => event.id), ['connect']);
+            assert.deepStrictEqual(child.files.map(event => event.id), ['file']);
+        });
+
+        it('should leave out events that name no process', () => {
+            const { hosts, nodes } = buildProcessTrees(parseEvents([
+                { _id: 'login', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'ws-01' }, user: { name: 'alice' } }
+            ]));
+
+            assert.deepStrictEqual(hosts, []);
+            assert.strictEqual(nodes.size, 0);
+        });
+
+        it('should not loop on a process that names itself as parent', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('self', '2024-01-15T10:00:00Z', 'ws-01', { entity_id: 'p1', pid: 100, parent: { entity_id: 'p1' } })
+            ]));
+
+            assert.strictEqual(hosts[0].roots.length, 1);
+            assert.strictEqual(hosts[0].roots[0].parentKey, null);
+        });
+    });
+
+    describe('subtreeEvents()', () => {
+
+        it('should return the events of a process and its descendants in time order', () => {
+            const { hosts } = buildProcessTrees(parseEvents([
+                processEvent('grandchild', '2024-01-15T10:02:00Z', 'ws-01', { entity_id: 'p3', parent: { entity_id: 'p2' } }),
+                processEvent('root', '2024-01-15T10:00:00Z', 'ws-01', { entity_id: 'p1' }),
+                processEvent('child', '2024-01-15T10:01:00Z', 'ws-01', { entity_id: 'p2', parent: { entity_id: 'p1' } })
+            ]));
+
+            assert.deepStrictEqual(subtreeEvents(hosts[0].roots[0]).map(event => event.id), ['root', 'child', 'grandchild']);
+            assert.deepStrictEqual(subtreeEvents(hosts[0].roots[0].children[0]).map(event => event.id), ['child', 'grandchild']);
+        });
+    });
+});
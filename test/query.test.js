@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { appendQueryClause, compileQuery, fieldClause, parseQuery } from '../client/query.js';
+import { parseEvents } from '../client/parser.js';
+import { applyEventFilter, countFacetValues, createEmptyFilter } from '../client/event-filter.js';
+
+const events = parseEvents([
+    {
+        _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'ws-01' },
+        event: { category: 'process', outcome: 'success', severity: 2 },
+        user: { name: 'SYSTEM' }, process: { command_line: 'C:\\Windows\\System32\\svchost.exe -k netsvcs' }
+    },
+    {
+        _id: 'b', '@timestamp': '2024-01-15T11:00:00Z', host: { name: 'ws-02' },
+        event: { category: ['process'], outcome: 'failure', severity: 5, dataset: 'windows.sysmon' },
+        user: { name: 'alice' }, process: { command_line: 'mimikatz.exe sekurlsa::logonpasswords' }
+    },
+    {
+        _id: 'c', '@timestamp': '2024-01-15T12:00:00Z', host: { name: 'dc01' },
+        event: { category: 'authentication', outcome: 'failure' },
+        user: { name: 'bob' }, source: { ip: 'fe80::1' }
+    }
+]);
+
+function ids(query) {
+    const predicate = compileQuery(query);
+    return events.filter(event => !predicate || predicate(event)).map(event => event.id);
+}
+
+describe('Filter query language', () => {
+
+    describe('compileQuery()', () => {
+
+        it('should return null for a blank query', () => {
+            assert.strictEqual(compileQuery('   '), null);
+        });
+
+        it('should match field values case-insensitively, including array elements', () => {
+            assert.deepStrictEqual(ids('event.category:process'), ['a', 'b']);
+            assert.deepStrictEqual(ids('user.name:system'), ['a']);
+        });
+
+        it('should combine terms with and, or, not and parentheses', () => {
+            assert.deepStrictEqual(ids('event.category:process and not user.name:SYSTEM and host.name:ws-*'), ['b']);
+            assert.deepStrictEqual(ids('user.name:bob or (event.outcome:success)'), ['a', 'c']);
+            assert.deepStrictEqual(ids('event.outcome:failure user.name:bob'), ['c']);
+            assert.deepStrictEqual(ids('not not user.name:alice'), ['b']);
+        });
+
+        it('should match any of a list of values', () => {
+            assert.deepStrictEqual(ids('user.name:(alice or "bob")'), ['b', 'c']);
+        });
+
+        it('should treat * as a wildcard only in unquoted values', () => {
+            assert.deepStrictEqual(ids('host.name:ws*'), ['a', 'b']);
+            assert.deepStrictEqual(ids('host.name:"ws*"'), []);
+        });
+
+        it('should test whether a field exists', () => {
+            assert.deepStrictEqual(ids('event.dataset:*'), ['b']);
+            assert.deepStrictEqual(ids('not source.ip:*'), ['a', 'b']);
+        });
+
+        it('should take colons in values without quotes', () => {
+            assert.deepStrictEqual(ids('source.ip:fe80::1'), ['c']);
+        });
+
+        it('should compare numbers and timestamps', () => {
+            assert.deepStrictEqual(ids('event.severity >= 3'), ['b']);
+            assert.deepStrictEqual(ids('event.severity<3'), ['a']);
+            assert.deepStrictEqual(ids('@timestamp > "2024-01-15T10:30:00Z"'), ['b', 'c']);
+        });
+
+        it('should match bare words anywhere in the event', () => {
+            assert.deepStrictEqual(ids('mimikatz'), ['b']);
+            assert.deepStrictEqual(ids('"svchost.exe -k"'), ['a']);
+        });
+
+        it('should report malformed queries with a position', () => {
+            assert.throws(() => parseQuery('user.name:(alice or bob'), /Expected \) at end of query/);
+            assert.throws(() => parseQuery('and user.name:bob'), /Unexpected "and" at position 1/);
+            assert.throws(() => parseQuery('user.name:"bob'), /Unterminated quote at position 11/);
+            assert.throws(() => parseQuery('user.name:'), /Expected a value/);
+        });
+
+    });
+
+    describe('fieldClause() and appendQueryClause()', () => {
+
+        it('should match exactly the pivoted value, with quotes and wildcards taken literally', () => {
+            const clause = fieldClause('process.command_line', 'C:\\Windows\\System32\\svchost.exe -k netsvcs');
+            assert.deepStrictEqual(ids(clause), ['a']);
+            assert.deepStrictEqual(ids(fieldClause('user.name', 'ali*')), []);
+            assert.deepStrictEqual(parseQuery(fieldClause('user.name', 'say "hi"')).values[0].text, 'say "hi"');
+        });
+
+        it('should exclude the value', () => {
+            assert.deepStrictEqual(ids(fieldClause('source.ip', 'fe80::1', { exclude: true })), ['a', 'b']);
+        });
+
+        it('should narrow the existing query', () => {
+            assert.strictEqual(appendQueryClause('  ', 'user.name:"bob"'), 'user.name:"bob"');
+            assert.strictEqual(appendQueryClause('event.outcome:failure', 'user.name:"bob"'),
+                'event.outcome:failure and user.name:"bob"');
+            assert.strictEqual(appendQueryClause('user.name:alice or user.name:bob', 'not host.name:"dc01"'),
+                '(user.name:alice or user.name:bob) and not host.name:"dc01"');
+            assert.deepStrictEqual(ids(appendQueryClause('user.name:alice or user.name:bob', 'not host.name:"dc01"')), ['b']);
+        });
+
+        it('should keep a malformed query as typed', () => {
+            assert.strictEqual(appendQueryClause('user.name:(', 'user.name:"bob"'), 'user.name:( and user.name:"bob"');
+        });
+
+    });
+
+    describe('applyEventFilter()', () => {
+
+        it('should let everything through an empty filter', () => {
+            const result = applyEventFilter(events, new Map(), createEmptyFilter());
+
+            assert.strictEqual(result.active, false);
+            assert.strictEqual(result.events, events);
+            assert.strictEqual(result.matches, null);
+        });
+
+        it('should OR values within a facet and AND facets with the query', () => {
+            const annotations = new Map([['c', { comment: 'spray' }]]);
+            const filter = {
+                ...createEmptyFilter(),
+                query: 'event.outcome:failure',
+                facets: { host: ['ws-02', 'dc01'], annotation: ['annotated'] }
+            };
+
+            const result = applyEventFilter(events, annotations, filter);
+
+            assert.strictEqual(result.active, true);
+            assert.deepStrictEqual(result.events.map(event => event.id), ['c']);
+            assert.deepStrictEqual([...result.matches], ['c']);
+        });
+
+        it('should ignore a malformed query but keep facets and report the error', () => {
+            const filter = { ...createEmptyFilter(), query: 'user.name:(', facets: { category: ['authentication'] } };
+
+            const result = applyEventFilter(events, new Map(), filter);
+
+            assert.match(result.error, /Expected a value/);
+            assert.deepStrictEqual(result.events.map(event => event.id), ['c']);
+        });
+
+    });
+
+    describe('countFacetValues()', () => {
+
+        it('should count values most common first, with missing values grouped', () => {
+            const counts = countFacetValues(events, new Map([['a', {}]]));
+
+            assert.deepStrictEqual(counts.category, [
+                { value: 'process', count: 2 },
+                { value: 'authentication', count: 1 }
+            ]);
+            assert.deepStrictEqual(counts.outcome[0], { value: 'failure', count: 2 });
+            assert.deepStrictEqual(counts.dataset, [
+                { value: '(none)', count: 2 },
+                { value: 'windows.sysmon', count: 1 }
+            ]);
+            assert.deepStrictEqual(counts.annotation, [
+                { value: 'not annotated', count: 2 },
+                { value: 'annotated', count: 1 }
+            ]);
+        });
+
+    });
+
+});
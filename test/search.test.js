@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSearchMatcher, findSearchHits, stepSearchHit } from '../client/search.js';
+import { parseEvents } from '../client/parser.js';
+
+const events = parseEvents([
+    {
+        _id: 'late', '@timestamp': '2024-01-15T12:00:00Z', host: { name: 'ws-01' },
+        process: { command_line: 'powershell -enc SQBFAFgA', hash: { sha256: 'AB12CD34' } }
+    },
+    {
+        _id: 'early', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'ws-02' },
+        process: { command_line: 'cmd.exe /c whoami' }, destination: { ip: '10.0.0.50', port: 445 }
+    },
+    {
+        _id: 'other', '@timestamp': '2024-01-15T11:00:00Z', host: { name: 'dc01' },
+        file: { hash: { sha256: ['ab12cd34', 'ffff'] } }
+    }
+]);
+
+function hits(text, options) {
+    return findSearchHits(events, createSearchMatcher(text, options)).map(event => event.id);
+}
+
+describe('Event search', () => {
+
+    describe('createSearchMatcher()', () => {
+
+        it('should return null for an empty search', () => {
+            assert.strictEqual(createSearchMatcher(''), null);
+        });
+
+        it('should find text in any raw field, case-insensitively, earliest first', () => {
+            assert.deepStrictEqual(hits('AB12cd'), ['other', 'late']);
+            assert.deepStrictEqual(hits('whoami'), ['early']);
+            assert.deepStrictEqual(hits('445'), ['early']);
+        });
+
+        it('should search a single field when one is given', () => {
+            assert.deepStrictEqual(hits('ab12cd34', { field: 'process.hash.sha256' }), ['late']);
+            assert.deepStrictEqual(hits('ffff', { field: 'file.hash.sha256' }), ['other']);
+            assert.deepStrictEqual(hits('whoami', { field: 'host.name' }), []);
+        });
+
+        it('should match regular expressions', () => {
+            assert.deepStrictEqual(hits('-enc\\s+[a-z0-9+/=]{8,}', { regex: true }), ['late']);
+            assert.deepStrictEqual(hits('^10\\.0\\.0\\.\\d+$', { regex: true, field: 'destination.ip' }), ['early']);
+        });
+
+        it('should reject invalid regular expressions', () => {
+            assert.throws(() => createSearchMatcher('(', { regex: true }), /Invalid regular expression/);
+        });
+
+    });
+
+    describe('stepSearchHit()', () => {
+
+        it('should step through hits and wrap around', () => {
+            assert.strictEqual(stepSearchHit(3, -1, 1), 0);
+            assert.strictEqual(stepSearchHit(3, -1, -1), 2);
+            assert.strictEqual(stepSearchHit(3, 2, 1), 0);
+            assert.strictEqual(stepSearchHit(3, 0, -1), 2);
+            assert.strictEqual(stepSearchHit(0, -1, 1), -1);
+        });
+
+    });
+
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    buildExportDocument,
+    eventsTimeRange,
+    exportMetadataToRestore,
+    selectBrushedEvents,
+    selectionToJson
+} from '../client/selection.js';
+import { expandRecordContainers, parseEvents, parseEventsReport, readExportMetadata } from '../client/parser.js';
+import { createJsonRecordSplitter } from '../client/formats/json-stream.js';
+
+const events = parseEvents([
+    { _id: 'late', '@timestamp': '2024-01-15T12:00:00Z', host: { name: 'ws-01' } },
+    { _id: 'early', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'ws-01' } },
+    { _id: 'other-lane', '@timestamp': '2024-01-15T11:00:00Z', host: { name: 'dc01' } },
+    {
+        _id: 'session', '@timestamp': '2024-01-15T10:30:00Z', host: { name: 'ws-01' },
+        event: { start: '2024-01-15T10:30:00Z', end: '2024-01-15T13:00:00Z' }
+    }
+]);
+const byId = id => events.find(event => event.id === id);
+
+// ws-01 occupies y 100-160, dc01 y 160-220
+const bands = { 'ws-01': [100, 160], dc01: [160, 220] };
+const laneBand = lane => bands[lane];
+const items = events.map(event => ({ event, lane: event.host.hostname, row: 0 }));
+
+function select(area, fromItems = items) {
+    return selectBrushedEvents(fromItems, area, laneBand).map(event => event.id);
+}
+
+describe('Event selection', () => {
+
+    describe('selectBrushedEvents()', () => {
+
+        it('should select events of the brushed lanes within the time range, in time order', () => {
+            const ids = select({
+                start: new Date('2024-01-15T09:00:00Z'),
+                end: new Date('2024-01-15T12:30:00Z'),
+                top: 120,
+                bottom: 130
+            });
+
+            assert.deepStrictEqual(ids, ['early', 'session', 'late']);
+        });
+
+        it('should take every lane the rectangle overlaps', () => {
+            const ids = select({
+                start: new Date('2024-01-15T10:45:00Z'),
+                end: new Date('2024-01-15T12:30:00Z'),
+                top: 150,
+                bottom: 170
+            });
+
+            assert.deepStrictEqual(ids, ['other-lane', 'late']);
+        });
+
+        it('should leave out events the filter dims', () => {
+            const dimmed = items.map(item => ({ ...item, dimmed: item.event.id === 'early' }));
+            const ids = select({
+                start: new Date('2024-01-15T09:00:00Z'),
+                end: new Date('2024-01-15T10:45:00Z'),
+                top: 100,
+                bottom: 220
+            }, dimmed);
+
+            assert.deepStrictEqual(ids, ['session']);
+        });
+
+    });
+
+    describe('eventsTimeRange()', () => {
+
+        it('should cover timestamps and the end of bars', () => {
+            const range = eventsTimeRange([byId('early'), byId('session')]);
+
+            assert.deepStrictEqual(range.map(date => date.toISOString()),
+                ['2024-01-15T10:00:00.000Z', '2024-01-15T13:00:00.000Z']);
+        });
+
+        it('should start at a bar that begins before its timestamp', () => {
+            const [logoff] = parseEvents([{
+                _id: 'logoff', '@timestamp': '2024-01-15T13:00:00Z', host: { name: 'ws-01' },
+                event: { start: '2024-01-15T09:00:00Z' }
+            }]);
+
+            assert.deepStrictEqual(eventsTimeRange([logoff]).map(date => date.toISOString()),
+                ['2024-01-15T09:00:00.000Z', '2024-01-15T13:00:00.000Z']);
+            assert.deepStrictEqual(select({ start: new Date('2024-01-15T08:30:00Z'), end: new Date('2024-01-15T09:30:00Z'),
+                top: 110, bottom: 150 }, [{ event: logoff, lane: 'ws-01', row: 0 }]), ['logoff']);
+        });
+
+        it('should return null for no events', () => {
+            assert.strictEqual(eventsTimeRange([]), null);
+        });
+
+    });
+
+    describe('buildExportDocument()', () => {
+
+        it('should export the events with only their own annotations', () => {
+            const annotations = new Map([
+                ['early', { comment: 'kept' }],
+                ['late', { comment: 'not exported' }]
+            ]);
+            const exported = buildExportDocument([byId('early')], annotations, new Map([['ws-01', 5000]]));
+
+            assert.deepStrictEqual(exported.events.map(event => event._id), ['early']);
+            assert.deepStrictEqual(exported.annotations, { early: { comment: 'kept' } });
+            assert.deepStrictEqual(exported.hostOffsets, { 'ws-01': 5000 });
+            assert.ok(!Number.isNaN(Date.parse(exported.exportedAt)));
+        });
+
+        it('should round-trip through intake with its annotations and host offsets', () => {
+            const annotations = new Map([['early', { comment: 'kept', mitreTactic: 'TA0008', mitreTechnique: '' }]]);
+            const text = JSON.stringify(buildExportDocument(events, annotations, new Map([['ws-01', 5000]])), null, 2);
+
+            const report = parseEventsReport(text);
+
+            assert.deepStrictEqual(report.events.map(event => [event.id, event.timestamp.toISOString()]),
+                events.map(event => [event.id, event.timestamp.toISOString()]));
+            assert.deepStrictEqual(report.events.find(event => event.id === 'session').span, byId('session').span);
+            assert.deepStrictEqual(report.exportMetadata, {
+                annotations: { early: { comment: 'kept', mitreTactic: 'TA0008', mitreTechnique: '' } },
+                hostOffsets: { 'ws-01': 5000 }
+            });
+        });
+
+        it('should unwrap an export split from a file stream', () => {
+            const splitter = createJsonRecordSplitter();
+            const exported = JSON.stringify(buildExportDocument([byId('early')], new Map(), new Map()), null, 2);
+            const documents = [...splitter.push(exported).records, ...splitter.flush().records];
+
+            assert.deepStrictEqual(expandRecordContainers(documents).map(record => record._id), ['early']);
+            assert.deepStrictEqual(readExportMetadata(documents), { annotations: {}, hostOffsets: {} });
+        });
+
+    });
+
+    describe('exportMetadataToRestore()', () => {
+
+        const metadata = {
+            annotations: { early: { comment: 'a' }, late: { comment: 'b' }, 'other-lane': { comment: 'c' } },
+            hostOffsets: { 'ws-01': 5000, dc01: -2000 }
+        };
+
+        it('should restore annotations of committed events and offsets of hosts without one', () => {
+            const restore = exportMetadataToRestore(metadata, [byId('early'), byId('late')],
+                new Map([['late', { comment: 'already here' }]]), new Map([['dc01', 1000]]));
+
+            assert.deepStrictEqual(restore, {
+                annotations: [['early', { comment: 'a' }]],
+                hostOffsets: [['ws-01', 5000]]
+            });
+        });
+
+        it('should restore nothing without export metadata', () => {
+            assert.deepStrictEqual(exportMetadataToRestore(null, events, new Map(), new Map()),
+                { annotations: [], hostOffsets: [] });
+        });
+
+    });
+
+    describe('selectionToJson()', () => {
+
+        it('should round-trip through the parser with the same IDs', () => {
+            const json = selectionToJson([byId('early'), byId('late')]);
+
+            assert.deepStrictEqual(parseEvents(JSON.parse(json)).map(event => event.id), ['early', 'late']);
+        });
+
+    });
+
+});
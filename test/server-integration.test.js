@@ -237,6 +237,7 @@ describe('Server WebSocket integration', () => {
                 type: 'ADD_EVENTS',
                 events: [{
                     _id: 'room-alpha-event',
+                    _tz: 'Bogus/Zone',
                     '@timestamp': '2024-01-01T00:00:00.000Z',
                     host: { hostname: 'alpha-host' }
                 }]
@@ -247,6 +248,7 @@ describe('Server WebSocket integration', () => {
 
             assert.strictEqual(confirmation.count, 1);
             assert.strictEqual(broadcast.events[0]._id, 'room-alpha-event');
+            assert.strictEqual('_tz' in broadcast.events[0], false);
 
             await beta.expectNoMessage('EVENTS_ADDED');
         } finally {
@@ -302,6 +304,236 @@ describe('Server WebSocket integration', () => {
         }
     });
 
+    it('annotates and deletes many events with one bulk message each', async () => {
+        const writer = await createClient();
+        const reader = await createClient();
+
+        try {
+            writer.send({ type: 'CREATE_TIMELINE', name: 'Bulk actions' });
+            const created = await writer.waitFor('TIMELINE_CREATED');
+            await reader.waitFor('TIMELINE_CREATED', message => message.timeline.id === created.timeline.id);
+
+            writer.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            reader.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            await writer.waitFor('JOINED_TIMELINE');
+            await reader.waitFor('JOINED_TIMELINE');
+
+            writer.send({
+                type: 'ADD_EVENTS',
+                events: ['a', 'b', 'c'].map(id => ({
+                    _id: id,
+                    '@timestamp': '2024-02-02T00:00:00.000Z',
+                    host: { hostname: 'bulk-host' }
+                }))
+            });
+            await writer.waitFor('ADD_CONFIRMED');
+            await reader.waitFor('EVENTS_ADDED');
+
+            writer.send({ type: 'ANNOTATE_EVENT', eventId: 'a', comment: 'Keep me' });
+            await reader.waitFor('ANNOTATION_UPDATED');
+
+            writer.send({ type: 'ANNOTATE_EVENTS', eventIds: 'a', mitreTactic: 'TA0008' });
+            const invalid = await writer.waitFor('ERROR');
+            assert.strictEqual(invalid.message, 'ANNOTATE_EVENTS: eventIds must be an array of 1 to 10000 IDs');
+
+            writer.send({
+                type: 'ANNOTATE_EVENTS',
+                eventIds: ['a', 'b', 'missing'],
+                mitreTactic: 'TA0008',
+                mitreTechnique: 'T1021'
+            });
+            const annotated = await reader.waitFor('ANNOTATIONS_UPDATED');
+            assert.deepStrictEqual(Object.keys(annotated.annotations), ['a', 'b']);
+            assert.strictEqual(annotated.annotations.a.comment, 'Keep me');
+            assert.strictEqual(annotated.annotations.b.mitreTechnique, 'T1021');
+
+            reader.send({ type: 'DELETE_EVENTS', eventIds: ['a', 'c', 'missing'] });
+            const deleted = await writer.waitFor('EVENTS_DELETED');
+            assert.deepStrictEqual(deleted.eventIds, ['a', 'c']);
+
+            writer.send({ type: 'REQUEST_SYNC' });
+            const sync = await writer.waitFor('SYNC');
+            assert.deepStrictEqual(sync.events.map(event => event._id), ['b']);
+            assert.deepStrictEqual(Object.keys(sync.annotations), ['b']);
+        } finally {
+            await writer.close();
+            await reader.close();
+        }
+    });
+
+    it('shares field mapping profiles within a timeline and includes them on join', async () => {
+        const writer = await createClient();
+        const reader = await createClient();
+
+        try {
+            writer.send({ type: 'CREATE_TIMELINE', name: 'Profiles' });
+            const created = await writer.waitFor('TIMELINE_CREATED');
+            await reader.waitFor('TIMELINE_CREATED', message => message.timeline.id === created.timeline.id);
+
+            writer.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const joined = await writer.waitFor('JOINED_TIMELINE');
+            assert.deepStrictEqual(joined.profiles, {});
+            assert.strictEqual(joined.activeProfileId, null);
+
+            writer.send({ type: 'SAVE_PROFILE', profile: { name: 'Winlog', fields: { host: 'winlog.computer_name' } } });
+            const invalid = await writer.waitFor('ERROR');
+            assert.strictEqual(invalid.message, 'SAVE_PROFILE: invalid fields');
+
+            writer.send({
+                type: 'SAVE_PROFILE',
+                profile: { name: ' Winlog ', fields: { host: [' winlog.computer_name '], unknown: ['x'] } }
+            });
+            const saved = await writer.waitFor('PROFILE_SAVED');
+            assert.strictEqual(saved.profile.name, 'Winlog');
+            assert.deepStrictEqual(saved.profile.fields, { host: ['winlog.computer_name'] });
+
+            writer.send({ type: 'SET_ACTIVE_PROFILE', profileId: saved.profile.id });
+            await writer.waitFor('ACTIVE_PROFILE_CHANGED');
+
+            reader.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const readerJoined = await reader.waitFor('JOINED_TIMELINE');
+            assert.strictEqual(readerJoined.activeProfileId, saved.profile.id);
+            assert.strictEqual(readerJoined.profiles[saved.profile.id].name, 'Winlog');
+
+            writer.send({ type: 'DELETE_PROFILE', profileId: saved.profile.id });
+            const deleted = await reader.waitFor('PROFILE_DELETED');
+            assert.strictEqual(deleted.profileId, saved.profile.id);
+            assert.strictEqual(deleted.activeProfileId, null);
+        } finally {
+            await writer.close();
+            await reader.close();
+        }
+    });
+
+    it('records import batches and rolls them back for every client', async () => {
+        const writer = await createClient();
+        const reader = await createClient();
+
+        try {
+            writer.send({ type: 'CREATE_TIMELINE', name: 'Batches' });
+            const created = await writer.waitFor('TIMELINE_CREATED');
+            await reader.waitFor('TIMELINE_CREATED', message => message.timeline.id === created.timeline.id);
+
+            writer.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            reader.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            await writer.waitFor('JOINED_TIMELINE');
+            await reader.waitFor('JOINED_TIMELINE');
+
+            const BATCH_ID = '0123456789abcdef01234567';
+            const event = { _id: 'batched', '@timestamp': '2024-01-01T00:00:00.000Z', host: { hostname: 'h1' } };
+            writer.send({ type: 'ADD_EVENTS', events: [event], batch: { id: 42 } });
+            const invalid = await writer.waitFor('ERROR');
+            assert.strictEqual(invalid.message, 'ADD_EVENTS: invalid batch id');
+            writer.send({ type: 'ADD_EVENTS', events: [event], batch: { id: '__proto__' } });
+            const inherited = await writer.waitFor('ERROR');
+            assert.strictEqual(inherited.message, 'ADD_EVENTS: invalid batch id');
+
+            writer.send({
+                type: 'ADD_EVENTS',
+                events: [event],
+                batch: { id: BATCH_ID, fileName: ' dump.ndjson ', sourceType: 'NDJSON', importer: 'alice' }
+            });
+            const confirmation = await writer.waitFor('ADD_CONFIRMED');
+            const broadcast = await reader.waitFor('EVENTS_ADDED');
+            assert.strictEqual(confirmation.batch.fileName, 'dump.ndjson');
+            assert.strictEqual(broadcast.batch.importer, 'alice');
+            assert.strictEqual(broadcast.events[0]._batch, BATCH_ID);
+
+            reader.send({ type: 'DELETE_BATCH', batchId: BATCH_ID });
+            const deleted = await writer.waitFor('BATCH_DELETED');
+            assert.strictEqual(deleted.batchId, BATCH_ID);
+            assert.strictEqual(deleted.count, 1);
+
+            writer.send({ type: 'REQUEST_SYNC' });
+            const sync = await writer.waitFor('SYNC');
+            assert.deepStrictEqual(sync.events, []);
+            assert.deepStrictEqual(sync.batches, {});
+        } finally {
+            await writer.close();
+            await reader.close();
+        }
+    });
+
+    it('shares host clock offsets within a timeline and includes them on join', async () => {
+        const writer = await createClient();
+        const reader = await createClient();
+
+        try {
+            writer.send({ type: 'CREATE_TIMELINE', name: 'Clock skew' });
+            const created = await writer.waitFor('TIMELINE_CREATED');
+            await reader.waitFor('TIMELINE_CREATED', message => message.timeline.id === created.timeline.id);
+
+            writer.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const joined = await writer.waitFor('JOINED_TIMELINE');
+            assert.deepStrictEqual(joined.hostOffsets, {});
+
+            writer.send({ type: 'SET_HOST_OFFSET', host: 'DC01', offsetMs: 1.5 });
+            const invalid = await writer.waitFor('ERROR');
+            assert.strictEqual(invalid.message, 'SET_HOST_OFFSET: invalid offsetMs');
+
+            writer.send({ type: 'SET_HOST_OFFSET', host: ' DC01 ', offsetMs: -90000 });
+            const changed = await writer.waitFor('HOST_OFFSET_CHANGED');
+            assert.strictEqual(changed.host, 'dc01');
+            assert.strictEqual(changed.offsetMs, -90000);
+
+            reader.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const readerJoined = await reader.waitFor('JOINED_TIMELINE');
+            assert.deepStrictEqual(readerJoined.hostOffsets, { dc01: -90000 });
+        } finally {
+            await writer.close();
+            await reader.close();
+        }
+    });
+
+    it('shares the lane layout within a timeline and includes it on join', async () => {
+        const writer = await createClient();
+        const reader = await createClient();
+
+        try {
+            writer.send({ type: 'CREATE_TIMELINE', name: 'Lanes' });
+            const created = await writer.waitFor('TIMELINE_CREATED');
+            await reader.waitFor('TIMELINE_CREATED', message => message.timeline.id === created.timeline.id);
+
+            writer.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const joined = await writer.waitFor('JOINED_TIMELINE');
+            assert.deepStrictEqual(joined.laneLayout.groups, []);
+
+            writer.send({ type: 'SET_LANE_LAYOUT', layout: { groups: [{ id: 'g1', name: '  ', hosts: [] }] } });
+            const invalid = await writer.waitFor('ERROR');
+            assert.strictEqual(invalid.message, 'SET_LANE_LAYOUT: invalid groups');
+
+            writer.send({
+                type: 'SET_LANE_LAYOUT',
+                layout: {
+                    order: ['WS02', 'dc01', 'ws02'],
+                    hidden: ['printer'],
+                    groups: [
+                        { id: 'g1', name: 'Domain Controllers', hosts: ['DC01'], collapsed: true },
+                        { id: 'g2', name: 'Servers', hosts: ['dc01', 'web01'] }
+                    ]
+                }
+            });
+            const changed = await writer.waitFor('LANE_LAYOUT_CHANGED');
+            assert.deepStrictEqual(changed.layout, {
+                order: ['ws02', 'dc01'],
+                pinned: [],
+                hidden: ['printer'],
+                collapsed: [],
+                groups: [
+                    { id: 'g1', name: 'Domain Controllers', hosts: ['dc01'], collapsed: true },
+                    { id: 'g2', name: 'Servers', hosts: ['web01'], collapsed: false }
+                ]
+            });
+
+            reader.send({ type: 'JOIN_TIMELINE', timelineId: created.timeline.id });
+            const readerJoined = await reader.waitFor('JOINED_TIMELINE');
+            assert.deepStrictEqual(readerJoined.laneLayout, changed.layout);
+        } finally {
+            await writer.close();
+            await reader.close();
+        }
+    });
+
     it('notifies joined clients when the active timeline is deleted and rejects further room-scoped writes', async () => {
         const owner = await createClient();
         const peer = await createClient();
@@ -375,6 +607,22 @@ describe('Server WebSocket integration', () => {
             const updated = await client.waitFor('TIMELINE_UPDATED', message => message.timeline.id === defaultCreated.timeline.id);
             assert.strictEqual(updated.timeline.name, 'Renamed Timeline');
             assert.strictEqual(updated.timeline.description, 'trimmed');
+
+            client.send({
+                type: 'UPDATE_TIMELINE',
+                timelineId: defaultCreated.timeline.id,
+                displayZone: 'Mars/Olympus_Mons'
+            });
+            const invalidZone = await client.waitFor('ERROR');
+            assert.strictEqual(invalidZone.message, 'UPDATE_TIMELINE: invalid displayZone');
+
+            client.send({
+                type: 'UPDATE_TIMELINE',
+                timelineId: defaultCreated.timeline.id,
+                displayZone: 'Europe/Berlin'
+            });
+            const zoned = await client.waitFor('TIMELINE_UPDATED', message => message.timeline.displayZone === 'Europe/Berlin');
+            assert.strictEqual(zoned.timeline.name, 'Renamed Timeline');
         } finally {
             await client.close();
         }
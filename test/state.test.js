@@ -12,6 +12,8 @@ describe('TimelineState', () => {
 
     beforeEach(() => {
         state.clear();
+        state.setProfiles({}, null);
+        state.setHostOffsets({});
         sessionState.setConnected(false);
         sessionState.setSyncStatus('disconnected');
         sessionState.clearLastError();
@@ -107,6 +109,206 @@ describe('TimelineState', () => {
 
     });
 
+    describe('import batches', () => {
+
+        it('should roll back a batch with its events and annotations', () => {
+            state.setBatches({ b1: { id: 'b1', fileName: 'a.json', count: 1 } });
+            state.addEvents([
+                { _id: 'in-batch', _batch: 'b1', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'h1' } },
+                { _id: 'other', '@timestamp': '2024-01-15T10:01:00Z', host: { hostname: 'h1' } }
+            ]);
+            state.setAnnotation('in-batch', { comment: 'x' });
+
+            let synced = false;
+            const listener = () => { synced = true; };
+            bus.on('events:synced', listener);
+
+            assert.strictEqual(state.removeBatch('b1'), 1);
+            assert.deepStrictEqual(state.events.map(event => event.id), ['other']);
+            assert.strictEqual(state.annotations.has('in-batch'), false);
+            assert.strictEqual(state.batches.has('b1'), false);
+            assert.strictEqual(synced, true);
+            bus.off('events:synced', listener);
+        });
+
+        it('should take deleted events off their batch count', () => {
+            state.setBatches({ b1: { id: 'b1', fileName: 'a.json', count: 3 } });
+            state.addEvents(['a', 'b', 'c'].map((id, index) =>
+                ({ _id: id, _batch: 'b1', '@timestamp': `2024-01-15T10:0${index}:00Z`, host: { hostname: 'h1' } })));
+
+            let changes = 0;
+            const listener = () => { changes++; };
+            bus.on('batches:changed', listener);
+            state.deleteEvent('a');
+            state.deleteEvents(['b', 'missing']);
+            bus.off('batches:changed', listener);
+
+            assert.strictEqual(state.batches.get('b1').count, 1);
+            assert.strictEqual(changes, 2);
+        });
+
+        it('should drop batches on clear', () => {
+            state.upsertBatch({ id: 'b1', fileName: 'a.json', count: 1 });
+
+            state.clear();
+
+            assert.strictEqual(state.batches.size, 0);
+        });
+
+    });
+
+    describe('host clock offsets', () => {
+
+        it('should shift a host\'s events and restore them when the offset is removed', () => {
+            state.addEvents([
+                { _id: 'dc', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'DC01' } },
+                { _id: 'ws', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws02' } }
+            ]);
+
+            let synced = false;
+            const listener = () => { synced = true; };
+            bus.on('events:synced', listener);
+            state.setHostOffset('dc01', 90000);
+            bus.off('events:synced', listener);
+
+            const dc = state.events.find(event => event.id === 'dc');
+            assert.strictEqual(synced, true);
+            assert.strictEqual(dc.timestamp.toISOString(), '2024-01-15T10:01:30.000Z');
+            assert.strictEqual(dc.recordedTimestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(dc.raw['@timestamp'], '2024-01-15T10:00:00Z');
+            assert.strictEqual(state.events.find(event => event.id === 'ws').clockOffset, undefined);
+
+            state.setHostOffset('DC01', 0);
+            assert.strictEqual(state.events.find(event => event.id === 'dc').timestamp.toISOString(), '2024-01-15T10:00:00.000Z');
+        });
+
+        it('should apply offsets to events added and synced later', () => {
+            state.setHostOffsets({ dc01: -60000 });
+
+            state.addEvents([{ _id: 'dc', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'dc01' } }]);
+            assert.strictEqual(state.events[0].timestamp.toISOString(), '2024-01-15T09:59:00.000Z');
+
+            state.setEvents([{ _id: 'dc', '@timestamp': '2024-01-15T11:00:00Z', host: { hostname: 'dc01' } }]);
+            assert.strictEqual(state.events[0].timestamp.toISOString(), '2024-01-15T10:59:00.000Z');
+        });
+
+        it('should shift host-less events once their source host is known', () => {
+            state.setHostOffsets({ ws01: 60000 });
+
+            state.addEvents([{ _id: 'flow', '@timestamp': '2024-01-15T10:00:00Z', host: { name: 'Unknown' }, source: { ip: '10.0.0.5' } }]);
+            assert.strictEqual(state.events[0].clockOffset, undefined);
+
+            state.addEvents([{ _id: 'ws', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws01', ip: '10.0.0.5' } }]);
+            assert.deepStrictEqual(state.events.map(event => event.clockOffset), [60000, 60000]);
+        });
+
+    });
+
+    describe('lane layout', () => {
+
+        it('should fill in missing fields and reset on timeline switch', () => {
+            let changes = 0;
+            const listener = () => { changes++; };
+            bus.on('lanelayout:changed', listener);
+            state.setLaneLayout({ pinned: ['dc01'] });
+            bus.off('lanelayout:changed', listener);
+
+            assert.strictEqual(changes, 1);
+            assert.deepStrictEqual(state.laneLayout.pinned, ['dc01']);
+            assert.deepStrictEqual(state.laneLayout.groups, []);
+
+            state.clearForTimelineSwitch();
+            assert.deepStrictEqual(state.laneLayout.pinned, []);
+        });
+
+    });
+
+    describe('lane key', () => {
+
+        it('should lane by host until a field is chosen, and reset on timeline switch', () => {
+            state.setEvents([
+                { _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws01' }, user: { name: 'alice' } },
+                { _id: 'b', '@timestamp': '2024-01-15T10:01:00Z', host: { hostname: 'ws01' }, user: { name: 'bob' } }
+            ]);
+            assert.strictEqual(state.laneRegistry, state.hostRegistry);
+
+            let changes = 0;
+            const listener = () => { changes++; };
+            bus.on('lanekey:changed', listener);
+            state.setLaneKey(' user.name ');
+            state.setLaneKey('user.name');
+            bus.off('lanekey:changed', listener);
+
+            assert.strictEqual(changes, 1);
+            assert.strictEqual(state.laneKey, 'user.name');
+            assert.deepStrictEqual(state.laneRegistry.getHostList().map(lane => lane.hostname), ['alice', 'bob']);
+            assert.strictEqual(state.hostRegistry.getHostList().length, 1);
+
+            state.clearForTimelineSwitch();
+            assert.strictEqual(state.laneKey, null);
+        });
+
+    });
+
+    describe('event filter', () => {
+
+        it('should filter events and follow annotation changes', () => {
+            state.setEvents([
+                { _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'ws01' }, user: { name: 'alice' } },
+                { _id: 'b', '@timestamp': '2024-01-15T10:01:00Z', host: { hostname: 'ws02' }, user: { name: 'bob' } }
+            ]);
+            assert.strictEqual(state.filterResult.active, false);
+
+            let changes = 0;
+            const listener = () => { changes++; };
+            bus.on('filter:changed', listener);
+            state.setFilter({ query: 'not user.name:alice', facets: { annotation: ['annotated'] } });
+            bus.off('filter:changed', listener);
+
+            assert.strictEqual(changes, 1);
+            assert.deepStrictEqual(state.filterResult.events, []);
+
+            state.setAnnotation('b', { comment: 'lateral movement' });
+            assert.deepStrictEqual(state.filterResult.events.map(event => event.id), ['b']);
+
+            state.clearForTimelineSwitch();
+            assert.strictEqual(state.filter.query, '');
+        });
+
+    });
+
+    describe('parseInput() and addParsedEvents()', () => {
+
+        it('should parse without touching the timeline', () => {
+            const report = state.parseInput([
+                { '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'h1' } },
+                { host: { hostname: 'h1' } }
+            ]);
+
+            assert.strictEqual(report.events.length, 1);
+            assert.strictEqual(report.records, 2);
+            assert.strictEqual(state.events.length, 0);
+        });
+
+        it('should commit previewed events with deduplication', () => {
+            state.addEvents([
+                { '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'h1' }, event: { id: 'p1' } }
+            ]);
+            const {events} = state.parseInput([
+                { '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'h1' }, event: { id: 'p1' } },
+                { '@timestamp': '2024-01-15T10:01:00Z', host: { hostname: 'h1' }, event: { id: 'p2' } }
+            ]);
+
+            const result = state.addParsedEvents(events);
+
+            assert.strictEqual(result.parsed, 2);
+            assert.strictEqual(result.added.length, 1);
+            assert.strictEqual(result.duplicates, 1);
+            assert.strictEqual(state.events.length, 2);
+        });
+
+    });
+
     describe('setEvents()', () => {
 
         it('should replace all events with parsed input', () => {
@@ -186,6 +388,39 @@ describe('TimelineState', () => {
 
     });
 
+    describe('deleteEvents()', () => {
+
+        it('should remove several events with their annotations and emit events:deleted once', () => {
+            state.setEvents([
+                { _id: 'a', '@timestamp': '2024-01-15T10:00:00Z', host: { hostname: 'h1' } },
+                { _id: 'b', '@timestamp': '2024-01-15T10:01:00Z', host: { hostname: 'h1' } },
+                { _id: 'c', '@timestamp': '2024-01-15T10:02:00Z', host: { hostname: 'h2' } }
+            ], { a: { comment: 'gone' }, c: { comment: 'stays' } });
+
+            const emitted = [];
+            const listener = (ids) => { emitted.push(ids); };
+            bus.on('events:deleted', listener);
+            const removed = state.deleteEvents(['a', 'b', 'ghost']);
+            bus.off('events:deleted', listener);
+
+            assert.strictEqual(removed, 2);
+            assert.deepStrictEqual(state.events.map(event => event.id), ['c']);
+            assert.deepStrictEqual([...state.annotations.keys()], ['c']);
+            assert.deepStrictEqual(emitted, [['a', 'b', 'ghost']]);
+        });
+
+        it('should not emit when no event matches', () => {
+            let emitted = false;
+            const listener = () => { emitted = true; };
+            bus.on('events:deleted', listener);
+            assert.strictEqual(state.deleteEvents(['ghost']), 0);
+            bus.off('events:deleted', listener);
+
+            assert.strictEqual(emitted, false);
+        });
+
+    });
+
     describe('clear()', () => {
 
         it('should reset all state', () => {
@@ -254,6 +489,21 @@ describe('TimelineState', () => {
             assert.strictEqual(state.annotations.get('evt-1').comment, 'second');
         });
 
+        it('setAnnotations() should store several annotations and emit annotations:updated once', () => {
+            let emitted = null;
+            const listener = (ids) => { emitted = ids; };
+            bus.on('annotations:updated', listener);
+            state.setAnnotations({
+                'evt-1': { comment: '', mitreTactic: 'TA0008', mitreTechnique: 'T1021' },
+                'evt-2': { comment: 'pivot', mitreTactic: 'TA0008', mitreTechnique: 'T1021' }
+            });
+            bus.off('annotations:updated', listener);
+
+            assert.deepStrictEqual(emitted, ['evt-1', 'evt-2']);
+            assert.strictEqual(state.annotations.get('evt-2').comment, 'pivot');
+            assert.strictEqual(state.annotations.get('evt-1').mitreTechnique, 'T1021');
+        });
+
         it('deleteAnnotation() should remove an existing annotation and return true', () => {
             state.setAnnotation('evt-1', { eventId: 'evt-1', comment: 'x', mitreTactic: '', mitreTechnique: '', updatedAt: 1 });
 
@@ -308,6 +558,53 @@ describe('TimelineState', () => {
 
     });
 
+    describe('field mapping profiles', () => {
+
+        const profile = { id: 'p1', name: 'Labels', fields: { host: ['labels.hostname'] } };
+        const rawEvent = {
+            _id: 'evt-1',
+            '@timestamp': '2024-01-15T10:30:00.000Z',
+            host: { name: 'collector' },
+            labels: { hostname: 'ws-042' }
+        };
+
+        it('should apply the active profile to newly added events', () => {
+            state.setProfiles({ p1: profile }, 'p1');
+
+            state.addEvents([rawEvent]);
+
+            assert.strictEqual(state.events[0].host.hostname, 'ws-042');
+        });
+
+        it('should re-derive loaded events when the active profile changes', () => {
+            state.setProfiles({ p1: profile }, null);
+            state.addEvents([rawEvent]);
+            let synced = false;
+            const listener = () => { synced = true; };
+            bus.on('events:synced', listener);
+
+            state.setActiveProfile('p1');
+
+            assert.strictEqual(synced, true);
+            assert.strictEqual(state.events[0].id, 'evt-1');
+            assert.strictEqual(state.events[0].host.hostname, 'ws-042');
+            assert.strictEqual(state.hostRegistry.getHostList()[0].hostname, 'ws-042');
+
+            bus.off('events:synced', listener);
+        });
+
+        it('should fall back to ECS defaults when the active profile is removed', () => {
+            state.setProfiles({ p1: profile }, 'p1');
+            state.addEvents([rawEvent]);
+
+            state.removeProfile('p1');
+
+            assert.strictEqual(state.activeProfileId, null);
+            assert.strictEqual(state.events[0].host.hostname, 'collector');
+        });
+
+    });
+
     describe('connection tracking', () => {
 
         it('should track connected state', () => {
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    DAY_FIRST,
+    MONTH_FIRST,
+    formatTimestamp,
+    getZoneOffset,
+    hasZoneDesignator,
+    isNaiveTimestamp,
+    isValidTimeZone,
+    parseNaiveTimestamp,
+    toIsoDateTime,
+    toZoneWallClock
+} from '../shared/time-zones.js';
+
+describe('Time zones', () => {
+
+    describe('isValidTimeZone()', () => {
+
+        it('should accept UTC, local and IANA zones', () => {
+            assert.strictEqual(isValidTimeZone('UTC'), true);
+            assert.strictEqual(isValidTimeZone('local'), true);
+            assert.strictEqual(isValidTimeZone('Europe/Berlin'), true);
+        });
+
+        it('should reject unknown names and non-strings', () => {
+            assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+            assert.strictEqual(isValidTimeZone(''), false);
+            assert.strictEqual(isValidTimeZone(42), false);
+        });
+
+    });
+
+    describe('getZoneOffset()', () => {
+
+        it('should follow daylight saving time', () => {
+            assert.strictEqual(getZoneOffset(new Date('2024-01-15T12:00:00Z'), 'Europe/Berlin'), 60);
+            assert.strictEqual(getZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Europe/Berlin'), 120);
+            assert.strictEqual(getZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+            assert.strictEqual(getZoneOffset(new Date('2024-07-15T12:00:00Z'), 'UTC'), 0);
+        });
+
+    });
+
+    describe('isNaiveTimestamp()', () => {
+
+        it('should detect date-times without a zone designator', () => {
+            assert.strictEqual(isNaiveTimestamp('2024-01-15 10:00:00'), true);
+            assert.strictEqual(isNaiveTimestamp('2024-01-15T10:00:00.123456'), true);
+            assert.strictEqual(isNaiveTimestamp('2024-01-15T10:00:00Z'), false);
+            assert.strictEqual(isNaiveTimestamp('2024-01-15T10:00:00+02:00'), false);
+            assert.strictEqual(isNaiveTimestamp('2024-01-15'), false);
+            assert.strictEqual(isNaiveTimestamp(1705312800000), false);
+        });
+
+        it('should detect year-first slashed date-times without a zone designator', () => {
+            assert.strictEqual(isNaiveTimestamp('2024/01/15 10:00'), true);
+            assert.strictEqual(isNaiveTimestamp('Jan 15 2024 10:00:00'), false);
+        });
+
+    });
+
+    describe('hasZoneDesignator()', () => {
+
+        it('should accept offsets, Z, GMT/UTC names and bare ISO dates', () => {
+            assert.strictEqual(hasZoneDesignator('2024-01-15T10:00:00Z'), true);
+            assert.strictEqual(hasZoneDesignator('2024-01-15T10:00:00-0500'), true);
+            assert.strictEqual(hasZoneDesignator('Mon, 15 Jan 2024 10:00:00 GMT'), true);
+            assert.strictEqual(hasZoneDesignator('2024-01-15'), true);
+            assert.strictEqual(hasZoneDesignator('Jan 15 2024 10:00:00'), false);
+        });
+
+    });
+
+    describe('toIsoDateTime()', () => {
+
+        it('should rewrite month-first dates in ISO form', () => {
+            assert.strictEqual(toIsoDateTime('01/15/2024 10:00:00', MONTH_FIRST), '2024-01-15T10:00:00');
+            assert.strictEqual(toIsoDateTime('1/5/2024 9:30', MONTH_FIRST), '2024-01-05T09:30:00');
+            assert.strictEqual(toIsoDateTime('01/15/2024 10:00:00.250', MONTH_FIRST), '2024-01-15T10:00:00.250');
+            assert.strictEqual(toIsoDateTime('01/15/2024', MONTH_FIRST), '2024-01-15T00:00:00');
+            assert.strictEqual(toIsoDateTime('2024-01-15 10:00:00', MONTH_FIRST), null);
+        });
+
+        it('should rewrite day-first dates in ISO form', () => {
+            assert.strictEqual(toIsoDateTime('31/12/2024 10:00:00', DAY_FIRST), '2024-12-31T10:00:00');
+            assert.strictEqual(toIsoDateTime('15/01/2024 10:00', DAY_FIRST), '2024-01-15T10:00:00');
+        });
+
+        it('should leave year-last dates alone without a date order', () => {
+            assert.strictEqual(toIsoDateTime('01/15/2024 10:00:00'), null);
+            assert.strictEqual(toIsoDateTime('31/12/2024 10:00:00'), null);
+            assert.strictEqual(isNaiveTimestamp('01/15/2024 10:00:00'), false);
+        });
+
+        it('should reject impossible dates and times', () => {
+            assert.strictEqual(toIsoDateTime('31/12/2024 10:00:00', MONTH_FIRST), null);
+            assert.strictEqual(toIsoDateTime('15/01/2024 10:00', MONTH_FIRST), null);
+            assert.strictEqual(toIsoDateTime('02/30/2024', MONTH_FIRST), null);
+            assert.strictEqual(toIsoDateTime('01/15/2024 10:00:00', DAY_FIRST), null);
+            assert.strictEqual(toIsoDateTime('2024/02/30'), null);
+            assert.strictEqual(toIsoDateTime('2024/01/15 25:00'), null);
+        });
+
+        it('should rewrite year-first slashed dates in ISO form', () => {
+            assert.strictEqual(toIsoDateTime('2024/01/15 10:00:00'), '2024-01-15T10:00:00');
+            assert.strictEqual(toIsoDateTime('2024/1/5'), '2024-01-05T00:00:00');
+        });
+
+    });
+
+    describe('parseNaiveTimestamp()', () => {
+
+        it('should read wall-clock time in the given zone', () => {
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15 10:00:00', 'UTC').toISOString(), '2024-01-15T10:00:00.000Z');
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15 10:00:00', 'Europe/Berlin').toISOString(), '2024-01-15T09:00:00.000Z');
+            assert.strictEqual(parseNaiveTimestamp('2024-07-15T10:00:00.5', 'Europe/Berlin').toISOString(), '2024-07-15T08:00:00.500Z');
+        });
+
+        it('should move times in a DST gap forward', () => {
+            // 02:30 does not exist in New York on 2024-03-10; it reads as 03:30 EDT
+            assert.strictEqual(parseNaiveTimestamp('2024-03-10 02:30:00', 'America/New_York').toISOString(), '2024-03-10T07:30:00.000Z');
+        });
+
+        it('should read repeated wall-clock times as the earlier instant', () => {
+            // 01:30 happens twice in New York on 2024-11-03; the first is EDT
+            assert.strictEqual(parseNaiveTimestamp('2024-11-03 01:30:00', 'America/New_York').toISOString(), '2024-11-03T05:30:00.000Z');
+        });
+
+        it('should return null for timestamps with an offset', () => {
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15T10:00:00Z', 'Europe/Berlin'), null);
+        });
+
+        it('should return null for out-of-range fields instead of rolling them over', () => {
+            assert.strictEqual(parseNaiveTimestamp('2024-02-31T10:00:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2023-02-29 10:00:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-13-01 10:00:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-01-00 10:00:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15 24:00:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15 10:60:00', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-01-15 10:00:60', 'UTC'), null);
+            assert.strictEqual(parseNaiveTimestamp('2024-02-29 10:00:00', 'UTC').toISOString(), '2024-02-29T10:00:00.000Z');
+        });
+
+    });
+
+    describe('display', () => {
+
+        it('should shift an instant to the zone wall clock', () => {
+            const shifted = toZoneWallClock(new Date('2024-01-15T09:00:00Z'), 'Europe/Berlin');
+
+            assert.strictEqual(shifted.getUTCHours(), 10);
+        });
+
+        it('should format with the offset spelled out', () => {
+            const date = new Date('2024-01-15T09:00:00Z');
+
+            assert.strictEqual(formatTimestamp(date, 'UTC'), '2024-01-15 09:00:00.000 UTC');
+            assert.strictEqual(formatTimestamp(date, 'Europe/Berlin'), '2024-01-15 10:00:00.000 UTC+01:00');
+            assert.strictEqual(formatTimestamp(date, 'America/New_York'), '2024-01-15 04:00:00.000 UTC-05:00');
+        });
+
+    });
+
+});
@@ -0,0 +1,251 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    createWindowsEventXmlParser,
+    isWindowsEventRecord,
+    isWindowsEventXml,
+    parseWindowsEventXml,
+    windowsEventToEcs
+} from '../client/formats/winevt-xml.js';
+import { parseEvents } from '../client/parser.js';
+
+const NS = "xmlns='http://schemas.microsoft.com/win/2004/08/events/event'";
+
+function securityEvent(eventId, recordId, data, keywords = '0x8020000000000000') {
+    const items = Object.entries(data).map(([name, value]) => `<Data Name='${name}'>${value}</Data>`).join('');
+    return `<Event ${NS}><System><Provider Name='Microsoft-Windows-Security-Auditing' Guid='{54849625-5478-4994-a5ba-3e3b0328c30d}'/>` +
+        `<EventID>${eventId}</EventID><Version>2</Version><Level>0</Level><Task>12544</Task><Opcode>0</Opcode>` +
+        `<Keywords>${keywords}</Keywords><TimeCreated SystemTime='2024-03-01T08:15:0${recordId % 10}.123456Z'/>` +
+        `<EventRecordID>${recordId}</EventRecordID><Correlation/><Execution ProcessID='644' ThreadID='712'/>` +
+        `<Channel>Security</Channel><Computer>DC01.corp.local</Computer><Security/></System>` +
+        `<EventData>${items}</EventData></Event>`;
+}
+
+const LOGON = securityEvent(4624, 101, {
+    SubjectUserSid: 'S-1-5-18',
+    TargetUserName: 'alice',
+    TargetDomainName: 'CORP',
+    TargetUserSid: 'S-1-5-21-1-2-3-1104',
+    TargetLogonId: '0x3e7a1',
+    LogonType: '10',
+    WorkstationName: 'WS-17',
+    IpAddress: '10.0.4.17',
+    IpPort: '50122',
+    ProcessName: '-'
+});
+
+const FAILED_LOGON = securityEvent(4625, 102, {
+    TargetUserName: 'administrator',
+    LogonType: '3',
+    IpAddress: '203.0.113.9',
+    IpPort: '0'
+}, '0x8010000000000000');
+
+const PROCESS_START = securityEvent(4688, 103, {
+    SubjectUserName: 'alice',
+    SubjectDomainName: 'CORP',
+    NewProcessId: '0x1a2c',
+    NewProcessName: 'C:\\Windows\\System32\\cmd.exe',
+    CommandLine: 'cmd.exe /c whoami &amp;&amp; hostname',
+    ProcessId: '0x0f10',
+    ParentProcessName: 'C:\\Windows\\explorer.exe'
+});
+
+const SERVICE_INSTALL = `<Event ${NS}><System><Provider Name='Service Control Manager' Guid='{555908d1-a6d7-4695-8e1e-26931d2012f4}' EventSourceName='Service Control Manager'/>` +
+    `<EventID Qualifiers='16384'>7045</EventID><Version>0</Version><Level>4</Level><Task>0</Task><Opcode>0</Opcode>` +
+    `<Keywords>0x8080000000000000</Keywords><TimeCreated SystemTime='2024-03-01T08:20:00.000000Z'/>` +
+    `<EventRecordID>9001</EventRecordID><Execution ProcessID='700' ThreadID='4012'/><Channel>System</Channel>` +
+    `<Computer>DC01.corp.local</Computer><Security UserID='S-1-5-21-1-2-3-500'/></System>` +
+    `<EventData><Data Name='ServiceName'>PSEXESVC</Data><Data Name='ImagePath'>%SystemRoot%\\PSEXESVC.exe</Data>` +
+    `<Data Name='ServiceType'>user mode service</Data><Data Name='StartType'>demand start</Data><Data Name='AccountName'>LocalSystem</Data></EventData></Event>`;
+
+function sysmonEvent(eventId, recordId, data) {
+    const items = Object.entries(data).map(([name, value]) => `<Data Name="${name}">${value}</Data>`).join('');
+    return `<Event ${NS}><System><Provider Name="Microsoft-Windows-Sysmon" Guid="{5770385f-c22a-43e0-bf4c-06f5698ffbd9}"/>` +
+        `<EventID>${eventId}</EventID><Version>5</Version><Level>4</Level><Task>${eventId}</Task>` +
+        `<TimeCreated SystemTime="2024-03-01T09:00:0${recordId % 10}.000Z"/><EventRecordID>${recordId}</EventRecordID>` +
+        `<Channel>Microsoft-Windows-Sysmon/Operational</Channel><Computer>WS-17.corp.local</Computer>` +
+        `<Security UserID="S-1-5-18"/></System><EventData>${items}</EventData></Event>`;
+}
+
+const SYSMON_PROCESS = sysmonEvent(1, 201, {
+    ProcessGuid: '{a1b2c3d4-0001-0000-0000-000000000001}',
+    ProcessId: '4242',
+    Image: 'C:\\Tools\\payload.exe',
+    CommandLine: 'payload.exe -connect',
+    User: 'CORP\\alice',
+    Hashes: 'SHA1=AAAA,MD5=BBBB,SHA256=CCCC',
+    ParentProcessGuid: '{a1b2c3d4-0001-0000-0000-000000000000}',
+    ParentProcessId: '3000',
+    ParentImage: 'C:\\Windows\\explorer.exe'
+});
+
+const SYSMON_NETWORK = sysmonEvent(3, 202, {
+    ProcessGuid: '{a1b2c3d4-0001-0000-0000-000000000001}',
+    ProcessId: '4242',
+    Image: 'C:\\Tools\\payload.exe',
+    User: 'CORP\\alice',
+    Protocol: 'tcp',
+    Initiated: 'true',
+    SourceIp: '10.0.4.17',
+    SourcePort: '50200',
+    DestinationIp: '198.51.100.7',
+    DestinationPort: '443'
+});
+
+const SYSMON_FILE = sysmonEvent(11, 203, {
+    ProcessGuid: '{a1b2c3d4-0001-0000-0000-000000000001}',
+    ProcessId: '4242',
+    Image: 'C:\\Tools\\payload.exe',
+    TargetFilename: 'C:\\Users\\alice\\AppData\\Local\\Temp\\stage2.dll'
+});
+
+const EXPORT = `<?xml version="1.0" encoding="UTF-8"?>\n<Events>\n${[LOGON, FAILED_LOGON, PROCESS_START, SERVICE_INSTALL].join('\n')}\n</Events>`;
+
+describe('Windows event XML ingestion', () => {
+
+    describe('isWindowsEventXml()', () => {
+
+        it('should detect Event Viewer exports and bare wevtutil output', () => {
+            assert.strictEqual(isWindowsEventXml(EXPORT), true);
+            assert.strictEqual(isWindowsEventXml(LOGON), true);
+        });
+
+        it('should reject other XML and JSON', () => {
+            assert.strictEqual(isWindowsEventXml('<?xml version="1.0"?><rss></rss>'), false);
+            assert.strictEqual(isWindowsEventXml('{"Event": 1}'), false);
+        });
+
+    });
+
+    describe('parsing', () => {
+
+        it('should split an export into records with named event data', () => {
+            const records = parseWindowsEventXml(EXPORT);
+
+            assert.strictEqual(records.length, 4);
+            assert.strictEqual(records[0].System.Computer, 'DC01.corp.local');
+            assert.strictEqual(records[0].System.TimeCreated.SystemTime, '2024-03-01T08:15:01.123456Z');
+            assert.strictEqual(records[0].EventData.TargetUserName, 'alice');
+            assert.strictEqual(records[2].EventData.CommandLine, 'cmd.exe /c whoami && hostname');
+            assert.strictEqual(isWindowsEventRecord(records[3]), true);
+        });
+
+        it('should reassemble events split across chunks', () => {
+            const parser = createWindowsEventXmlParser();
+            const records = [];
+            for (let i = 0; i < EXPORT.length; i += 37) {
+                records.push(...parser.push(EXPORT.slice(i, i + 37)).records);
+            }
+            records.push(...parser.flush().records);
+
+            assert.strictEqual(records.length, 4);
+            assert.strictEqual(records[3].EventData.ServiceName, 'PSEXESVC');
+        });
+
+        it('should report malformed and truncated events with line numbers', () => {
+            const parser = createWindowsEventXmlParser();
+            const text = `<Events>\n${LOGON}\n<Event><System><EventID>1</System></Event>\n<Event><System>`;
+            const first = parser.push(text);
+            const last = parser.flush();
+
+            assert.strictEqual(first.records.length, 1);
+            assert.deepStrictEqual(first.errors, [{line: 3, message: 'Unexpected </System>'}]);
+            assert.deepStrictEqual(last.errors, [{line: 4, message: 'Unterminated <Event> element'}]);
+        });
+
+    });
+
+    describe('windowsEventToEcs()', () => {
+
+        it('should map logons to authentication with winlog fields', () => {
+            const ecs = windowsEventToEcs(parseWindowsEventXml(LOGON)[0]);
+
+            assert.strictEqual(ecs['@timestamp'], '2024-03-01T08:15:01.123456Z');
+            assert.strictEqual(ecs.event.code, '4624');
+            assert.strictEqual(ecs.event.action, 'logged-in');
+            assert.deepStrictEqual(ecs.event.category, ['authentication']);
+            assert.strictEqual(ecs.event.outcome, 'success');
+            assert.strictEqual(ecs.host.name, 'DC01.corp.local');
+            assert.strictEqual(ecs.user.name, 'alice');
+            assert.strictEqual(ecs.source.ip, '10.0.4.17');
+            assert.strictEqual(ecs.source.port, 50122);
+            assert.strictEqual(ecs.winlog.logon.type, 'RemoteInteractive');
+            assert.strictEqual(ecs.winlog.event_data.TargetLogonId, '0x3e7a1');
+            assert.strictEqual(ecs.process, undefined);
+        });
+
+        it('should mark failed logons as failures', () => {
+            const ecs = windowsEventToEcs(parseWindowsEventXml(FAILED_LOGON)[0]);
+
+            assert.strictEqual(ecs.event.action, 'logon-failed');
+            assert.strictEqual(ecs.event.outcome, 'failure');
+            assert.strictEqual(ecs.source.port, undefined);
+        });
+
+        it('should map 4688 to a process start with hex PIDs decoded', () => {
+            const ecs = windowsEventToEcs(parseWindowsEventXml(PROCESS_START)[0]);
+
+            assert.deepStrictEqual(ecs.event.category, ['process']);
+            assert.deepStrictEqual(ecs.event.type, ['start']);
+            assert.strictEqual(ecs.process.pid, 0x1a2c);
+            assert.strictEqual(ecs.process.name, 'cmd.exe');
+            assert.strictEqual(ecs.process.parent.pid, 0x0f10);
+            assert.strictEqual(ecs.process.parent.name, 'explorer.exe');
+        });
+
+        it('should map 7045 to a service install', () => {
+            const ecs = windowsEventToEcs(parseWindowsEventXml(SERVICE_INSTALL)[0]);
+
+            assert.strictEqual(ecs.event.code, '7045');
+            assert.strictEqual(ecs.event.action, 'service-installed');
+            assert.strictEqual(ecs.event.module, 'system');
+            assert.strictEqual(ecs.service.name, 'PSEXESVC');
+            assert.strictEqual(ecs.winlog.user.identifier, 'S-1-5-21-1-2-3-500');
+        });
+
+        it('should map Sysmon process, network and file events', () => {
+            const [process, network, file] = parseWindowsEventXml([SYSMON_PROCESS, SYSMON_NETWORK, SYSMON_FILE].join('\n'))
+                .map(windowsEventToEcs);
+
+            assert.strictEqual(process.event.module, 'sysmon');
+            assert.strictEqual(process.event.action, 'process-created');
+            assert.strictEqual(process.process.entity_id, '{a1b2c3d4-0001-0000-0000-000000000001}');
+            assert.strictEqual(process.process.hash.sha256, 'cccc');
+            assert.deepStrictEqual(process.user, {domain: 'CORP', name: 'alice'});
+
+            assert.deepStrictEqual(network.event.category, ['network']);
+            assert.strictEqual(network.destination.ip, '198.51.100.7');
+            assert.strictEqual(network.destination.port, 443);
+            assert.strictEqual(network.network.direction, 'egress');
+
+            assert.deepStrictEqual(file.event.type, ['creation']);
+            assert.strictEqual(file.file.name, 'stage2.dll');
+        });
+
+        it('should fall back to provider and ID for unmapped events', () => {
+            const ecs = windowsEventToEcs(parseWindowsEventXml(sysmonEvent(255, 204, {ID: 'x'}))[0]);
+
+            assert.strictEqual(ecs.event.action, 'Microsoft-Windows-Sysmon-255');
+            assert.strictEqual(ecs.event.category, undefined);
+        });
+
+    });
+
+    describe('parseEvents() integration', () => {
+
+        it('should place events in host lanes with timeline categories', () => {
+            const events = parseEvents(EXPORT + '\n' + [SYSMON_PROCESS, SYSMON_NETWORK].join('\n'));
+
+            assert.strictEqual(events.length, 6);
+            assert.strictEqual(events[0].id, 'winlog-DC01.corp.local-Security-101');
+            assert.strictEqual(events[0].host.hostname, 'DC01.corp.local');
+            assert.strictEqual(events[0].category, 'authentication');
+            assert.strictEqual(events[2].category, 'process');
+            assert.strictEqual(events[5].host.hostname, 'WS-17.corp.local');
+            assert.strictEqual(events[5].category, 'network');
+        });
+
+    });
+
+});
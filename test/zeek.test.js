@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    createZeekTsvParser,
+    detectZeekLogType,
+    isZeekRecord,
+    isZeekTsv,
+    parseZeekTsv,
+    zeekToEcs
+} from '../client/formats/zeek.js';
+import { buildHostRegistry, identifyConnections, parseEvents } from '../client/parser.js';
+
+const CONN_LOG = [
+    '#separator \\x09',
+    '#set_separator\t,',
+    '#empty_field\t(empty)',
+    '#unset_field\t-',
+    '#path\tconn',
+    '#fields\tts\tuid\tid.orig_h\tid.orig_p\tid.resp_h\tid.resp_p\tproto\tservice\tduration\torig_bytes\tresp_bytes\tconn_state\ttunnel_parents',
+    '#types\ttime\tstring\taddr\tport\taddr\tport\tenum\tstring\tinterval\tcount\tcount\tstring\tset[string]',
+    '1705314600.123456\tCHhAvVGS1DHFjwGM9\t10.0.0.5\t49152\t10.0.0.20\t445\ttcp\tsmb\t2.5\t1200\t3400\tSF\t(empty)',
+    '1705314660.000000\tC4J4Th3PJpwUYZZ6gc\t10.0.0.5\t53211\t10.0.0.53\t53\tudp\t-\t-\t-\t-\tS0\t(empty)',
+    '#close\t2024-01-15-11-00-00'
+].join('\n');
+
+describe('Zeek ingestion', () => {
+
+    describe('TSV parsing', () => {
+
+        it('should detect Zeek TSV headers', () => {
+            assert.strictEqual(isZeekTsv(CONN_LOG), true);
+            assert.strictEqual(isZeekTsv('{"ts": 1}'), false);
+        });
+
+        it('should convert typed columns and drop unset fields', () => {
+            const [first, second] = parseZeekTsv(CONN_LOG);
+
+            assert.strictEqual(first._path, 'conn');
+            assert.strictEqual(first.ts, 1705314600.123456);
+            assert.strictEqual(first['id.resp_p'], 445);
+            assert.deepStrictEqual(first.tunnel_parents, []);
+            assert.strictEqual('service' in second, false);
+            assert.strictEqual('duration' in second, false);
+        });
+
+        it('should report rows with the wrong number of fields', () => {
+            const parser = createZeekTsvParser();
+            const { errors } = parser.push('#fields\tts\tuid\n1\tC1\textra\n');
+
+            assert.deepStrictEqual(errors, [{ line: 2, message: 'Expected 2 fields, found 3' }]);
+        });
+
+        it('should handle records split across chunks', () => {
+            const parser = createZeekTsvParser();
+            const splitAt = CONN_LOG.indexOf('CHhAvVGS1') + 4;
+
+            const records = [
+                ...parser.push(CONN_LOG.slice(0, splitAt)).records,
+                ...parser.push(CONN_LOG.slice(splitAt)).records,
+                ...parser.flush().records
+            ];
+
+            assert.strictEqual(records.length, 2);
+            assert.strictEqual(records[0].uid, 'CHhAvVGS1DHFjwGM9');
+        });
+
+    });
+
+    describe('ECS mapping', () => {
+
+        it('should recognise JSON log records and infer their type', () => {
+            const record = { ts: 1705314600.5, uid: 'C1', 'id.orig_h': '10.0.0.5', query: 'example.com' };
+
+            assert.strictEqual(isZeekRecord(record), true);
+            assert.strictEqual(isZeekRecord({ '@timestamp': '2024-01-15T10:30:00Z' }), false);
+            assert.strictEqual(detectZeekLogType(record), 'dns');
+        });
+
+        it('should map conn records to ECS network fields', () => {
+            const ecs = zeekToEcs(parseZeekTsv(CONN_LOG)[0]);
+
+            assert.strictEqual(ecs['@timestamp'], '2024-01-15T10:30:00.123Z');
+            assert.deepStrictEqual(ecs.source, { ip: '10.0.0.5', port: 49152, bytes: 1200 });
+            assert.deepStrictEqual(ecs.destination, { ip: '10.0.0.20', port: 445, bytes: 3400 });
+            assert.strictEqual(ecs.network.transport, 'tcp');
+            assert.strictEqual(ecs.network.bytes, 4600);
+            assert.strictEqual(ecs.event.duration, 2500000000);
+            assert.strictEqual(ecs.zeek.session_id, 'CHhAvVGS1DHFjwGM9');
+            assert.strictEqual(ecs.zeek.conn.conn_state, 'SF');
+        });
+
+        it('should map dns records to ECS dns fields', () => {
+            const ecs = zeekToEcs({
+                ts: 1705314600, uid: 'C2', 'id.orig_h': '10.0.0.5', 'id.orig_p': 5353,
+                'id.resp_h': '10.0.0.53', 'id.resp_p': 53, proto: 'udp', trans_id: 4242,
+                query: 'evil.example', qtype_name: 'A', rcode_name: 'NOERROR',
+                answers: ['198.51.100.7', 'cdn.evil.example']
+            });
+
+            assert.strictEqual(ecs.dns.question.name, 'evil.example');
+            assert.strictEqual(ecs.dns.question.type, 'A');
+            assert.strictEqual(ecs.dns.response_code, 'NOERROR');
+            assert.deepStrictEqual(ecs.dns.resolved_ip, ['198.51.100.7']);
+            assert.strictEqual(ecs.network.protocol, 'dns');
+        });
+
+        it('should map http records to ECS url and http fields', () => {
+            const ecs = zeekToEcs({
+                _path: 'http', ts: 1705314600, uid: 'C3', 'id.orig_h': '10.0.0.5', 'id.resp_h': '203.0.113.9',
+                method: 'POST', host: 'upload.example', uri: '/drop?id=1', status_code: 200,
+                user_agent: 'curl/8.0'
+            });
+
+            assert.strictEqual(ecs.http.request.method, 'POST');
+            assert.strictEqual(ecs.http.response.status_code, 200);
+            assert.deepStrictEqual(ecs.url, {
+                domain: 'upload.example',
+                original: '/drop?id=1',
+                path: '/drop',
+                query: 'id=1',
+                full: 'http://upload.example/drop?id=1'
+            });
+            assert.strictEqual(ecs.user_agent.original, 'curl/8.0');
+        });
+
+        it('should map ssl records to ECS tls fields', () => {
+            const ecs = zeekToEcs({
+                _path: 'ssl', ts: 1705314600, uid: 'C4', 'id.orig_h': '10.0.0.5', 'id.resp_h': '203.0.113.9',
+                version: 'TLSv12', cipher: 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256', server_name: 'c2.example',
+                established: true
+            });
+
+            assert.strictEqual(ecs.tls.version, '1.2');
+            assert.strictEqual(ecs.tls.version_protocol, 'tls');
+            assert.strictEqual(ecs.tls.client.server_name, 'c2.example');
+            assert.strictEqual(ecs.destination.domain, 'c2.example');
+        });
+
+        it('should map files records using tx/rx hosts', () => {
+            const ecs = zeekToEcs({
+                _path: 'files', ts: 1705314600, fuid: 'F1', tx_hosts: ['203.0.113.9'], rx_hosts: ['10.0.0.5'],
+                source: 'HTTP', mime_type: 'application/x-dosexec', filename: 'payload.exe', total_bytes: 73802,
+                sha256: 'ab'.repeat(32)
+            });
+
+            assert.deepStrictEqual(ecs.event.category, ['file']);
+            assert.strictEqual(ecs.source.ip, '203.0.113.9');
+            assert.strictEqual(ecs.destination.ip, '10.0.0.5');
+            assert.strictEqual(ecs.file.name, 'payload.exe');
+            assert.strictEqual(ecs.file.size, 73802);
+        });
+
+    });
+
+    describe('parseEvents() integration', () => {
+
+        it('should parse a pasted TSV log into connection events', () => {
+            const events = parseEvents(CONN_LOG);
+            const registry = buildHostRegistry(events);
+            const connections = identifyConnections(events, registry);
+
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[0].category, 'network');
+            assert.strictEqual(connections.length, 2);
+            assert.strictEqual(connections[0].destPort, 445);
+        });
+
+        it('should parse Zeek JSON logs as NDJSON', () => {
+            const input = [
+                '{"ts":1705314600.1,"uid":"C5","id.orig_h":"10.0.0.5","id.orig_p":1,"id.resp_h":"10.0.0.9","id.resp_p":22,"proto":"tcp","conn_state":"SF"}',
+                '{"ts":1705314601.2,"uid":"C6","id.orig_h":"10.0.0.5","id.orig_p":2,"id.resp_h":"10.0.0.9","id.resp_p":22,"proto":"tcp","conn_state":"REJ"}'
+            ].join('\n');
+
+            const events = parseEvents(input);
+
+            assert.strictEqual(events.length, 2);
+            assert.notStrictEqual(events[0].id, events[1].id);
+            assert.strictEqual(events[0].raw.event.dataset, 'zeek.conn');
+        });
+
+        it('should leave already normalized events untouched on reparse', () => {
+            const [event] = parseEvents(CONN_LOG);
+            const [again] = parseEvents([event.raw]);
+
+            assert.deepStrictEqual(again.raw, event.raw);
+            assert.strictEqual(again.id, event.id);
+        });
+
+    });
+
+});
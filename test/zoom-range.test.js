@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { brushToRange, rangeToBrush, rangeToZoom } from '../client/zoom-range.js';
+
+const T0 = Date.UTC(2024, 0, 15);
+const HOUR = 3600000;
+
+// Minimal stand-in for a d3 UTC scale mapping [start, end] onto [left, right]
+function timeScale(start, end, left, right) {
+    const perMs = (right - left) / (end - start);
+    const scale = date => left + (date.getTime() - start) * perMs;
+    scale.invert = x => new Date(start + (x - left) / perMs);
+    scale.range = () => [left, right];
+    return scale;
+}
+
+// Range the main timeline shows under a zoom transform, as transform.rescaleX(xScale).domain() gives it
+function visibleRange(xScale, { k, x }) {
+    const [left, right] = xScale.range();
+    return [xScale.invert((left - x) / k), xScale.invert((right - x) / k)];
+}
+
+const iso = dates => dates.map(date => date.toISOString());
+const scaleExtent = [0.0001, 100];
+
+describe('zoom ranges', () => {
+
+    // Both span the same 24 hours; the main timeline is wider than the overview strip
+    const mainScale = timeScale(T0, T0 + 24 * HOUR, 100, 1300);
+    const overviewScale = timeScale(T0, T0 + 24 * HOUR, 100, 580);
+
+    describe('rangeToZoom()', () => {
+
+        it('should fill the view with the range', () => {
+            const start = new Date(T0 + 6 * HOUR);
+            const end = new Date(T0 + 9 * HOUR);
+
+            const transform = rangeToZoom(mainScale, start, end, { fill: 1, scaleExtent });
+
+            assert.strictEqual(transform.k, 8);
+            assert.deepStrictEqual(iso(visibleRange(mainScale, transform)), iso([start, end]));
+        });
+
+        it('should center the range on part of the view', () => {
+            const transform = rangeToZoom(mainScale, new Date(T0 + 6 * HOUR), new Date(T0 + 9 * HOUR), { fill: 0.5, scaleExtent });
+
+            assert.deepStrictEqual(iso(visibleRange(mainScale, transform)),
+                iso([new Date(T0 + 4.5 * HOUR), new Date(T0 + 10.5 * HOUR)]));
+        });
+
+        it('should cap the scale at the zoom extent', () => {
+            const instant = new Date(T0 + 12 * HOUR);
+
+            const transform = rangeToZoom(mainScale, instant, instant, { fill: 1, scaleExtent });
+            const [start, end] = visibleRange(mainScale, transform);
+
+            assert.strictEqual(transform.k, 100);
+            assert.strictEqual((start.getTime() + end.getTime()) / 2, instant.getTime());
+        });
+    });
+
+    describe('overview brush to main zoom', () => {
+
+        it('should zoom the main timeline to the brushed range', () => {
+            const brushed = brushToRange(overviewScale, [220, 340]);
+            const transform = rangeToZoom(mainScale, ...brushed, { fill: 1, scaleExtent });
+
+            assert.deepStrictEqual(iso(brushed), iso([new Date(T0 + 6 * HOUR), new Date(T0 + 12 * HOUR)]));
+            assert.deepStrictEqual(iso(visibleRange(mainScale, transform)), iso(brushed));
+        });
+    });
+
+    describe('main zoom to overview brush', () => {
+
+        it('should brush the range the main timeline shows', () => {
+            const transform = rangeToZoom(mainScale, new Date(T0 + 6 * HOUR), new Date(T0 + 12 * HOUR), { fill: 1, scaleExtent });
+
+            assert.deepStrictEqual(rangeToBrush(overviewScale, ...visibleRange(mainScale, transform)), [220, 340]);
+        });
+
+        it('should clip the brush to the strip when zoomed out past the data', () => {
+            const transform = { k: 0.5, x: 400 };
+
+            assert.deepStrictEqual(rangeToBrush(overviewScale, ...visibleRange(mainScale, transform)), [100, 580]);
+        });
+
+        it('should drop the brush when the view is off the strip', () => {
+            assert.strictEqual(rangeToBrush(overviewScale, new Date(T0 + 25 * HOUR), new Date(T0 + 26 * HOUR)), null);
+        });
+
+        it('should round-trip a brushed range through the main zoom', () => {
+            const selection = [163, 457];
+            const transform = rangeToZoom(mainScale, ...brushToRange(overviewScale, selection), { fill: 1, scaleExtent });
+
+            const [x0, x1] = rangeToBrush(overviewScale, ...visibleRange(mainScale, transform));
+            assert.ok(Math.abs(x0 - selection[0]) < 1e-6 && Math.abs(x1 - selection[1]) < 1e-6);
+        });
+    });
+});